@@ -0,0 +1,213 @@
+// --- Service Worker ---
+//
+// Keeps the app usable offline and sends deadline reminders for starred jobs.
+//
+// App shell: the page is served network-first so a deploy shows up on the next
+// load, falling back to the cached copy offline. Vite's hashed assets never
+// change, so they are served from the cache; after each fresh page load the
+// assets it no longer references are dropped. Scan results and starred jobs
+// are already in IndexedDB, so the page can show them without the network.
+//
+// Reminders: the bookmarks live in the app's IndexedDB database (see
+// src/lib/jobDatabase.js); each one lists reminder offsets in days before its
+// deadline and the offsets already notified. Reminders are checked when the
+// worker starts, when the page asks (it does so on load, hourly while open and
+// after bookmarks change) and on Periodic Background Sync where the browser
+// offers it.
+//
+// This is a classic script, so the due-offset rule is repeated from
+// getDueOffsets() in src/lib/reminders.js. Keep the two in step;
+// src/lib/reminders.test.js runs both through the same cases.
+
+const DB_NAME = 'jobCrawler';
+const BOOKMARKS_STORE = 'bookmarks';
+const REMINDER_SYNC_TAG = 'check-reminders';
+
+// Bump to drop every cached file on the next activation.
+const CACHE_PREFIX = 'jobCrawler-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}v1`;
+const SHELL_FILES = ['./', 'manifest.webmanifest', 'icon.svg'];
+const SHELL_URL = new URL('./', self.registration.scope).href;
+const ASSETS_URL = new URL('assets/', self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(SHELL_FILES.map(file => new URL(file, self.registration.scope).href)))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))))
+        .then(() => self.clients.claim())
+        .then(checkReminders));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Cross-origin requests are the crawler's proxy fetches; never cache those.
+    if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+
+    if (request.mode === 'navigate') event.respondWith(serveShell(request));
+    else if (request.url.startsWith(ASSETS_URL) || SHELL_FILES.some(file => request.url === new URL(file, self.registration.scope).href)) {
+        event.respondWith(serveCached(request));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'CHECK_REMINDERS') event.waitUntil(checkReminders());
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === REMINDER_SYNC_TAG) event.waitUntil(checkReminders());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const link = event.notification.data?.link;
+    if (link) event.waitUntil(self.clients.openWindow(link));
+});
+
+// --- App Shell ---
+
+/**
+ * Network-first for page loads. Every navigation inside the scope gets the
+ * same single-page shell; the page reads its view from the query string.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+const serveShell = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const html = await response.clone().text();
+            await cache.put(SHELL_URL, response.clone());
+            await pruneAssets(cache, html);
+        }
+        return response;
+    } catch (e) {
+        const cached = await cache.match(SHELL_URL);
+        if (cached) return cached;
+        throw e;
+    }
+};
+
+/**
+ * Cache-first for hashed assets and the other shell files, caching on first use.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+const serveCached = async (request) => {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+};
+
+/**
+ * Removes cached assets that the current page no longer references, so old
+ * builds do not pile up. Assets the page loads indirectly (lazy chunks) are
+ * named in the entry script rather than the HTML, so only files referenced by
+ * neither are dropped.
+ * @param {Cache} cache
+ * @param {string} html - The freshly fetched page.
+ */
+const pruneAssets = async (cache, html) => {
+    const entries = [...html.matchAll(/(?:src|href)="([^"]*assets\/[^"]+)"/g)].map(match => new URL(match[1], SHELL_URL).href);
+    if (entries.length === 0) return;
+    const referenced = new Set(entries);
+    for (const entry of entries) {
+        const response = await cache.match(entry);
+        if (!response) continue;
+        const text = await response.text();
+        for (const match of text.matchAll(/assets\/[\w.-]+/g)) referenced.add(new URL(match[0], self.registration.scope).href);
+    }
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(cached => cached.url.startsWith(ASSETS_URL) && !referenced.has(cached.url))
+        .map(cached => cache.delete(cached)));
+};
+
+// --- Reminders ---
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Opens the app's database at whatever version the page created. Returns
+ * null before the page has created the bookmarks store.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+const openDatabase = async () => {
+    const db = await promisify(indexedDB.open(DB_NAME));
+    if (db.objectStoreNames.contains(BOOKMARKS_STORE)) return db;
+    db.close();
+    return null;
+};
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+const getDaysLeft = (deadline, today) => Math.round((startOfDay(deadline) - startOfDay(today)) / 86400000);
+
+const getDueOffsets = (bookmark, today) => {
+    const days = getDaysLeft(bookmark.lastDate, today);
+    if (days < 0) return [];
+    const sent = bookmark.sentReminders || [];
+    return (bookmark.reminderDays || []).filter(offset => days <= offset && !sent.includes(offset));
+};
+
+const describeDaysLeft = (days) => {
+    if (days === 0) return 'Last date is today';
+    if (days === 1) return 'Last date is tomorrow';
+    return `Last date in ${days} days`;
+};
+
+/**
+ * Shows one notification per starred job with a due reminder and records the
+ * offsets as sent. Several offsets reached at once (e.g. after the browser was
+ * closed for a week) produce a single notification.
+ */
+const checkReminders = async () => {
+    if (self.Notification?.permission !== 'granted') return;
+    const db = await openDatabase();
+    if (!db) return;
+
+    try {
+        const today = new Date();
+        const bookmarks = await promisify(db.transaction(BOOKMARKS_STORE).objectStore(BOOKMARKS_STORE).getAll());
+        const due = bookmarks
+            .map(bookmark => ({ bookmark, offsets: getDueOffsets(bookmark, today) }))
+            .filter(({ offsets }) => offsets.length > 0);
+
+        for (const { bookmark } of due) {
+            const days = getDaysLeft(bookmark.lastDate, today);
+            await self.registration.showNotification(describeDaysLeft(days), {
+                body: `${bookmark.title}${bookmark.deadlineTime ? ` (till ${bookmark.deadlineTime})` : ''}`,
+                tag: bookmark.link,
+                data: { link: bookmark.link },
+            });
+        }
+
+        if (due.length > 0) {
+            const tx = db.transaction(BOOKMARKS_STORE, 'readwrite');
+            due.forEach(({ bookmark, offsets }) => {
+                tx.objectStore(BOOKMARKS_STORE).put({ ...bookmark, sentReminders: [...(bookmark.sentReminders || []), ...offsets] });
+            });
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+    } finally {
+        // An open connection would block the page from upgrading the database.
+        db.close();
+    }
+};
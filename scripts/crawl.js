@@ -0,0 +1,150 @@
+// Command-line job scanner, built on the same pipeline as the app.
+//
+// Usage:
+//   node scripts/crawl.js <url>... [--sources sources.json] [--format json|csv]
+//       [--out file] [--columns title,lastDate,link] [--include-possible]
+//       [--rules rules.json] [--classifier classifier.json] [--proxy "http://localhost:8787/?url={url}"]
+//       [--max-depth 1] [--max-pages 10] [--max-posts 100]
+//       [--concurrency 4] [--host-delay 500] [--retries 2] [--no-pdfs]
+//       [--report diagnostics.json] [--quiet]
+//
+// Pages are fetched directly unless --proxy is given. --sources and --rules
+// read the JSON exported from the app (a source list and the extraction rules;
+// a bare array of rules also works).
+// Posts are scored with the app's default job detection settings unless
+// --classifier gives others, as { "threshold": 3, "weights": { "keywords": 2 } }.
+// --no-pdfs skips reading notification PDFs for posts without a clear deadline.
+// --report writes the scan diagnostics (every page and post link, and why a
+// post was not listed) as JSON, the same report the app downloads.
+// Results go to stdout, or to --out; progress goes to stderr. Ctrl+C stops the
+// scan and still writes the jobs found so far. Exits with 1 when every source
+// failed.
+
+import fs from 'node:fs/promises';
+import { DOMParser } from 'linkedom';
+import { setDomParser } from '../src/lib/htmlDocument.js';
+import { DEFAULT_CRAWL_OPTIONS } from '../src/lib/crawler.js';
+import { createFetchHtml, DEFAULT_TIMEOUT_MS } from '../src/lib/fetchBackends.js';
+import { importRules } from '../src/lib/extractionRules.js';
+import { normalizeClassifier } from '../src/lib/jobClassifier.js';
+import { createSource } from '../src/lib/sources.js';
+import { scanSources } from '../src/lib/scanSources.js';
+import { DEFAULT_EXPORT_OPTIONS, EXPORT_COLUMNS, toCsv, toJson } from '../src/lib/exportJobs.js';
+import { diagnosticsToJson } from '../src/lib/scanDiagnostics.js';
+
+const args = process.argv.slice(2);
+const VALUE_OPTIONS = ['sources', 'format', 'out', 'columns', 'rules', 'classifier', 'proxy', 'max-depth', 'max-pages', 'max-posts', 'concurrency', 'host-delay', 'retries', 'report'];
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+const flag = (name) => args.includes(`--${name}`);
+const numberOption = (name, fallback) => {
+    const value = Number(option(name, fallback));
+    if (!Number.isFinite(value) || value < 0) fail(`--${name} must be a non-negative number.`);
+    return value;
+};
+
+function fail(message) {
+    console.error(message);
+    process.exit(2);
+}
+
+const readJson = async (file) => {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+        fail(`Could not read ${file}: ${e.message}`);
+    }
+};
+
+// Positional arguments are the URLs to scan.
+const urls = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]?.slice(2)));
+const sources = urls.map(url => {
+    try {
+        return createSource(url);
+    } catch (e) {
+        return fail(`"${url}" is not a valid URL.`);
+    }
+});
+if (option('sources')) {
+    const saved = await readJson(option('sources'));
+    if (!Array.isArray(saved)) fail(`${option('sources')} does not contain a list of sources.`);
+    sources.push(...saved);
+}
+if (sources.length === 0) fail('Give at least one URL or --sources file. See the top of scripts/crawl.js for usage.');
+
+const format = option('format', 'json');
+if (!['json', 'csv'].includes(format)) fail('--format must be json or csv.');
+
+const columns = option('columns', DEFAULT_EXPORT_OPTIONS.columns.join(',')).split(',').map(id => id.trim()).filter(Boolean);
+const unknownColumns = columns.filter(id => !EXPORT_COLUMNS.some(column => column.id === id));
+if (unknownColumns.length > 0) fail(`Unknown columns: ${unknownColumns.join(', ')}. Available: ${EXPORT_COLUMNS.map(column => column.id).join(', ')}.`);
+
+const crawlOptions = {
+    ...DEFAULT_CRAWL_OPTIONS,
+    maxDepth: numberOption('max-depth', DEFAULT_CRAWL_OPTIONS.maxDepth),
+    maxPages: numberOption('max-pages', DEFAULT_CRAWL_OPTIONS.maxPages),
+    maxPosts: numberOption('max-posts', DEFAULT_CRAWL_OPTIONS.maxPosts),
+    concurrency: numberOption('concurrency', DEFAULT_CRAWL_OPTIONS.concurrency),
+    hostDelay: numberOption('host-delay', DEFAULT_CRAWL_OPTIONS.hostDelay),
+    retries: numberOption('retries', DEFAULT_CRAWL_OPTIONS.retries),
+    readPdfs: !flag('no-pdfs'),
+};
+
+const proxy = option('proxy');
+const backend = proxy
+    ? { id: 'proxy', type: 'custom', label: 'Proxy', url: proxy, timeout: DEFAULT_TIMEOUT_MS, enabled: true }
+    : { id: 'direct', type: 'direct', label: 'Direct', url: '', timeout: DEFAULT_TIMEOUT_MS, enabled: true };
+
+const readRules = async (file) => {
+    try {
+        return importRules(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+        fail(`Could not read ${file}: ${e.message}`);
+    }
+};
+
+const rules = option('rules') ? await readRules(option('rules')) : [];
+const classifier = normalizeClassifier(option('classifier') ? await readJson(option('classifier')) : {});
+const quiet = flag('quiet');
+const log = (message) => {
+    if (!quiet) console.error(message);
+};
+
+setDomParser(DOMParser);
+
+const controller = new AbortController();
+process.once('SIGINT', () => {
+    log('Stopping; writing the jobs found so far...');
+    controller.abort();
+});
+
+const labels = new Map(sources.map(source => [source.id, source.label]));
+const result = await scanSources({
+    sources,
+    fetchHtml: createFetchHtml([backend]),
+    crawlOptions,
+    rules,
+    classifier,
+    signal: controller.signal,
+    onEvent: (event) => {
+        if (event.type === 'source-status' && event.state !== 'running') log(`${labels.get(event.sourceId)}: ${event.message}`);
+        else if (event.type === 'status') log(event.message);
+    },
+});
+
+const jobs = flag('include-possible') ? [...result.jobs, ...result.possibleJobs] : result.jobs;
+const output = format === 'csv' ? toCsv(jobs, columns) : `${toJson(jobs, columns)}\n`;
+if (option('out')) {
+    await fs.writeFile(option('out'), output);
+    log(`Wrote ${jobs.length} jobs to ${option('out')}.`);
+} else {
+    process.stdout.write(output);
+}
+if (option('report')) {
+    await fs.writeFile(option('report'), `${diagnosticsToJson(result.diagnostics)}\n`);
+    log(`Wrote the scan diagnostics to ${option('report')}.`);
+}
+
+if (result.failedSources.length === sources.length && !result.cancelled) process.exitCode = 1;
@@ -0,0 +1,63 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { exportRules } from '../src/lib/extractionRules.js';
+import { ROOT_DIR, startStandInProxy } from '../src/lib/__fixtures__/standInProxy.js';
+
+// Runs the CLI against the stand-in proxy serving the test snapshots, so the
+// whole path from command-line options to the written report is covered.
+
+const START_URL = 'https://govtjobs.example.in/';
+
+const crawl = (args) => new Promise(resolve => {
+    execFile(process.execPath, ['scripts/crawl.js', ...args], { cwd: ROOT_DIR, timeout: 30000 }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+});
+
+let proxy;
+let proxyUrl;
+let dir;
+
+beforeAll(async () => {
+    proxy = await startStandInProxy();
+    proxyUrl = proxy.url;
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'crawl-test-'));
+});
+
+afterAll(async () => {
+    proxy?.stop();
+    if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('crawl CLI', () => {
+    it('scans with the rules exported from the app', async () => {
+        const rulesFile = path.join(dir, 'rules.json');
+        const reportFile = path.join(dir, 'report.json');
+        await fs.writeFile(rulesFile, exportRules([{ domain: 'govtjobs.example.in', jobKeywords: ['apply now'] }]));
+
+        const { code, stdout, stderr } = await crawl([START_URL, '--proxy', proxyUrl, '--rules', rulesFile, '--report', reportFile, '--host-delay', '0', '--quiet']);
+
+        expect(stderr).toBe('');
+        expect(code).toBe(0);
+        expect(Array.isArray(JSON.parse(stdout))).toBe(true);
+        const [report] = JSON.parse(await fs.readFile(reportFile, 'utf8')).sources;
+        expect(report.error).toBeNull();
+        const post = report.posts.find(entry => entry.url === 'https://govtjobs.example.in/ssc-cgl-recruitment-2026-job-notification/');
+        expect(post.fetch).toBe('ok');
+        expect(post.matchedKeywords).toEqual(['apply now']);
+    });
+
+    it('stops with the problem when the rules file is invalid', async () => {
+        const rulesFile = path.join(dir, 'bad-rules.json');
+        await fs.writeFile(rulesFile, JSON.stringify({ version: 1, rules: [{ domain: 'govtjobs.example.in', jobKeywords: 'salary' }] }));
+
+        const { code, stdout, stderr } = await crawl([START_URL, '--proxy', proxyUrl, '--rules', rulesFile, '--quiet']);
+
+        expect(code).toBe(2);
+        expect(stdout).toBe('');
+        expect(stderr).toContain('Rule 1 (govtjobs.example.in): jobKeywords must be a list of strings.');
+    });
+});
@@ -0,0 +1,58 @@
+// Saves a fetched page into the test fixture set.
+//
+// Usage:
+//   node scripts/record-fixture.js <url>... [--dir src/lib/__fixtures__/pages]
+//       [--proxy "http://localhost:8787/?url={url}"] [--keep-scripts] [--force]
+//
+// Each page is written as <dir>/<name>.html (.pdf for PDF files), named like
+// the fixtures that scripts/stand-in-proxy.js serves and createFixtureFetch()
+// reads in tests. Scripts other than JSON-LD are stripped unless
+// --keep-scripts is given, as they only make snapshots larger. Existing fixtures are kept unless --force.
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createFetchHtml, DEFAULT_TIMEOUT_MS } from '../src/lib/fetchBackends.js';
+import { fixtureName, PAGES_DIR } from '../src/lib/__fixtures__/fixtureFetch.js';
+
+const args = process.argv.slice(2);
+const VALUE_OPTIONS = ['dir', 'proxy'];
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+const flag = (name) => args.includes(`--${name}`);
+
+const urls = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]?.slice(2)));
+if (urls.length === 0) {
+    console.error('Give at least one URL. See the top of scripts/record-fixture.js for usage.');
+    process.exit(2);
+}
+
+const dir = option('dir', PAGES_DIR);
+const proxy = option('proxy');
+const fetchHtml = createFetchHtml([proxy
+    ? { id: 'proxy', type: 'custom', label: 'Proxy', url: proxy, timeout: DEFAULT_TIMEOUT_MS, enabled: true }
+    : { id: 'direct', type: 'direct', label: 'Direct', url: '', timeout: DEFAULT_TIMEOUT_MS, enabled: true }]);
+
+const stripScripts = (html) => html.replace(/<script\b(?![^>]*application\/ld\+json)[^>]*>[\s\S]*?<\/script>\s*/gi, '');
+
+await fs.mkdir(dir, { recursive: true });
+for (const url of urls) {
+    const file = path.join(dir, fixtureName(url));
+    try {
+        if (!flag('force') && await fs.stat(file).then(() => true, () => false)) {
+            console.error(`Skipped ${url}: ${file} exists (use --force to replace it).`);
+            continue;
+        }
+        if (file.endsWith('.pdf')) {
+            await fs.writeFile(file, await fetchHtml(url, { binary: true }));
+        } else {
+            const html = await fetchHtml(url);
+            await fs.writeFile(file, flag('keep-scripts') ? html : stripScripts(html));
+        }
+        console.log(`Saved ${url} as ${file}`);
+    } catch (e) {
+        console.error(`Could not record ${url}: ${e.message}`);
+        process.exitCode = 1;
+    }
+}
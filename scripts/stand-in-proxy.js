@@ -0,0 +1,79 @@
+// Local stand-in for the CORS proxies used by the fetch backends.
+//
+// Usage:
+//   node scripts/stand-in-proxy.js [--port 8787] [--mode raw|allorigins] [--fixtures dir] [--fail-rate 0.3] [--delay 0]
+//
+// Point the "Self-hosted proxy" backend at http://localhost:8787/?url={url}.
+// With --fixtures, pages are served from files in that directory, named after
+// the target URL with every non-alphanumeric run replaced by "_" and .html
+// added, or .pdf for PDF files (https://example.com/jobs ->
+// https___example_com_jobs.html); without it, requests are forwarded to the
+// live site. --fail-rate and --delay let you exercise failover and timeouts.
+// scripts/record-fixture.js saves pages in this format, and
+// src/lib/__fixtures__/pages holds the test snapshots.
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fixtureName } from '../src/lib/__fixtures__/fixtureFetch.js';
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const port = Number(option('port', 8787));
+const mode = option('mode', 'raw');
+const fixturesDir = option('fixtures', null);
+const failRate = Number(option('fail-rate', 0));
+const delay = Number(option('delay', 0));
+
+const isPdf = (targetUrl) => /\.pdf$/i.test(targetUrl);
+
+// Returns the body as a Buffer so PDFs pass through unchanged.
+const loadPage = async (targetUrl) => {
+    if (fixturesDir) {
+        return fs.readFile(path.join(fixturesDir, fixtureName(targetUrl)));
+    }
+    const response = await fetch(targetUrl);
+    if (!response.ok) throw new Error(`Upstream returned HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+};
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    const targetUrl = new URL(req.url, `http://localhost:${port}`).searchParams.get('url');
+    if (!targetUrl) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Missing ?url= parameter');
+        return;
+    }
+
+    if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+    if (Math.random() < failRate) {
+        res.writeHead(502, { 'Content-Type': 'text/plain' });
+        res.end('Simulated proxy failure');
+        return;
+    }
+
+    try {
+        const body = await loadPage(targetUrl);
+        if (mode === 'allorigins') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ contents: body.toString('utf8'), status: { url: targetUrl, http_code: 200 } }));
+        } else {
+            res.writeHead(200, { 'Content-Type': isPdf(targetUrl) ? 'application/pdf' : 'text/html; charset=utf-8' });
+            res.end(body);
+        }
+        console.log(`200 ${targetUrl}`);
+    } catch (e) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end(`Could not load ${targetUrl}: ${e.message}`);
+        console.log(`404 ${targetUrl} (${e.message})`);
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Stand-in proxy (${mode}) listening on http://localhost:${port}/?url={url}`);
+});
@@ -1,127 +1,63 @@
-import React, { useState, useEffect, useReducer } from 'react';
-import { createPortal } from 'react-dom';
+import React, { useState, useEffect, useMemo, useReducer, useRef } from 'react';
+import { createFetchHtml, loadBackends, saveBackends } from './lib/fetchBackends.js';
+import { loadCrawlOptions, saveCrawlOptions } from './lib/crawler.js';
+import { normalizeSiteUrl } from './lib/scanSite.js';
+import { scanSources } from './lib/scanSources.js';
+import { createSource, getDueSources, loadSources, saveSources } from './lib/sources.js';
+import { loadRules, saveRules } from './lib/extractionRules.js';
+import { loadClassifier, saveClassifier } from './lib/jobClassifier.js';
+import { applyQuery, describeQuery, getJobSite, parseSearchParams, queryToSearchParams } from './lib/jobQuery.js';
+import { getShareUrl, loadShareTemplates, renderShareMessage, saveShareTemplates } from './lib/shareTemplates.js';
+import { isPdfUrl, listJobLinks } from './lib/postLinks.js';
+import { buildChangeDigest } from './lib/changeDigest.js';
+import { LOCALES, createTranslator, loadLocale, saveLocale } from './lib/i18n.js';
+import { getShortcut } from './lib/shortcuts.js';
+import { recordScan, listScans, getScan, getLatestScan, deleteScan, promoteJob, listBookmarks, saveBookmark, deleteBookmark, syncBookmarks } from './lib/jobDatabase.js';
+import { crawlerReducer } from './lib/crawlerReducer.js';
+import { checkReminders, createBookmark, getNotificationPermission, getUrgency, registerReminderWorker, requestNotificationPermission } from './lib/reminders.js';
+import FetchSettings from './components/FetchSettings.jsx';
+import CrawlSettings from './components/CrawlSettings.jsx';
+import ScanHistory from './components/ScanHistory.jsx';
+import SourcesPanel from './components/SourcesPanel.jsx';
+import RulesEditor from './components/RulesEditor.jsx';
+import ClassifierSettings from './components/ClassifierSettings.jsx';
+import PossibleJobs from './components/PossibleJobs.jsx';
+import ScoreBreakdown from './components/ScoreBreakdown.jsx';
+import ExportPanel from './components/ExportPanel.jsx';
+import ResultsFilters from './components/ResultsFilters.jsx';
+import ShareTemplatesEditor from './components/ShareTemplatesEditor.jsx';
+import ShareDigestBar from './components/ShareDigestBar.jsx';
+import DueSoonPanel from './components/DueSoonPanel.jsx';
+import StarredJobs from './components/StarredJobs.jsx';
+import DiagnosticsPanel from './components/DiagnosticsPanel.jsx';
+import ChangeDigest from './components/ChangeDigest.jsx';
+import ErrorDialog from './components/ErrorDialog.jsx';
+import ShortcutsHelp from './components/ShortcutsHelp.jsx';
+import { I18nContext } from './components/I18nContext.jsx';
 
 // --- Utility Functions ---
 
-/**
- * Parses a date string into a Date object.
- * Supports various formats (dd/mm/yyyy, mm dd, yyyy, etc.).
- * @param {string} dateString - The date string to parse.
- * @returns {Date|null} The parsed Date object or null if invalid.
- */
-const parseDate = (dateString) => {
-    if (!dateString) return null;
-    const months = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
-    
-    // Pattern 1: dd/mm/yyyy or dd-mm-yyyy or dd.mm.yyyy
-    let parts = dateString.match(/(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})/);
-    if (parts) {
-        const day = parseInt(parts[1], 10);
-        const month = parseInt(parts[2], 10) - 1;
-        let year = parseInt(parts[3], 10);
-        if (year < 100) year += 2000;
-        const date = new Date(Date.UTC(year, month, day));
-        if (!isNaN(date.getTime())) return date;
-    }
-    
-    // Pattern 2: Month dd, yyyy or dd Month yyyy
-    parts = dateString.replace(/, /g, ' ').match(/(?:(\d{1,2}) )?([a-z]{3,}) (\d{1,2})?(?:, )?(\d{4})/i);
-    if (parts) {
-        const monthStr = parts[2]?.substring(0, 3)?.toLowerCase();
-        if (months[monthStr] !== undefined) {
-            const day = parseInt(parts[1] || parts[3], 10);
-            const month = months[monthStr];
-            const year = parseInt(parts[4], 10);
-            const date = new Date(Date.UTC(year, month, day));
-            if (!isNaN(date.getTime())) return date;
-        }
-    }
-    
-    // Pattern 3: yyyy-mm-dd
-    parts = dateString.match(/(\d{4})[./-](\d{1,2})[./-](\d{1,2})/);
-    if (parts) {
-        const year = parseInt(parts[1], 10);
-        const month = parseInt(parts[2], 10) - 1;
-        const day = parseInt(parts[3], 10);
-        const date = new Date(Date.UTC(year, month, day));
-        if (!isNaN(date.getTime())) return date;
-    }
-    
-    const date = new Date(dateString);
-    if (!isNaN(date.getTime())) return date;
-    return null;
-};
-
 /**
  * Generates a formatted string for sharing a job post.
  * @param {object} job - The job object.
+ * @param {object} template - The channel's share template.
  * @returns {string} The formatted share text.
  */
-const generateShareText = (job) => {
-    return `📄 *Post name:* ${job.title}\n\n📅 *Last date:* ${job.lastDate.toLocaleDateString('en-GB')}\n\n🔗 *Apply Link:*\n${job.link}`;
-};
+const generateShareText = (job, template) => renderShareMessage([job], template);
 
-// --- Custom Hook for Crawler Logic ---
+/**
+ * Summarises a change digest in one line, e.g. "2 new jobs, 1 deadline changed".
+ * @param {Function} t - The translator.
+ * @param {object} digest - A buildChangeDigest() result.
+ * @returns {string} '' when nothing changed.
+ */
+const describeChanges = (t, digest) => [
+    digest.newJobs.length > 0 && t('changes.summary.new', { count: digest.newJobs.length }),
+    digest.changedJobs.length > 0 && t('changes.summary.changed', { count: digest.changedJobs.length }),
+    digest.removedJobs.length > 0 && t('changes.summary.removed', { count: digest.removedJobs.length }),
+].filter(Boolean).join(', ');
 
-const crawlerReducer = (state, action) => {
-    switch (action.type) {
-        case 'START_SCAN':
-            return {
-                ...state,
-                isLoading: true,
-                status: 'Step 1/3: Fetching main page to find job links...',
-                jobs: [],
-                error: '',
-                page: 1,
-            };
-        case 'UPDATE_STATUS':
-            return {
-                ...state,
-                status: action.payload,
-            };
-        case 'SET_JOBS':
-            return {
-                ...state,
-                jobs: action.payload,
-                isLoading: false,
-                status: '',
-            };
-        case 'SET_ERROR':
-            return {
-                ...state,
-                error: action.payload,
-                isLoading: false,
-                status: '',
-            };
-        case 'CLEAR_ERROR':
-            return {
-                ...state,
-                error: '',
-            };
-        case 'SET_PAGE':
-            return {
-                ...state,
-                page: action.payload,
-            };
-        case 'SET_URL':
-            return {
-                ...state,
-                url: action.payload,
-            };
-        case 'SET_FILTER_DATE':
-            return {
-                ...state,
-                filterDate: action.payload,
-            };
-        case 'TOGGLE_SIX_MONTHS_FILTER':
-            return {
-                ...state,
-                showNextSixMonths: action.payload,
-            };
-        default:
-            return state;
-    }
-};
+// --- Custom Hook for Crawler Logic ---
 
 /**
  * Custom hook to handle all job crawling logic.
@@ -130,151 +66,402 @@ const useJobCrawler = () => {
     const [state, dispatch] = useReducer(crawlerReducer, {
         url: '',
         jobs: [],
+        possibleJobs: [],
+        removedJobs: [],
         isLoading: false,
         status: '',
         error: '',
+        notice: '',
         page: 1,
-        filterDate: '',
-        showNextSixMonths: false,
-    });
+        scans: [],
+        viewedScanId: null,
+        sourceStatus: {},
+        bookmarks: [],
+        diagnostics: null,
+        announcement: '',
+    }, (initial) => ({ ...initial, locale: loadLocale(), isOnline: navigator.onLine, notificationPermission: getNotificationPermission(), query: parseSearchParams(window.location.search), backends: loadBackends(), crawlOptions: loadCrawlOptions(), sources: loadSources(), rules: loadRules(), classifier: loadClassifier(), shareTemplates: loadShareTemplates() }));
+
+    const t = useMemo(() => createTranslator(state.locale), [state.locale]);
+
+    // Set once a scan starts, so a restore that finishes later does not
+    // replace its results.
+    const hasScanned = useRef(false);
+
+    // Restore the most recent scan and the scan history from IndexedDB.
+    useEffect(() => {
+        getLatestScan()
+            .then(scan => scan && !hasScanned.current && dispatch({ type: 'VIEW_SCAN', payload: scan }))
+            .catch(e => console.warn('Could not load saved scans:', e));
+        refreshScanHistory();
+        refreshBookmarks();
+    }, []);
+
+    // The service worker caches the app for offline use and sends the deadline
+    // reminders. Browsers without Periodic Background Sync only check
+    // reminders when asked, so ask hourly while open.
+    useEffect(() => {
+        registerReminderWorker(`${import.meta.env.BASE_URL}sw.js`)
+            .then(checkReminders)
+            .catch(e => console.warn('Could not register the service worker:', e));
+        const timer = setInterval(() => checkReminders().catch(() => {}), REMINDER_CHECK_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    // Track the connection. Results and starred jobs come from IndexedDB, so
+    // they stay available offline.
+    useEffect(() => {
+        const goOnline = () => dispatch({ type: 'SET_ONLINE', payload: true });
+        const goOffline = () => dispatch({ type: 'SET_ONLINE', payload: false });
+        window.addEventListener('online', goOnline);
+        window.addEventListener('offline', goOffline);
+        return () => {
+            window.removeEventListener('online', goOnline);
+            window.removeEventListener('offline', goOffline);
+        };
+    }, []);
+
+    // Set while offline, so the saved sources are re-scanned once the
+    // connection is back.
+    const rescanWhenOnline = useRef(!navigator.onLine);
+
+    useEffect(() => {
+        if (!state.isOnline) {
+            rescanWhenOnline.current = true;
+            return;
+        }
+        if (!rescanWhenOnline.current || state.isLoading) return;
+        rescanWhenOnline.current = false;
+        if (state.sources.length > 0) runScan(state.sources, { background: true });
+    }, [state.isOnline]);
+
+    // Scheduled sources are scanned when due while the app is open. The check
+    // calls the latest runDueScans through a ref, so it sees the current state.
+    const checkSchedules = useRef(() => {});
+
+    useEffect(() => {
+        const timer = setInterval(() => checkSchedules.current(), SCHEDULE_CHECK_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    useEffect(() => {
+        saveLocale(state.locale);
+        document.documentElement.lang = state.locale;
+    }, [state.locale]);
+
+    useEffect(() => {
+        saveBackends(state.backends);
+    }, [state.backends]);
+
+    useEffect(() => {
+        saveCrawlOptions(state.crawlOptions);
+    }, [state.crawlOptions]);
+
+    useEffect(() => {
+        saveSources(state.sources);
+    }, [state.sources]);
+
+    useEffect(() => {
+        saveRules(state.rules);
+    }, [state.rules]);
+
+    useEffect(() => {
+        saveClassifier(state.classifier);
+    }, [state.classifier]);
+
+    useEffect(() => {
+        saveShareTemplates(state.shareTemplates);
+    }, [state.shareTemplates]);
+
+    // Mirror the results query in the address bar so a view can be bookmarked.
+    useEffect(() => {
+        const search = queryToSearchParams(state.query);
+        const { pathname, hash } = window.location;
+        window.history.replaceState(window.history.state, '', `${pathname}${search ? `?${search}` : ''}${hash}`);
+    }, [state.query]);
 
     /**
-     * Fetches HTML content from a given URL using a proxy.
-     * NOTE: This proxy can be unreliable or blocked by some websites.
-     * If the scan fails, this is a likely cause.
+     * Fetches HTML content from a given URL through the configured backends,
+     * failing over to the next one when a proxy is down or times out.
      * @param {string} targetUrl - The URL to fetch.
      * @returns {Promise<string>} The HTML content as a string.
      */
-    const fetchHtml = async (targetUrl) => {
-        const fetchUrl = `https://api.allorigins.win/get?url=${encodeURIComponent(targetUrl)}`;
-        const response = await fetch(fetchUrl);
-        if (!response.ok) throw new Error(`Failed to fetch ${targetUrl}`);
-        const data = await response.json();
-        // The API returns the content in a 'contents' field.
-        if (data.contents) {
-             return data.contents;
-        } else {
-            throw new Error('Failed to retrieve content from the proxy.');
+    const fetchHtml = createFetchHtml(state.backends);
+
+    // Controller for the scan in progress, so it can be cancelled.
+    const scanController = useRef(null);
+
+    // Progress lines change many times a second; screen readers get one at most
+    // every PROGRESS_ANNOUNCE_INTERVAL_MS.
+    const lastProgressAnnouncement = useRef(0);
+
+    /**
+     * Reads a message out through the live region.
+     * @param {string} message
+     */
+    const announce = (message) => dispatch({ type: 'ANNOUNCE', payload: message });
+
+    const refreshScanHistory = () => listScans()
+        .then(scans => dispatch({ type: 'SET_SCAN_HISTORY', payload: scans }))
+        .catch(e => console.warn('Could not load scan history:', e));
+
+    const refreshBookmarks = () => listBookmarks()
+        .then(bookmarks => dispatch({ type: 'SET_BOOKMARKS', payload: bookmarks }))
+        .catch(e => console.warn('Could not load starred jobs:', e));
+
+    /**
+     * Scans one or more sources with scanSources() and records the results.
+     * @param {object[]} sources - Sources to scan ({ id, label, url, settings }).
+     * @param {{ scheduled?: boolean, background?: boolean }} [options] - Scheduled
+     *   scans end with a notice summarising what changed. Background scans,
+     *   which nobody started, leave the results on screen alone: the new scan
+     *   goes to the history, and failures are reported in the notice and the
+     *   source list instead of the error dialog.
+     */
+    const runScan = async (sources, { scheduled = false, background = false } = {}) => {
+        if (!navigator.onLine) {
+            rescanWhenOnline.current = true;
+            if (!background) dispatch({ type: 'SET_ERROR', payload: t('scan.offline') });
+            return;
+        }
+        if (!background) hasScanned.current = true;
+        dispatch({ type: 'START_SCAN', payload: { ids: sources.map(source => source.id), status: t('scan.progress.fetchingListings'), waiting: t('scan.progress.waiting'), background } });
+        announce(t('announce.scanStarted'));
+        lastProgressAnnouncement.current = Date.now();
+        const startedAt = Date.now();
+        const controller = new AbortController();
+        scanController.current = controller;
+
+        const { jobs: foundJobs, possibleJobs, failedSources, postCount, fetchedCount, cancelled, diagnostics } = await scanSources({
+            sources,
+            fetchHtml,
+            crawlOptions: state.crawlOptions,
+            rules: state.rules,
+            classifier: state.classifier,
+            signal: controller.signal,
+            onEvent: (event) => {
+                if (event.type === 'status') {
+                    dispatch({ type: 'UPDATE_STATUS', payload: t.message(event) });
+                    if (Date.now() - lastProgressAnnouncement.current >= PROGRESS_ANNOUNCE_INTERVAL_MS) {
+                        lastProgressAnnouncement.current = Date.now();
+                        announce(t.message(event));
+                    }
+                }
+                else if (event.type === 'source-status') dispatch({ type: 'UPDATE_SOURCE_STATUS', payload: { id: event.sourceId, state: event.state, message: t.message(event) } });
+            },
+        });
+        scanController.current = null;
+        // Results of a background scan are not shown, only saved.
+        const showResults = (action) => dispatch(background ? { type: 'FINISH_SCAN' } : action);
+        if (!background) dispatch({ type: 'SET_DIAGNOSTICS', payload: diagnostics });
+        dispatch({ type: 'MARK_SOURCES_SCANNED', payload: { ids: sources.map(source => source.id), scannedAt: startedAt } });
+
+        if (failedSources.length === sources.length && !cancelled) {
+            const error = sources.length === 1 ? t.message(failedSources[0].errorText) : t('scan.allFailed');
+            if (!background) {
+                dispatch({ type: 'SET_ERROR', payload: error });
+                return;
+            }
+            const notice = t('scan.backgroundFailed', { labels: sources.map(source => source.label).join(', '), error });
+            dispatch({ type: 'FINISH_SCAN' });
+            dispatch({ type: 'SET_NOTICE', payload: notice });
+            announce(notice);
+            return;
+        }
+
+        if (cancelled && foundJobs.length === 0 && possibleJobs.length === 0) {
+            showResults({ type: 'SET_JOBS', payload: [] });
+            dispatch({ type: 'SET_NOTICE', payload: t('scan.cancelledEmpty') });
+            announce(t('scan.cancelledEmpty'));
+            return;
+        }
+
+        // Merge into the job database to flag new, changed, removed and expired posts.
+        let changes = '';
+        try {
+            const { scan, jobs } = await recordScan({ sources, jobs: foundJobs, possibleJobs, startedAt, cancelled, diagnostics });
+            changes = describeChanges(t, buildChangeDigest(scan));
+            showResults({ type: 'SET_JOBS', payload: jobs });
+            if (!background) dispatch({ type: 'VIEW_SCAN', payload: scan });
+            refreshScanHistory();
+            if (await syncBookmarks(jobs)) {
+                refreshBookmarks();
+                checkReminders().catch(() => {});
+            }
+        } catch (e) {
+            console.warn('Could not save scan results:', e);
+            showResults({ type: 'SET_JOBS', payload: foundJobs });
+            if (!background) dispatch({ type: 'SET_POSSIBLE_JOBS', payload: possibleJobs });
+        }
+
+        let notice = '';
+        if (cancelled) {
+            notice = t('scan.cancelledPartial', { fetched: fetchedCount, count: postCount });
+        } else if (failedSources.length > 0) {
+            notice = t('scan.someFailed', { failed: failedSources.length, count: sources.length, labels: failedSources.map(outcome => outcome.source.label).join(', ') });
+        } else if (fetchedCount < postCount) {
+            notice = t('scan.partial', { missing: postCount - fetchedCount, count: postCount });
+        } else if (scheduled) {
+            notice = t('scan.scheduled', { labels: sources.map(source => source.label).join(', '), changes: changes || t('scan.noChanges') });
         }
+        if (notice) dispatch({ type: 'SET_NOTICE', payload: notice });
+        announce([t('announce.scanFinished', { count: foundJobs.length }), notice].filter(Boolean).join(' '));
     };
 
     /**
-     * Core function to fetch and parse jobs from the given URL.
+     * Core function to fetch and parse jobs from the URL in the input box.
      */
     const handleFetchJobs = async () => {
         if (!state.url) {
-            dispatch({ type: 'SET_ERROR', payload: 'Please enter a website URL.' });
+            dispatch({ type: 'SET_ERROR', payload: t('scan.noUrl') });
             return;
         }
+        const url = normalizeSiteUrl(state.url);
+        let source = state.sources.find(item => item.url === url);
+        if (!source) {
+            try {
+                source = { ...createSource(url), id: 'adhoc' };
+            } catch (e) {
+                dispatch({ type: 'SET_ERROR', payload: t('scan.invalidUrl', { url: state.url }) });
+                return;
+            }
+        }
+        await runScan([source]);
+    };
+
+    /**
+     * Scans every saved source.
+     */
+    const scanAllSources = () => {
+        if (state.sources.length === 0) return;
+        runScan(state.sources);
+    };
+
+    /**
+     * Scans the saved sources whose schedule is due.
+     */
+    const runDueScans = ({ background = false } = {}) => {
+        const due = getDueSources(state.sources);
+        if (due.length > 0) runScan(due, { scheduled: true, background });
+    };
 
-        dispatch({ type: 'START_SCAN' });
-        let correctedUrl = state.url.trim();
-        if (!correctedUrl.startsWith('http://') && !correctedUrl.startsWith('https://')) {
-            correctedUrl = `https://${correctedUrl}`;
+    checkSchedules.current = () => {
+        if (!state.isLoading && state.isOnline) runDueScans({ background: true });
+    };
+
+    /**
+     * Scans a single saved source.
+     * @param {string} id - The source id.
+     */
+    const scanSource = (id) => {
+        const source = state.sources.find(item => item.id === id);
+        if (source) runScan([source]);
+    };
+
+    const addSource = (url, label) => {
+        try {
+            dispatch({ type: 'SET_SOURCES', payload: [...state.sources, createSource(url, label)] });
+        } catch (e) {
+            dispatch({ type: 'SET_ERROR', payload: t('scan.invalidUrl', { url }) });
         }
+    };
+    const updateSource = (id, changes) => dispatch({ type: 'SET_SOURCES', payload: state.sources.map(source => (source.id === id ? { ...source, ...changes } : source)) });
+    const removeSource = (id) => dispatch({ type: 'SET_SOURCES', payload: state.sources.filter(source => source.id !== id) });
 
+    /**
+     * Aborts the scan in progress. Posts fetched so far are still analysed.
+     */
+    const cancelScan = () => scanController.current?.abort();
+
+    /**
+     * Moves a post from "Possibly jobs" into the job list. In a saved scan the
+     * post is also remembered, so later scans accept it.
+     * @param {string} link - The post URL.
+     */
+    const promotePossibleJob = async (link) => {
+        const job = state.possibleJobs.find(item => item.link === link);
+        if (!job) return;
+        if (state.viewedScanId !== null) {
+            try {
+                dispatch({ type: 'PROMOTE_JOB', payload: await promoteJob(state.viewedScanId, link) });
+                refreshScanHistory();
+                return;
+            } catch (e) {
+                console.warn('Could not save the promoted job:', e);
+            }
+        }
+        dispatch({ type: 'PROMOTE_JOB', payload: { ...job, promoted: true } });
+    };
+
+    /**
+     * Stars or unstars a job. Starred jobs get deadline reminders.
+     * @param {object} job
+     */
+    const toggleStar = async (job) => {
         try {
-            // Step 1: Fetch and parse the main page to find potential job links
-            const mainHtml = await fetchHtml(correctedUrl);
-            if (!mainHtml) throw new Error('Could not fetch the main page content.');
-            const mainDoc = new DOMParser().parseFromString(mainHtml, 'text/html');
-
-            const postLinks = new Set();
-            const jobUrlKeywords = ['job', 'career', 'vacancy', 'hiring', 'position'];
-            mainDoc.querySelectorAll('article a, .post a, .job-listing a, h2 a, h3 a').forEach(link => {
-                let href = link.href;
-                if (href && !href.startsWith('http')) {
-                    try { href = new URL(href, correctedUrl).href; } catch (e) { return; }
-                }
-                if (href && href.startsWith(new URL(correctedUrl).origin)) {
-                    const linkText = link.innerText?.toLowerCase() || '';
-                    const linkUrl = href.toLowerCase();
-                    if (jobUrlKeywords.some(keyword => linkUrl.includes(keyword) || linkText.includes(keyword))) {
-                       postLinks.add(href);
-                    }
-                }
-            });
+            if (state.bookmarks.some(bookmark => bookmark.link === job.link)) await deleteBookmark(job.link);
+            else await saveBookmark(createBookmark(job));
+            await refreshBookmarks();
+            checkReminders().catch(() => {});
+        } catch (e) {
+            dispatch({ type: 'SET_ERROR', payload: t('starred.updateFailed', { error: e.message }) });
+        }
+    };
 
-            const uniqueLinks = Array.from(postLinks);
-            if (uniqueLinks.length === 0) throw new Error('Could not find any potential job post links. Try a more specific URL.');
-
-            dispatch({ type: 'UPDATE_STATUS', payload: `Step 2/3: Analyzing ${uniqueLinks.length} found links...` });
-
-            // Step 2: Fetch and parse each job link concurrently
-            const promises = uniqueLinks.map(link =>
-                fetchHtml(link)
-                    .then(html => ({ url: link, html }))
-                    .catch(e => {
-                        console.warn(`Could not fetch ${link}: ${e.message}`);
-                        return { url: link, html: null };
-                    })
-            );
-
-            const results = await Promise.all(promises);
-            const validResults = results.filter(result => result.html !== null);
-
-            dispatch({ type: 'UPDATE_STATUS', payload: `Step 3/3: Verifying posts and extracting deadlines...` });
-
-            // Step 3: Extract job details and filter
-            const foundJobs = [];
-            const today = new Date();
-            today.setHours(0, 0, 0, 0);
-
-            const findTitle = (doc) => {
-                const structuralSelectors = [
-                    'h1.entry-title', 'h2.entry-title', 'h1.post-title', 'h2.post-title',
-                    'article h1', 'main h1', '.entry-content h1', 'article h2', 'main h2',
-                    '.entry-content h2', '.entry-title', '.post-title'
-                ];
-                for (const selector of structuralSelectors) {
-                    const element = doc.querySelector(selector);
-                    if (element) {
-                        const titleText = element.innerText?.trim();
-                        if (titleText?.length > 10) return titleText;
-                    }
-                }
-                const firstH1 = doc.querySelector('h1');
-                if (firstH1) return firstH1.innerText?.trim();
-                return 'Post Title Not Found';
-            };
-
-            validResults.forEach(result => {
-                const { url: postUrl, html: postHtml } = result;
-                const postDoc = new DOMParser().parseFromString(postHtml, 'text/html');
-
-                const title = findTitle(postDoc);
-                const bodyText = postDoc.body.innerText;
-                // This regex is a heuristic and might fail on unusual date formats.
-                const deadlineRegex = /(?:last date|closing date|deadline|apply by|applications close|submit by)[\s:.-]*([\w\s,./-]+\d{1,4})/i;
-                const match = bodyText.match(deadlineRegex);
-
-                if (match && match[1]) {
-                    // These keywords are a heuristic to filter out non-job articles.
-                    const jobKeywords = ['qualification', 'responsibilit', 'experience', 'salary', 'location', 'apply now', 'job type'];
-                    let score = 0;
-                    const lowerBodyText = bodyText.toLowerCase();
-                    jobKeywords.forEach(keyword => {
-                        if (lowerBodyText.includes(keyword)) score++;
-                    });
-                    if (score >= 2) {
-                        const lastDate = parseDate(match[1]?.trim());
-                        if (lastDate && lastDate >= today) {
-                            if (!foundJobs.some(job => job.link === postUrl)) {
-                                foundJobs.push({ title, link: postUrl, lastDate });
-                            }
-                        }
-                    }
-                }
-            });
+    /**
+     * Changes when a starred job's reminders fire.
+     * @param {string} link
+     * @param {number[]} reminderDays - Days before the deadline.
+     */
+    const updateReminders = async (link, reminderDays) => {
+        const bookmark = state.bookmarks.find(item => item.link === link);
+        if (!bookmark) return;
+        const updated = { ...bookmark, reminderDays, sentReminders: (bookmark.sentReminders || []).filter(offset => reminderDays.includes(offset)) };
+        dispatch({ type: 'SET_BOOKMARKS', payload: state.bookmarks.map(item => (item.link === link ? updated : item)) });
+        try {
+            await saveBookmark(updated);
+            checkReminders().catch(() => {});
+        } catch (e) {
+            dispatch({ type: 'SET_ERROR', payload: t('starred.remindersFailed', { error: e.message }) });
+        }
+    };
 
-            // Sort jobs by deadline date
-            foundJobs.sort((a, b) => a.lastDate.getTime() - b.lastDate.getTime());
+    const unstar = async (link) => {
+        try {
+            await deleteBookmark(link);
+            await refreshBookmarks();
+        } catch (e) {
+            dispatch({ type: 'SET_ERROR', payload: t('starred.updateFailed', { error: e.message }) });
+        }
+    };
 
-            dispatch({ type: 'SET_JOBS', payload: foundJobs });
+    const enableNotifications = async () => {
+        dispatch({ type: 'SET_NOTIFICATION_PERMISSION', payload: await requestNotificationPermission() });
+        checkReminders().catch(() => {});
+    };
 
+    /**
+     * Shows the results of a saved scan.
+     * @param {number} id - The scan id.
+     */
+    const viewScan = async (id) => {
+        try {
+            const scan = await getScan(id);
+            if (scan) dispatch({ type: 'VIEW_SCAN', payload: scan });
         } catch (e) {
-            console.error('An error occurred during the scan:', e);
-            dispatch({ type: 'SET_ERROR', payload: e.message || 'An unexpected error occurred. Please check the URL and try again.' });
+            dispatch({ type: 'SET_ERROR', payload: t('history.loadFailed', { error: e.message }) });
+        }
+    };
+
+    /**
+     * Deletes a saved scan from the history.
+     * @param {number} id - The scan id.
+     */
+    const removeScan = async (id) => {
+        try {
+            await deleteScan(id);
+            refreshScanHistory();
+        } catch (e) {
+            dispatch({ type: 'SET_ERROR', payload: t('history.deleteFailed', { error: e.message }) });
         }
     };
     
@@ -282,48 +469,89 @@ const useJobCrawler = () => {
     const dismissError = () => dispatch({ type: 'CLEAR_ERROR' });
 
     const setUrl = (newUrl) => dispatch({ type: 'SET_URL', payload: newUrl });
-    const setFilterDate = (newDate) => dispatch({ type: 'SET_FILTER_DATE', payload: newDate });
+    const setQuery = (query) => dispatch({ type: 'SET_QUERY', payload: query });
     const setPage = (newPage) => dispatch({ type: 'SET_PAGE', payload: newPage });
-    const toggleSixMonths = (checked) => dispatch({ type: 'TOGGLE_SIX_MONTHS_FILTER', payload: checked });
-
-    return { ...state, setUrl, setFilterDate, setPage, handleFetchJobs, toggleSixMonths, dismissError };
+    const setBackends = (backends) => dispatch({ type: 'SET_BACKENDS', payload: backends });
+    const setCrawlOptions = (options) => dispatch({ type: 'SET_CRAWL_OPTIONS', payload: options });
+    const setRules = (rules) => dispatch({ type: 'SET_RULES', payload: rules });
+    const setClassifier = (classifier) => dispatch({ type: 'SET_CLASSIFIER', payload: classifier });
+    const setShareTemplates = (templates) => dispatch({ type: 'SET_SHARE_TEMPLATES', payload: templates });
+    const setLocale = (locale) => dispatch({ type: 'SET_LOCALE', payload: locale });
+
+    return { ...state, t, announce, setLocale, setUrl, setQuery, setPage, handleFetchJobs, scanAllSources, runDueScans, scanSource, addSource, updateSource, removeSource, cancelScan, viewScan, removeScan, promotePossibleJob, dismissError, setBackends, setCrawlOptions, setRules, setClassifier, setShareTemplates, toggleStar, updateReminders, unstar, enableNotifications, fetchHtml };
 };
 
+// Deadlines below this confidence are marked as uncertain in the list.
+const CONFIDENT_DEADLINE = 0.8;
+
+/**
+ * Lists the optional job details that are present, for display.
+ * @param {object} job - The job object.
+ * @param {Function} t - The translator.
+ * @returns {{ label: string, value: string }[]}
+ */
+const getJobDetails = (job, t) => [
+    { label: t('job.organization'), value: job.organization },
+    { label: t('job.location'), value: job.location },
+    { label: t('job.salary'), value: job.salary },
+    { label: t('job.type'), value: job.employmentType },
+    { label: t('job.posted'), value: job.postedDate && t.formatDate(job.postedDate) },
+    ...(job.otherDates || []).map(({ kind, date }) => ({ label: t(`job.date.${kind}`), value: t.formatDate(date) })),
+].filter(detail => detail.value);
+
 // --- App Component ---
 
 const JOBS_PER_PAGE = 10;
+const REMINDER_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const SCHEDULE_CHECK_INTERVAL_MS = 60 * 1000;
+const PROGRESS_ANNOUNCE_INTERVAL_MS = 5000;
+
+// Left border colour of a result by how close its deadline is.
+const URGENCY_BORDERS = {
+    expired: 'border-gray-400 opacity-75',
+    urgent: 'border-red-500',
+    soon: 'border-orange-500',
+    upcoming: 'border-amber-400',
+    later: 'border-green-500',
+};
+
+// Labels are the job.status.<status> messages.
+const STATUS_BADGES = {
+    new: 'bg-green-100 text-green-800',
+    'deadline-changed': 'bg-amber-100 text-amber-800',
+    'title-changed': 'bg-sky-100 text-sky-800',
+    expired: 'bg-gray-200 text-gray-600',
+};
 
 export default function App() {
-    const { jobs, isLoading, status, error, page, url, filterDate, showNextSixMonths, setUrl, setFilterDate, setPage, handleFetchJobs, toggleSixMonths, dismissError } = useJobCrawler();
+    const { t, locale, setLocale, announcement, announce, jobs, isLoading, isOnline, status, error, notice, page, url, query, backends, crawlOptions, scans, viewedScanId, sources, sourceStatus, diagnostics, removedJobs, setUrl, setQuery, setPage, handleFetchJobs, scanAllSources, runDueScans, scanSource, addSource, updateSource, removeSource, cancelScan, viewScan, removeScan, dismissError, setBackends, setCrawlOptions, rules, setRules, fetchHtml, possibleJobs, promotePossibleJob, classifier, setClassifier, shareTemplates, setShareTemplates, bookmarks, notificationPermission, toggleStar, updateReminders, unstar, enableNotifications } = useJobCrawler();
+    const viewedScan = scans.find(scan => scan.id === viewedScanId);
     const [copiedJob, setCopiedJob] = useState(null);
+    const [selectedLinks, setSelectedLinks] = useState([]);
+    const [showShortcuts, setShowShortcuts] = useState(false);
 
-    // Apply filters based on user selection
-    const filteredJobs = jobs.filter(job => {
-        const deadline = job.lastDate;
-        if (filterDate) {
-            return deadline <= new Date(filterDate);
-        }
-        if (showNextSixMonths) {
-            const sixMonthsFromNow = new Date();
-            sixMonthsFromNow.setMonth(sixMonthsFromNow.getMonth() + 6);
-            return deadline <= sixMonthsFromNow;
-        }
-        return true; // No filter applied
-    });
+    // Apply the search, filters and sort order
+    const filteredJobs = applyQuery(jobs, query);
+    const sites = [...new Set([...jobs.map(getJobSite), ...query.sites])].sort();
 
     const totalPages = Math.ceil(filteredJobs.length / JOBS_PER_PAGE);
     const jobsToShow = filteredJobs.slice((page - 1) * JOBS_PER_PAGE, page * JOBS_PER_PAGE);
+    const selectedJobs = filteredJobs.filter(job => selectedLinks.includes(job.link));
+    const starredLinks = new Set(bookmarks.map(bookmark => bookmark.link));
+    const changeDigest = buildChangeDigest({ jobs, removedJobs });
 
-    const getWhatsAppLink = (job) => {
-        const text = generateShareText(job);
-        return `https://wa.me/?text=${encodeURIComponent(text)}`;
-    };
+    const getChannelLink = (channel, job) => getShareUrl(channel, generateShareText(job, shareTemplates[channel]), { link: job.link, subject: job.title });
 
-    const handleCopy = (job) => {
-        const text = generateShareText(job);
+    /**
+     * Copies text to the clipboard and briefly marks `key` as copied.
+     * @param {string} text
+     * @param {string} key - A job link, 'digest' or 'changes'.
+     */
+    const copyText = (text, key) => {
         if (navigator.clipboard) {
             navigator.clipboard.writeText(text).then(() => {
-                setCopiedJob(job.link);
+                announce(t('common.copied'));
+                setCopiedJob(key);
                 setTimeout(() => setCopiedJob(null), 2000);
             }).catch(err => {
                 console.error('Could not copy text: ', err);
@@ -336,45 +564,129 @@ export default function App() {
             el.select();
             document.execCommand('copy');
             document.body.removeChild(el);
-            setCopiedJob(job.link);
+            announce(t('common.copied'));
+            setCopiedJob(key);
             setTimeout(() => setCopiedJob(null), 2000);
         }
     };
 
-    const handleNativeShare = (job) => {
-        const text = generateShareText(job);
-        if (navigator.share) {
-            navigator.share({ title: job.title, text: text, url: job.link });
-        } else {
+    const handleCopy = (job) => copyText(generateShareText(job, shareTemplates.whatsapp), job.link);
+
+    /**
+     * Opens the device share sheet, falling back to copying the message.
+     * Share targets opened from the installed app often join `text` and `url`,
+     * so the link is only passed separately when the template leaves it out.
+     * @param {object} job
+     */
+    const handleNativeShare = async (job) => {
+        const text = generateShareText(job, shareTemplates.whatsapp);
+        const data = text.includes(job.link) ? { title: job.title, text } : { title: job.title, text, url: job.link };
+        if (!navigator.share || (navigator.canShare && !navigator.canShare(data))) {
             handleCopy(job);
+            return;
+        }
+        try {
+            await navigator.share(data);
+        } catch (e) {
+            // AbortError means the user closed the share sheet.
+            if (e.name !== 'AbortError') handleCopy(job);
         }
     };
 
-    const goToPrevPage = () => setPage(p => Math.max(1, p - 1));
-    const goToNextPage = () => setPage(p => Math.min(totalPages, p + 1));
-    
-    // Simple Modal for errors
-    const ErrorModal = ({ message, onClose }) => {
-        return createPortal(
-            <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full flex justify-center items-center z-50" onClick={onClose}>
-                <div className="relative p-6 bg-white w-96 rounded-lg shadow-xl animate-fade-in-up" onClick={e => e.stopPropagation()}>
-                    <h3 className="text-xl font-semibold text-red-700 mb-2 flex items-center">
-                        <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
-                        Error
-                    </h3>
-                    <p className="text-gray-600 mb-4">{message}</p>
-                    <div className="flex justify-end">
-                        <button onClick={onClose} className="px-4 py-2 bg-red-600 text-white font-medium rounded-lg hover:bg-red-700 transition">
-                            Close
-                        </button>
-                    </div>
-                </div>
-            </div>,
-            document.body
-        );
+    const toggleSelected = (link) => setSelectedLinks(selectedLinks.includes(link) ? selectedLinks.filter(item => item !== link) : [...selectedLinks, link]);
+    const selectPage = () => setSelectedLinks([...new Set([...selectedLinks, ...jobsToShow.map(job => job.link)])]);
+
+    /**
+     * Moves to another results page and says so to screen readers.
+     * @param {number} newPage
+     */
+    const goToPage = (newPage) => {
+        if (newPage < 1 || newPage > totalPages || newPage === page) return;
+        setPage(newPage);
+        announce(t('app.pageOf', { page: newPage, total: totalPages }));
+    };
+    const goToPrevPage = () => goToPage(page - 1);
+    const goToNextPage = () => goToPage(page + 1);
+
+    /**
+     * @returns {object|undefined} The job whose result has keyboard focus.
+     */
+    const getFocusedJob = () => {
+        const item = document.activeElement?.closest?.('[data-job-link]');
+        return item ? jobsToShow.find(job => job.link === item.dataset.jobLink) : undefined;
+    };
+
+    /**
+     * Moves focus to the title of the next or previous result on the page.
+     * @param {number} step - 1 or -1.
+     */
+    const focusJob = (step) => {
+        const titles = [...document.querySelectorAll('[data-job-title]')];
+        if (titles.length === 0) return;
+        const current = titles.findIndex(title => title.closest('[data-job-link]')?.contains(document.activeElement));
+        const next = current === -1 ? (step > 0 ? 0 : titles.length - 1) : Math.min(titles.length - 1, Math.max(0, current + step));
+        titles[next].focus();
+    };
+
+    // Replaced on every render so the window listener sees the current state.
+    const handleShortcut = useRef(() => {});
+    handleShortcut.current = (e) => {
+        if (error) return;
+        const shortcut = getShortcut(e);
+        if (!shortcut) return;
+        const focusedJob = getFocusedJob();
+        switch (shortcut) {
+            case 'scan':
+                if (!isLoading) handleFetchJobs();
+                break;
+            case 'cancel':
+                if (!isLoading) return;
+                cancelScan();
+                break;
+            case 'search': {
+                const search = document.getElementById('results-search');
+                if (!search) return;
+                search.focus();
+                break;
+            }
+            case 'nextJob':
+                focusJob(1);
+                break;
+            case 'previousJob':
+                focusJob(-1);
+                break;
+            case 'nextPage':
+                goToNextPage();
+                break;
+            case 'previousPage':
+                goToPrevPage();
+                break;
+            case 'copy':
+                if (focusedJob) handleCopy(focusedJob);
+                else if (selectedJobs.length > 0) copyText(renderShareMessage(selectedJobs, shareTemplates.whatsapp), 'digest');
+                else return;
+                break;
+            case 'star':
+                if (!focusedJob) return;
+                toggleStar(focusedJob);
+                break;
+            case 'help':
+                setShowShortcuts(!showShortcuts);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
     };
 
+    useEffect(() => {
+        const listener = (e) => handleShortcut.current(e);
+        window.addEventListener('keydown', listener);
+        return () => window.removeEventListener('keydown', listener);
+    }, []);
+
     return (
+        <I18nContext.Provider value={t}>
         <div className="bg-slate-100 min-h-screen flex items-center justify-center font-sans p-4">
             <style>
                 {`
@@ -394,114 +706,241 @@ export default function App() {
                     }
                 `}
             </style>
-            {error && <ErrorModal message={error} onClose={dismissError} />}
+            {error && <ErrorDialog message={error} onClose={dismissError} />}
+            <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">{announcement}</div>
             <div className="w-full max-w-3xl bg-white rounded-xl shadow-2xl p-6 md:p-8 border border-gray-200">
+                <div className="flex justify-end mb-2">
+                    <label htmlFor="locale" className="sr-only">{t('app.language')}</label>
+                    <select id="locale" value={locale} onChange={(e) => setLocale(e.target.value)} className="p-1 text-sm border border-gray-300 rounded-lg">
+                        {LOCALES.map(option => <option key={option.id} value={option.id} lang={option.id}>{option.label}</option>)}
+                    </select>
+                </div>
                 <div className="text-center mb-8">
-                    <h1 className="text-3xl md:text-4xl font-extrabold text-gray-800">Job Deadline <span className="text-indigo-600">Crawler</span></h1>
-                    <p className="text-gray-500 mt-2 text-lg">Enter a website to find all upcoming job deadlines.</p>
+                    <h1 className="text-3xl md:text-4xl font-extrabold text-gray-800">{t('app.titleStart')} <span className="text-indigo-600">{t('app.titleEnd')}</span></h1>
+                    <p className="text-gray-500 mt-2 text-lg">{t('app.subtitle')}</p>
                 </div>
-                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                <div className="mb-4">
                     <input
                         type="url"
                         value={url}
                         onChange={(e) => setUrl(e.target.value)}
+                        aria-label={t('app.urlLabel')}
                         placeholder="newgovtjobalert.com"
                         className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition"
                         disabled={isLoading}
                     />
-                    <div>
-                        <label htmlFor="filter-date" className="block text-sm font-medium text-gray-600 mb-1">Filter by Specific Deadline</label>
-                        <input
-                            id="filter-date"
-                            type="date"
-                            value={filterDate}
-                            onChange={(e) => setFilterDate(e.target.value)}
-                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition"
-                            disabled={isLoading || showNextSixMonths}
-                        />
-                    </div>
-                    <div className="sm:col-span-2 flex items-center mt-2">
-                        <input
-                            id="six-month-filter"
-                            type="checkbox"
-                            checked={showNextSixMonths}
-                            onChange={(e) => toggleSixMonths(e.target.checked)}
-                            className="w-4 h-4 text-indigo-600 bg-gray-100 border-gray-300 rounded focus:ring-indigo-500"
-                            disabled={isLoading}
-                        />
-                        <label htmlFor="six-month-filter" className="ml-2 text-sm font-medium text-gray-700">Show only jobs with deadline in the next 6 months</label>
-                    </div>
                 </div>
-                <div className="flex justify-end mb-6">
+                <DueSoonPanel bookmarks={bookmarks} />
+                <SourcesPanel
+                    sources={sources}
+                    sourceStatus={sourceStatus}
+                    onAdd={addSource}
+                    onUpdate={updateSource}
+                    onRemove={removeSource}
+                    onScan={scanSource}
+                    onScanAll={scanAllSources}
+                    onRunDue={() => runDueScans()}
+                    disabled={isLoading}
+                />
+                <StarredJobs
+                    bookmarks={bookmarks}
+                    permission={notificationPermission}
+                    onEnableNotifications={enableNotifications}
+                    onUpdateReminders={updateReminders}
+                    onRemove={unstar}
+                />
+                <ScanHistory scans={scans} viewedScanId={viewedScanId} onView={viewScan} onDelete={removeScan} disabled={isLoading} />
+                <CrawlSettings options={crawlOptions} onChange={setCrawlOptions} disabled={isLoading} />
+                <ClassifierSettings classifier={classifier} onChange={setClassifier} disabled={isLoading} />
+                <RulesEditor rules={rules} onChange={setRules} fetchHtml={fetchHtml} classifier={classifier} disabled={isLoading} />
+                <ShareTemplatesEditor templates={shareTemplates} onChange={setShareTemplates} sampleJobs={filteredJobs} />
+                <FetchSettings backends={backends} onChange={setBackends} disabled={isLoading} />
+                <div className="flex justify-end gap-3 mb-6">
+                    {isLoading && (
+                        <button
+                            onClick={cancelScan}
+                            className="w-full sm:w-auto bg-white text-red-600 font-semibold py-3 px-6 rounded-lg border border-red-300 hover:bg-red-50 transition focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2"
+                        >
+                            {t('app.cancel')}
+                        </button>
+                    )}
                     <button
                         onClick={handleFetchJobs}
                         disabled={isLoading}
                         className="w-full sm:w-auto bg-indigo-600 text-white font-semibold py-3 px-6 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-300 disabled:cursor-not-allowed transition shadow-md hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2"
                     >
-                        {isLoading ? 'Crawling...' : 'Start Scan'}
+                        {isLoading ? t('app.crawling') : t('app.startScan')}
                     </button>
                 </div>
 
                 {isLoading && (
                     <div className="text-center p-4">
-                        <div className="flex justify-center items-center mb-3">
+                        <div className="flex justify-center items-center mb-3" aria-hidden="true">
                             <div className="animate-spin-slow rounded-full h-10 w-10 border-b-2 border-indigo-600"></div>
                         </div>
                         <p className="text-indigo-600 font-semibold">{status}</p>
                     </div>
                 )}
+
+                {!isOnline && (
+                    <p role="status" className="p-3 mb-4 text-sm text-slate-700 bg-slate-100 border border-slate-300 rounded-lg">
+                        {t('app.offline')}
+                    </p>
+                )}
+                {notice && !isLoading && (
+                    <p className="p-3 mb-4 text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg">{notice}</p>
+                )}
+                {!isLoading && (
+                    <ChangeDigest
+                        digest={changeDigest}
+                        templates={shareTemplates}
+                        onCopy={(text) => copyText(text, 'changes')}
+                        copied={copiedJob === 'changes'}
+                        finishedAt={viewedScan?.finishedAt}
+                    />
+                )}
                 
-                {filteredJobs.length > 0 && (
+                {jobs.length > 0 && (
                     <div className="mt-8">
-                        <h2 className="text-2xl font-bold text-gray-700 mb-4 border-b pb-2">Upcoming Deadlines Found</h2>
+                        <h2 className="text-2xl font-bold text-gray-700 mb-4 border-b pb-2">{t('app.resultsHeading')}</h2>
+                        <ResultsFilters query={query} onChange={setQuery} sites={sites} matchCount={filteredJobs.length} totalCount={jobs.length} />
+                        <ExportPanel jobs={filteredJobs} filterSummary={describeQuery(query)} />
+                        {viewedScan && viewedScan.id !== scans[0]?.id && (
+                            <p className="mb-4 text-sm text-gray-600">
+                                {t('app.viewingScan', { label: viewedScan.label, date: t.formatDate(viewedScan.finishedAt, 'dateTime') })}{' '}
+                                <button type="button" onClick={() => viewScan(scans[0].id)} className="text-indigo-600 hover:underline">{t('app.showLatest')}</button>
+                            </p>
+                        )}
+                        <ShareDigestBar
+                            jobs={selectedJobs}
+                            templates={shareTemplates}
+                            onCopy={(text) => copyText(text, 'digest')}
+                            copied={copiedJob === 'digest'}
+                            onSelectPage={selectPage}
+                            onClear={() => setSelectedLinks([])}
+                        />
+                        {filteredJobs.length === 0 && <p className="text-sm text-gray-600">{t('app.noMatches')}</p>}
                         <ul className="space-y-4">
                             {jobsToShow.map((job) => (
-                                <li key={job.link} className="p-4 bg-gray-50 rounded-lg flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 transition-transform hover:scale-[1.01] border-l-4 border-green-500">
-                                    <div className="flex-grow">
-                                        <a href={job.link} target="_blank" rel="noopener noreferrer" className="text-lg font-semibold text-indigo-700 hover:underline">
-                                            {job.title}
-                                        </a>
-                                        <p className="text-sm font-semibold text-red-600 mt-1">
-                                            Last Date to Apply: {job.lastDate.toLocaleDateString('en-GB')}
-                                        </p>
+                                <li key={job.link} data-job-link={job.link} className={`p-4 bg-gray-50 rounded-lg flex flex-col sm:flex-row justify-between items-start sm:items-center gap-3 transition-transform hover:scale-[1.01] border-l-4 ${URGENCY_BORDERS[job.status === 'expired' ? 'expired' : getUrgency(job.lastDate)]}`}>
+                                    <div className="flex-grow flex items-start gap-3">
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedLinks.includes(job.link)}
+                                            onChange={() => toggleSelected(job.link)}
+                                            aria-label={t('app.selectJob', { title: job.title })}
+                                            className="mt-1.5 w-4 h-4 text-indigo-600 bg-gray-100 border-gray-300 rounded focus:ring-indigo-500"
+                                        />
+                                        <div className="flex-grow">
+                                            {STATUS_BADGES[job.status] && (
+                                                <span className={`inline-block mb-1 px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_BADGES[job.status]}`}>
+                                                    {t(`job.status.${job.status}`)}
+                                                </span>
+                                            )}
+                                            <a href={job.link} target="_blank" rel="noopener noreferrer" data-job-title className="block text-lg font-semibold text-indigo-700 hover:underline">
+                                                {job.title}
+                                            </a>
+                                            {job.sourceLabel && <p className="text-xs text-gray-500 mt-0.5">{t('job.source', { label: job.sourceLabel })}</p>}
+                                            {job.postings?.length > 1 && (
+                                                <p className="text-xs text-gray-500 mt-0.5">
+                                                    {t('job.alsoPostedAt')}{' '}
+                                                    {job.postings.filter(posting => posting.link !== job.link).map((posting, index) => (
+                                                        <React.Fragment key={posting.link}>
+                                                            {index > 0 && ', '}
+                                                            <a href={posting.link} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline" title={posting.title}>
+                                                                {new URL(posting.link).hostname.replace(/^www\./, '')}
+                                                            </a>
+                                                        </React.Fragment>
+                                                    ))}
+                                                </p>
+                                            )}
+                                            {getJobDetails(job, t).length > 0 && (
+                                                <ul className="flex flex-wrap gap-x-3 gap-y-1 mt-1 text-sm text-gray-600">
+                                                    {getJobDetails(job, t).map(({ label, value }) => (
+                                                        <li key={label}><span className="text-gray-500">{label}:</span> {value}</li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                            <p className="text-sm font-semibold text-red-600 mt-1">
+                                                {t('job.lastDate', { date: t.formatDate(job.lastDate) })}
+                                                {job.deadlineTime && ` ${t('job.till', { time: job.deadlineTime })}`}
+                                                {job.deadlineSource === 'pdf' && <span className="ml-2 font-normal text-gray-500">{t('job.fromPdf')}</span>}
+                                                {job.deadlineConfidence < CONFIDENT_DEADLINE && (
+                                                    <span className="ml-2 font-normal text-amber-700" title={t('job.confidence', { percent: Math.round(job.deadlineConfidence * 100) })}>{t('job.uncertain')}</span>
+                                                )}
+                                                {job.status === 'deadline-changed' && job.previousLastDate && (
+                                                    <del className="ml-2 font-normal text-gray-500">
+                                                        <span className="sr-only">{t('changes.previously')} </span>{t.formatDate(job.previousLastDate)}
+                                                    </del>
+                                                )}
+                                            </p>
+                                            <ScoreBreakdown classification={job.classification} summary={job.promoted ? t('job.promoted') : t('job.why')} />
+                                        </div>
                                     </div>
                                     <div className="flex flex-wrap gap-2 w-full sm:w-auto">
-                                        <a href={getWhatsAppLink(job)} target="_blank" rel="noopener noreferrer" className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-600 transition text-sm flex items-center justify-center" title="Share via WhatsApp">
-                                            <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M12.04 2.87c-5.06 0-9.17 4.1-9.17 9.17 0 1.54.4 3.01 1.15 4.34l-1.22 4.47a.97.97 0 001.32 1.32l4.47-1.22c1.33.74 2.8 1.15 4.34 1.15 5.07 0 9.17-4.11 9.17-9.17S17.11 2.87 12.04 2.87zm4.27 12.55l-.26.15a1.11 1.11 0 01-1.12.11 5.92 5.92 0 01-2.92-1.93 7.02 7.02 0 01-1.63-2.61.94.94 0 01.12-1.04l.15-.26c.21-.36.32-.8.32-1.25 0-.46-.11-.9-.32-1.26a.6.6 0 00-.31-.22c-.22-.09-.46-.14-.7-.14-.24 0-.48.05-.7.14a.6.6 0 00-.31.22c-.21.36-.32.8-.32 1.25 0 .46.11.9.32 1.25l.1.18c.24.42.36.9.36 1.4 0 .48-.12.92-.36 1.33-.24.42-.58.74-1.01.99-.42.25-.89.37-1.37.37-.48 0-.9-.12-1.28-.35-.38-.23-.67-.53-.88-.93-.21-.4-.32-.86-.32-1.34 0-.48.11-.93.32-1.34.21-.4.5-.7.88-.93.38-.23.79-.35 1.28-.35.48 0 .93-.12 1.34-.36.42-.24.74-.58.99-1.01.25-.42.37-.89.37-1.37 0-.48-.12-.93-.36-1.34-.24-.41-.58-.74-.99-.99-.42-.25-.89-.37-1.37-.37-.48 0-.93.12-1.34.36-.42.24-.74.58-.99 1.01-.25.42-.37.89-.37 1.37 0 .48-.11.93-.32 1.34-.21.4-.5.7-.88.93-.38.23-.79.35-1.28.35.48 0 .93-.12-1.34-.36z" /></svg>
+                                        <button
+                                            onClick={() => toggleStar(job)}
+                                            aria-pressed={starredLinks.has(job.link)}
+                                            className={`font-semibold py-2 px-3 rounded-lg transition text-sm ${starredLinks.has(job.link) ? 'bg-yellow-100 text-yellow-700 hover:bg-yellow-200' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+                                            title={starredLinks.has(job.link) ? t('job.unstarTitle') : t('job.starTitle')}
+                                            aria-label={t(starredLinks.has(job.link) ? 'job.starredLabel' : 'job.starLabel', { title: job.title })}
+                                        >
+                                            <span aria-hidden="true">{starredLinks.has(job.link) ? '★' : '☆'}</span> {starredLinks.has(job.link) ? t('job.starred') : t('job.star')}
+                                        </button>
+                                        {listJobLinks(job).map(({ id, label, url }) => (
+                                            <a key={id} href={url} target="_blank" rel="noopener noreferrer" className="bg-indigo-100 text-indigo-700 font-semibold py-2 px-3 rounded-lg hover:bg-indigo-200 transition text-sm flex items-center justify-center" title={url}>
+                                                {t(`links.${id}`, { default: label })}{isPdfUrl(url) ? ` ${t('job.pdf')}` : ''}
+                                            </a>
+                                        ))}
+                                        <a href={getChannelLink('whatsapp', job)} target="_blank" rel="noopener noreferrer" className="bg-green-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-green-600 transition text-sm flex items-center justify-center" title={t('job.shareVia', { channel: 'WhatsApp' })} aria-label={t('job.shareJobVia', { title: job.title, channel: 'WhatsApp' })}>
+                                            <svg aria-hidden="true" className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M12.04 2.87c-5.06 0-9.17 4.1-9.17 9.17 0 1.54.4 3.01 1.15 4.34l-1.22 4.47a.97.97 0 001.32 1.32l4.47-1.22c1.33.74 2.8 1.15 4.34 1.15 5.07 0 9.17-4.11 9.17-9.17S17.11 2.87 12.04 2.87zm4.27 12.55l-.26.15a1.11 1.11 0 01-1.12.11 5.92 5.92 0 01-2.92-1.93 7.02 7.02 0 01-1.63-2.61.94.94 0 01.12-1.04l.15-.26c.21-.36.32-.8.32-1.25 0-.46-.11-.9-.32-1.26a.6.6 0 00-.31-.22c-.22-.09-.46-.14-.7-.14-.24 0-.48.05-.7.14a.6.6 0 00-.31.22c-.21.36-.32.8-.32 1.25 0 .46.11.9.32 1.25l.1.18c.24.42.36.9.36 1.4 0 .48-.12.92-.36 1.33-.24.42-.58.74-1.01.99-.42.25-.89.37-1.37.37-.48 0-.9-.12-1.28-.35-.38-.23-.67-.53-.88-.93-.21-.4-.32-.86-.32-1.34 0-.48.11-.93.32-1.34.21-.4.5-.7.88-.93.38-.23.79-.35 1.28-.35.48 0 .93-.12 1.34-.36.42-.24.74-.58.99-1.01.25-.42.37-.89.37-1.37 0-.48-.12-.93-.36-1.34-.24-.41-.58-.74-.99-.99-.42-.25-.89-.37-1.37-.37-.48 0-.93.12-1.34.36-.42.24-.74.58-.99 1.01-.25.42-.37.89-.37 1.37 0 .48-.11.93-.32 1.34-.21.4-.5.7-.88.93-.38.23-.79.35-1.28.35.48 0 .93-.12-1.34-.36z" /></svg>
                                             WhatsApp
                                         </a>
-                                        <button onClick={() => handleCopy(job)} className="bg-teal-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-teal-600 transition text-sm flex items-center justify-center" title="Copy formatted message">
-                                            <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M16 1h-6c-1.1 0-2 .9-2 2v1H6c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h10c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2h-2V2c0-.55-.45-1-1-1zm-6 2h4v1h-4V3zm7 18H5c-.55 0-1-.45-1-1V6c0-.55.45-1 1-1h1v14c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V5h-1c-.55 0-1 .45-1 1v14c0 1.1.9 2 2 2z"/></svg>
-                                            {copiedJob === job.link ? 'Copied!' : 'Copy'}
+                                        <a href={getChannelLink('telegram', job)} target="_blank" rel="noopener noreferrer" className="bg-sky-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-sky-600 transition text-sm flex items-center justify-center" title={t('job.shareVia', { channel: 'Telegram' })} aria-label={t('job.shareJobVia', { title: job.title, channel: 'Telegram' })}>
+                                            Telegram
+                                        </a>
+                                        <a href={getChannelLink('email', job)} className="bg-gray-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-gray-600 transition text-sm flex items-center justify-center" title={t('job.shareByEmail')} aria-label={t('job.shareJobByEmail', { title: job.title })}>
+                                            {t('job.email')}
+                                        </a>
+                                        <button onClick={() => handleCopy(job)} className="bg-teal-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-teal-600 transition text-sm flex items-center justify-center" title={t('job.copyTitle')} aria-label={t('job.copyLabel', { title: job.title })}>
+                                            <svg aria-hidden="true" className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M16 1h-6c-1.1 0-2 .9-2 2v1H6c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h10c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2h-2V2c0-.55-.45-1-1-1zm-6 2h4v1h-4V3zm7 18H5c-.55 0-1-.45-1-1V6c0-.55.45-1 1-1h1v14c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V5h-1c-.55 0-1 .45-1 1v14c0 1.1.9 2 2 2z"/></svg>
+                                            {copiedJob === job.link ? t('common.copied') : t('job.copy')}
                                         </button>
-                                        <button onClick={() => handleNativeShare(job)} className="bg-blue-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-600 transition text-sm flex items-center justify-center" title="Share with device">
-                                            <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M18 16c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm-5-1c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0-4c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0-4c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zM4 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 4c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"/></svg>
-                                            Share
+                                        <button onClick={() => handleNativeShare(job)} className="bg-blue-500 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-600 transition text-sm flex items-center justify-center" title={t('job.shareTitle')} aria-label={t('job.shareLabel', { title: job.title })}>
+                                            <svg aria-hidden="true" className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path d="M18 16c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm-5-1c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0-4c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0-4c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zM4 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 4c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"/></svg>
+                                            {t('job.share')}
                                         </button>
                                     </div>
                                 </li>
                             ))}
                         </ul>
-                        <div className="flex justify-between items-center mt-6">
-                            <button
-                                disabled={page === 1}
-                                onClick={goToPrevPage}
-                                className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 transition"
-                            >
-                                Previous
-                            </button>
-                            <span className="text-gray-600">Page {page} of {totalPages}</span>
-                            <button
-                                disabled={page === totalPages}
-                                onClick={goToNextPage}
-                                className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 transition"
-                            >
-                                Next
-                            </button>
-                        </div>
+                        {filteredJobs.length > 0 && (
+                            <div className="flex justify-between items-center mt-6">
+                                <button
+                                    disabled={page === 1}
+                                    onClick={goToPrevPage}
+                                    className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 transition"
+                                >
+                                    {t('app.previous')}
+                                </button>
+                                <span className="text-gray-600">{t('app.pageOf', { page, total: totalPages })}</span>
+                                <button
+                                    disabled={page === totalPages}
+                                    onClick={goToNextPage}
+                                    className="px-4 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 transition"
+                                >
+                                    {t('app.next')}
+                                </button>
+                            </div>
+                        )}
                     </div>
                 )}
+
+                <PossibleJobs jobs={possibleJobs} onPromote={promotePossibleJob} disabled={isLoading} />
+                {!isLoading && <DiagnosticsPanel report={diagnostics} />}
+                <ShortcutsHelp open={showShortcuts} onToggle={setShowShortcuts} />
             </div>
         </div>
+        </I18nContext.Provider>
     );
 }
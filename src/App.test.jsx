@@ -0,0 +1,252 @@
+// @vitest-environment jsdom
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, cleanup, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import App from './App.jsx';
+import { closeDatabase } from './lib/jobDatabase.js';
+import { createFixtureFetch } from './lib/__fixtures__/fixtureFetch.js';
+
+// End-to-end scans through the real hook and reducer, with pages served from
+// src/lib/__fixtures__/pages instead of the fetch backends. Every dispatched
+// action is recorded so a test can check the order the UI went through.
+
+const mocks = vi.hoisted(() => ({ actions: [], fetchHtml: null }));
+
+vi.mock('./lib/crawlerReducer.js', async (importOriginal) => {
+    const { crawlerReducer } = await importOriginal();
+    return {
+        crawlerReducer: (state, action) => {
+            mocks.actions.push(action);
+            return crawlerReducer(state, action);
+        },
+    };
+});
+
+vi.mock('./lib/fetchBackends.js', async (importOriginal) => ({
+    ...await importOriginal(),
+    createFetchHtml: () => (url, options) => mocks.fetchHtml(url, options),
+}));
+
+/**
+ * The dispatched actions in order. React may run the reducer more than once
+ * for the same update, so each action object is listed once.
+ * @returns {object[]}
+ */
+const dispatched = () => [...new Set(mocks.actions)];
+const dispatchedTypes = () => dispatched().map(action => action.type);
+
+/**
+ * Checks that the action types appear in this order, allowing others between them.
+ * @param {string[]} expected
+ */
+const expectInOrder = (expected) => {
+    const types = dispatchedTypes();
+    let from = 0;
+    expected.forEach(type => {
+        const index = types.indexOf(type, from);
+        expect(index, `${type} after position ${from} in ${types.join(', ')}`).toBeGreaterThanOrEqual(0);
+        from = index + 1;
+    });
+};
+
+const startScan = (url) => {
+    fireEvent.change(screen.getByPlaceholderText('newgovtjobalert.com'), { target: { value: url } });
+    fireEvent.click(screen.getByRole('button', { name: 'Start Scan' }));
+};
+
+beforeEach(() => {
+    // A fresh database, so no test restores the scans of the ones before it.
+    globalThis.indexedDB = new IDBFactory();
+    mocks.actions.length = 0;
+    mocks.fetchHtml = createFixtureFetch();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 0, 10, 10, 0));
+    localStorage.clear();
+    localStorage.setItem('jobCrawler.crawlOptions', JSON.stringify({ hostDelay: 0, retries: 0 }));
+});
+
+afterEach(async () => {
+    cleanup();
+    await closeDatabase();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+});
+
+describe('handleFetchJobs', () => {
+    it('goes from START_SCAN through status updates to SET_JOBS', async () => {
+        render(<App />);
+        startScan('https://govtjobs.example.in/');
+
+        await waitFor(() => expect(dispatchedTypes()).toContain('SET_JOBS'), { timeout: 5000 });
+        expectInOrder(['START_SCAN', 'UPDATE_STATUS', 'UPDATE_STATUS', 'SET_JOBS', 'VIEW_SCAN']);
+        expect(dispatchedTypes()).not.toContain('SET_ERROR');
+
+        const statuses = dispatched().filter(action => action.type === 'UPDATE_STATUS').map(action => action.payload);
+        expect(statuses[0]).toBe('Fetching listing pages to find job links...');
+        expect(statuses).toContain('Analyzing 5 links found on 2 listing pages...');
+
+        const jobs = dispatched().find(action => action.type === 'SET_JOBS').payload;
+        expect(jobs.map(job => job.title)).toEqual([
+            'Delhi High Court Junior Judicial Assistant Recruitment 2026',
+            'SSC CGL Recruitment 2026 - 7500 Posts, Apply Online',
+            'RRB NTPC Graduate and Undergraduate Posts 2026',
+        ]);
+        const results = (await screen.findByText('Upcoming Deadlines Found')).parentElement;
+        expect(within(results).getByText('SSC CGL Recruitment 2026 - 7500 Posts, Apply Online')).toBeTruthy();
+        expect(screen.getByRole('button', { name: 'Start Scan' }).disabled).toBe(false);
+    });
+
+    it('ends in SET_ERROR when the start page cannot be fetched', async () => {
+        render(<App />);
+        startScan('missing.example.in');
+
+        await waitFor(() => expect(dispatchedTypes()).toContain('SET_ERROR'));
+        expectInOrder(['START_SCAN', 'UPDATE_STATUS', 'SET_ERROR']);
+        expect(dispatchedTypes()).not.toContain('SET_JOBS');
+        expect(dispatched().find(action => action.type === 'SET_ERROR').payload).toMatch(/Failed to fetch https:\/\/missing\.example\.in/);
+        expect(within(await screen.findByRole('alertdialog')).getByText(/no fixture https_missing_example_in\.html/)).toBeTruthy();
+    });
+
+    it('ends in SET_ERROR when the page has no job links', async () => {
+        render(<App />);
+        startScan('https://govtjobs.example.in/about/');
+
+        await waitFor(() => expect(dispatchedTypes()).toContain('SET_ERROR'));
+        expect(dispatched().find(action => action.type === 'SET_ERROR').payload).toBe('Could not find any potential job post links. Try a more specific URL.');
+        expect(await screen.findByText('Scan diagnostics (0 post links)')).toBeTruthy();
+        expect(dispatched().find(action => action.type === 'SET_DIAGNOSTICS').payload.sources[0].listingPages).toEqual([
+            expect.objectContaining({ url: 'https://govtjobs.example.in/about/', ok: true, anchors: 1, postLinks: 0 }),
+        ]);
+    });
+
+    it('keeps a new scan when the saved scan is restored after it starts', async () => {
+        render(<App />);
+        startScan('https://govtjobs.example.in/');
+        await waitFor(() => expect(dispatchedTypes()).toContain('SET_JOBS'), { timeout: 5000 });
+        await waitFor(() => expect(dispatchedTypes()).toContain('VIEW_SCAN'), { timeout: 5000 });
+        cleanup();
+
+        // The saved scan is still being read when the next scan starts.
+        mocks.actions.length = 0;
+        render(<App />);
+        startScan('https://govtjobs.example.in/about/');
+
+        await waitFor(() => expect(dispatchedTypes()).toContain('SET_ERROR'));
+        await waitFor(() => expect(dispatchedTypes()).toContain('SET_SCAN_HISTORY'));
+        expect(dispatchedTypes()).not.toContain('VIEW_SCAN');
+        expect(screen.getByText('Scan diagnostics (0 post links)')).toBeTruthy();
+    });
+
+    it('lists posts that are no longer linked in the change digest', async () => {
+        render(<App />);
+        startScan('https://govtjobs.example.in/');
+        await waitFor(() => expect(dispatchedTypes()).toContain('SET_JOBS'), { timeout: 5000 });
+
+        // Six hours later the Delhi High Court post has gone from page 2.
+        mocks.actions.length = 0;
+        vi.setSystemTime(new Date(2026, 0, 10, 16, 0));
+        const fixtureFetch = createFixtureFetch();
+        mocks.fetchHtml = async (url, options) => {
+            const html = await fixtureFetch(url, options);
+            return url === 'https://govtjobs.example.in/page/2/' ? html.replace(/<h2[^>]*><a href="[^"]*delhi-high-court[^]*?<\/h2>/, '') : html;
+        };
+        fireEvent.click(screen.getByRole('button', { name: 'Start Scan' }));
+
+        await waitFor(() => expect(dispatchedTypes()).toContain('VIEW_SCAN'), { timeout: 5000 });
+        const scan = dispatched().find(action => action.type === 'VIEW_SCAN').payload;
+        expect(scan.removedJobs.map(job => job.title)).toEqual(['Delhi High Court Junior Judicial Assistant Recruitment 2026']);
+        const digest = (await screen.findByText(/^Changes in this scan \(1\)/)).parentElement;
+        expect(within(digest).getByText('No longer listed (1)')).toBeTruthy();
+        expect(within(digest).getByText('Delhi High Court Junior Judicial Assistant Recruitment 2026')).toBeTruthy();
+    });
+
+    it('reports a failed scheduled scan without the error dialog and keeps the results shown', async () => {
+        localStorage.setItem('jobCrawler.sources', JSON.stringify([
+            { id: 'missing', label: 'Missing Portal', url: 'https://missing.example.in/', settings: {}, scheduleHours: 1, lastScannedAt: 0 },
+        ]));
+        // Fake the schedule check's interval too, so it only fires when advanced.
+        // Testing Library's waitFor polls with setInterval, so wait with
+        // vi.waitFor, which keeps the real timers.
+        const now = Date.now();
+        vi.useRealTimers();
+        vi.useFakeTimers({ toFake: ['Date', 'setInterval'] });
+        vi.setSystemTime(now);
+        render(<App />);
+        startScan('https://govtjobs.example.in/');
+        const results = await vi.waitFor(() => screen.getByText('Upcoming Deadlines Found').parentElement, { timeout: 5000 });
+        expect(within(results).getByText('SSC CGL Recruitment 2026 - 7500 Posts, Apply Online')).toBeTruthy();
+
+        mocks.actions.length = 0;
+        act(() => vi.advanceTimersByTime(60 * 1000));
+
+        await vi.waitFor(() => expect(dispatchedTypes()).toContain('SET_NOTICE'), { timeout: 5000 });
+        expect(dispatched().find(action => action.type === 'START_SCAN').payload).toMatchObject({ ids: ['missing'], background: true });
+        expect(dispatchedTypes()).not.toContain('SET_ERROR');
+        expect(dispatchedTypes()).not.toContain('SET_JOBS');
+        expect(screen.queryByRole('alertdialog')).toBeNull();
+        expect(screen.getByText(/^Automatic scan of Missing Portal failed: Failed to fetch https:\/\/missing\.example\.in/, { selector: 'p' })).toBeTruthy();
+        expect(within(results).getByText('SSC CGL Recruitment 2026 - 7500 Posts, Apply Online')).toBeTruthy();
+        expect(screen.getByRole('button', { name: 'Start Scan' }).disabled).toBe(false);
+    });
+
+    it('keeps the results shown when the re-scan after reconnecting fails', async () => {
+        localStorage.setItem('jobCrawler.sources', JSON.stringify([
+            { id: 'missing', label: 'Missing Portal', url: 'https://missing.example.in/', settings: {} },
+        ]));
+        const onLine = vi.spyOn(navigator, 'onLine', 'get');
+        render(<App />);
+        startScan('https://govtjobs.example.in/');
+        const results = (await screen.findByText('Upcoming Deadlines Found', {}, { timeout: 5000 })).parentElement;
+
+        onLine.mockReturnValue(false);
+        act(() => window.dispatchEvent(new Event('offline')));
+        expect(await screen.findByText(/^You are offline/)).toBeTruthy();
+        mocks.actions.length = 0;
+        onLine.mockReturnValue(true);
+        act(() => window.dispatchEvent(new Event('online')));
+
+        await waitFor(() => expect(dispatchedTypes()).toContain('SET_NOTICE'));
+        expect(dispatched().find(action => action.type === 'START_SCAN').payload).toMatchObject({ ids: ['missing'], background: true });
+        expect(dispatchedTypes()).not.toContain('SET_JOBS');
+        expect(screen.queryByRole('alertdialog')).toBeNull();
+        expect(screen.getByText(/^Automatic scan of Missing Portal failed/, { selector: 'p' })).toBeTruthy();
+        expect(within(results).getByText('SSC CGL Recruitment 2026 - 7500 Posts, Apply Online')).toBeTruthy();
+    });
+
+    it('asks for a URL without starting a scan', () => {
+        render(<App />);
+        fireEvent.click(screen.getByRole('button', { name: 'Start Scan' }));
+
+        expect(dispatchedTypes()).toContain('SET_ERROR');
+        expect(dispatchedTypes()).not.toContain('START_SCAN');
+        expect(screen.getByText('Please enter a website URL.')).toBeTruthy();
+    });
+});
+
+describe('keyboard and screen readers', () => {
+    it('scans with "s" and closes the error dialog with Escape', () => {
+        render(<App />);
+        const scanButton = screen.getByRole('button', { name: 'Start Scan' });
+        scanButton.focus();
+        fireEvent.keyDown(scanButton, { key: 's' });
+
+        const dialog = screen.getByRole('alertdialog', { name: 'Error' });
+        expect(within(dialog).getByText('Please enter a website URL.')).toBeTruthy();
+        expect(document.activeElement).toBe(within(dialog).getByRole('button', { name: 'Close' }));
+
+        fireEvent.keyDown(document.activeElement, { key: 'Escape' });
+        expect(screen.queryByRole('alertdialog')).toBeNull();
+        expect(document.activeElement).toBe(scanButton);
+    });
+
+    it('announces the result of a scan', async () => {
+        render(<App />);
+        startScan('https://govtjobs.example.in/');
+
+        const finished = await screen.findByText(/^Scan finished: \d+ jobs found\./, {}, { timeout: 5000 });
+        expect(finished.getAttribute('aria-live')).toBe('polite');
+        expect(dispatched().filter(action => action.type === 'ANNOUNCE')[0].payload).toBe('Scan started.');
+    });
+});
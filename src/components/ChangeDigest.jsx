@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { DIGEST_SECTIONS, countChanges, renderChangeDigest } from '../lib/changeDigest.js';
+import { CHANNELS, getShareUrl } from '../lib/shareTemplates.js';
+import { useI18n } from './I18nContext.jsx';
+
+const SECTION_CLASSES = {
+    newJobs: 'text-green-800',
+    changedJobs: 'text-amber-800',
+    removedJobs: 'text-gray-600',
+};
+
+/**
+ * What the viewed scan changed since the previous ones, with controls to copy
+ * the digest or open it in a share channel.
+ */
+export default function ChangeDigest({ digest, templates, onCopy, copied, finishedAt }) {
+    const t = useI18n();
+    const [channel, setChannel] = useState(CHANNELS[0].id);
+    const total = countChanges(digest);
+    if (total === 0) return null;
+
+    const text = renderChangeDigest(digest, templates[channel], { t });
+    const firstJob = DIGEST_SECTIONS.map(({ id }) => digest[id][0]).find(Boolean);
+
+    return (
+        <details className="mb-4 border border-indigo-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-indigo-800">
+                {t('changes.heading', { count: total })}{finishedAt ? ` · ${t.formatDate(finishedAt, 'dateTime')}` : ''}
+            </summary>
+            <div className="p-3 pt-0 space-y-3 text-sm">
+                {DIGEST_SECTIONS.filter(({ id }) => digest[id].length > 0).map(({ id, heading }) => (
+                    <section key={id}>
+                        <h3 className={`font-semibold ${SECTION_CLASSES[id]}`}>{t(`changes.section.${id}`, { default: heading })} ({digest[id].length})</h3>
+                        <ul className="mt-1 space-y-1">
+                            {digest[id].map(job => (
+                                <li key={job.link}>
+                                    <a href={job.link} target="_blank" rel="noopener noreferrer" className="text-indigo-700 hover:underline">{job.title}</a>
+                                    <span className="text-gray-600">
+                                        {' – '}
+                                        {id === 'changedJobs' && job.previousLastDate && <del className="text-gray-400 mr-1"><span className="sr-only">{t('changes.previously')} </span>{t.formatDate(job.previousLastDate)}</del>}
+                                        {t.formatDate(job.lastDate)}
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </section>
+                ))}
+                <div className="flex flex-wrap items-center gap-2">
+                    <select value={channel} onChange={(e) => setChannel(e.target.value)} aria-label={t('changes.format')} className="p-1 border border-gray-300 rounded-lg">
+                        {CHANNELS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                    <button type="button" onClick={() => onCopy(text)} className="px-3 py-1 rounded-lg bg-teal-500 text-white hover:bg-teal-600">
+                        {copied ? t('common.copied') : t('changes.copy')}
+                    </button>
+                    <a href={getShareUrl(channel, text, { link: firstJob.link, subject: t('changes.subject') })} target="_blank" rel="noopener noreferrer" className="px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">
+                        {t('share.openIn', { channel: CHANNELS.find(item => item.id === channel).label })}
+                    </a>
+                </div>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,54 @@
+import React from 'react';
+import { DEFAULT_CLASSIFIER, DEFAULT_FEATURES } from '../lib/jobClassifier.js';
+import { useI18n } from './I18nContext.jsx';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition';
+
+/**
+ * Settings panel for the job classifier: the acceptance threshold and the
+ * weight of each feature.
+ */
+export default function ClassifierSettings({ classifier, onChange, disabled }) {
+    const t = useI18n();
+    const setWeight = (id, value) => onChange({ ...classifier, weights: { ...classifier.weights, [id]: value } });
+
+    return (
+        <details className="mb-4 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('classifier.heading')}</summary>
+            <div className="p-3 pt-0 space-y-3">
+                <p className="text-xs text-gray-500">{t('classifier.help')}</p>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    <div>
+                        <label htmlFor="classifier-threshold" className="block text-sm font-medium text-gray-600 mb-1">{t('classifier.threshold')}</label>
+                        <input
+                            id="classifier-threshold"
+                            type="number"
+                            step="0.5"
+                            value={classifier.threshold}
+                            onChange={(e) => e.target.value !== '' && onChange({ ...classifier, threshold: Number(e.target.value) })}
+                            className={inputClass}
+                            disabled={disabled}
+                        />
+                        <p className="text-xs text-gray-500 mt-1">{t('classifier.thresholdHelp')}</p>
+                    </div>
+                    {DEFAULT_FEATURES.map(({ id, label, weight }) => (
+                        <div key={id}>
+                            <label htmlFor={`classifier-${id}`} className="block text-sm font-medium text-gray-600 mb-1">{t(`classifier.feature.${id}`, { default: label })}</label>
+                            <input
+                                id={`classifier-${id}`}
+                                type="number"
+                                step="0.5"
+                                value={classifier.weights[id] ?? weight}
+                                onChange={(e) => e.target.value !== '' && setWeight(id, Number(e.target.value))}
+                                className={inputClass}
+                                disabled={disabled}
+                            />
+                            <p className="text-xs text-gray-500 mt-1">{t('classifier.defaultWeight', { weight })}</p>
+                        </div>
+                    ))}
+                </div>
+                <button type="button" onClick={() => onChange(DEFAULT_CLASSIFIER)} disabled={disabled} className="px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">{t('common.resetDefaults')}</button>
+            </div>
+        </details>
+    );
+}
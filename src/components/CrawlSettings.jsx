@@ -0,0 +1,70 @@
+import React from 'react';
+import { DEFAULT_CRAWL_OPTIONS } from '../lib/crawler.js';
+import { useI18n } from './I18nContext.jsx';
+
+// Labels and help text are the crawl.<key> and crawl.<key>.help messages.
+const LIMITS = [
+    { key: 'maxDepth', min: 0, max: 5 },
+    { key: 'maxPages', min: 1, max: 100 },
+    { key: 'maxPosts', min: 1, max: 1000 },
+    { key: 'concurrency', min: 1, max: 16 },
+    { key: 'hostDelay', min: 0, max: 10000 },
+    { key: 'retries', min: 0, max: 5 },
+];
+
+/**
+ * Settings panel for the multi-page crawl limits.
+ */
+export default function CrawlSettings({ options, onChange, disabled }) {
+    const t = useI18n();
+    const update = (changes) => onChange({ ...options, ...changes });
+
+    return (
+        <details className="mb-4 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('crawl.heading')}</summary>
+            <div className="p-3 pt-0 space-y-3">
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                    {LIMITS.map(({ key, min, max }) => (
+                        <div key={key}>
+                            <label htmlFor={`crawl-${key}`} className="block text-sm font-medium text-gray-600 mb-1">{t(`crawl.${key}`)}</label>
+                            <input
+                                id={`crawl-${key}`}
+                                type="number"
+                                min={min}
+                                max={max}
+                                value={options[key]}
+                                onChange={(e) => update({ [key]: Math.min(max, Math.max(min, Number(e.target.value) || min)) })}
+                                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition"
+                                disabled={disabled}
+                            />
+                            <p className="text-xs text-gray-500 mt-1">{t(`crawl.${key}.help`)}</p>
+                        </div>
+                    ))}
+                </div>
+                <div className="flex items-center">
+                    <input
+                        id="crawl-follow-categories"
+                        type="checkbox"
+                        checked={options.followCategories}
+                        onChange={(e) => update({ followCategories: e.target.checked })}
+                        className="w-4 h-4 text-indigo-600 bg-gray-100 border-gray-300 rounded focus:ring-indigo-500"
+                        disabled={disabled}
+                    />
+                    <label htmlFor="crawl-follow-categories" className="ml-2 text-sm font-medium text-gray-700">{t('crawl.followCategories')}</label>
+                </div>
+                <div className="flex items-center">
+                    <input
+                        id="crawl-read-pdfs"
+                        type="checkbox"
+                        checked={options.readPdfs}
+                        onChange={(e) => update({ readPdfs: e.target.checked })}
+                        className="w-4 h-4 text-indigo-600 bg-gray-100 border-gray-300 rounded focus:ring-indigo-500"
+                        disabled={disabled}
+                    />
+                    <label htmlFor="crawl-read-pdfs" className="ml-2 text-sm font-medium text-gray-700">{t('crawl.readPdfs')}</label>
+                </div>
+                <button type="button" onClick={() => onChange(DEFAULT_CRAWL_OPTIONS)} disabled={disabled} className="px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">{t('common.resetDefaults')}</button>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { POST_OUTCOMES, diagnosticsFileName, diagnosticsToJson } from '../lib/scanDiagnostics.js';
+import { useI18n } from './I18nContext.jsx';
+
+const OUTCOME_CLASSES = {
+    job: 'bg-green-100 text-green-800',
+    possible: 'bg-amber-100 text-amber-800',
+    grouped: 'bg-sky-100 text-sky-800',
+    rejected: 'bg-gray-200 text-gray-700',
+    duplicate: 'bg-gray-100 text-gray-600',
+    'not-fetched': 'bg-red-100 text-red-700',
+};
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${ms} ms`);
+
+/**
+ * Saves the report as a JSON file through a temporary download link.
+ * @param {object} report
+ */
+const downloadReport = (report) => {
+    const blob = new Blob([diagnosticsToJson(report)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = diagnosticsFileName(report);
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+
+/**
+ * Per-scan report of every listing page and post link: fetch status and
+ * timing, what was extracted, and why a post was not listed as a job.
+ */
+export default function DiagnosticsPanel({ report }) {
+    const t = useI18n();
+    const [outcome, setOutcome] = useState('all');
+    if (!report) return null;
+
+    const postCount = report.sources.reduce((sum, source) => sum + source.posts.length, 0);
+
+    return (
+        <details className="mt-8 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">
+                {t(report.cancelled ? 'diagnostics.headingCancelled' : 'diagnostics.heading', { count: postCount })}
+            </summary>
+            <div className="p-3 pt-0 space-y-4 text-sm">
+                <div className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center gap-2 text-gray-600">
+                        {t('diagnostics.show')}
+                        <select value={outcome} onChange={(e) => setOutcome(e.target.value)} className="p-1 border border-gray-300 rounded">
+                            <option value="all">{t('diagnostics.allPosts')}</option>
+                            {Object.entries(POST_OUTCOMES).map(([id, label]) => <option key={id} value={id}>{t(`diagnostics.outcome.${id}`, { default: label })}</option>)}
+                        </select>
+                    </label>
+                    <button type="button" onClick={() => downloadReport(report)} className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200">{t('diagnostics.download')}</button>
+                    <span className="text-xs text-gray-500">{t('diagnostics.downloadHelp')}</span>
+                </div>
+
+                {report.sources.map(source => (
+                    <section key={source.url} className="space-y-2">
+                        <h3 className="font-semibold text-gray-700">
+                            {source.label} <span className="font-normal text-gray-500">{source.url}</span>
+                        </h3>
+                        {source.error && <p className="text-red-700">{t('diagnostics.failed', { error: source.error })}</p>}
+                        {Object.keys(source.outcomes).length > 0 && (
+                            <p className="text-xs text-gray-600">
+                                {Object.entries(source.outcomes).map(([id, count]) => `${t(`diagnostics.outcome.${id}`, { default: POST_OUTCOMES[id] })}: ${count}`).join(' · ')}
+                            </p>
+                        )}
+
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-xs text-left">
+                                <caption className="text-left font-medium text-gray-600 mb-1">{t('diagnostics.listingPages')}</caption>
+                                <thead className="text-gray-500">
+                                    <tr><th className="pr-2">{t('diagnostics.page')}</th><th className="pr-2">{t('diagnostics.fetch')}</th><th className="pr-2">{t('diagnostics.anchors')}</th><th className="pr-2">{t('diagnostics.postLinks')}</th><th>{t('diagnostics.nextPages')}</th></tr>
+                                </thead>
+                                <tbody>
+                                    {source.listingPages.map(page => (
+                                        <tr key={page.url} className="border-t border-gray-100 align-top">
+                                            <td className="pr-2 py-1 break-all"><a href={page.url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:underline">{page.url}</a></td>
+                                            <td className={`pr-2 py-1 whitespace-nowrap ${page.ok ? 'text-gray-600' : 'text-red-700'}`}>{page.ok ? 'OK' : page.error} · {formatMs(page.durationMs)}</td>
+                                            <td className="pr-2 py-1">{page.anchors}</td>
+                                            <td className="pr-2 py-1">{page.postLinks}</td>
+                                            <td className="py-1">{page.listingLinks}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {source.posts.length > 0 && (
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-xs text-left">
+                                    <caption className="text-left font-medium text-gray-600 mb-1">{t('diagnostics.postLinks')}</caption>
+                                    <thead className="text-gray-500">
+                                        <tr><th className="pr-2">{t('diagnostics.post')}</th><th className="pr-2">{t('diagnostics.fetch')}</th><th className="pr-2">{t('diagnostics.deadlineText')}</th><th className="pr-2">{t('diagnostics.keywords')}</th><th className="pr-2">{t('diagnostics.score')}</th><th>{t('diagnostics.result')}</th></tr>
+                                    </thead>
+                                    <tbody>
+                                        {source.posts.filter(post => outcome === 'all' || post.outcome === outcome).map(post => (
+                                            <tr key={post.url} className="border-t border-gray-100 align-top">
+                                                <td className="pr-2 py-1 max-w-xs">
+                                                    <a href={post.url} target="_blank" rel="noopener noreferrer" className="block text-indigo-600 hover:underline break-all">{post.title || post.url}</a>
+                                                    {post.pdf && <span className="text-gray-500">{post.pdf.error ? t('diagnostics.pdfFailed', { error: post.pdf.error }) : t('diagnostics.pdfRead')}</span>}
+                                                </td>
+                                                <td className={`pr-2 py-1 whitespace-nowrap ${post.fetch === 'ok' ? 'text-gray-600' : 'text-red-700'}`}>{post.fetch === 'ok' ? 'OK' : post.fetch} · {formatMs(post.durationMs)}</td>
+                                                <td className="pr-2 py-1">
+                                                    {post.deadlineText || <em className="text-gray-400">{t('rules.result.none')}</em>}
+                                                    {post.deadlineSource && <span className="text-gray-500"> ({post.deadlineSource}, {Math.round(post.deadlineConfidence * 100)}%)</span>}
+                                                </td>
+                                                <td className="pr-2 py-1" title={post.matchedKeywords?.join(', ')}>{post.keywordScore ?? ''}</td>
+                                                <td className="pr-2 py-1 whitespace-nowrap">{post.classifierScore != null ? `${post.classifierScore} / ${post.threshold}` : ''}</td>
+                                                <td className="py-1">
+                                                    <span className={`inline-block px-2 py-0.5 rounded-full font-semibold ${OUTCOME_CLASSES[post.outcome]}`}>{t(`diagnostics.outcome.${post.outcome}`, { default: POST_OUTCOMES[post.outcome] })}</span>
+                                                    {post.reason && <span className="block text-gray-600 mt-0.5">{post.reason}</span>}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </section>
+                ))}
+            </div>
+        </details>
+    );
+}
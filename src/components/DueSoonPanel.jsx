@@ -0,0 +1,44 @@
+import React from 'react';
+import { getDaysLeft, getUrgency, isDueSoon } from '../lib/reminders.js';
+import { useI18n } from './I18nContext.jsx';
+
+const URGENCY_TEXT = {
+    urgent: 'text-red-700',
+    soon: 'text-orange-700',
+    upcoming: 'text-amber-700',
+    later: 'text-gray-700',
+};
+
+const describeDaysLeft = (t, days) => {
+    if (days === 0) return t('dueSoon.today');
+    if (days === 1) return t('dueSoon.tomorrow');
+    return t('dueSoon.inDays', { count: days });
+};
+
+/**
+ * Starred jobs whose reminder window has started, soonest first.
+ */
+export default function DueSoonPanel({ bookmarks }) {
+    const t = useI18n();
+    const due = bookmarks.filter(bookmark => isDueSoon(bookmark));
+    if (due.length === 0) return null;
+
+    return (
+        <section className="mb-4 p-3 border border-amber-200 bg-amber-50 rounded-lg" aria-labelledby="due-soon-heading">
+            <h2 id="due-soon-heading" className="text-sm font-semibold text-amber-900 mb-2">{t('dueSoon.heading', { count: due.length })}</h2>
+            <ul className="space-y-1 text-sm">
+                {due.map(bookmark => {
+                    const days = getDaysLeft(bookmark.lastDate);
+                    return (
+                        <li key={bookmark.link} className="flex flex-wrap justify-between gap-x-3">
+                            <a href={bookmark.link} target="_blank" rel="noopener noreferrer" className="text-indigo-700 hover:underline truncate max-w-full">{bookmark.title}</a>
+                            <span className={`font-medium ${URGENCY_TEXT[getUrgency(bookmark.lastDate)]}`}>
+                                {describeDaysLeft(t, days)}{bookmark.deadlineTime ? t('dueSoon.till', { time: bookmark.deadlineTime }) : ''}
+                            </span>
+                        </li>
+                    );
+                })}
+            </ul>
+        </section>
+    );
+}
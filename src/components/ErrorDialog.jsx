@@ -0,0 +1,71 @@
+import React, { useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { useI18n } from './I18nContext.jsx';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Modal alert for an error. Focus moves to the Close button and stays inside
+ * the dialog until it is closed with the button, Escape or a click outside;
+ * it then returns to where it was.
+ */
+export default function ErrorDialog({ message, onClose }) {
+    const t = useI18n();
+    const dialogRef = useRef(null);
+    const closeRef = useRef(null);
+
+    useEffect(() => {
+        const previous = document.activeElement;
+        closeRef.current?.focus();
+        return () => {
+            if (previous && typeof previous.focus === 'function' && document.contains(previous)) previous.focus();
+        };
+    }, []);
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            onClose();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+        const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+
+    return createPortal(
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full flex justify-center items-center z-50" onClick={onClose}>
+            <div
+                ref={dialogRef}
+                role="alertdialog"
+                aria-modal="true"
+                aria-labelledby="error-dialog-title"
+                aria-describedby="error-dialog-message"
+                onKeyDown={handleKeyDown}
+                onClick={e => e.stopPropagation()}
+                className="relative p-6 bg-white w-96 max-w-full rounded-lg shadow-xl animate-fade-in-up"
+            >
+                <h2 id="error-dialog-title" className="text-xl font-semibold text-red-700 mb-2 flex items-center">
+                    <svg className="w-6 h-6 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path></svg>
+                    {t('error.title')}
+                </h2>
+                <p id="error-dialog-message" className="text-gray-600 mb-4">{message}</p>
+                <div className="flex justify-end">
+                    <button ref={closeRef} type="button" onClick={onClose} className="px-4 py-2 bg-red-600 text-white font-medium rounded-lg hover:bg-red-700 transition focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2">
+                        {t('common.close')}
+                    </button>
+                </div>
+            </div>
+        </div>,
+        document.body
+    );
+}
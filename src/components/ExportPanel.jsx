@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import { EXPORT_COLUMNS, formatIsoDay, loadExportOptions, saveExportOptions, toCsv, toIcs, toJson, toPrintHtml } from '../lib/exportJobs.js';
+import { useI18n } from './I18nContext.jsx';
+
+/**
+ * Saves text as a file through a temporary download link.
+ * @param {string} content
+ * @param {string} filename
+ * @param {string} type - MIME type.
+ */
+const downloadFile = (content, filename, type) => {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+
+/**
+ * Bulk export of the jobs currently shown (after filters) with a column picker.
+ */
+export default function ExportPanel({ jobs, filterSummary }) {
+    const t = useI18n();
+    const [options, setOptions] = useState(loadExportOptions);
+
+    useEffect(() => {
+        saveExportOptions(options);
+    }, [options]);
+
+    if (jobs.length === 0) return null;
+
+    const toggleColumn = (id) => setOptions({
+        ...options,
+        columns: options.columns.includes(id) ? options.columns.filter(column => column !== id) : [...options.columns, id],
+    });
+    const baseName = `jobs-${formatIsoDay(new Date())}`;
+    const noColumns = options.columns.length === 0;
+
+    const exportCsv = (spreadsheet) => downloadFile(toCsv(jobs, options.columns, { spreadsheet }), `${baseName}${spreadsheet ? '-excel' : ''}.csv`, 'text/csv;charset=utf-8');
+    const exportJson = () => downloadFile(toJson(jobs, options.columns), `${baseName}.json`, 'application/json');
+    const exportIcs = () => downloadFile(toIcs(jobs, options.columns, { alarmDays: options.alarmDays }), `${baseName}.ics`, 'text/calendar;charset=utf-8');
+    const printReport = () => {
+        const html = toPrintHtml(jobs, options.columns, { subtitle: filterSummary });
+        const report = window.open('', '_blank');
+        if (!report) {
+            // Pop-up blocked: save the report so it can be opened and printed.
+            downloadFile(html, `${baseName}.html`, 'text/html');
+            return;
+        }
+        report.document.write(html);
+        report.document.close();
+        report.focus();
+        report.print();
+    };
+
+    const buttonClass = 'px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50';
+
+    return (
+        <details className="mb-4 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('export.heading', { count: jobs.length })}</summary>
+            <div className="p-3 pt-0 space-y-3 text-sm">
+                <p className="text-xs text-gray-500">{filterSummary ? t('export.helpFiltered', { filters: filterSummary }) : t('export.help')}</p>
+                <fieldset>
+                    <legend className="text-xs font-medium text-gray-600 mb-1">{t('export.columns')}</legend>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1">
+                        {EXPORT_COLUMNS.map(({ id, label }) => (
+                            <label key={id} className="flex items-center gap-1 text-gray-700">
+                                <input
+                                    type="checkbox"
+                                    checked={options.columns.includes(id)}
+                                    onChange={() => toggleColumn(id)}
+                                    className="w-4 h-4 text-indigo-600 bg-gray-100 border-gray-300 rounded focus:ring-indigo-500"
+                                />
+                                {t(`export.column.${id}`, { default: label })}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+                <label className="flex items-center gap-2 text-xs text-gray-600">
+                    {t('export.reminder')}
+                    <input
+                        type="number"
+                        min={0}
+                        max={30}
+                        value={options.alarmDays}
+                        onChange={(e) => setOptions({ ...options, alarmDays: Math.min(30, Math.max(0, Math.round(Number(e.target.value)) || 0)) })}
+                        className="w-16 p-1 border border-gray-300 rounded-lg"
+                    />
+                    {t('export.reminderDays')}
+                </label>
+                <div className="flex flex-wrap gap-2">
+                    <button type="button" onClick={() => exportCsv(false)} disabled={noColumns} className={buttonClass}>CSV</button>
+                    <button type="button" onClick={() => exportCsv(true)} disabled={noColumns} className={buttonClass} title={t('export.excelHelp')}>{t('export.excel')}</button>
+                    <button type="button" onClick={exportJson} disabled={noColumns} className={buttonClass}>JSON</button>
+                    <button type="button" onClick={exportIcs} className={buttonClass} title={t('export.calendarHelp')}>{t('export.calendar')}</button>
+                    <button type="button" onClick={printReport} disabled={noColumns} className={buttonClass}>{t('export.print')}</button>
+                </div>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,96 @@
+import React from 'react';
+import { BACKEND_TYPES, DEFAULT_BACKENDS, DEFAULT_TIMEOUT_MS } from '../lib/fetchBackends.js';
+import { useI18n } from './I18nContext.jsx';
+
+/**
+ * Settings panel for choosing, ordering and configuring fetch backends.
+ * Backends are tried top to bottom; disabled ones are skipped.
+ */
+export default function FetchSettings({ backends, onChange, disabled }) {
+    const t = useI18n();
+    const update = (index, changes) => {
+        onChange(backends.map((backend, i) => (i === index ? { ...backend, ...changes } : backend)));
+    };
+
+    const move = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= backends.length) return;
+        const next = [...backends];
+        [next[index], next[target]] = [next[target], next[index]];
+        onChange(next);
+    };
+
+    const addCustom = () => {
+        onChange([...backends, {
+            id: `custom-${Date.now()}`,
+            type: 'custom',
+            label: t('fetch.customLabel'),
+            url: 'http://localhost:8787/?url={url}',
+            timeout: DEFAULT_TIMEOUT_MS,
+            enabled: true,
+        }]);
+    };
+
+    const remove = (index) => onChange(backends.filter((_, i) => i !== index));
+
+    return (
+        <details className="mb-6 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('fetch.heading')}</summary>
+            <div className="p-3 pt-0 space-y-3">
+                <p className="text-xs text-gray-500">
+                    {t('fetch.help').split('{url}').map((part, i) => <React.Fragment key={i}>{i > 0 && <code>{'{url}'}</code>}{part}</React.Fragment>)}
+                </p>
+                {backends.map((backend, index) => (
+                    <div key={backend.id} className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+                        <div className="flex flex-wrap items-center gap-2">
+                            <input
+                                id={`backend-${backend.id}`}
+                                type="checkbox"
+                                checked={backend.enabled}
+                                onChange={(e) => update(index, { enabled: e.target.checked })}
+                                className="w-4 h-4 text-indigo-600 bg-gray-100 border-gray-300 rounded focus:ring-indigo-500"
+                                disabled={disabled}
+                            />
+                            <label htmlFor={`backend-${backend.id}`} className="font-medium text-gray-700">{backend.label}</label>
+                            <span className="text-xs text-gray-500">{t(`fetch.type.${backend.type}`, { default: BACKEND_TYPES[backend.type] })}</span>
+                            <div className="ml-auto flex gap-1">
+                                <button type="button" onClick={() => move(index, -1)} disabled={disabled || index === 0} className="px-2 py-1 text-sm rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50" aria-label={t('fetch.moveUp', { label: backend.label })}>↑</button>
+                                <button type="button" onClick={() => move(index, 1)} disabled={disabled || index === backends.length - 1} className="px-2 py-1 text-sm rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50" aria-label={t('fetch.moveDown', { label: backend.label })}>↓</button>
+                                {backend.id.startsWith('custom-') && (
+                                    <button type="button" onClick={() => remove(index)} disabled={disabled} className="px-2 py-1 text-sm rounded bg-gray-100 hover:bg-red-100 text-red-600 disabled:opacity-50" aria-label={t('fetch.remove', { label: backend.label })}>✕</button>
+                                )}
+                            </div>
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+                            {backend.type !== 'direct' && (
+                                <input
+                                    type="text"
+                                    value={backend.url}
+                                    onChange={(e) => update(index, { url: e.target.value })}
+                                    className="sm:col-span-3 p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                                    aria-label={t('fetch.proxyUrl', { label: backend.label })}
+                                    disabled={disabled}
+                                />
+                            )}
+                            <label className="flex items-center gap-1 text-sm text-gray-600 sm:col-start-4">
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={Math.round(backend.timeout / 1000)}
+                                    onChange={(e) => update(index, { timeout: Math.max(1, Number(e.target.value)) * 1000 })}
+                                    className="w-16 p-2 text-sm border border-gray-300 rounded-lg"
+                                    disabled={disabled}
+                                />
+                                {t('fetch.timeout')}
+                            </label>
+                        </div>
+                    </div>
+                ))}
+                <div className="flex gap-2">
+                    <button type="button" onClick={addCustom} disabled={disabled} className="px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">{t('fetch.addCustom')}</button>
+                    <button type="button" onClick={() => onChange(DEFAULT_BACKENDS)} disabled={disabled} className="px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">{t('common.resetDefaults')}</button>
+                </div>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,13 @@
+import { createContext, useContext } from 'react';
+import { createTranslator } from '../lib/i18n.js';
+
+/**
+ * The translator of the chosen language, provided by App. Components rendered
+ * on their own (in tests or previews) get English.
+ */
+export const I18nContext = createContext(createTranslator('en'));
+
+/**
+ * @returns {ReturnType<typeof createTranslator>} The current translator.
+ */
+export const useI18n = () => useContext(I18nContext);
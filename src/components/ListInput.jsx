@@ -0,0 +1,28 @@
+import React, { useEffect, useState } from 'react';
+
+const parseList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Text input for a comma-separated list. Keeps the typed text (including a
+ * trailing comma) while reporting the parsed list on every change.
+ */
+export default function ListInput({ value, onChange, ...props }) {
+    const [text, setText] = useState(value.join(', '));
+
+    // Pick up changes made elsewhere, e.g. switching rule sets or clearing filters.
+    useEffect(() => {
+        if (parseList(text).join(',') !== value.join(',')) setText(value.join(', '));
+    }, [value]);
+
+    return (
+        <input
+            type="text"
+            {...props}
+            value={text}
+            onChange={(e) => {
+                setText(e.target.value);
+                onChange(parseList(e.target.value));
+            }}
+        />
+    );
+}
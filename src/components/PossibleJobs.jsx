@@ -0,0 +1,35 @@
+import React from 'react';
+import ScoreBreakdown from './ScoreBreakdown.jsx';
+import { useI18n } from './I18nContext.jsx';
+
+/**
+ * Review list of posts that have a deadline but scored below the classifier
+ * threshold. Promoting one moves it into the job list.
+ */
+export default function PossibleJobs({ jobs, onPromote, disabled }) {
+    const t = useI18n();
+    if (jobs.length === 0) return null;
+
+    return (
+        <details className="mt-8 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('possibleJobs.heading', { count: jobs.length })}</summary>
+            <div className="p-3 pt-0 space-y-2">
+                <p className="text-xs text-gray-500">{t('possibleJobs.help')}</p>
+                <ul className="space-y-2">
+                    {jobs.map(job => (
+                        <li key={job.link} className="p-3 bg-gray-50 rounded-lg flex flex-wrap items-start gap-2 text-sm">
+                            <div className="flex-grow min-w-0">
+                                <a href={job.link} target="_blank" rel="noopener noreferrer" className="block font-medium text-indigo-700 hover:underline truncate">{job.title}</a>
+                                <p className="text-xs text-gray-500">
+                                    {t('common.lastDate', { date: t.formatDate(job.lastDate) })}{job.sourceLabel ? ` · ${job.sourceLabel}` : ''}
+                                </p>
+                                <ScoreBreakdown classification={job.classification} />
+                            </div>
+                            <button type="button" onClick={() => onPromote(job.link)} disabled={disabled} className="px-3 py-1 rounded bg-indigo-100 text-indigo-700 hover:bg-indigo-200 disabled:opacity-50">{t('possibleJobs.promote')}</button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,99 @@
+import React from 'react';
+import { DATE_PRESETS, DEFAULT_QUERY, SORT_FIELDS } from '../lib/jobQuery.js';
+import ListInput from './ListInput.jsx';
+import { useI18n } from './I18nContext.jsx';
+
+const inputClass = 'w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition';
+const labelClass = 'block text-xs font-medium text-gray-600 mb-1';
+
+/**
+ * Search, filter and sort controls for the results list.
+ */
+export default function ResultsFilters({ query, onChange, sites, matchCount, totalCount }) {
+    const t = useI18n();
+    const update = (changes) => onChange({ ...query, ...changes });
+    const toggleSite = (site) => update({ sites: query.sites.includes(site) ? query.sites.filter(item => item !== site) : [...query.sites, site] });
+    const isFiltered = JSON.stringify({ ...query, sort: DEFAULT_QUERY.sort, order: DEFAULT_QUERY.order }) !== JSON.stringify(DEFAULT_QUERY);
+
+    return (
+        <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-3">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <div className="sm:col-span-2">
+                    <label htmlFor="results-search" className={labelClass}>{t('filters.search')}</label>
+                    <input
+                        id="results-search"
+                        type="search"
+                        value={query.search}
+                        onChange={(e) => update({ search: e.target.value })}
+                        placeholder={t('filters.searchPlaceholder')}
+                        className={inputClass}
+                    />
+                </div>
+                <div>
+                    <label htmlFor="results-sort" className={labelClass}>{t('filters.sort')}</label>
+                    <div className="flex gap-2">
+                        <select id="results-sort" value={query.sort} onChange={(e) => update({ sort: e.target.value })} className={inputClass}>
+                            {SORT_FIELDS.map(field => <option key={field.id} value={field.id}>{t(`filters.sortField.${field.id}`, { default: field.label })}</option>)}
+                        </select>
+                        <button
+                            type="button"
+                            onClick={() => update({ order: query.order === 'asc' ? 'desc' : 'asc' })}
+                            className="px-3 rounded-lg bg-white border border-gray-300 hover:bg-gray-100"
+                            title={t(query.order === 'asc' ? 'filters.ascending' : 'filters.descending')}
+                            aria-label={t(query.order === 'asc' ? 'filters.orderAscending' : 'filters.orderDescending')}
+                        >
+                            {query.order === 'asc' ? '↑' : '↓'}
+                        </button>
+                    </div>
+                </div>
+                <div>
+                    <label htmlFor="results-range" className={labelClass}>{t('filters.deadline')}</label>
+                    <select id="results-range" value={query.range} onChange={(e) => update({ range: e.target.value })} className={inputClass}>
+                        <option value="">{t('filters.anyTime')}</option>
+                        {DATE_PRESETS.map(preset => <option key={preset.id} value={preset.id}>{t(`filters.preset.${preset.id}`, { default: preset.label })}</option>)}
+                        <option value="custom">{t('filters.customRange')}</option>
+                    </select>
+                </div>
+                {query.range === 'custom' && (
+                    <>
+                        <div>
+                            <label htmlFor="results-from" className={labelClass}>{t('filters.from')}</label>
+                            <input id="results-from" type="date" value={query.from} max={query.to || undefined} onChange={(e) => update({ from: e.target.value })} className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="results-to" className={labelClass}>{t('filters.to')}</label>
+                            <input id="results-to" type="date" value={query.to} min={query.from || undefined} onChange={(e) => update({ to: e.target.value })} className={inputClass} />
+                        </div>
+                    </>
+                )}
+                <div className={query.range === 'custom' ? 'sm:col-span-3 grid grid-cols-1 sm:grid-cols-2 gap-3' : 'sm:col-span-2 grid grid-cols-1 sm:grid-cols-2 gap-3'}>
+                    <div>
+                        <label htmlFor="results-include" className={labelClass}>{t('filters.include')}</label>
+                        <ListInput id="results-include" value={query.include} onChange={(include) => update({ include })} placeholder={t('filters.includePlaceholder')} className={inputClass} />
+                    </div>
+                    <div>
+                        <label htmlFor="results-exclude" className={labelClass}>{t('filters.exclude')}</label>
+                        <ListInput id="results-exclude" value={query.exclude} onChange={(exclude) => update({ exclude })} placeholder={t('filters.excludePlaceholder')} className={inputClass} />
+                    </div>
+                </div>
+            </div>
+            {sites.length > 1 && (
+                <fieldset>
+                    <legend className={labelClass}>{t('filters.sites')}</legend>
+                    <div className="flex flex-wrap gap-2">
+                        {sites.map(site => (
+                            <label key={site} className={`px-2 py-1 rounded-full border text-xs cursor-pointer ${query.sites.includes(site) ? 'bg-indigo-100 border-indigo-300 text-indigo-800' : 'bg-white border-gray-300 text-gray-600'}`}>
+                                <input type="checkbox" checked={query.sites.includes(site)} onChange={() => toggleSite(site)} className="sr-only" />
+                                {site}
+                            </label>
+                        ))}
+                    </div>
+                </fieldset>
+            )}
+            <div className="flex items-center justify-between text-xs text-gray-600">
+                <span role="status">{t('filters.showing', { count: totalCount, matchCount })}</span>
+                {isFiltered && <button type="button" onClick={() => onChange({ ...DEFAULT_QUERY, sort: query.sort, order: query.order })} className="text-indigo-600 hover:underline">{t('filters.clear')}</button>}
+            </div>
+        </div>
+    );
+}
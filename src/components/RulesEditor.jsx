@@ -0,0 +1,226 @@
+import React, { useState } from 'react';
+import { DEFAULT_RULES, exportRules, getRulesForUrl, importRules, normalizeDomain, validateRule } from '../lib/extractionRules.js';
+import { findPostLinks } from '../lib/crawler.js';
+import { analyzePost } from '../lib/extractJob.js';
+import { parseHtml } from '../lib/htmlDocument.js';
+import { listJobLinks } from '../lib/postLinks.js';
+import ListInput from './ListInput.jsx';
+import ScoreBreakdown from './ScoreBreakdown.jsx';
+import { useI18n } from './I18nContext.jsx';
+
+// Labels are the rules.field.<key> messages. A placeholder given as a message
+// key describes the built-in behaviour; the others show the default value.
+const TEXT_FIELDS = [
+    { key: 'postLinkSelector', placeholder: DEFAULT_RULES.postLinkSelector },
+    { key: 'titleSelector', placeholderKey: 'rules.placeholder.titleSelector' },
+    { key: 'deadlineSelector', placeholderKey: 'rules.placeholder.deadlineSelector' },
+    { key: 'deadlineRegex', placeholderKey: 'rules.placeholder.deadlineRegex' },
+];
+
+const LIST_FIELDS = [
+    { key: 'jobUrlKeywords', placeholder: DEFAULT_RULES.jobUrlKeywords.join(', ') },
+    { key: 'jobKeywords', placeholder: DEFAULT_RULES.jobKeywords.join(', ') },
+];
+
+const inputClass = 'w-full mt-1 p-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+/**
+ * Runs a rule set against a fetched page and reports what it would extract,
+ * both as a listing page (post links) and as a post (title, deadline, keywords).
+ * @param {string} html
+ * @param {string} url
+ * @param {object} rules - Effective rules.
+ * @param {object} classifier - Classifier settings.
+ * @returns {object}
+ */
+const previewRules = (html, url, rules, classifier) => {
+    const doc = parseHtml(html);
+    return {
+        postLinks: findPostLinks(doc, url, new URL(url).origin, rules),
+        ...analyzePost(doc, rules, { url, classifier }),
+    };
+};
+
+/**
+ * Editor for per-domain extraction rules with a live preview and JSON import/export.
+ */
+export default function RulesEditor({ rules, onChange, fetchHtml, classifier, disabled }) {
+    const t = useI18n();
+    const [selected, setSelected] = useState(0);
+    const [previewUrl, setPreviewUrl] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [message, setMessage] = useState('');
+    const [isPreviewing, setIsPreviewing] = useState(false);
+
+    const rule = rules[selected];
+    const errors = rule ? validateRule(rule) : [];
+
+    const update = (changes) => onChange(rules.map((item, i) => (i === selected ? { ...item, ...changes } : item)));
+
+    const addRule = () => {
+        onChange([...rules, { domain: '' }]);
+        setSelected(rules.length);
+        setPreview(null);
+    };
+
+    const removeRule = () => {
+        onChange(rules.filter((_, i) => i !== selected));
+        setSelected(Math.max(0, selected - 1));
+        setPreview(null);
+    };
+
+    const runPreview = async () => {
+        setMessage('');
+        setPreview(null);
+        const url = previewUrl.trim().startsWith('http') ? previewUrl.trim() : `https://${previewUrl.trim()}`;
+        setIsPreviewing(true);
+        try {
+            const html = await fetchHtml(url);
+            // Preview the rule being edited even if its domain does not match the URL yet.
+            const effective = getRulesForUrl([{ ...rule, domain: normalizeDomain(url) }], url);
+            setPreview(previewRules(html, url, effective, classifier));
+        } catch (e) {
+            setMessage(t('rules.previewFailed', { error: t.message(e) }));
+        } finally {
+            setIsPreviewing(false);
+        }
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([exportRules(rules)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'job-crawler-rules.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = importRules(await file.text());
+            const importedDomains = new Set(imported.map(item => item.domain));
+            onChange([...rules.filter(item => !importedDomains.has(item.domain)), ...imported]);
+            setMessage(t('rules.imported', { count: imported.length }));
+        } catch (err) {
+            setMessage(t('rules.importFailed', { error: err.message }));
+        }
+    };
+
+    return (
+        <details className="mb-4 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('rules.heading', { count: rules.length })}</summary>
+            <div className="p-3 pt-0 space-y-3 text-sm">
+                <p className="text-xs text-gray-500">{t('rules.help')}</p>
+                <div className="flex flex-wrap gap-2">
+                    <select
+                        value={rule ? selected : ''}
+                        onChange={(e) => { setSelected(Number(e.target.value)); setPreview(null); }}
+                        className="p-2 border border-gray-300 rounded-lg"
+                        aria-label={t('rules.ruleSet')}
+                        disabled={rules.length === 0}
+                    >
+                        {rules.length === 0 && <option value="">{t('rules.none')}</option>}
+                        {rules.map((item, i) => <option key={i} value={i}>{item.domain || t('rules.newRuleOption')}</option>)}
+                    </select>
+                    <button type="button" onClick={addRule} disabled={disabled} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">{t('rules.newRule')}</button>
+                    {rule && <button type="button" onClick={removeRule} disabled={disabled} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-red-100 text-red-600 disabled:opacity-50">{t('common.delete')}</button>}
+                    <button type="button" onClick={handleExport} disabled={rules.length === 0} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">{t('rules.export')}</button>
+                    <label className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 cursor-pointer">
+                        {t('rules.import')}
+                        <input type="file" accept="application/json,.json" onChange={handleImport} className="sr-only" disabled={disabled} />
+                    </label>
+                </div>
+
+                {rule && (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <label className="sm:col-span-2 text-xs text-gray-600">
+                            {t('rules.domain')}
+                            <input
+                                type="text"
+                                value={rule.domain}
+                                onChange={(e) => update({ domain: e.target.value })}
+                                onBlur={(e) => update({ domain: normalizeDomain(e.target.value) })}
+                                placeholder="example.com"
+                                className={inputClass}
+                                disabled={disabled}
+                            />
+                        </label>
+                        {TEXT_FIELDS.map(({ key, placeholder, placeholderKey }) => (
+                            <label key={key} className="text-xs text-gray-600">
+                                {t(`rules.field.${key}`)}
+                                <input
+                                    type="text"
+                                    value={rule[key] || ''}
+                                    onChange={(e) => update({ [key]: e.target.value })}
+                                    placeholder={placeholderKey ? t(placeholderKey) : placeholder}
+                                    className={`${inputClass} font-mono`}
+                                    disabled={disabled}
+                                />
+                            </label>
+                        ))}
+                        {LIST_FIELDS.map(({ key, placeholder }) => (
+                            <label key={key} className="text-xs text-gray-600">
+                                {t(`rules.field.${key}`)}
+                                <ListInput
+                                    value={rule[key] || []}
+                                    onChange={(list) => update({ [key]: list })}
+                                    placeholder={placeholder}
+                                    className={inputClass}
+                                    disabled={disabled}
+                                />
+                            </label>
+                        ))}
+                        {errors.length > 0 && (
+                            <ul className="sm:col-span-2 text-xs text-red-600 list-disc list-inside">
+                                {errors.map(error => <li key={error}>{error}</li>)}
+                            </ul>
+                        )}
+                        <div className="sm:col-span-2 flex gap-2">
+                            <input
+                                type="url"
+                                value={previewUrl}
+                                onChange={(e) => setPreviewUrl(e.target.value)}
+                                placeholder={t('rules.previewPlaceholder')}
+                                aria-label={t('rules.previewUrl')}
+                                className="flex-grow p-2 border border-gray-300 rounded-lg"
+                            />
+                            <button type="button" onClick={runPreview} disabled={!previewUrl.trim() || errors.length > 0 || isPreviewing} className="px-3 py-2 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700 disabled:bg-indigo-300">
+                                {isPreviewing ? t('rules.fetching') : t('rules.preview')}
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {message && <p className="text-xs text-gray-600">{message}</p>}
+
+                {preview && (
+                    <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-1" aria-live="polite">
+                        <p><span className="font-medium">{t('rules.result.title')}</span> {preview.title}</p>
+                        <p><span className="font-medium">{t('rules.result.deadlineText')}</span> {preview.deadlineText || <em>{t('rules.result.noMatch')}</em>}</p>
+                        <p><span className="font-medium">{t('rules.result.deadline')}</span> {preview.lastDate ? `${t.formatDate(preview.lastDate)}${preview.deadlineTime ? ` ${preview.deadlineTime}` : ''} (${t('rules.result.confidence', { percent: Math.round(preview.deadlineConfidence * 100) })})` : <em>{t('rules.result.none')}</em>}</p>
+                        <p><span className="font-medium">{t('rules.result.structured')}</span> {preview.structured ? t('rules.result.jobPosting') : t('rules.result.none')}{preview.deadlineSource === 'structured' ? ` ${t('rules.result.validThrough')}` : ''}</p>
+                        {preview.organization && <p><span className="font-medium">{t('job.organization')}:</span> {preview.organization}</p>}
+                        {preview.location && <p><span className="font-medium">{t('job.location')}:</span> {preview.location}</p>}
+                        {listJobLinks(preview).length > 0 && (
+                            <p><span className="font-medium">{t('rules.result.links')}</span> {listJobLinks(preview).map(({ id, label, url }) => (
+                                <a key={id} href={url} target="_blank" rel="noopener noreferrer" className="mr-2 text-indigo-600 hover:underline" title={url}>{t(`links.${id}`, { default: label })}</a>
+                            ))}</p>
+                        )}
+                        <p><span className="font-medium">{t('rules.result.keywordScore')}</span> {preview.score} ({preview.matchedKeywords.join(', ') || t('rules.result.none')})</p>
+                        <p><span className="font-medium">{t('rules.result.detection')}</span> {preview.classification.accepted ? t('rules.result.accepted') : t('rules.result.rejected')}</p>
+                        <ScoreBreakdown classification={preview.classification} summary={t('rules.result.breakdown')} />
+                        <details>
+                            <summary className="cursor-pointer font-medium">{t('rules.result.postLinks', { count: preview.postLinks.length })}</summary>
+                            <ul className="mt-1 max-h-40 overflow-y-auto text-xs text-gray-600">
+                                {preview.postLinks.map(link => <li key={link} className="truncate">{link}</li>)}
+                            </ul>
+                        </details>
+                    </div>
+                )}
+            </div>
+        </details>
+    );
+}
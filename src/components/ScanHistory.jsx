@@ -0,0 +1,38 @@
+import React from 'react';
+import { useI18n } from './I18nContext.jsx';
+
+/**
+ * Collapsible list of saved scans with controls to view or delete each one.
+ */
+export default function ScanHistory({ scans, viewedScanId, onView, onDelete, disabled }) {
+    const t = useI18n();
+    if (scans.length === 0) return null;
+
+    return (
+        <details className="mb-4 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('history.heading', { count: scans.length })}</summary>
+            <ul className="p-3 pt-0 space-y-2 max-h-72 overflow-y-auto">
+                {scans.map(scan => (
+                    <li key={scan.id} className={`p-2 rounded-lg flex flex-wrap items-center gap-2 text-sm ${scan.id === viewedScanId ? 'bg-indigo-50 border border-indigo-200' : 'bg-gray-50'}`}>
+                        <div className="flex-grow min-w-0">
+                            <p className="font-medium text-gray-700 truncate" title={scan.sources?.map(source => source.label).join(', ')}>{scan.label}</p>
+                            <p className="text-xs text-gray-500">
+                                {[
+                                    t.formatDate(scan.finishedAt, 'dateTime'),
+                                    t('history.jobs', { count: scan.jobCount }),
+                                    t('history.new', { count: scan.newCount }),
+                                    scan.changedCount > 0 && t('history.changed', { count: scan.changedCount }),
+                                    scan.removedCount > 0 && t('history.removed', { count: scan.removedCount }),
+                                    scan.possibleCount > 0 && t('history.possible', { count: scan.possibleCount }),
+                                    scan.cancelled && t('history.cancelled'),
+                                ].filter(Boolean).join(' · ')}
+                            </p>
+                        </div>
+                        <button type="button" onClick={() => onView(scan.id)} disabled={disabled || scan.id === viewedScanId} className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50" aria-label={t('history.viewLabel', { label: scan.label })}>{t('history.view')}</button>
+                        <button type="button" onClick={() => onDelete(scan.id)} disabled={disabled} className="px-3 py-1 rounded bg-gray-100 hover:bg-red-100 text-red-600 disabled:opacity-50" aria-label={t('history.deleteLabel', { label: scan.label })}>{t('common.delete')}</button>
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+}
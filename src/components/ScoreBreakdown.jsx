@@ -0,0 +1,33 @@
+import React from 'react';
+import { useI18n } from './I18nContext.jsx';
+
+const formatScore = (value) => (value > 0 ? `+${value}` : String(value));
+
+/**
+ * Collapsible explanation of a classifier result: the total against the
+ * threshold and what each feature contributed.
+ */
+export default function ScoreBreakdown({ classification, summary }) {
+    const t = useI18n();
+    if (!classification) return null;
+    const { score, threshold, accepted, breakdown } = classification;
+
+    return (
+        <details className="mt-1 text-xs text-gray-600">
+            <summary className="cursor-pointer select-none text-gray-500 hover:text-gray-700">
+                {summary ?? t('score.why')} {t(accepted ? 'score.summary' : 'score.summaryRejected', { score, threshold })}
+            </summary>
+            <table className="mt-1">
+                <tbody>
+                    {breakdown.map(item => (
+                        <tr key={item.id} className={item.contribution === 0 ? 'text-gray-400' : ''}>
+                            <td className="pr-2 text-right font-mono">{formatScore(item.contribution)}</td>
+                            <td className="pr-2">{t(`classifier.feature.${item.id}`, { default: item.label })}</td>
+                            <td>{item.detail}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </details>
+    );
+}
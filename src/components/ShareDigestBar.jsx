@@ -0,0 +1,32 @@
+import React, { useState } from 'react';
+import { CHANNELS, getShareUrl, renderShareMessage } from '../lib/shareTemplates.js';
+import { useI18n } from './I18nContext.jsx';
+
+/**
+ * Actions for the checked jobs: build one digest message in a channel's
+ * format, then copy it or open the channel's share screen.
+ */
+export default function ShareDigestBar({ jobs, templates, onCopy, copied, onSelectPage, onClear }) {
+    const t = useI18n();
+    const [channel, setChannel] = useState(CHANNELS[0].id);
+    if (jobs.length === 0) return null;
+
+    const text = renderShareMessage(jobs, templates[channel]);
+
+    return (
+        <div role="group" aria-label={t('digest.label')} className="sticky top-0 z-10 mb-4 p-3 flex flex-wrap items-center gap-2 text-sm bg-indigo-50 border border-indigo-200 rounded-lg">
+            <span className="font-medium text-indigo-800">{t('digest.selected', { count: jobs.length })}</span>
+            <select value={channel} onChange={(e) => setChannel(e.target.value)} aria-label={t('digest.format')} className="p-1 border border-gray-300 rounded-lg">
+                {CHANNELS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            <button type="button" onClick={() => onCopy(text)} className="px-3 py-1 rounded-lg bg-teal-500 text-white hover:bg-teal-600">
+                {copied ? t('common.copied') : t('digest.copy')}
+            </button>
+            <a href={getShareUrl(channel, text, { link: jobs[0].link })} target="_blank" rel="noopener noreferrer" className="px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">
+                {t('share.openIn', { channel: CHANNELS.find(item => item.id === channel).label })}
+            </a>
+            <button type="button" onClick={onSelectPage} className="px-3 py-1 rounded-lg bg-white border border-gray-300 hover:bg-gray-100">{t('digest.selectPage')}</button>
+            <button type="button" onClick={onClear} className="px-3 py-1 rounded-lg bg-white border border-gray-300 hover:bg-gray-100">{t('digest.clear')}</button>
+        </div>
+    );
+}
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { CHANNELS, DEFAULT_TEMPLATES, PLACEHOLDERS, TEMPLATE_PARTS, renderShareMessage } from '../lib/shareTemplates.js';
+import { useI18n } from './I18nContext.jsx';
+
+// Shown in the preview when there are no results to use.
+const SAMPLE_JOB = {
+    title: 'Junior Clerk Recruitment 2025 – 120 Posts',
+    link: 'https://example.com/junior-clerk-recruitment-2025',
+    lastDate: new Date(Date.now() + 5 * 86400000),
+    previousLastDate: new Date(Date.now() + 2 * 86400000),
+    deadlineTime: '17:00',
+    sourceLabel: 'example.com',
+    organization: 'Example Commission',
+    links: {
+        notification: 'https://example.gov.in/notices/junior-clerk-2025.pdf',
+        apply: 'https://example.gov.in/apply',
+    },
+};
+
+/**
+ * Editor for the per-channel share templates with a live preview.
+ */
+export default function ShareTemplatesEditor({ templates, onChange, sampleJobs }) {
+    const t = useI18n();
+    const [channel, setChannel] = useState(CHANNELS[0].id);
+    const [digest, setDigest] = useState(false);
+    const template = templates[channel];
+    const jobs = sampleJobs.length > 0 ? sampleJobs : [SAMPLE_JOB];
+
+    const update = (part, value) => onChange({ ...templates, [channel]: { ...template, [part]: value } });
+
+    return (
+        <details className="mb-4 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('templates.heading')}</summary>
+            <div className="p-3 pt-0 space-y-3 text-sm">
+                <div className="flex flex-wrap gap-2" role="tablist" aria-label={t('templates.channel')}>
+                    {CHANNELS.map(({ id, label }) => (
+                        <button
+                            key={id}
+                            type="button"
+                            role="tab"
+                            aria-selected={channel === id}
+                            onClick={() => setChannel(id)}
+                            className={`px-3 py-1 rounded-lg ${channel === id ? 'bg-indigo-600 text-white' : 'bg-gray-100 hover:bg-gray-200'}`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+                {TEMPLATE_PARTS.map(part => (
+                    <label key={part} className="block text-xs text-gray-600">
+                        {t(`templates.part.${part}`)}
+                        <textarea
+                            value={template[part]}
+                            onChange={(e) => update(part, e.target.value)}
+                            rows={part === 'item' ? 5 : 2}
+                            className="w-full mt-1 p-2 font-mono text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                        />
+                    </label>
+                ))}
+                <details className="text-xs text-gray-600">
+                    <summary className="cursor-pointer">{t('templates.placeholders')}</summary>
+                    <ul className="mt-1 grid grid-cols-1 sm:grid-cols-2 gap-1">
+                        {PLACEHOLDERS.map(({ name, help }) => (
+                            <li key={name}><code className="px-1 bg-gray-100 rounded">{`{${name}}`}</code> {t(`templates.placeholder.${name}`, { default: help })}</li>
+                        ))}
+                    </ul>
+                </details>
+                <div>
+                    <div className="flex items-center justify-between mb-1">
+                        <span className="text-xs font-medium text-gray-600">{t('templates.preview')}</span>
+                        <label className="flex items-center gap-1 text-xs text-gray-600">
+                            <input type="checkbox" checked={digest} onChange={(e) => setDigest(e.target.checked)} className="w-4 h-4 text-indigo-600 border-gray-300 rounded" />
+                            {t('templates.asDigest')}
+                        </label>
+                    </div>
+                    <pre className="p-3 bg-gray-50 border border-gray-200 rounded-lg whitespace-pre-wrap break-words text-sm font-sans">
+                        {renderShareMessage(digest ? jobs.slice(0, 3) : jobs.slice(0, 1), template)}
+                    </pre>
+                </div>
+                <button type="button" onClick={() => onChange({ ...templates, [channel]: DEFAULT_TEMPLATES[channel] })} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200">
+                    {t('templates.reset', { channel: CHANNELS.find(item => item.id === channel).label })}
+                </button>
+            </div>
+        </details>
+    );
+}
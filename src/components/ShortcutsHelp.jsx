@@ -0,0 +1,26 @@
+import React from 'react';
+import { SHORTCUTS } from '../lib/shortcuts.js';
+import { useI18n } from './I18nContext.jsx';
+
+const KEY_NAMES = { Escape: 'Esc' };
+
+/**
+ * Collapsible list of the keyboard shortcuts; "?" opens and closes it.
+ */
+export default function ShortcutsHelp({ open, onToggle }) {
+    const t = useI18n();
+
+    return (
+        <details id="keyboard-shortcuts" className="mt-8 border border-gray-200 rounded-lg" open={open} onToggle={(e) => onToggle(e.currentTarget.open)}>
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('shortcuts.heading')}</summary>
+            <dl className="p-3 pt-0 grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+                {SHORTCUTS.map(({ id, keys }) => (
+                    <React.Fragment key={id}>
+                        <dt>{keys.map(key => <kbd key={key} className="px-1.5 py-0.5 border border-gray-300 rounded bg-gray-50 font-mono text-xs">{KEY_NAMES[key] || key}</kbd>)}</dt>
+                        <dd className="text-gray-600">{t(`shortcuts.${id}`)}</dd>
+                    </React.Fragment>
+                ))}
+            </dl>
+        </details>
+    );
+}
@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from 'react';
+import { SCHEDULE_OPTIONS, getDueSources, getNextScanAt } from '../lib/sources.js';
+import { useI18n } from './I18nContext.jsx';
+
+const SETTING_FIELDS = [
+    { key: 'maxDepth', min: 0, max: 5 },
+    { key: 'maxPages', min: 1, max: 100 },
+    { key: 'maxPosts', min: 1, max: 1000 },
+];
+
+const STATUS_STYLES = {
+    pending: 'text-gray-500',
+    running: 'text-indigo-600',
+    done: 'text-green-700',
+    error: 'text-red-600',
+};
+
+/**
+ * Describes when a scheduled source is scanned next.
+ * @param {Function} t - The translator.
+ * @param {object} source
+ * @param {number} now
+ * @returns {string} '' for a manual-only source.
+ */
+const describeNextScan = (t, source, now) => {
+    const nextScanAt = getNextScanAt(source);
+    if (nextScanAt === null) return '';
+    const minutes = Math.ceil((nextScanAt - now) / 60000);
+    if (minutes <= 0) return t('sources.dueNow');
+    if (minutes < 60) return t('sources.nextInMinutes', { count: minutes });
+    return t('sources.nextInHours', { count: Math.round(minutes / 60) });
+};
+
+/**
+ * Manages the saved source list and shows per-source scan status.
+ */
+export default function SourcesPanel({ sources, sourceStatus, onAdd, onUpdate, onRemove, onScan, onScanAll, onRunDue, disabled }) {
+    const t = useI18n();
+    const [newUrl, setNewUrl] = useState('');
+    const [newLabel, setNewLabel] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [now, setNow] = useState(Date.now());
+
+    // Keep the "next scan" times current.
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        if (!newUrl.trim()) return;
+        onAdd(newUrl, newLabel);
+        setNewUrl('');
+        setNewLabel('');
+    };
+
+    const updateSetting = (source, key, value) => {
+        onUpdate(source.id, { settings: { ...source.settings, [key]: value === '' ? '' : Number(value) } });
+    };
+
+    const dueCount = getDueSources(sources, now).length;
+
+    return (
+        <details className="mb-4 border border-gray-200 rounded-lg" open={sources.length > 0}>
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('sources.heading', { count: sources.length })}</summary>
+            <div className="p-3 pt-0 space-y-3">
+                {sources.length > 0 && (
+                    <ul className="space-y-2">
+                        {sources.map(source => {
+                            const status = sourceStatus[source.id];
+                            return (
+                                <li key={source.id} className="p-2 bg-gray-50 rounded-lg border border-gray-200 text-sm">
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        <div className="flex-grow min-w-0">
+                                            <p className="font-medium text-gray-700 truncate">{source.label}</p>
+                                            <p className="text-xs text-gray-500 truncate">{source.url}</p>
+                                            {source.scheduleHours > 0 && <p className="text-xs text-gray-500">{describeNextScan(t, source, now)}</p>}
+                                        </div>
+                                        <button type="button" onClick={() => onScan(source.id)} disabled={disabled} className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200 disabled:opacity-50" aria-label={t('sources.scanLabel', { label: source.label })}>{t('sources.scan')}</button>
+                                        <button type="button" onClick={() => setEditingId(editingId === source.id ? null : source.id)} className="px-3 py-1 rounded bg-gray-100 hover:bg-gray-200" aria-expanded={editingId === source.id} aria-label={t('sources.settingsLabel', { label: source.label })}>{t('sources.settings')}</button>
+                                        <button type="button" onClick={() => onRemove(source.id)} disabled={disabled} className="px-3 py-1 rounded bg-gray-100 hover:bg-red-100 text-red-600 disabled:opacity-50" aria-label={t('sources.removeLabel', { label: source.label })}>{t('sources.remove')}</button>
+                                    </div>
+                                    {status && (
+                                        <p className={`mt-1 text-xs ${STATUS_STYLES[status.state]}`}>{status.message}</p>
+                                    )}
+                                    {editingId === source.id && (
+                                        <div className="mt-2 grid grid-cols-1 sm:grid-cols-4 gap-2">
+                                            <label className="sm:col-span-4 text-xs text-gray-600">
+                                                {t('sources.label')}
+                                                <input
+                                                    type="text"
+                                                    value={source.label}
+                                                    onChange={(e) => onUpdate(source.id, { label: e.target.value })}
+                                                    className="w-full mt-1 p-2 border border-gray-300 rounded-lg"
+                                                    disabled={disabled}
+                                                />
+                                            </label>
+                                            <label className="sm:col-span-4 text-xs text-gray-600">
+                                                {t('sources.schedule')}
+                                                <select
+                                                    value={source.scheduleHours || 0}
+                                                    onChange={(e) => onUpdate(source.id, { scheduleHours: Number(e.target.value) })}
+                                                    className="w-full mt-1 p-2 border border-gray-300 rounded-lg"
+                                                >
+                                                    {SCHEDULE_OPTIONS.map(({ hours, label }) => <option key={hours} value={hours}>{t(`sources.scheduleOption.${hours}`, { default: label })}</option>)}
+                                                </select>
+                                                <span className="block mt-1 text-gray-500">{t('sources.scheduleHelp')}</span>
+                                            </label>
+                                            {SETTING_FIELDS.map(({ key, min, max }) => (
+                                                <label key={key} className="text-xs text-gray-600">
+                                                    {t(`sources.setting.${key}`)}
+                                                    <input
+                                                        type="number"
+                                                        min={min}
+                                                        max={max}
+                                                        value={source.settings?.[key] ?? ''}
+                                                        placeholder={t('sources.default')}
+                                                        onChange={(e) => updateSetting(source, key, e.target.value)}
+                                                        className="w-full mt-1 p-2 border border-gray-300 rounded-lg"
+                                                        disabled={disabled}
+                                                    />
+                                                </label>
+                                            ))}
+                                        </div>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+                <form onSubmit={handleAdd} className="grid grid-cols-1 sm:grid-cols-5 gap-2">
+                    <input
+                        type="text"
+                        value={newUrl}
+                        onChange={(e) => setNewUrl(e.target.value)}
+                        placeholder={t('sources.newUrlPlaceholder')}
+                        aria-label={t('sources.newUrl')}
+                        className="sm:col-span-2 p-2 text-sm border border-gray-300 rounded-lg"
+                        disabled={disabled}
+                    />
+                    <input
+                        type="text"
+                        value={newLabel}
+                        onChange={(e) => setNewLabel(e.target.value)}
+                        placeholder={t('sources.newLabelPlaceholder')}
+                        aria-label={t('sources.newLabel')}
+                        className="sm:col-span-2 p-2 text-sm border border-gray-300 rounded-lg"
+                        disabled={disabled}
+                    />
+                    <button type="submit" disabled={disabled || !newUrl.trim()} className="px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50">{t('sources.add')}</button>
+                </form>
+                {sources.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            type="button"
+                            onClick={onScanAll}
+                            disabled={disabled}
+                            className="w-full sm:w-auto bg-indigo-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-indigo-700 disabled:bg-indigo-300 disabled:cursor-not-allowed transition"
+                        >
+                            {t('sources.scanAll', { count: sources.length })}
+                        </button>
+                        {sources.some(source => source.scheduleHours > 0) && (
+                            <button
+                                type="button"
+                                onClick={onRunDue}
+                                disabled={disabled || dueCount === 0}
+                                className="w-full sm:w-auto py-2 px-4 rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+                            >
+                                {t('sources.runDue', { count: dueCount })}
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+        </details>
+    );
+}
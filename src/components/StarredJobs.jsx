@@ -0,0 +1,51 @@
+import React from 'react';
+import ListInput from './ListInput.jsx';
+import { useI18n } from './I18nContext.jsx';
+
+/**
+ * Parses reminder offsets, keeping unique whole numbers of days, largest first.
+ * @param {string[]} values
+ * @returns {number[]}
+ */
+const parseOffsets = (values) => [...new Set(values.map(Number).filter(value => Number.isInteger(value) && value >= 0))].sort((a, b) => b - a);
+
+/**
+ * Collapsible list of starred jobs with their reminder offsets.
+ */
+export default function StarredJobs({ bookmarks, permission, onEnableNotifications, onUpdateReminders, onRemove }) {
+    const t = useI18n();
+    return (
+        <details className="mb-4 border border-gray-200 rounded-lg">
+            <summary className="cursor-pointer select-none p-3 text-sm font-medium text-gray-700">{t('starred.heading', { count: bookmarks.length })}</summary>
+            <div className="p-3 pt-0 space-y-3 text-sm">
+                <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                    <span>{t(`starred.permission.${permission}`)}</span>
+                    {permission === 'default' && (
+                        <button type="button" onClick={onEnableNotifications} className="px-3 py-1 rounded-lg bg-indigo-600 text-white hover:bg-indigo-700">{t('starred.enableNotifications')}</button>
+                    )}
+                </div>
+                {bookmarks.length === 0 && <p className="text-xs text-gray-500">{t('starred.empty')}</p>}
+                <ul className="space-y-2">
+                    {bookmarks.map(bookmark => (
+                        <li key={bookmark.link} className="p-2 bg-gray-50 rounded-lg flex flex-wrap items-center gap-2">
+                            <div className="flex-grow min-w-0">
+                                <a href={bookmark.link} target="_blank" rel="noopener noreferrer" className="block font-medium text-indigo-700 hover:underline truncate">{bookmark.title}</a>
+                                <p className="text-xs text-gray-500">{t('common.lastDate', { date: t.formatDate(bookmark.lastDate) })}</p>
+                            </div>
+                            <label className="text-xs text-gray-600">
+                                {t('starred.remindDays')}
+                                <ListInput
+                                    value={bookmark.reminderDays.map(String)}
+                                    onChange={(values) => onUpdateReminders(bookmark.link, parseOffsets(values))}
+                                    placeholder="7, 3, 1"
+                                    className="ml-2 w-24 p-1 border border-gray-300 rounded-lg"
+                                />
+                            </label>
+                            <button type="button" onClick={() => onRemove(bookmark.link)} className="px-3 py-1 rounded bg-gray-100 hover:bg-red-100 text-red-600" aria-label={t('starred.unstarLabel', { title: bookmark.title })}>{t('starred.unstar')}</button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </details>
+    );
+}
@@ -0,0 +1,46 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createAbortError } from '../crawlQueue.js';
+
+// --- Fixture Fetch ---
+//
+// A stand-in for fetchHtml that serves saved pages from ./pages instead of the
+// network. Files are named after the page URL with every non-alphanumeric run
+// replaced by "_" and .html added (.pdf for PDF files), the scheme
+// scripts/stand-in-proxy.js also reads; add pages with scripts/record-fixture.js.
+
+export const PAGES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'pages');
+
+/**
+ * @param {string} url
+ * @returns {string} The fixture file name for a page.
+ */
+export const fixtureName = (url) => `${url.replace(/[^a-z0-9]+/gi, '_')}.${/\.pdf$/i.test(url) ? 'pdf' : 'html'}`;
+
+/**
+ * Creates a fetchHtml stub. Pages without a fixture fail like an HTTP 404,
+ * and `failing` URLs like a proxy error. Every requested URL is recorded in
+ * `fetchHtml.requested`.
+ * @param {object} [options]
+ * @param {string} [options.dir] - Directory of saved pages.
+ * @param {string[]} [options.failing] - URLs that always fail.
+ * @returns {((url: string, options?: { signal?: AbortSignal, binary?: boolean }) => Promise<string|Uint8Array>)
+ *   & { requested: string[] }}
+ */
+export const createFixtureFetch = ({ dir = PAGES_DIR, failing = [] } = {}) => {
+    const requested = [];
+    const fetchHtml = async (url, { signal, binary = false } = {}) => {
+        requested.push(url);
+        if (signal?.aborted) throw createAbortError();
+        if (failing.includes(url)) throw new Error(`Failed to fetch ${url} (HTTP 502)`);
+        try {
+            const file = path.join(dir, fixtureName(url));
+            return binary ? new Uint8Array(await fs.readFile(file)) : await fs.readFile(file, 'utf8');
+        } catch (e) {
+            throw new Error(`Failed to fetch ${url} (HTTP 404, no fixture ${fixtureName(url)})`);
+        }
+    };
+    fetchHtml.requested = requested;
+    return fetchHtml;
+};
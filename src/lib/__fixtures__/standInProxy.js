@@ -0,0 +1,38 @@
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PAGES_DIR } from './fixtureFetch.js';
+
+// --- Stand-in Proxy ---
+//
+// Starts scripts/stand-in-proxy.js on a free port, serving the pages in
+// ./pages, for tests that go through real HTTP requests.
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../..');
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+/**
+ * Starts the stand-in proxy and waits until it listens.
+ * @param {string[]} [args] - Extra command-line options, e.g. ['--mode', 'allorigins'].
+ * @returns {Promise<{ url: string, stop: () => void }>} The proxy URL template
+ *   ("http://localhost:<port>/?url={url}") and a function that stops the proxy.
+ */
+export const startStandInProxy = async (args = []) => {
+    const port = await freePort();
+    const child = spawn(process.execPath, ['scripts/stand-in-proxy.js', '--port', String(port), '--fixtures', PAGES_DIR, ...args], { cwd: ROOT_DIR });
+    await new Promise((resolve, reject) => {
+        child.once('error', reject);
+        child.once('exit', code => reject(new Error(`The stand-in proxy exited with ${code}.`)));
+        child.stdout.once('data', resolve);
+    });
+    return { url: `http://localhost:${port}/?url={url}`, stop: () => child.kill() };
+};
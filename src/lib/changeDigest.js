@@ -0,0 +1,52 @@
+import { createTranslator } from './i18n.js';
+import { renderShareMessage } from './shareTemplates.js';
+
+// --- Change Digest ---
+//
+// What a scan changed compared with the scans before it: jobs seen for the
+// first time, jobs whose deadline moved and posts that are no longer listed.
+// The statuses come from recordScan(), so a saved scan's digest can be rebuilt
+// whenever it is viewed.
+
+export const DIGEST_SECTIONS = [
+    { id: 'newJobs', heading: 'New jobs' },
+    { id: 'changedJobs', heading: 'Deadline changed' },
+    { id: 'removedJobs', heading: 'No longer listed' },
+];
+
+/**
+ * Builds the digest of a scan.
+ * @param {{ jobs: object[], removedJobs?: object[] }} scan - A scan, or the
+ *   jobs and removed jobs currently shown.
+ * @returns {{ newJobs: object[], changedJobs: object[], removedJobs: object[] }}
+ */
+export const buildChangeDigest = ({ jobs, removedJobs = [] }) => ({
+    newJobs: jobs.filter(job => job.status === 'new'),
+    changedJobs: jobs.filter(job => job.status === 'deadline-changed'),
+    removedJobs,
+});
+
+/**
+ * @param {object} digest
+ * @returns {number} The number of jobs in the digest.
+ */
+export const countChanges = (digest) => DIGEST_SECTIONS.reduce((sum, { id }) => sum + digest[id].length, 0);
+
+/**
+ * Builds a share message for a digest in a channel's format: one section per
+ * kind of change, each listing its jobs with the channel's item template.
+ * Changed jobs also show their previous deadline. The headings are in the
+ * language of `t`, English by default.
+ * @param {object} digest
+ * @param {object} template - { header, item, separator, footer }.
+ * @param {{ today?: Date, t?: Function }} [options] - `t` is a createTranslator() function.
+ * @returns {string}
+ */
+export const renderChangeDigest = (digest, template, { t = createTranslator('en'), ...options } = {}) => DIGEST_SECTIONS
+    .filter(({ id }) => digest[id].length > 0)
+    .map(({ id, heading }) => {
+        const item = id === 'changedJobs' ? `${template.item}\n${t('changes.previousDeadline')}` : template.item;
+        const message = renderShareMessage(digest[id], { ...template, header: '', footer: '', item }, options);
+        return `${t(`changes.section.${id}`, { default: heading })} (${digest[id].length})\n\n${message}`;
+    })
+    .join(template.separator);
@@ -0,0 +1,109 @@
+// --- Crawl Queue ---
+//
+// Wraps a `fetchHtml` function so that requests run with bounded concurrency,
+// are spaced out per host, are retried with exponential backoff, and can all
+// be cancelled through one AbortSignal.
+
+export const RETRY_BASE_DELAY_MS = 1000;
+
+/**
+ * Creates the error thrown for cancelled work, matching what `fetch` throws.
+ * @returns {DOMException}
+ */
+export const createAbortError = () => new DOMException('Scan cancelled.', 'AbortError');
+
+/**
+ * Checks whether an error came from an aborted request.
+ * @param {Error} e
+ * @returns {boolean}
+ */
+export const isAbortError = (e) => e?.name === 'AbortError';
+
+/**
+ * Resolves after `ms` milliseconds, or rejects early if the signal aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+    }
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, Math.max(0, ms));
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Creates a rate-limited, retrying, cancellable version of `fetchHtml`.
+ * @param {object} params
+ * @param {(url: string, options?: { signal?: AbortSignal }) => Promise<string>} params.fetchHtml - The underlying fetcher.
+ * @param {number} [params.concurrency=4] - Maximum requests in flight.
+ * @param {number} [params.hostDelay=0] - Minimum milliseconds between request starts on the same host.
+ * @param {number} [params.retries=0] - Extra attempts after a failed request.
+ * @param {number} [params.retryBaseDelay] - Backoff before the first retry; doubles on each attempt.
+ * @param {AbortSignal} [params.signal] - Cancels queued and in-flight requests.
+ * @returns {(url: string, options?: { binary?: boolean }) => Promise<string|Uint8Array>} Options other
+ *   than the signal are passed on to `fetchHtml`.
+ */
+export const createCrawlQueue = ({ fetchHtml, concurrency = 4, hostDelay = 0, retries = 0, retryBaseDelay = RETRY_BASE_DELAY_MS, signal }) => {
+    const limit = Math.max(1, concurrency);
+    const waiting = [];
+    const nextStartByHost = new Map();
+    let active = 0;
+
+    signal?.addEventListener('abort', () => {
+        waiting.splice(0).forEach(({ reject }) => reject(createAbortError()));
+    }, { once: true });
+
+    const acquire = () => new Promise((resolve, reject) => {
+        if (signal?.aborted) reject(createAbortError());
+        else if (active < limit) {
+            active++;
+            resolve();
+        } else {
+            waiting.push({ resolve, reject });
+        }
+    });
+
+    const release = () => {
+        const next = waiting.shift();
+        if (next) next.resolve();
+        else active--;
+    };
+
+    // Reserves the next start slot for the URL's host and waits until it arrives.
+    const waitForHost = (url) => {
+        if (hostDelay <= 0) return Promise.resolve();
+        const host = new URL(url).host;
+        const now = Date.now();
+        const start = Math.max(now, nextStartByHost.get(host) || 0);
+        nextStartByHost.set(host, start + hostDelay);
+        return sleep(start - now, signal);
+    };
+
+    return async (url, options = {}) => {
+        await acquire();
+        try {
+            for (let attempt = 0; ; attempt++) {
+                await waitForHost(url);
+                try {
+                    return await fetchHtml(url, { ...options, signal });
+                } catch (e) {
+                    if (signal?.aborted) throw createAbortError();
+                    if (attempt >= retries) throw e;
+                    await sleep(retryBaseDelay * 2 ** attempt, signal);
+                }
+            }
+        } finally {
+            release();
+        }
+    };
+};
@@ -0,0 +1,156 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createAbortError, createCrawlQueue, isAbortError } from './crawlQueue.js';
+
+// A fetcher whose requests stay open until the test settles them. It records
+// when each request started and how many were running at once, and rejects an
+// open request when its signal aborts, as `fetch` does.
+const createFakeFetch = () => {
+    const open = [];
+    let running = 0;
+    const fetchHtml = vi.fn((url, { signal } = {}) => new Promise((resolve, reject) => {
+        const request = {
+            url,
+            startedAt: Date.now(),
+            resolve: (html) => { running--; resolve(html); },
+            reject: (e) => { running--; reject(e); },
+        };
+        running++;
+        fetchHtml.maxRunning = Math.max(fetchHtml.maxRunning, running);
+        fetchHtml.started.push(request);
+        open.push(request);
+        signal?.addEventListener('abort', () => request.reject(createAbortError()), { once: true });
+    }));
+    fetchHtml.maxRunning = 0;
+    fetchHtml.started = [];
+    // Settles the oldest open request for a URL.
+    fetchHtml.respond = (url, html = `<p>${url}</p>`) => open.splice(open.findIndex(request => request.url === url), 1)[0].resolve(html);
+    fetchHtml.fail = (url, error = new Error('HTTP 502')) => open.splice(open.findIndex(request => request.url === url), 1)[0].reject(error);
+    return fetchHtml;
+};
+
+const page = (host, n) => `https://${host}/page/${n}/`;
+
+beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2026, 0, 10, 10, 0));
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('createCrawlQueue', () => {
+    it('runs at most `concurrency` requests at once and starts the next as one finishes', async () => {
+        const fetchHtml = createFakeFetch();
+        const queued = createCrawlQueue({ fetchHtml, concurrency: 2 });
+        const urls = [1, 2, 3, 4, 5].map(n => page(`site${n}.example.in`, 1));
+        const results = urls.map(url => queued(url));
+
+        await vi.advanceTimersByTimeAsync(0);
+        expect(fetchHtml.started.map(request => request.url)).toEqual(urls.slice(0, 2));
+
+        fetchHtml.respond(urls[0]);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(fetchHtml.started.map(request => request.url)).toEqual(urls.slice(0, 3));
+
+        for (const url of urls.slice(1)) {
+            fetchHtml.respond(url);
+            await vi.advanceTimersByTimeAsync(0);
+        }
+        await expect(Promise.all(results)).resolves.toEqual(urls.map(url => `<p>${url}</p>`));
+        expect(fetchHtml.maxRunning).toBe(2);
+    });
+
+    it('spaces requests to the same host by `hostDelay` but not requests to other hosts', async () => {
+        const fetchHtml = createFakeFetch();
+        const queued = createCrawlQueue({ fetchHtml, concurrency: 4, hostDelay: 500 });
+        const start = Date.now();
+        [page('a.example.in', 1), page('a.example.in', 2), page('b.example.in', 1), page('a.example.in', 3)].forEach(url => queued(url));
+
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(fetchHtml.started.map(request => [request.url, request.startedAt - start])).toEqual([
+            [page('a.example.in', 1), 0],
+            [page('b.example.in', 1), 0],
+            [page('a.example.in', 2), 500],
+            [page('a.example.in', 3), 1000],
+        ]);
+    });
+
+    it('retries a failed request with exponential backoff', async () => {
+        const fetchHtml = createFakeFetch();
+        const queued = createCrawlQueue({ fetchHtml, retries: 3, retryBaseDelay: 1000 });
+        const url = page('a.example.in', 1);
+        const result = queued(url);
+        const start = Date.now();
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            await vi.advanceTimersByTimeAsync(0);
+            fetchHtml.fail(url);
+            await vi.advanceTimersByTimeAsync(1000 * 2 ** attempt);
+        }
+        fetchHtml.respond(url);
+
+        await expect(result).resolves.toBe(`<p>${url}</p>`);
+        expect(fetchHtml.started.map(request => request.startedAt - start)).toEqual([0, 1000, 3000, 7000]);
+    });
+
+    it('gives up with the last error once the retries are used up', async () => {
+        const fetchHtml = createFakeFetch();
+        const queued = createCrawlQueue({ fetchHtml, retries: 1, retryBaseDelay: 1000 });
+        const url = page('a.example.in', 1);
+        const result = queued(url).catch(e => e);
+
+        await vi.advanceTimersByTimeAsync(0);
+        fetchHtml.fail(url, new Error('HTTP 502'));
+        await vi.advanceTimersByTimeAsync(1000);
+        fetchHtml.fail(url, new Error('HTTP 503'));
+
+        expect((await result).message).toBe('HTTP 503');
+        expect(fetchHtml).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects queued, waiting and in-flight requests when cancelled', async () => {
+        const unhandled = vi.fn();
+        process.on('unhandledRejection', unhandled);
+        try {
+            const fetchHtml = createFakeFetch();
+            const controller = new AbortController();
+            const queued = createCrawlQueue({ fetchHtml, concurrency: 2, hostDelay: 500, retries: 2, signal: controller.signal });
+            const inFlight = queued(page('a.example.in', 1));
+            const waitingForHost = queued(page('a.example.in', 2));
+            const waitingForSlot = queued(page('b.example.in', 1));
+            const results = [inFlight, waitingForHost, waitingForSlot].map(promise => promise.then(() => null, e => e));
+
+            await vi.advanceTimersByTimeAsync(100);
+            expect(fetchHtml).toHaveBeenCalledTimes(1);
+            controller.abort();
+
+            const errors = await Promise.all(results);
+            expect(errors.every(isAbortError)).toBe(true);
+            await expect(queued(page('c.example.in', 1))).rejects.toSatisfy(isAbortError);
+
+            await vi.advanceTimersByTimeAsync(10000);
+            expect(fetchHtml).toHaveBeenCalledTimes(1);
+            // Node reports unhandled rejections after the current macrotask.
+            vi.useRealTimers();
+            await new Promise(resolve => setImmediate(resolve));
+            expect(unhandled).not.toHaveBeenCalled();
+        } finally {
+            process.off('unhandledRejection', unhandled);
+        }
+    });
+
+    it('does not retry a request that failed because the scan was cancelled', async () => {
+        const fetchHtml = createFakeFetch();
+        const controller = new AbortController();
+        const queued = createCrawlQueue({ fetchHtml, retries: 3, signal: controller.signal });
+        const result = queued(page('a.example.in', 1)).catch(e => e);
+
+        await vi.advanceTimersByTimeAsync(0);
+        controller.abort();
+
+        expect(isAbortError(await result)).toBe(true);
+        await vi.advanceTimersByTimeAsync(10000);
+        expect(fetchHtml).toHaveBeenCalledTimes(1);
+    });
+});
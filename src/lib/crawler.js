@@ -0,0 +1,197 @@
+import { loadJson, saveJson } from './storage.js';
+import { isAbortError } from './crawlQueue.js';
+import { DEFAULT_RULES } from './extractionRules.js';
+import { getText, parseHtml } from './htmlDocument.js';
+
+// --- Listing Page Crawler ---
+//
+// Job portals spread their listings over several pages ("/page/2", "Older
+// posts", "?paged=3") and category archives. The crawler walks those listing
+// pages breadth-first, level by level, and collects candidate job post links.
+
+export const DEFAULT_CRAWL_OPTIONS = {
+    maxDepth: 1,
+    maxPages: 10,
+    maxPosts: 100,
+    followCategories: false,
+    concurrency: 4,
+    hostDelay: 500,
+    retries: 2,
+    // Read a post's notification PDF when the page gives no clear deadline.
+    readPdfs: true,
+};
+
+const STORAGE_KEY = 'jobCrawler.crawlOptions';
+
+const PAGINATION_SELECTOR = 'a[rel="next"], link[rel="next"], .pagination a, .nav-links a, .page-numbers, .wp-pagenavi a, .nav-previous a, .nav-next a, a.next, a.older-posts, .blog-pager a';
+const PAGINATION_TEXT = /^(?:next|older posts?|older entries|more posts|load more|»|›|>|\d+)$|next\s*(?:page|»|›)|older/i;
+const PAGINATION_URL = /\/page\/\d+\/?(?:$|[?#])|[?&](?:paged|page|pg|start)=\d+|\/search\?.*updated-max=/i;
+
+const CATEGORY_SELECTOR = '.cat-links a, .category a, .categories a, a[rel~="category"], .widget_categories a, .menu a, nav a';
+const CATEGORY_URL = /\/(?:category|categories|tag|label|search\/label)\//i;
+
+/**
+ * Resolves a link against the page it was found on and drops the fragment.
+ * @param {string} href - The raw href.
+ * @param {string} baseUrl - The page URL.
+ * @returns {string|null} The absolute URL or null if it cannot be parsed.
+ */
+export const resolveUrl = (href, baseUrl) => {
+    if (!href) return null;
+    try {
+        const resolved = new URL(href, baseUrl);
+        resolved.hash = '';
+        return resolved.href;
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+ * Finds candidate job post links on a listing page.
+ * @param {Document} doc - The parsed listing page.
+ * @param {string} pageUrl - The listing page URL.
+ * @param {string} origin - Only links on this origin are returned.
+ * @param {object} [rules] - Effective extraction rules (post link selector and URL keywords).
+ * @returns {string[]}
+ */
+export const findPostLinks = (doc, pageUrl, origin, rules = DEFAULT_RULES) => {
+    const links = new Set();
+    const keywords = rules.jobUrlKeywords.map(keyword => keyword.toLowerCase());
+    doc.querySelectorAll(rules.postLinkSelector).forEach(link => {
+        const href = resolveUrl(link.getAttribute('href'), pageUrl);
+        if (!href || !href.startsWith(origin)) return;
+        const linkText = getText(link).toLowerCase();
+        const linkUrl = href.toLowerCase();
+        if (PAGINATION_URL.test(linkUrl)) return;
+        if (keywords.some(keyword => linkUrl.includes(keyword) || linkText.includes(keyword))) {
+            links.add(href);
+        }
+    });
+    return Array.from(links);
+};
+
+/**
+ * Finds further listing pages to crawl: pagination and, optionally, category archives.
+ * @param {Document} doc - The parsed listing page.
+ * @param {string} pageUrl - The listing page URL.
+ * @param {string} origin - Only links on this origin are returned.
+ * @param {boolean} followCategories - Whether category/tag archives count as listing pages.
+ * @returns {string[]}
+ */
+export const findListingLinks = (doc, pageUrl, origin, followCategories) => {
+    const links = new Set();
+    const add = (element) => {
+        const href = resolveUrl(element.getAttribute('href'), pageUrl);
+        if (href && href.startsWith(origin) && href !== pageUrl) links.add(href);
+    };
+
+    doc.querySelectorAll(PAGINATION_SELECTOR).forEach(element => {
+        const text = getText(element).trim();
+        const href = element.getAttribute('href') || '';
+        if (element.getAttribute('rel') === 'next' || PAGINATION_TEXT.test(text) || PAGINATION_URL.test(href)) add(element);
+    });
+    doc.querySelectorAll('a[href]').forEach(element => {
+        if (PAGINATION_URL.test(element.getAttribute('href'))) add(element);
+    });
+
+    if (followCategories) {
+        doc.querySelectorAll(CATEGORY_SELECTOR).forEach(element => {
+            if (CATEGORY_URL.test(element.getAttribute('href') || '')) add(element);
+        });
+    }
+    return Array.from(links);
+};
+
+/**
+ * Crawls listing pages breadth-first from `startUrl`, staying on its origin.
+ *
+ * Depth 0 is the start page itself; each further level follows the pagination
+ * (and optionally category) links found on the previous one. Crawling stops at
+ * `maxDepth`, after `maxPages` listing pages, or once `maxPosts` post links
+ * have been collected.
+ *
+ * @param {object} params
+ * @param {string} params.startUrl - The first listing page.
+ * @param {(url: string) => Promise<string>} params.fetchHtml - Fetches a page.
+ * @param {object} params.options - Crawl limits, see DEFAULT_CRAWL_OPTIONS.
+ * @param {object} [params.rules] - Effective extraction rules for the site.
+ * @param {(progress: object) => void} [params.onProgress] - Called as pages complete.
+ * @param {(page: object) => void} [params.onPage] - Receives each listing page's result:
+ *   { url, depth, ok, error, durationMs, anchors (links on the page), postLinks, listingLinks }.
+ * @returns {Promise<{ postLinks: string[], pagesCrawled: number, failedPages: string[] }>}
+ */
+export const crawlListingPages = async ({ startUrl, fetchHtml, options, rules = DEFAULT_RULES, onProgress = () => {}, onPage = () => {} }) => {
+    const { maxDepth, maxPages, maxPosts, followCategories } = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+    const origin = new URL(startUrl).origin;
+    const visited = new Set([startUrl]);
+    const postLinks = new Set();
+    const failedPages = [];
+    let level = [startUrl];
+    let pagesCrawled = 0;
+
+    for (let depth = 0; depth <= maxDepth && level.length > 0; depth++) {
+        const budget = Math.max(0, maxPages - pagesCrawled);
+        const pages = level.slice(0, budget);
+        if (pages.length === 0) break;
+
+        const nextLevel = [];
+        let done = 0;
+        onProgress({ depth, maxDepth, done, total: pages.length, pagesCrawled, postLinks: postLinks.size });
+
+        await Promise.all(pages.map(async (pageUrl) => {
+            const startedAt = Date.now();
+            try {
+                const html = await fetchHtml(pageUrl);
+                const doc = parseHtml(html);
+                const found = findPostLinks(doc, pageUrl, origin, rules);
+                found.forEach(link => postLinks.add(link));
+                const listingLinks = depth < maxDepth ? findListingLinks(doc, pageUrl, origin, followCategories) : [];
+                listingLinks.forEach(link => {
+                    if (!visited.has(link)) {
+                        visited.add(link);
+                        nextLevel.push(link);
+                    }
+                });
+                onPage({
+                    url: pageUrl,
+                    depth,
+                    ok: true,
+                    error: null,
+                    durationMs: Date.now() - startedAt,
+                    anchors: doc.querySelectorAll('a[href]').length,
+                    postLinks: found.length,
+                    listingLinks: listingLinks.length,
+                });
+            } catch (e) {
+                if (!isAbortError(e)) onPage({ url: pageUrl, depth, ok: false, error: e.message, durationMs: Date.now() - startedAt, anchors: 0, postLinks: 0, listingLinks: 0 });
+                // The start page is required; deeper listing pages are best effort.
+                if (depth === 0 || isAbortError(e)) throw e;
+                failedPages.push(pageUrl);
+            }
+            pagesCrawled++;
+            done++;
+            onProgress({ depth, maxDepth, done, total: pages.length, pagesCrawled, postLinks: postLinks.size });
+        }));
+
+        if (postLinks.size >= maxPosts) break;
+        level = nextLevel;
+    }
+
+    return { postLinks: Array.from(postLinks).slice(0, maxPosts), pagesCrawled, failedPages };
+};
+
+/**
+ * Loads the saved crawl limits, falling back to the defaults.
+ * @returns {object}
+ */
+export const loadCrawlOptions = () => ({
+    ...DEFAULT_CRAWL_OPTIONS,
+    ...loadJson(STORAGE_KEY, {}, saved => saved && typeof saved === 'object'),
+});
+
+/**
+ * Persists the crawl limits.
+ * @param {object} options
+ */
+export const saveCrawlOptions = (options) => saveJson(STORAGE_KEY, options);
@@ -0,0 +1,187 @@
+// --- Crawler State ---
+//
+// The reducer behind the useJobCrawler hook in App.jsx. Every change to the
+// app's state goes through one of these actions ({ type, payload }), so tests
+// can follow a scan by the actions it dispatches.
+
+/**
+ * START_SCAN takes { ids, status, waiting, background }: the ids of the
+ * sources scanned, the first status line and the status of a source not
+ * started yet, already translated. A background scan keeps the results on
+ * screen and ends with FINISH_SCAN instead of SET_JOBS.
+ * @param {object} state
+ * @param {{ type: string, payload?: * }} action
+ * @returns {object} The next state.
+ */
+export const crawlerReducer = (state, action) => {
+    switch (action.type) {
+        case 'START_SCAN':
+            return {
+                ...state,
+                isLoading: true,
+                status: action.payload.status,
+                error: '',
+                notice: '',
+                sourceStatus: Object.fromEntries(action.payload.ids.map(id => [id, { state: 'pending', message: action.payload.waiting }])),
+                ...(action.payload.background ? {} : {
+                    jobs: [],
+                    possibleJobs: [],
+                    removedJobs: [],
+                    page: 1,
+                    diagnostics: null,
+                }),
+            };
+        case 'UPDATE_STATUS':
+            return {
+                ...state,
+                status: action.payload,
+            };
+        case 'SET_JOBS':
+            return {
+                ...state,
+                jobs: action.payload,
+                isLoading: false,
+                status: '',
+            };
+        case 'FINISH_SCAN':
+            return {
+                ...state,
+                isLoading: false,
+                status: '',
+            };
+        case 'SET_ERROR':
+            return {
+                ...state,
+                error: action.payload,
+                isLoading: false,
+                status: '',
+            };
+        case 'VIEW_SCAN':
+            return {
+                ...state,
+                jobs: action.payload.jobs,
+                possibleJobs: action.payload.possibleJobs || [],
+                removedJobs: action.payload.removedJobs || [],
+                diagnostics: action.payload.diagnostics || null,
+                viewedScanId: action.payload.id,
+                page: 1,
+            };
+        case 'SET_DIAGNOSTICS':
+            return {
+                ...state,
+                diagnostics: action.payload,
+            };
+        case 'SET_POSSIBLE_JOBS':
+            return {
+                ...state,
+                possibleJobs: action.payload,
+            };
+        case 'PROMOTE_JOB':
+            return {
+                ...state,
+                jobs: [...state.jobs, action.payload].sort((a, b) => new Date(a.lastDate) - new Date(b.lastDate)),
+                possibleJobs: state.possibleJobs.filter(job => job.link !== action.payload.link),
+            };
+        case 'SET_SCAN_HISTORY':
+            return {
+                ...state,
+                scans: action.payload,
+            };
+        case 'SET_ONLINE':
+            return {
+                ...state,
+                isOnline: action.payload,
+            };
+        case 'SET_NOTICE':
+            return {
+                ...state,
+                notice: action.payload,
+            };
+        case 'CLEAR_ERROR':
+            return {
+                ...state,
+                error: '',
+            };
+        case 'SET_PAGE':
+            return {
+                ...state,
+                page: action.payload,
+            };
+        case 'SET_URL':
+            return {
+                ...state,
+                url: action.payload,
+            };
+        case 'SET_QUERY':
+            return {
+                ...state,
+                query: action.payload,
+                page: 1,
+            };
+        case 'SET_BACKENDS':
+            return {
+                ...state,
+                backends: action.payload,
+            };
+        case 'SET_SOURCES':
+            return {
+                ...state,
+                sources: action.payload,
+            };
+        case 'MARK_SOURCES_SCANNED':
+            return {
+                ...state,
+                sources: state.sources.map(source => (action.payload.ids.includes(source.id) ? { ...source, lastScannedAt: action.payload.scannedAt } : source)),
+            };
+        case 'UPDATE_SOURCE_STATUS':
+            return {
+                ...state,
+                sourceStatus: {
+                    ...state.sourceStatus,
+                    [action.payload.id]: { state: action.payload.state, message: action.payload.message },
+                },
+            };
+        case 'SET_RULES':
+            return {
+                ...state,
+                rules: action.payload,
+            };
+        case 'SET_CRAWL_OPTIONS':
+            return {
+                ...state,
+                crawlOptions: action.payload,
+            };
+        case 'SET_CLASSIFIER':
+            return {
+                ...state,
+                classifier: action.payload,
+            };
+        case 'SET_BOOKMARKS':
+            return {
+                ...state,
+                bookmarks: action.payload,
+            };
+        case 'SET_NOTIFICATION_PERMISSION':
+            return {
+                ...state,
+                notificationPermission: action.payload,
+            };
+        case 'SET_SHARE_TEMPLATES':
+            return {
+                ...state,
+                shareTemplates: action.payload,
+            };
+        case 'SET_LOCALE':
+            return {
+                ...state,
+                locale: action.payload,
+            };
+        case 'ANNOUNCE':
+            return {
+                ...state,
+                announcement: action.payload,
+            };
+        default:
+            return state;
+    }
+};
@@ -0,0 +1,376 @@
+// --- Date Extraction ---
+//
+// Finds every date mentioned in a job post, works out what each one is for
+// (application deadline, fee payment, exam, ...) from the label in front of
+// it, and picks the real application deadline with a confidence score.
+//
+// Handles numeric dates (dd/mm/yyyy, yyyy-mm-dd, mm/dd/yyyy when unambiguous),
+// English and Hindi month names, ordinals ("15th"), missing years, date ranges
+// ("10 to 15 Sept 2025", "01/08/2025 - 31/08/2025"), times ("till 5 PM"),
+// Devanagari digits and relative phrases ("within 30 days").
+//
+// All dates are returned as UTC midnight, matching the rest of the app.
+
+const MONTHS = [
+    ['january', 'jan', 'जनवरी'],
+    ['february', 'feb', 'फरवरी', 'फ\u093Cरवरी'],
+    ['march', 'mar', 'मार्च'],
+    ['april', 'apr', 'अप्रैल', 'अप्रेल'],
+    ['may', 'मई'],
+    ['june', 'jun', 'जून'],
+    ['july', 'jul', 'जुलाई'],
+    ['august', 'aug', 'अगस्त'],
+    ['september', 'sept', 'sep', 'सितंबर', 'सितम्बर'],
+    ['october', 'oct', 'अक्टूबर', 'अक्तूबर'],
+    ['november', 'nov', 'नवंबर', 'नवम्बर'],
+    ['december', 'dec', 'दिसंबर', 'दिसम्बर'],
+];
+
+const MONTH_INDEX = new Map(MONTHS.flatMap((names, index) => names.map(name => [name.normalize('NFC'), index])));
+// Longest names first so "sept" wins over "sep" and "september" over both.
+const MONTH_PATTERN = [...MONTH_INDEX.keys()].sort((a, b) => b.length - a.length).join('|');
+
+const NOT_AFTER_WORD = '(?<![\\p{L}\\p{N}])';
+const NOT_BEFORE_WORD = '(?![\\p{L}\\p{N}])';
+const ORDINAL = '(?:st|nd|rd|th)?';
+const MONTH = `(${MONTH_PATTERN})\\.?`;
+const SEP = '[\\s\\-.,/]*';
+const RANGE_CONNECTOR = '(?:to|till|until|upto|up to|-|–|—|से)';
+
+const PATTERNS = {
+    dayRange: new RegExp(`${NOT_AFTER_WORD}(\\d{1,2})${ORDINAL}\\s*${RANGE_CONNECTOR}\\s*(\\d{1,2})${ORDINAL}(?:\\s+of)?${SEP}${MONTH}(?:${SEP}(\\d{4}))?${NOT_BEFORE_WORD}`, 'giu'),
+    iso: new RegExp(`${NOT_AFTER_WORD}(\\d{4})[-/.](\\d{1,2})[-/.](\\d{1,2})${NOT_BEFORE_WORD}`, 'gu'),
+    numeric: new RegExp(`${NOT_AFTER_WORD}(\\d{1,2})\\s?[-/.]\\s?(\\d{1,2})\\s?[-/.]\\s?(\\d{4}|\\d{2})${NOT_BEFORE_WORD}`, 'gu'),
+    dayMonth: new RegExp(`${NOT_AFTER_WORD}(\\d{1,2})${ORDINAL}(?:\\s+of)?${SEP}${MONTH}(?:${SEP}(\\d{4}|'\\d{2}))?${NOT_BEFORE_WORD}`, 'giu'),
+    monthDay: new RegExp(`${NOT_AFTER_WORD}${MONTH}\\s*(\\d{1,2})${ORDINAL}(?:(?:\\s*,\\s*|\\s+)(\\d{4}))?${NOT_BEFORE_WORD}`, 'giu'),
+    relative: /(?:within\s+(\d{1,3})\s+days|(\d{1,3})\s+days\s+(?:from|of|after)\s+(?:the\s+)?(?:date\s+of\s+)?(?:its\s+)?(?:publication|publishing|advertisement|advt|notification|issue|this\s+notice)|(\d{1,3})\s*दिनों?\s*(?:के\s*)?(?:भीतर|अंदर|अन्दर))/giu,
+};
+
+const TIME_PATTERN = /^[\s,(|]*(?:(?:till|until|upto|up to|by|before|at|time)[\s:]*)?(?:(शाम|सायं|रात|सुबह)\s*)?(?:(\d{1,2})(?:[:.](\d{2}))?\s*(a\.?\s?m\.?|p\.?\s?m\.?|hrs\.?|hours|बजे)|(midnight|मध्यरात्रि))/iu;
+
+const RANGE_BETWEEN = new RegExp(`^\\s*${RANGE_CONNECTOR}\\s*$`, 'iu');
+
+// Label vocabulary. A label is the text just before a date.
+const LABEL_PATTERNS = {
+    deadline: /(?:last|closing|end|final|due)\s*date|deadline|last\s*day|apply\s*(?:by|before|till|until|upto|up\s*to)|applications?\s*(?:close|closes|closing|end|ends|must\s*reach)|submit(?:ted)?\s*(?:by|before|on\s*or\s*before)|on\s*or\s*before|extended|अंतिम\s*(?:तिथि|तारीख|दिनांक)|अन्तिम\s*(?:तिथि|तारीख|दिनांक)/iu,
+    application: /apply|application|registration|register|online|form|आवेदन|पंजीकरण/iu,
+    fee: /\bfees?\b|challan|payment|शुल्क|भुगतान/iu,
+    exam: /\bexam|examination|\btest\b|\bcbt\b|interview|written|परीक्षा|साक्षात्कार/iu,
+    admit: /admit\s*card|hall\s*ticket|call\s*letter|प्रवेश\s*पत्र/iu,
+    result: /\bresult|answer\s*key|merit\s*list|परिणाम|रिजल्ट/iu,
+    correction: /correction|\bedit\b|modif|सुधार/iu,
+    start: /start|begin|commence|opening|\bopens?\b|from\s*date|आरंभ|प्रारंभ|शुरू/iu,
+    posted: /posted|published|updated|notification\s*date|advt\.?\s*date|date\s*of\s*(?:advertisement|notification|issue)|प्रकाशित/iu,
+    extended: /extended|revised|new\s*last\s*date|बढ़ाई|बढ़ा/iu,
+};
+
+// How much each kind of labelled date counts towards being the application deadline.
+const KIND_WEIGHTS = {
+    deadline: 1,
+    fee: 0.5,
+    unlabelled: 0.35,
+    correction: 0.2,
+    start: 0.1,
+    exam: 0.05,
+    admit: 0.05,
+    result: 0.05,
+    posted: 0,
+};
+
+// Parse-quality multipliers.
+const QUALITY = {
+    exact: 1,
+    ambiguous: 0.85,
+    inferredYear: 0.8,
+    relative: 0.6,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Replaces Devanagari digits with ASCII ones and normalises Unicode so month
+ * names with nukta match in either encoding.
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeDateText = (text) => (text || '')
+    .normalize('NFC')
+    .replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+
+const toUtcDate = (date) => new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+
+/**
+ * Builds a UTC date, rejecting impossible days such as 31/02.
+ * @returns {Date|null}
+ */
+const makeDate = (year, month, day) => {
+    if (year < 1990 || year > 2100 || month < 0 || month > 11 || day < 1 || day > 31) return null;
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCMonth() === month ? date : null;
+};
+
+const expandYear = (year) => {
+    const value = parseInt(String(year).replace("'", ''), 10);
+    return value < 100 ? 2000 + value : value;
+};
+
+const monthFromName = (name) => MONTH_INDEX.get(name.toLowerCase().normalize('NFC'));
+
+/**
+ * Chooses a year for a day and month written without one: the next
+ * occurrence on or after the reference date, allowing for recently passed
+ * dates (up to 60 days back) that still belong to the reference year.
+ * @returns {Date|null}
+ */
+const inferYear = (month, day, referenceDate) => {
+    const reference = toUtcDate(referenceDate);
+    const sameYear = makeDate(reference.getUTCFullYear(), month, day);
+    if (!sameYear) return makeDate(reference.getUTCFullYear() + 1, month, day);
+    if (reference - sameYear > 60 * DAY_MS) return makeDate(reference.getUTCFullYear() + 1, month, day);
+    return sameYear;
+};
+
+/**
+ * Interprets a dd/mm/yyyy style date. Indian sites write day first, so
+ * ambiguous dates are read as dd/mm with a lower quality; mm/dd is only used
+ * when the day-first reading is impossible.
+ * @returns {{ date: Date, quality: number }|null}
+ */
+const interpretNumeric = (first, second, year) => {
+    const a = parseInt(first, 10);
+    const b = parseInt(second, 10);
+    const y = expandYear(year);
+    if (b > 12 && a <= 12) {
+        const date = makeDate(y, a - 1, b);
+        return date && { date, quality: QUALITY.exact };
+    }
+    const date = makeDate(y, b - 1, a);
+    if (!date) return null;
+    return { date, quality: a <= 12 && a !== b ? QUALITY.ambiguous : QUALITY.exact };
+};
+
+/**
+ * Reads a time written just after a date ("(till 5 PM)", "upto 11:59 PM", "17:00 hrs").
+ * @param {string} text - The text following the date.
+ * @returns {{ time: string, length: number }|null} 24-hour "HH:MM" and the characters consumed.
+ */
+const readTime = (text) => {
+    const match = text.slice(0, 40).match(TIME_PATTERN);
+    if (!match) return null;
+    const [whole, dayPart, hourText, minuteText, suffix, midnight] = match;
+    if (midnight) return { time: '23:59', length: whole.length };
+
+    let hour = parseInt(hourText, 10);
+    const minute = minuteText ? parseInt(minuteText, 10) : 0;
+    const marker = (suffix || '').toLowerCase().replace(/[\s.]/g, '');
+    const evening = marker === 'pm' || /शाम|सायं|रात/u.test(dayPart || '');
+    if (evening && hour < 12) hour += 12;
+    if (marker === 'am' && hour === 12) hour = 0;
+    if (hour > 23 || minute > 59) return null;
+    return { time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`, length: whole.length };
+};
+
+/**
+ * Finds every date expression in normalised text, longest match first.
+ * @param {string} text - Normalised text.
+ * @param {Date} referenceDate - Used for missing years and relative phrases.
+ * @returns {object[]} Mentions sorted by position: { start, end, date, quality, rangeStart? , relative? }
+ */
+const findMentions = (text, referenceDate) => {
+    const candidates = [];
+    const add = (match, fields) => candidates.push({ start: match.index, end: match.index + match[0].length, raw: match[0], ...fields });
+
+    for (const match of text.matchAll(PATTERNS.dayRange)) {
+        const month = monthFromName(match[3]);
+        const startDay = parseInt(match[1], 10);
+        const endDay = parseInt(match[2], 10);
+        if (endDay <= startDay) continue;
+        if (match[4]) {
+            const year = expandYear(match[4]);
+            const date = makeDate(year, month, endDay);
+            if (date) add(match, { date, quality: QUALITY.exact, rangeStart: makeDate(year, month, startDay) });
+        } else {
+            const date = inferYear(month, endDay, referenceDate);
+            if (date) add(match, { date, quality: QUALITY.inferredYear, rangeStart: makeDate(date.getUTCFullYear(), month, startDay) });
+        }
+    }
+    for (const match of text.matchAll(PATTERNS.iso)) {
+        const date = makeDate(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+        if (date) add(match, { date, quality: QUALITY.exact });
+    }
+    for (const match of text.matchAll(PATTERNS.numeric)) {
+        const result = interpretNumeric(match[1], match[2], match[3]);
+        if (result) add(match, result);
+    }
+    for (const match of text.matchAll(PATTERNS.dayMonth)) {
+        const month = monthFromName(match[2]);
+        const day = parseInt(match[1], 10);
+        const date = match[3] ? makeDate(expandYear(match[3]), month, day) : inferYear(month, day, referenceDate);
+        if (date) add(match, { date, quality: match[3] ? QUALITY.exact : QUALITY.inferredYear, yearless: !match[3] });
+    }
+    for (const match of text.matchAll(PATTERNS.monthDay)) {
+        const month = monthFromName(match[1]);
+        const day = parseInt(match[2], 10);
+        const date = match[3] ? makeDate(expandYear(match[3]), month, day) : inferYear(month, day, referenceDate);
+        if (date) add(match, { date, quality: match[3] ? QUALITY.exact : QUALITY.inferredYear, yearless: !match[3] });
+    }
+    for (const match of text.matchAll(PATTERNS.relative)) {
+        const days = parseInt(match[1] || match[2] || match[3], 10);
+        add(match, { date: new Date(toUtcDate(referenceDate).getTime() + days * DAY_MS), quality: QUALITY.relative, relative: days });
+    }
+
+    // Keep the longest non-overlapping matches.
+    candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+    const mentions = [];
+    candidates.forEach(candidate => {
+        if (!mentions.some(kept => candidate.start < kept.end && kept.start < candidate.end)) mentions.push(candidate);
+    });
+    return mentions.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Joins "X to Y" pairs of separate mentions into ranges ending at Y. A start
+ * without a year takes the end's year.
+ * @param {string} text
+ * @param {object[]} mentions
+ * @returns {object[]}
+ */
+const joinRanges = (text, mentions) => {
+    const joined = [];
+    for (let i = 0; i < mentions.length; i++) {
+        const current = mentions[i];
+        const next = mentions[i + 1];
+        if (next && !current.relative && !next.relative && RANGE_BETWEEN.test(text.slice(current.end, next.start))) {
+            let rangeStart = current.date;
+            if (current.yearless) rangeStart = makeDate(next.date.getUTCFullYear(), current.date.getUTCMonth(), current.date.getUTCDate()) || rangeStart;
+            if (rangeStart < next.date) {
+                joined.push({
+                    ...next,
+                    start: current.start,
+                    raw: text.slice(current.start, next.end),
+                    rangeStart,
+                    quality: Math.min(current.quality, next.quality),
+                });
+                i++;
+                continue;
+            }
+        }
+        joined.push(current);
+    }
+    return joined;
+};
+
+/**
+ * Classifies the label text in front of a date.
+ * @param {string} label
+ * @param {boolean} isRange
+ * @returns {string} One of the KIND_WEIGHTS keys.
+ */
+const classifyLabel = (label, isRange) => {
+    const has = (kind) => LABEL_PATTERNS[kind].test(label);
+    const deadline = has('deadline');
+    if (deadline && has('application')) return 'deadline';
+    if (has('fee')) return 'fee';
+    if (has('admit')) return 'admit';
+    if (has('result')) return 'result';
+    if (has('exam')) return 'exam';
+    if (has('correction')) return 'correction';
+    if (deadline) return 'deadline';
+    if (has('start')) return isRange ? 'deadline' : 'start';
+    if (has('posted')) return 'posted';
+    if (isRange && (has('application') || !/\p{L}/u.test(label))) return 'deadline';
+    return 'unlabelled';
+};
+
+/**
+ * Extracts the label for a mention: the text between the previous mention
+ * (or line start) and this one. Falls back to the previous line for table
+ * layouts where the label sits on its own line.
+ * @returns {string}
+ */
+const findLabel = (text, mention, previousEnd) => {
+    const windowStart = Math.max(previousEnd, mention.start - 120);
+    let label = text.slice(windowStart, mention.start);
+    const lineBreak = label.lastIndexOf('\n');
+    if (lineBreak !== -1) {
+        const sameLine = label.slice(lineBreak + 1);
+        if (/\p{L}{2,}/u.test(sameLine)) return sameLine.trim();
+        const previousLine = label.slice(0, lineBreak).split('\n').pop();
+        label = previousLine;
+    }
+    return label.trim();
+};
+
+/**
+ * Finds every date in a text with its label, kind and confidence.
+ * @param {string} text - Post text (newlines help separate labels).
+ * @param {object} [options]
+ * @param {Date} [options.referenceDate] - "Today" or the post's publication date;
+ *   used for dates without a year and for relative phrases. Defaults to now.
+ * @returns {object[]} Entries of { date, rangeStart, time, text, label, kind, confidence, index }.
+ */
+export const extractDates = (text, { referenceDate = new Date() } = {}) => {
+    const normalized = normalizeDateText(text);
+    const mentions = joinRanges(normalized, findMentions(normalized, referenceDate));
+
+    let previousEnd = 0;
+    return mentions.map(mention => {
+        const time = readTime(normalized.slice(mention.end));
+        const label = findLabel(normalized, mention, previousEnd);
+        previousEnd = mention.end + (time ? time.length : 0);
+
+        const isRange = Boolean(mention.rangeStart);
+        const kind = mention.relative ? 'deadline' : classifyLabel(label, isRange);
+        let confidence = KIND_WEIGHTS[kind] * mention.quality;
+        if (isRange && kind === 'deadline') confidence *= 0.95;
+        if (kind === 'deadline' && LABEL_PATTERNS.extended.test(label)) confidence = Math.min(1, confidence + 0.2);
+
+        return {
+            date: mention.date,
+            rangeStart: mention.rangeStart || null,
+            time: time ? time.time : null,
+            text: mention.raw.trim(),
+            label,
+            kind,
+            confidence: Math.round(confidence * 100) / 100,
+            relativeDays: mention.relative || null,
+            index: mention.start,
+        };
+    });
+};
+
+/**
+ * Picks the application deadline from a post's text.
+ *
+ * The candidate with the highest confidence wins; between equally confident
+ * candidates the later date is preferred, since a second deadline usually
+ * means the first was extended.
+ *
+ * @param {string} text - Post text.
+ * @param {object} [options] - See extractDates.
+ * @returns {{ date: Date, time: string|null, text: string, label: string, kind: string, confidence: number, candidates: object[] }|null}
+ */
+export const findDeadline = (text, options = {}) => {
+    const candidates = extractDates(text, options);
+    const best = candidates
+        .filter(candidate => candidate.confidence > 0)
+        .reduce((winner, candidate) => {
+            if (!winner) return candidate;
+            if (candidate.confidence !== winner.confidence) return candidate.confidence > winner.confidence ? candidate : winner;
+            return candidate.date > winner.date ? candidate : winner;
+        }, null);
+    return best ? { ...best, candidates } : null;
+};
+
+/**
+ * Parses the first date in a short string such as "15th Sept 2025".
+ * Returns null rather than guessing when no date is found.
+ * @param {string} dateString - The date string to parse.
+ * @param {object} [options] - See extractDates.
+ * @returns {Date|null} The parsed Date object or null if invalid.
+ */
+export const parseDate = (dateString, options = {}) => {
+    if (!dateString) return null;
+    const [first] = extractDates(dateString, options);
+    return first ? first.date : null;
+};
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { extractDates, findDeadline, normalizeDateText, parseDate } from './dateExtraction.js';
+import fixtures from './__fixtures__/deadlines.json';
+
+const referenceDate = new Date(`${fixtures.referenceDate}T00:00:00`);
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+describe('findDeadline fixtures', () => {
+    it.each(fixtures.cases)('$name', (fixture) => {
+        const result = findDeadline(fixture.text, { referenceDate });
+        const deadline = result ? isoDay(result.date) : null;
+        expect(deadline).toBe(fixture.deadline);
+        if (!result || fixture.deadline === null) return;
+
+        if (fixture.time) expect(result.time).toBe(fixture.time);
+        if (fixture.rangeStart) expect(isoDay(result.rangeStart)).toBe(fixture.rangeStart);
+        if (fixture.kind) expect(result.kind).toBe(fixture.kind);
+        if (fixture.minConfidence) expect(result.confidence).toBeGreaterThanOrEqual(fixture.minConfidence);
+        if (fixture.maxConfidence) expect(result.confidence).toBeLessThanOrEqual(fixture.maxConfidence);
+    });
+});
+
+describe('extractDates', () => {
+    it('labels every date in a notice', () => {
+        const dates = extractDates('Start Date: 01/08/2025\nLast Date: 20/08/2025\nExam Date: 12/10/2025', { referenceDate });
+        expect(dates.map(date => date.kind)).toEqual(['start', 'deadline', 'exam']);
+        expect(dates[1].label).toBe('Last Date:');
+    });
+
+    it('returns dates in text order with their positions', () => {
+        const dates = extractDates('a 01/09/2025 b 02/09/2025', { referenceDate });
+        expect(dates.map(date => date.index)).toEqual([2, 15]);
+    });
+
+    it('ranks a labelled deadline above an unlabelled date', () => {
+        const [unlabelled, deadline] = extractDates('Updated 10/08/2025. Last date 30/08/2025', { referenceDate });
+        expect(deadline.confidence).toBeGreaterThan(unlabelled.confidence);
+    });
+});
+
+describe('parseDate', () => {
+    it('parses the first date in a short string', () => {
+        expect(isoDay(parseDate('15th Sept 2025'))).toBe('2025-09-15');
+    });
+
+    it('returns null instead of guessing', () => {
+        expect(parseDate('not a date')).toBeNull();
+        expect(parseDate('')).toBeNull();
+    });
+});
+
+describe('normalizeDateText', () => {
+    it('converts Devanagari digits', () => {
+        expect(normalizeDateText('१५/०९/२०२५')).toBe('15/09/2025');
+    });
+});
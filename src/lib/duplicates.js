@@ -0,0 +1,147 @@
+import { formatIsoDay } from './exportJobs.js';
+import { isOfficialUrl } from './postLinks.js';
+
+// --- Duplicate Postings ---
+//
+// The same recruitment is often posted at several URLs on one site and copied
+// by several aggregators. Postings are the same recruitment when they share a
+// URL (their own or canonical), or when they close on the same day and either
+// point at the same official notification or have near-identical titles and
+// do not name different organisations.
+// Each group becomes one job that lists every posting, led by the official
+// one when a source is the recruiter's own site.
+
+// Words every recruitment title uses; they say nothing about which one it is.
+const TITLE_NOISE = new Set([
+    'a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'the', 'to',
+    'recruitment', 'notification', 'notice', 'vacancy', 'vacancies', 'job', 'jobs', 'apply', 'online', 'offline',
+    'post', 'posts', 'form', 'application', 'advt', 'advertisement', 'latest', 'new', 'out', 'released', 'various',
+]);
+const SIMILAR_TITLES = 0.8;
+const FILLED_FIELDS = ['organization', 'location', 'salary', 'employmentType', 'deadlineTime', 'postedDate', 'canonicalUrl', 'officialLink'];
+
+/**
+ * Reduces a title to the words that identify the recruitment.
+ * @param {string} title
+ * @returns {string[]}
+ */
+export const normalizeTitle = (title) => (title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/(\d),(?=\d)/g, '$1')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !TITLE_NOISE.has(word));
+
+/**
+ * Share of the shorter title's words that the other title also has.
+ * @param {string[]} a - Normalised words.
+ * @param {string[]} b
+ * @returns {number} 0-1; 0 when either title has fewer than two words.
+ */
+export const titleSimilarity = (a, b) => {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    if (setA.size < 2 || setB.size < 2) return 0;
+    const shared = [...setA].filter(word => setB.has(word)).length;
+    return shared / Math.min(setA.size, setB.size);
+};
+
+const isDeepLink = (url) => {
+    try {
+        return new URL(url).pathname.length > 1;
+    } catch (e) {
+        return false;
+    }
+};
+
+const normalizeOrganization = (name) => normalizeTitle(name).join(' ');
+
+/**
+ * Precomputes what the comparison needs for a job.
+ * @param {object} job
+ * @returns {object}
+ */
+const describePosting = (job) => ({
+    job,
+    urls: new Set([job.link, job.canonicalUrl].filter(Boolean)),
+    day: formatIsoDay(job.lastDate),
+    words: normalizeTitle(job.title),
+    organization: job.organization ? normalizeOrganization(job.organization) : '',
+});
+
+const isSame = (a, b) => {
+    if ([...a.urls].some(url => b.urls.has(url))) return true;
+    if (!a.day || a.day !== b.day) return false;
+    if (a.job.officialLink && a.job.officialLink === b.job.officialLink && isDeepLink(a.job.officialLink)) return true;
+    if (a.job.links?.notification && a.job.links.notification === b.job.links?.notification) return true;
+    if (a.organization && b.organization && a.organization !== b.organization) return false;
+    return titleSimilarity(a.words, b.words) >= SIMILAR_TITLES;
+};
+
+/**
+ * Whether two postings advertise the same recruitment.
+ * @param {object} a - A job.
+ * @param {object} b
+ * @returns {boolean}
+ */
+export const isSameRecruitment = (a, b) => isSame(describePosting(a), describePosting(b));
+
+/**
+ * Orders a group's postings: the recruiter's own site first, then the
+ * posting the classifier is surest about, then structured data.
+ * @param {object} a
+ * @param {object} b
+ * @returns {number}
+ */
+const byPreference = (a, b) => (Number(isOfficialUrl(b.link)) - Number(isOfficialUrl(a.link)))
+    || ((b.classification?.score ?? 0) - (a.classification?.score ?? 0))
+    || (Number(Boolean(b.structured)) - Number(Boolean(a.structured)));
+
+/**
+ * Combines a group of postings into one job. The preferred posting supplies
+ * the link, title and deadline; the others fill in fields and link kinds it lacks.
+ * @param {object[]} members
+ * @returns {object} The job, with `postings` ({ link, title, sourceLabel }) listing every member.
+ */
+const mergeGroup = (members) => {
+    const [primary, ...others] = [...members].sort(byPreference);
+    const merged = { ...primary };
+    FILLED_FIELDS.forEach(field => {
+        if (merged[field]) return;
+        const donor = others.find(job => job[field]);
+        if (donor) merged[field] = donor[field];
+    });
+    const deepOfficial = members.map(job => job.officialLink).find(link => link && isDeepLink(link));
+    if (deepOfficial) merged.officialLink = deepOfficial;
+    merged.links = Object.assign({}, ...others.map(job => job.links).reverse(), primary.links);
+    const labels = members.flatMap(job => (job.sourceLabel ? job.sourceLabel.split(', ') : []));
+    merged.sourceLabel = [...new Set(labels)].join(', ');
+    merged.postings = [primary, ...others].map(({ link, title, sourceLabel }) => ({ link, title, sourceLabel }));
+    return merged;
+};
+
+/**
+ * Groups postings of the same recruitment into one job each.
+ * @param {object[]} jobs - Jobs with distinct links.
+ * @returns {object[]} One job per recruitment, in the order each was first found.
+ */
+export const groupDuplicates = (jobs) => {
+    const described = jobs.map(describePosting);
+    const parent = described.map((_, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    for (let i = 0; i < described.length; i++) {
+        for (let j = i + 1; j < described.length; j++) {
+            if (find(i) !== find(j) && isSame(described[i], described[j])) parent[find(j)] = find(i);
+        }
+    }
+
+    const groups = new Map();
+    jobs.forEach((job, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(job);
+    });
+    return Array.from(groups.values(), members => (members.length === 1 ? members[0] : mergeGroup(members)));
+};
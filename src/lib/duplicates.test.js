@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { groupDuplicates, isSameRecruitment, normalizeTitle } from './duplicates.js';
+
+const job = (fields) => ({ lastDate: new Date(2026, 0, 31), sourceLabel: 'Site', ...fields });
+
+describe('normalizeTitle', () => {
+    it('keeps the identifying words', () => {
+        expect(normalizeTitle('SSC CGL Recruitment 2026 - Apply Online for 7,500 Posts')).toEqual(['ssc', 'cgl', '2026', '7500']);
+    });
+});
+
+describe('isSameRecruitment', () => {
+    it('matches reworded titles with the same deadline', () => {
+        expect(isSameRecruitment(
+            job({ link: 'https://a.example/1', title: 'SSC CGL Recruitment 2026 - 7500 Posts' }),
+            job({ link: 'https://b.example/2', title: 'SSC CGL 2026 Notification Out, 7,500 Vacancies' }),
+        )).toBe(true);
+    });
+
+    it('keeps different exams of one organisation apart', () => {
+        expect(isSameRecruitment(
+            job({ link: 'https://a.example/1', title: 'SSC CGL Recruitment 2026' }),
+            job({ link: 'https://a.example/2', title: 'SSC CHSL Recruitment 2026' }),
+        )).toBe(false);
+    });
+
+    it('needs the same deadline unless the URLs match', () => {
+        const first = job({ link: 'https://a.example/1', title: 'SSC CGL Recruitment 2026' });
+        expect(isSameRecruitment(first, { ...first, link: 'https://b.example/2', lastDate: new Date(2026, 1, 15) })).toBe(false);
+        expect(isSameRecruitment(first, { ...first, link: 'https://a.example/amp/1', canonicalUrl: 'https://a.example/1', lastDate: new Date(2026, 1, 15) })).toBe(true);
+    });
+
+    it('matches a shared official notification but not a shared home page', () => {
+        const first = job({ link: 'https://a.example/1', title: 'Clerk posts', officialLink: 'https://court.gov.in/notice/12.pdf' });
+        const second = job({ link: 'https://b.example/2', title: 'Typist vacancy', officialLink: 'https://court.gov.in/notice/12.pdf' });
+        expect(isSameRecruitment(first, second)).toBe(true);
+        expect(isSameRecruitment({ ...first, officialLink: 'https://court.gov.in/' }, { ...second, officialLink: 'https://court.gov.in/' })).toBe(false);
+    });
+
+    it('keeps similar titles from different organisations apart', () => {
+        expect(isSameRecruitment(
+            job({ link: 'https://a.example/1', title: 'Junior Assistant Recruitment 2026', organization: 'Delhi High Court' }),
+            job({ link: 'https://b.example/2', title: 'Junior Assistant Recruitment 2026', organization: 'Allahabad High Court' }),
+        )).toBe(false);
+    });
+});
+
+describe('groupDuplicates', () => {
+    it('leads a group with the posting on the official site', () => {
+        const [group, other] = groupDuplicates([
+            job({ link: 'https://aggregator.example/ssc-cgl', title: 'SSC CGL 2026 Apply Online', sourceLabel: 'Aggregator', organization: 'Staff Selection Commission' }),
+            job({ link: 'https://ssc.gov.in/cgl-2026', title: 'SSC CGL 2026 Notification', sourceLabel: 'SSC' }),
+            job({ link: 'https://aggregator.example/ssc-chsl', title: 'SSC CHSL 2026 Apply Online', sourceLabel: 'Aggregator' }),
+        ]);
+
+        expect(group.link).toBe('https://ssc.gov.in/cgl-2026');
+        expect(group.sourceLabel).toBe('Aggregator, SSC');
+        expect(group.organization).toBe('Staff Selection Commission');
+        expect(group.postings.map(posting => posting.link)).toEqual(['https://ssc.gov.in/cgl-2026', 'https://aggregator.example/ssc-cgl']);
+        expect(other.postings).toBeUndefined();
+    });
+});
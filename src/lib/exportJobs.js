@@ -0,0 +1,275 @@
+import { LINK_KINDS } from './postLinks.js';
+import { loadJson, saveJson } from './storage.js';
+
+// --- Job Export ---
+//
+// Turns a list of jobs into CSV, JSON, iCalendar or a printable HTML report.
+// Every format uses the same column definitions, so the user's column choice
+// applies to all of them (the calendar puts the columns in each event's
+// description).
+
+const STORAGE_KEY = 'jobCrawler.exportOptions';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Formats a date as YYYY-MM-DD in local time, matching the dates shown in the list.
+ * @param {Date|string|number|null} value
+ * @returns {string}
+ */
+export const formatIsoDay = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const EXPORT_COLUMNS = [
+    { id: 'title', label: 'Title', value: job => job.title },
+    { id: 'lastDate', label: 'Last date', value: job => formatIsoDay(job.lastDate) },
+    { id: 'deadlineTime', label: 'Deadline time', value: job => job.deadlineTime || '' },
+    { id: 'link', label: 'Link', value: job => job.link },
+    { id: 'officialLink', label: 'Official link', value: job => job.officialLink || '' },
+    ...LINK_KINDS.map(({ id, label }) => ({ id: `${id}Link`, label: `${label} link`, value: job => job.links?.[id] || '' })),
+    { id: 'organization', label: 'Organisation', value: job => job.organization || '' },
+    { id: 'location', label: 'Location', value: job => job.location || '' },
+    { id: 'salary', label: 'Salary', value: job => job.salary || '' },
+    { id: 'employmentType', label: 'Type', value: job => job.employmentType || '' },
+    { id: 'postedDate', label: 'Posted', value: job => formatIsoDay(job.postedDate) },
+    { id: 'otherDates', label: 'Other dates', value: job => (job.otherDates || []).map(({ kind, date }) => `${kind} ${formatIsoDay(date)}`).join('; ') },
+    { id: 'source', label: 'Source', value: job => job.sourceLabel || '' },
+    { id: 'status', label: 'Status', value: job => job.status || '' },
+];
+
+export const DEFAULT_EXPORT_OPTIONS = {
+    columns: ['title', 'lastDate', 'link', 'organization', 'location', 'source'],
+    // Days before each deadline that the calendar reminder fires.
+    alarmDays: 2,
+};
+
+/**
+ * Resolves column ids to column definitions, in the canonical order.
+ * @param {string[]} ids
+ * @returns {object[]}
+ */
+const pickColumns = (ids) => EXPORT_COLUMNS.filter(column => ids.includes(column.id));
+
+// --- CSV ---
+
+// Cells starting with these are run as formulas by spreadsheet apps.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a CSV cell when needed.
+ * @param {string} value
+ * @param {boolean} guardFormulas - Prefix formula-like cells with an apostrophe.
+ * @returns {string}
+ */
+const csvCell = (value, guardFormulas) => {
+    let text = String(value ?? '');
+    if (guardFormulas && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV file.
+ *
+ * The spreadsheet variant adds a UTF-8 byte order mark, so Excel reads
+ * non-Latin titles correctly, and neutralises cells that would otherwise be
+ * evaluated as formulas.
+ *
+ * @param {object[]} jobs
+ * @param {string[]} columnIds
+ * @param {{ spreadsheet?: boolean }} [options]
+ * @returns {string}
+ */
+export const toCsv = (jobs, columnIds, { spreadsheet = false } = {}) => {
+    const columns = pickColumns(columnIds);
+    const rows = [
+        columns.map(column => column.label),
+        ...jobs.map(job => columns.map(column => column.value(job))),
+    ];
+    const body = rows.map(row => row.map(cell => csvCell(cell, spreadsheet)).join(',')).join('\r\n');
+    return spreadsheet ? `\uFEFF${body}\r\n` : `${body}\r\n`;
+};
+
+// --- JSON ---
+
+/**
+ * Builds a JSON array with one object per job, keyed by column id.
+ * @param {object[]} jobs
+ * @param {string[]} columnIds
+ * @returns {string}
+ */
+export const toJson = (jobs, columnIds) => {
+    const columns = pickColumns(columnIds);
+    return JSON.stringify(jobs.map(job => Object.fromEntries(columns.map(column => [column.id, column.value(job)]))), null, 2);
+};
+
+// --- iCalendar ---
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11).
+ * @param {string} value
+ * @returns {string}
+ */
+const icsText = (value) => String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 octets, continuing with a leading space.
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const length = encoder.encode(char).length;
+        if (size + length > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += length;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const icsDate = (date) => formatIsoDay(date).replace(/-/g, '');
+
+const icsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Builds a stable event UID from the post URL, so re-importing an export
+ * updates events instead of duplicating them.
+ * @param {string} link
+ * @returns {string}
+ */
+const eventUid = (link) => {
+    let hash = 0;
+    for (const char of link) hash = (Math.imul(hash, 31) + char.codePointAt(0)) | 0;
+    return `${(hash >>> 0).toString(36)}-${link.length}@job-deadline-crawler`;
+};
+
+/**
+ * Builds an iCalendar file with one all-day event per deadline and a display
+ * alarm before it. Jobs without a deadline, and expired jobs, are left out.
+ * @param {object[]} jobs
+ * @param {string[]} columnIds - Columns listed in each event's description.
+ * @param {{ alarmDays?: number, now?: Date }} [options]
+ * @returns {string}
+ */
+export const toIcs = (jobs, columnIds, { alarmDays = DEFAULT_EXPORT_OPTIONS.alarmDays, now = new Date() } = {}) => {
+    const columns = pickColumns(columnIds).filter(column => column.id !== 'title');
+    const stamp = icsTimestamp(now);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Job Deadline Crawler//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+    ];
+    const today = formatIsoDay(now);
+    jobs.filter(job => job.lastDate && job.status !== 'expired' && formatIsoDay(job.lastDate) >= today).forEach(job => {
+        const start = new Date(job.lastDate);
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+        const description = columns.map(column => [column.label, column.value(job)]).filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`).join('\n');
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${eventUid(job.link)}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icsDate(start)}`,
+            `DTEND;VALUE=DATE:${icsDate(end)}`,
+            `SUMMARY:${icsText(`Last date: ${job.title}`)}`,
+            `DESCRIPTION:${icsText(description)}`,
+            `URL:${job.link}`,
+            'TRANSP:TRANSPARENT',
+        );
+        if (alarmDays > 0) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${icsText(`Deadline in ${alarmDays} day${alarmDays === 1 ? '' : 's'}: ${job.title}`)}`,
+                `TRIGGER:-P${alarmDays}D`,
+                'END:VALARM',
+            );
+        }
+        lines.push('END:VEVENT');
+    });
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// --- Print report ---
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+/**
+ * Builds a standalone HTML report laid out for printing or saving as PDF.
+ * @param {object[]} jobs
+ * @param {string[]} columnIds
+ * @param {{ title?: string, subtitle?: string, now?: Date }} [options]
+ * @returns {string}
+ */
+export const toPrintHtml = (jobs, columnIds, { title = 'Upcoming job deadlines', subtitle = '', now = new Date() } = {}) => {
+    const columns = pickColumns(columnIds);
+    const cell = (column, job) => {
+        const value = column.value(job);
+        return column.id === 'link' ? `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>` : escapeHtml(value);
+    };
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #1f2937; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+    p.meta { color: #6b7280; font-size: 0.85rem; margin: 0 0 1rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border: 1px solid #d1d5db; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    td a { color: inherit; word-break: break-all; }
+    tr { break-inside: avoid; }
+    thead { display: table-header-group; }
+    @media print {
+        body { margin: 0; }
+        @page { size: A4 landscape; margin: 12mm; }
+    }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${jobs.length} job${jobs.length === 1 ? '' : 's'}${subtitle ? ` · ${escapeHtml(subtitle)}` : ''} · Generated ${escapeHtml(now.toLocaleString('en-GB'))}</p>
+<table>
+<thead><tr>${columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr></thead>
+<tbody>
+${jobs.map(job => `<tr>${columns.map(column => `<td>${cell(column, job)}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Loads the saved column choice and alarm setting.
+ * @returns {object}
+ */
+export const loadExportOptions = () => {
+    const saved = loadJson(STORAGE_KEY, {}, value => value && typeof value === 'object');
+    return {
+        columns: Array.isArray(saved.columns) ? saved.columns.filter(id => EXPORT_COLUMNS.some(column => column.id === id)) : DEFAULT_EXPORT_OPTIONS.columns,
+        alarmDays: Number.isInteger(saved.alarmDays) ? saved.alarmDays : DEFAULT_EXPORT_OPTIONS.alarmDays,
+    };
+};
+
+/**
+ * Persists the export options.
+ * @param {object} options
+ */
+export const saveExportOptions = (options) => saveJson(STORAGE_KEY, options);
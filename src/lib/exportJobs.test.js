@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest';
+import { toCsv, toIcs } from './exportJobs.js';
+
+const now = new Date(2026, 0, 10, 10, 0);
+const job = (fields) => ({
+    title: 'SSC CGL 2026',
+    link: 'https://govtjobs.example.in/ssc-cgl/',
+    lastDate: new Date(2026, 0, 31).toISOString(),
+    sourceLabel: 'Govt Jobs Portal',
+    ...fields,
+});
+
+describe('toCsv', () => {
+    it('quotes cells with commas, quotes and line breaks', () => {
+        const csv = toCsv([job({ title: 'SSC CGL, "Tier 1"\nNotice', organization: 'Staff Selection Commission' })], ['title', 'lastDate', 'organization']);
+        expect(csv).toBe('Title,Last date,Organisation\r\n"SSC CGL, ""Tier 1""\nNotice",2026-01-31,Staff Selection Commission\r\n');
+    });
+
+    it('neutralises formula-like cells in the spreadsheet variant only', () => {
+        const jobs = ['=HYPERLINK("http://evil.example")', '+91 98765', '-5 posts', '@SUM(A1)', '=1,2'].map(title => job({ title }));
+
+        const spreadsheet = toCsv(jobs, ['title'], { spreadsheet: true });
+        expect(spreadsheet.startsWith('\uFEFF')).toBe(true);
+        expect(spreadsheet.slice(1).split('\r\n')).toEqual([
+            'Title',
+            '"\'=HYPERLINK(""http://evil.example"")"',
+            "'+91 98765",
+            "'-5 posts",
+            "'@SUM(A1)",
+            '"\'=1,2"',
+            '',
+        ]);
+
+        const plain = toCsv(jobs, ['title']);
+        expect(plain.startsWith('\uFEFF')).toBe(false);
+        expect(plain.split('\r\n')[3]).toBe('-5 posts');
+    });
+
+    it('writes empty cells for missing values', () => {
+        expect(toCsv([job({ lastDate: null })], ['title', 'lastDate', 'salary'])).toBe('Title,Last date,Salary\r\nSSC CGL 2026,,\r\n');
+    });
+});
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const property = (ics, name) => unfold(ics).split('\r\n').filter(line => line.startsWith(`${name}:`) || line.startsWith(`${name};`));
+
+describe('toIcs', () => {
+    it('adds an all-day event with an alarm for each deadline', () => {
+        const ics = toIcs([job()], ['title', 'link'], { alarmDays: 3, now });
+        expect(property(ics, 'DTSTART')).toEqual(['DTSTART;VALUE=DATE:20260131']);
+        expect(property(ics, 'DTEND')).toEqual(['DTEND;VALUE=DATE:20260201']);
+        expect(property(ics, 'SUMMARY')).toEqual(['SUMMARY:Last date: SSC CGL 2026']);
+        expect(property(ics, 'TRIGGER')).toEqual(['TRIGGER:-P3D']);
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(toIcs([job()], ['title'], { alarmDays: 0, now })).not.toContain('BEGIN:VALARM');
+    });
+
+    it('escapes backslashes, semicolons, commas and line breaks in text', () => {
+        const ics = toIcs([job({ title: 'Clerk; Typist, Grade\\II', organization: 'Line one\nLine two' })], ['title', 'organization'], { alarmDays: 0, now });
+        expect(property(ics, 'SUMMARY')).toEqual(['SUMMARY:Last date: Clerk\\; Typist\\, Grade\\\\II']);
+        expect(property(ics, 'DESCRIPTION')).toEqual(['DESCRIPTION:Organisation: Line one\\nLine two']);
+    });
+
+    it('folds lines at 75 octets without splitting multi-byte characters', () => {
+        const title = 'कर्मचारी चयन आयोग संयुक्त स्नातक स्तरीय परीक्षा 2026 🎓 अधिसूचना और ऑनलाइन आवेदन';
+        const ics = toIcs([job({ title })], ['title'], { alarmDays: 0, now });
+        const encoder = new TextEncoder();
+        const lines = ics.split('\r\n');
+
+        expect(lines.filter(line => line.startsWith(' ')).length).toBeGreaterThan(2);
+        lines.forEach(line => {
+            expect(encoder.encode(line).length).toBeLessThanOrEqual(75);
+            expect(line).not.toMatch(/[\uD800-\uDBFF]$|^ ?[\uDC00-\uDFFF]/);
+        });
+        expect(property(ics, 'SUMMARY')).toEqual([`SUMMARY:Last date: ${title}`]);
+    });
+
+    it('leaves out jobs without a deadline and expired jobs', () => {
+        const jobs = [
+            job(),
+            job({ title: 'No deadline', link: 'https://govtjobs.example.in/none/', lastDate: null }),
+            job({ title: 'Expired', link: 'https://govtjobs.example.in/expired/', lastDate: new Date(2026, 0, 5).toISOString(), status: 'expired' }),
+            job({ title: 'Lapsed', link: 'https://govtjobs.example.in/lapsed/', lastDate: new Date(2026, 0, 9).toISOString() }),
+            job({ title: 'Today', link: 'https://govtjobs.example.in/today/', lastDate: new Date(2026, 0, 10).toISOString() }),
+        ];
+        const ics = toIcs(jobs, ['title'], { now });
+        expect(property(ics, 'SUMMARY')).toEqual(['SUMMARY:Last date: SSC CGL 2026', 'SUMMARY:Last date: Today']);
+    });
+});
@@ -0,0 +1,261 @@
+import { findDeadline } from './dateExtraction.js';
+import { DEFAULT_RULES, compileDeadlineRegex } from './extractionRules.js';
+import { DEFAULT_CLASSIFIER, classifyPost } from './jobClassifier.js';
+import { findJobPosting, readMetaTags } from './structuredData.js';
+import { getText, parseHtml } from './htmlDocument.js';
+import { classifyPostLinks, findOfficialLink, isPdfUrl, resolveCanonicalUrl } from './postLinks.js';
+
+// --- Job Post Extraction ---
+
+const STRUCTURAL_TITLE_SELECTORS = [
+    'h1.entry-title', 'h2.entry-title', 'h1.post-title', 'h2.post-title',
+    'article h1', 'main h1', '.entry-content h1', 'article h2', 'main h2',
+    '.entry-content h2', '.entry-title', '.post-title'
+];
+
+// Below this the "deadline" is more likely an unrelated date on the page.
+export const MIN_DEADLINE_CONFIDENCE = 0.5;
+// A site rule that points straight at the deadline is trusted like a labelled date.
+const RULE_DEADLINE_CONFIDENCE = 0.9;
+// Secondary dates worth showing next to the deadline.
+const OTHER_DATE_KINDS = ['start', 'fee', 'correction', 'exam', 'admit', 'result'];
+
+/**
+ * Finds the most likely post title in a document.
+ * @param {Document} doc - The parsed post page.
+ * @returns {string}
+ */
+export const findTitle = (doc) => {
+    for (const selector of STRUCTURAL_TITLE_SELECTORS) {
+        const element = doc.querySelector(selector);
+        if (element) {
+            const titleText = getText(element).trim();
+            if (titleText.length > 10) return titleText;
+        }
+    }
+    const firstH1 = doc.querySelector('h1');
+    if (firstH1) return getText(firstH1).trim();
+    return 'Post Title Not Found';
+};
+
+/**
+ * Finds the deadline text in a post using a site's own rules. With a deadline
+ * selector the element's text is used, narrowed by the regex when it matches;
+ * otherwise the regex runs over the whole body.
+ * @param {Document} doc - The parsed post page.
+ * @param {string} bodyText - The page's visible text.
+ * @param {object} rules - Effective extraction rules.
+ * @returns {string|null}
+ */
+const findDeadlineText = (doc, bodyText, rules) => {
+    const regex = compileDeadlineRegex(rules);
+    const pick = (match) => (match ? (match[1] ?? match[0])?.trim() : null);
+
+    if (rules.deadlineSelector) {
+        const elementText = getText(doc.querySelector(rules.deadlineSelector)).trim();
+        if (elementText) return pick(elementText.match(regex)) || elementText;
+    }
+    return pick(bodyText.match(regex));
+};
+
+/**
+ * Removes a trailing " - Site Name" or " | Site Name" from an OpenGraph title.
+ * @param {string|null} title
+ * @param {string|null} siteName
+ * @returns {string|null}
+ */
+const stripSiteName = (title, siteName) => {
+    if (!title || !siteName) return title;
+    return title.replace(new RegExp(`\\s*[-|–:]\\s*${siteName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`, 'i'), '') || title;
+};
+
+/**
+ * Runs every extraction step on a post and reports what each one found.
+ *
+ * Structured data (schema.org JobPosting, then OpenGraph/meta tags) is read
+ * first; the text heuristics fill in whatever it does not provide. A
+ * site-specific title selector still takes precedence over everything.
+ *
+ * @param {Document} doc - The parsed post page.
+ * @param {object} [rules] - Effective extraction rules.
+ * @param {object} [options]
+ * @param {string} [options.url] - The post URL, used by the classifier.
+ * @param {object} [options.classifier] - Classifier settings, see DEFAULT_CLASSIFIER.
+ * @param {string} [options.pdfText] - Text of the post's notification PDF. It is
+ *   searched when the page itself gives no confident deadline.
+ * @returns {object} Extracted fields plus `score`, `matchedKeywords`, `deadlineText`,
+ *   `deadlineConfidence` (0-1), `deadlineSource` ('structured' | 'rule' | 'text' | 'pdf' | null),
+ *   `otherDates`, `canonicalUrl`, `officialLink` and `links` (need `options.url`; links are
+ *   keyed by LINK_KINDS id), `structured` (JobPosting found) and `classification` (see classifyPost).
+ */
+export const analyzePost = (doc, rules = DEFAULT_RULES, { url = '', classifier = DEFAULT_CLASSIFIER, pdfText = '' } = {}) => {
+    const bodyText = getText(doc.body);
+    const posting = findJobPosting(doc);
+    const meta = readMetaTags(doc);
+    const lowerBodyText = bodyText.toLowerCase();
+    const matchedKeywords = rules.jobKeywords.filter(keyword => lowerBodyText.includes(keyword.toLowerCase()));
+
+    let title;
+    if (rules.titleSelector) title = getText(doc.querySelector(rules.titleSelector)).trim();
+    title = title || posting?.title || stripSiteName(meta.title, meta.siteName) || findTitle(doc);
+
+    const referenceDate = posting?.datePosted || meta.publishedTime || new Date();
+    const dates = findDeadline(bodyText, { referenceDate });
+    let otherDates = (dates?.candidates || [])
+        .filter(candidate => OTHER_DATE_KINDS.includes(candidate.kind))
+        .map(({ kind, label, date, time }) => ({ kind, label, date, time }));
+
+    let deadlineText = null;
+    let lastDate = null;
+    let deadlineTime = null;
+    let deadlineConfidence = 0;
+    let deadlineSource = null;
+    const hasSiteRule = Boolean(rules.deadlineSelector) || rules.deadlineRegex !== DEFAULT_RULES.deadlineRegex;
+
+    if (posting?.validThrough) {
+        lastDate = posting.validThrough;
+        deadlineTime = posting.validThroughTime;
+        deadlineText = posting.validThrough.toISOString().slice(0, 10);
+        deadlineConfidence = 1;
+        deadlineSource = 'structured';
+    } else if (hasSiteRule) {
+        deadlineText = findDeadlineText(doc, bodyText, rules);
+        const parsed = deadlineText ? findDeadline(deadlineText, { referenceDate }) : null;
+        if (parsed) {
+            lastDate = parsed.date;
+            deadlineTime = parsed.time;
+            deadlineConfidence = Math.max(parsed.confidence, RULE_DEADLINE_CONFIDENCE);
+        }
+        deadlineSource = deadlineText ? 'rule' : null;
+    } else if (dates) {
+        deadlineText = dates.label ? `${dates.label} ${dates.text}` : dates.text;
+        lastDate = dates.date;
+        deadlineTime = dates.time;
+        deadlineConfidence = dates.confidence;
+        deadlineSource = 'text';
+    }
+
+    let deadlineKind = deadlineSource === 'text' ? dates.kind : null;
+    let deadlineLabelled = deadlineSource === 'text' && Boolean(dates.label);
+
+    // The notification PDF decides when the page has no clear deadline: it
+    // supplies one, corrects a doubtful one, or confirms it by agreeing.
+    const pdfDates = pdfText && deadlineConfidence < MIN_DEADLINE_CONFIDENCE ? findDeadline(pdfText, { referenceDate }) : null;
+    if (pdfDates) {
+        const confirmed = lastDate?.toDateString() === pdfDates.date.toDateString();
+        if (confirmed || pdfDates.confidence > deadlineConfidence) {
+            deadlineText = pdfDates.label ? `${pdfDates.label} ${pdfDates.text}` : pdfDates.text;
+            lastDate = pdfDates.date;
+            deadlineTime = pdfDates.time || (confirmed ? deadlineTime : null);
+            deadlineConfidence = confirmed ? Math.max(pdfDates.confidence, MIN_DEADLINE_CONFIDENCE) : pdfDates.confidence;
+            deadlineSource = 'pdf';
+            deadlineKind = pdfDates.kind;
+            deadlineLabelled = Boolean(pdfDates.label);
+            if (otherDates.length === 0) {
+                otherDates = pdfDates.candidates
+                    .filter(candidate => OTHER_DATE_KINDS.includes(candidate.kind))
+                    .map(({ kind, label, date, time }) => ({ kind, label, date, time }));
+            }
+        }
+    }
+
+    const classification = classifyPost({
+        url,
+        title,
+        matchedKeywords,
+        structured: Boolean(posting),
+        deadlineSource,
+        deadlineKind,
+        deadlineLabelled,
+    }, classifier);
+
+    return {
+        title,
+        deadlineText,
+        lastDate,
+        deadlineTime,
+        deadlineConfidence,
+        deadlineSource,
+        otherDates,
+        organization: posting?.organization || null,
+        location: posting?.location || null,
+        salary: posting?.salary || null,
+        postedDate: posting?.datePosted || meta.publishedTime || null,
+        employmentType: posting?.employmentType || null,
+        canonicalUrl: url ? resolveCanonicalUrl(meta.canonicalUrl, url) : null,
+        officialLink: url ? findOfficialLink(doc, url, { organizationUrl: posting?.organizationUrl }) : null,
+        links: url ? classifyPostLinks(doc, url) : {},
+        structured: Boolean(posting),
+        score: matchedKeywords.length,
+        matchedKeywords,
+        classification,
+    };
+};
+
+/**
+ * Explains why a post analysis yields no job, or returns null if it does.
+ * @param {object} analysis - An analyzePost() result.
+ * @param {Date} today
+ * @returns {string|null}
+ */
+const describeRejection = ({ lastDate, deadlineText, deadlineConfidence }, today) => {
+    if (!lastDate) return deadlineText ? `No readable date in the deadline text "${deadlineText}".` : 'No deadline found.';
+    if (deadlineConfidence < MIN_DEADLINE_CONFIDENCE) {
+        return `Deadline "${deadlineText}" is uncertain (confidence ${Math.round(deadlineConfidence * 100)}%, needs ${Math.round(MIN_DEADLINE_CONFIDENCE * 100)}%).`;
+    }
+    if (lastDate < today) return `Deadline ${lastDate.toLocaleDateString('en-GB')} has passed.`;
+    return null;
+};
+
+/**
+ * Analyses a post page and decides whether it is a job. Pages the classifier
+ * rejects still yield a job, with `classification.accepted` false, so they
+ * can be offered for review.
+ *
+ * When the page gives no confident deadline but links a notification PDF,
+ * the PDF is read through `readPdf` and searched too.
+ *
+ * @param {string} html - The post HTML.
+ * @param {string} postUrl - The post URL.
+ * @param {Date} today - Deadlines before this date are rejected.
+ * @param {object} [rules] - Effective extraction rules for the post's site.
+ * @param {object} [classifier] - Classifier settings, see DEFAULT_CLASSIFIER.
+ * @param {object} [options]
+ * @param {(url: string) => Promise<string>} [options.readPdf] - Resolves to a PDF's text, '' if unreadable.
+ * @returns {Promise<{ job: object|null, analysis: object, rejection: string|null, pdfUrl: string|null }>}
+ *   `job` as extractJob() returns it, `rejection` saying why there is none, and
+ *   `pdfUrl` the notification PDF that was read, if any.
+ */
+export const evaluatePost = async (html, postUrl, today, rules = DEFAULT_RULES, classifier = DEFAULT_CLASSIFIER, { readPdf } = {}) => {
+    const postDoc = parseHtml(html);
+    let analysis = analyzePost(postDoc, rules, { url: postUrl, classifier });
+    let pdfUrl = null;
+    if (readPdf && analysis.deadlineConfidence < MIN_DEADLINE_CONFIDENCE && isPdfUrl(analysis.links.notification)) {
+        pdfUrl = analysis.links.notification;
+        const pdfText = await readPdf(pdfUrl);
+        if (pdfText) analysis = analyzePost(postDoc, rules, { url: postUrl, classifier, pdfText });
+    }
+
+    const rejection = describeRejection(analysis, today);
+    if (rejection) return { job: null, analysis, rejection, pdfUrl };
+    const { title, lastDate, deadlineTime, deadlineConfidence, deadlineSource, otherDates, organization, location, salary, postedDate, employmentType, canonicalUrl, officialLink, links, classification } = analysis;
+    const job = { title, link: postUrl, lastDate, deadlineTime, deadlineConfidence, deadlineSource, otherDates, organization, location, salary, postedDate, employmentType, canonicalUrl, officialLink, links, classification };
+    return { job, analysis, rejection: null, pdfUrl };
+};
+
+/**
+ * Extracts a job from a post page, or returns null if the page has no
+ * upcoming deadline. See evaluatePost() for the details.
+ * @param {string} html - The post HTML.
+ * @param {string} postUrl - The post URL.
+ * @param {Date} today - Deadlines before this date are rejected.
+ * @param {object} [rules] - Effective extraction rules for the post's site.
+ * @param {object} [classifier] - Classifier settings, see DEFAULT_CLASSIFIER.
+ * @param {object} [options] - See evaluatePost().
+ * @returns {Promise<object|null>} { title, link, lastDate, deadlineTime, deadlineConfidence, deadlineSource,
+ *   otherDates, organization, location, salary, postedDate, employmentType, canonicalUrl, officialLink, links,
+ *   classification }
+ */
+export const extractJob = async (html, postUrl, today, rules = DEFAULT_RULES, classifier = DEFAULT_CLASSIFIER, options = {}) => (
+    (await evaluatePost(html, postUrl, today, rules, classifier, options)).job
+);
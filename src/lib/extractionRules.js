@@ -0,0 +1,154 @@
+import { loadJson, saveJson } from './storage.js';
+
+// --- Per-Site Extraction Rules ---
+//
+// A rule set overrides how jobs are found on one domain:
+//   { domain, postLinkSelector, titleSelector, deadlineSelector, deadlineRegex,
+//     jobUrlKeywords, jobKeywords }
+// Empty fields fall back to DEFAULT_RULES. A rule for "example.com" also
+// applies to its subdomains.
+
+const STORAGE_KEY = 'jobCrawler.extractionRules';
+
+export const DEFAULT_RULES = {
+    postLinkSelector: 'article a, .post a, .job-listing a, h2 a, h3 a',
+    titleSelector: '',
+    deadlineSelector: '',
+    // Only used for sites with a deadline selector or their own regex; other
+    // sites go through the labelled-date extraction in dateExtraction.js.
+    deadlineRegex: '(?:last date|closing date|deadline|apply by|applications close|submit by)[\\s:.-]*([\\w\\s,./-]+\\d{1,4})',
+    jobUrlKeywords: ['job', 'career', 'vacancy', 'hiring', 'position'],
+    // These keywords are a heuristic to filter out non-job articles.
+    jobKeywords: ['qualification', 'responsibilit', 'experience', 'salary', 'location', 'apply now', 'job type'],
+};
+
+export const RULE_FIELDS = ['postLinkSelector', 'titleSelector', 'deadlineSelector', 'deadlineRegex', 'jobUrlKeywords', 'jobKeywords'];
+const TEXT_FIELDS = ['postLinkSelector', 'titleSelector', 'deadlineSelector', 'deadlineRegex'];
+const LIST_FIELDS = ['jobUrlKeywords', 'jobKeywords'];
+
+/**
+ * Normalises a domain or URL to a bare lowercase host name without "www.".
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeDomain = (value) => {
+    const trimmed = (value || '').trim().toLowerCase();
+    let host = trimmed;
+    try {
+        host = new URL(trimmed.includes('://') ? trimmed : `https://${trimmed}`).hostname;
+    } catch (e) {
+        // Not URL-like; use as typed.
+    }
+    return host.replace(/^www\./, '');
+};
+
+/**
+ * Finds the rule set for a URL and merges it over the defaults.
+ * The most specific matching domain wins.
+ * @param {object[]} rules - Saved rule sets.
+ * @param {string} url - The page being crawled.
+ * @returns {object} Effective rules, including `domain` when a rule matched.
+ */
+export const getRulesForUrl = (rules, url) => {
+    let host;
+    try {
+        host = normalizeDomain(new URL(url).hostname);
+    } catch (e) {
+        return { ...DEFAULT_RULES };
+    }
+    const match = (rules || [])
+        .filter(rule => rule.domain && (host === rule.domain || host.endsWith(`.${rule.domain}`)))
+        .sort((a, b) => b.domain.length - a.domain.length)[0];
+    if (!match) return { ...DEFAULT_RULES };
+
+    const effective = { ...DEFAULT_RULES, domain: match.domain };
+    RULE_FIELDS.forEach(field => {
+        const value = match[field];
+        if (Array.isArray(value) ? value.length > 0 : Boolean(value)) effective[field] = value;
+    });
+    return effective;
+};
+
+/**
+ * Compiles the deadline regex of a rule set.
+ * @param {object} rules
+ * @returns {RegExp}
+ */
+export const compileDeadlineRegex = (rules) => new RegExp(rules.deadlineRegex || DEFAULT_RULES.deadlineRegex, 'i');
+
+/**
+ * Checks a rule set for missing or mistyped fields and for unusable selectors
+ * or regular expressions.
+ * @param {object} rule
+ * @returns {string[]} Human-readable problems; empty when the rule is valid.
+ */
+export const validateRule = (rule) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['A rule must be an object.'];
+    const errors = [];
+    if (typeof rule.domain !== 'string' || !normalizeDomain(rule.domain)) errors.push('A domain is required.');
+    TEXT_FIELDS.forEach(field => {
+        if (rule[field] != null && typeof rule[field] !== 'string') errors.push(`${field} must be a string.`);
+    });
+    LIST_FIELDS.forEach(field => {
+        if (rule[field] != null && !(Array.isArray(rule[field]) && rule[field].every(item => typeof item === 'string'))) {
+            errors.push(`${field} must be a list of strings.`);
+        }
+    });
+    if (errors.length > 0) return errors;
+    ['postLinkSelector', 'titleSelector', 'deadlineSelector'].forEach(field => {
+        if (!rule[field] || typeof document === 'undefined') return;
+        try {
+            document.createDocumentFragment().querySelector(rule[field]);
+        } catch (e) {
+            errors.push(`${field} is not a valid CSS selector.`);
+        }
+    });
+    if (rule.deadlineRegex) {
+        try {
+            new RegExp(rule.deadlineRegex, 'i');
+        } catch (e) {
+            errors.push(`deadlineRegex is not a valid regular expression: ${e.message}`);
+        }
+    }
+    return errors;
+};
+
+/**
+ * Serialises rule sets for export.
+ * @param {object[]} rules
+ * @returns {string}
+ */
+export const exportRules = (rules) => JSON.stringify({ version: 1, rules }, null, 2);
+
+/**
+ * Parses exported rule sets. Accepts either the export envelope or a bare array.
+ * @param {string} json
+ * @returns {object[]}
+ * @throws {Error} If the JSON is malformed or a rule is invalid.
+ */
+export const importRules = (json) => {
+    const data = JSON.parse(json);
+    const rules = Array.isArray(data) ? data : data?.rules;
+    if (!Array.isArray(rules)) throw new Error('Expected an array of rules or { "rules": [...] }.');
+    return rules.map((rule, index) => {
+        const errors = validateRule(rule);
+        if (errors.length > 0) throw new Error(`Rule ${index + 1} (${(typeof rule?.domain === 'string' && rule.domain) || 'no domain'}): ${errors.join(' ')}`);
+        const cleaned = { domain: normalizeDomain(rule.domain) };
+        RULE_FIELDS.forEach(field => {
+            if (rule[field] != null) cleaned[field] = rule[field];
+        });
+        return cleaned;
+    });
+};
+
+/**
+ * Loads the saved rule sets.
+ * @returns {object[]}
+ */
+export const loadRules = () => loadJson(STORAGE_KEY, [], Array.isArray);
+
+/**
+ * Persists the rule sets.
+ * @param {object[]} rules
+ */
+export const saveRules = (rules) => saveJson(STORAGE_KEY, rules);
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { importRules, validateRule } from './extractionRules.js';
+
+describe('validateRule', () => {
+    it('accepts a rule with keyword lists', () => {
+        expect(validateRule({ domain: 'example.in', jobKeywords: ['salary'], deadlineRegex: 'last date (.+)' })).toEqual([]);
+    });
+
+    it('reports fields of the wrong type', () => {
+        expect(validateRule({ domain: 'example.in', jobKeywords: 'salary', jobUrlKeywords: [1], titleSelector: 3 })).toEqual([
+            'titleSelector must be a string.',
+            'jobUrlKeywords must be a list of strings.',
+            'jobKeywords must be a list of strings.',
+        ]);
+        expect(validateRule(null)).toEqual(['A rule must be an object.']);
+        expect(validateRule({ domain: 42 })).toEqual(['A domain is required.']);
+    });
+});
+
+describe('importRules', () => {
+    it('normalises domains and keeps the rule fields', () => {
+        expect(importRules(JSON.stringify({ version: 1, rules: [{ domain: 'https://www.Example.in/jobs', jobKeywords: ['salary'], note: 'dropped' }] })))
+            .toEqual([{ domain: 'example.in', jobKeywords: ['salary'] }]);
+    });
+
+    it('rejects rules that would break a scan', () => {
+        expect(() => importRules('[{ "domain": "example.in", "jobKeywords": "salary" }]')).toThrow('Rule 1 (example.in): jobKeywords must be a list of strings.');
+        expect(() => importRules('[{ "domain": "example.in" }, null]')).toThrow('Rule 2 (no domain): A rule must be an object.');
+    });
+});
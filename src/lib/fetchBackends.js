@@ -0,0 +1,142 @@
+import { localError } from './i18n.js';
+import { loadJson, saveJson } from './storage.js';
+
+// --- Fetch Backends ---
+//
+// Most job portals do not send CORS headers, so the browser has to go through a
+// proxy to read their HTML. Each backend describes one way of getting a page;
+// `createFetchHtml` tries the enabled ones in order until one succeeds.
+
+/**
+ * Supported backend strategies.
+ * - allorigins: JSON proxy that wraps the page in a `contents` field.
+ * - raw: passthrough proxy that returns the page body unchanged.
+ * - custom: a self-hosted CORS proxy, also returning the raw body.
+ * - direct: plain fetch, only works for sites that allow CORS.
+ */
+export const BACKEND_TYPES = {
+    allorigins: 'AllOrigins (JSON)',
+    raw: 'Raw passthrough proxy',
+    custom: 'Self-hosted CORS proxy',
+    direct: 'Direct fetch (CORS-enabled sites)',
+};
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+
+export const DEFAULT_BACKENDS = [
+    { id: 'allorigins', type: 'allorigins', label: 'AllOrigins', url: 'https://api.allorigins.win/get?url={url}', timeout: DEFAULT_TIMEOUT_MS, enabled: true },
+    { id: 'corsproxy', type: 'raw', label: 'corsproxy.io', url: 'https://corsproxy.io/?url={url}', timeout: DEFAULT_TIMEOUT_MS, enabled: true },
+    { id: 'codetabs', type: 'raw', label: 'CodeTabs', url: 'https://api.codetabs.com/v1/proxy?quest={url}', timeout: DEFAULT_TIMEOUT_MS, enabled: true },
+    { id: 'custom', type: 'custom', label: 'Self-hosted proxy', url: 'http://localhost:8787/?url={url}', timeout: DEFAULT_TIMEOUT_MS, enabled: false },
+    { id: 'direct', type: 'direct', label: 'Direct', url: '', timeout: DEFAULT_TIMEOUT_MS, enabled: false },
+];
+
+const STORAGE_KEY = 'jobCrawler.fetchBackends';
+
+/**
+ * Builds the request URL for a proxy backend.
+ * The `{url}` placeholder is replaced by the encoded target; templates without
+ * it get the encoded target appended.
+ * @param {string} template - The proxy URL template.
+ * @param {string} targetUrl - The page to fetch.
+ * @returns {string} The URL to request.
+ */
+export const buildProxyUrl = (template, targetUrl) => {
+    const encoded = encodeURIComponent(targetUrl);
+    return template.includes('{url}') ? template.replace('{url}', encoded) : `${template}${encoded}`;
+};
+
+/**
+ * Runs `fetch` with a timeout, also honouring an outer abort signal.
+ * @param {string} url - The URL to request.
+ * @param {number} timeout - Milliseconds before the request is aborted.
+ * @param {AbortSignal} [signal] - Optional signal from the caller.
+ * @returns {Promise<Response>}
+ */
+const fetchWithTimeout = async (url, timeout, signal) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        else signal.addEventListener('abort', onAbort);
+    }
+    const timer = setTimeout(() => controller.abort(), timeout || DEFAULT_TIMEOUT_MS);
+    try {
+        return await fetch(url, { signal: controller.signal });
+    } catch (e) {
+        if (signal?.aborted) throw e;
+        if (controller.signal.aborted) throw new Error(`Timed out after ${timeout || DEFAULT_TIMEOUT_MS} ms`);
+        throw e;
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+};
+
+/**
+ * Fetches a page through a single backend.
+ * @param {object} backend - The backend configuration.
+ * @param {string} targetUrl - The page to fetch.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request.
+ * @param {boolean} [options.binary] - Return the body's bytes, e.g. for a PDF.
+ * @returns {Promise<string|Uint8Array>} The HTML content, or the bytes for `binary`.
+ */
+export const fetchWithBackend = async (backend, targetUrl, { signal, binary = false } = {}) => {
+    // The JSON proxy returns the body as text, which mangles binary files.
+    if (binary && backend.type === 'allorigins') throw new Error('Cannot fetch binary files.');
+    const requestUrl = backend.type === 'direct' ? targetUrl : buildProxyUrl(backend.url, targetUrl);
+    const response = await fetchWithTimeout(requestUrl, backend.timeout, signal);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    if (binary) {
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (bytes.length === 0) throw new Error('Empty response.');
+        return bytes;
+    }
+
+    if (backend.type === 'allorigins') {
+        const data = await response.json();
+        // The API returns the content in a 'contents' field.
+        if (!data.contents) throw new Error('Proxy returned no contents.');
+        return data.contents;
+    }
+
+    const html = await response.text();
+    if (!html) throw new Error('Empty response.');
+    return html;
+};
+
+/**
+ * Creates a `fetchHtml` function that tries each enabled backend in order and
+ * fails over to the next one on error or timeout.
+ * @param {object[]} backends - Ordered backend configurations.
+ * @returns {(targetUrl: string, options?: { signal?: AbortSignal, binary?: boolean }) => Promise<string|Uint8Array>}
+ */
+export const createFetchHtml = (backends) => async (targetUrl, options = {}) => {
+    const active = backends.filter(backend => backend.enabled);
+    if (active.length === 0) throw localError('scan.error.noBackend');
+
+    const failures = [];
+    for (const backend of active) {
+        try {
+            return await fetchWithBackend(backend, targetUrl, options);
+        } catch (e) {
+            if (options.signal?.aborted) throw e;
+            failures.push(`${backend.label}: ${e.message}`);
+        }
+    }
+    throw localError('scan.error.fetchFailed', { url: targetUrl, reasons: failures.join('; ') });
+};
+
+/**
+ * Loads the saved backend list, falling back to the defaults.
+ * @returns {object[]}
+ */
+export const loadBackends = () => loadJson(STORAGE_KEY, DEFAULT_BACKENDS, saved => Array.isArray(saved) && saved.length > 0);
+
+/**
+ * Persists the backend list.
+ * @param {object[]} backends
+ */
+export const saveBackends = (backends) => saveJson(STORAGE_KEY, backends);
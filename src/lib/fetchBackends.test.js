@@ -0,0 +1,141 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { buildProxyUrl, createFetchHtml } from './fetchBackends.js';
+import { startStandInProxy } from './__fixtures__/standInProxy.js';
+
+const TARGET = 'https://govtjobs.example.in/ssc-cgl/';
+const backend = (id, type, url, timeout = 1000) => ({ id, type, label: id, url, timeout, enabled: true });
+const allorigins = backend('allorigins', 'allorigins', 'https://allorigins.test/get?url={url}');
+const raw = backend('raw', 'raw', 'https://raw.test/?url={url}');
+const custom = backend('custom', 'custom', 'http://localhost:8787/?url={url}');
+
+describe('buildProxyUrl', () => {
+    it('puts the encoded target in place of {url} or appends it', () => {
+        expect(buildProxyUrl('https://raw.test/?url={url}&x=1', TARGET)).toBe(`https://raw.test/?url=${encodeURIComponent(TARGET)}&x=1`);
+        expect(buildProxyUrl('https://raw.test/', TARGET)).toBe(`https://raw.test/${encodeURIComponent(TARGET)}`);
+    });
+});
+
+// `fetch` is stubbed with one handler per proxy host. A handler that returns
+// nothing leaves the request hanging until it is aborted, like a proxy that
+// never answers.
+describe('createFetchHtml', () => {
+    let handlers;
+    let requested;
+
+    beforeEach(() => {
+        handlers = {};
+        requested = [];
+        vi.stubGlobal('fetch', vi.fn((url, { signal }) => {
+            requested.push(url);
+            const response = handlers[new URL(url).host]?.(url);
+            if (response) return Promise.resolve(response);
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+            });
+        }));
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+    });
+
+    it('reads the page from the contents of an AllOrigins response', async () => {
+        handlers['allorigins.test'] = () => Response.json({ contents: '<h1>SSC CGL</h1>', status: { http_code: 200 } });
+
+        await expect(createFetchHtml([allorigins, raw])(TARGET)).resolves.toBe('<h1>SSC CGL</h1>');
+        expect(requested).toEqual([buildProxyUrl(allorigins.url, TARGET)]);
+    });
+
+    it('tries the enabled backends in order until one succeeds', async () => {
+        handlers['allorigins.test'] = () => Response.json({ contents: '' });
+        handlers['raw.test'] = () => new Response('Bad gateway', { status: 502 });
+        handlers['localhost:8787'] = () => new Response('<h1>SSC CGL</h1>');
+        const direct = { ...backend('direct', 'direct', ''), enabled: false };
+
+        await expect(createFetchHtml([allorigins, raw, direct, custom])(TARGET)).resolves.toBe('<h1>SSC CGL</h1>');
+        expect(requested.map(url => new URL(url).host)).toEqual(['allorigins.test', 'raw.test', 'localhost:8787']);
+    });
+
+    it('reports why every backend failed', async () => {
+        handlers['raw.test'] = () => new Response('', { status: 200 });
+        handlers['localhost:8787'] = () => new Response('Not found', { status: 404 });
+
+        const error = await createFetchHtml([raw, custom])(TARGET).catch(e => e);
+        expect(error.key).toBe('scan.error.fetchFailed');
+        expect(error.message).toBe(`Failed to fetch ${TARGET} (raw: Empty response.; custom: HTTP 404)`);
+    });
+
+    it('moves on when a backend takes longer than its own timeout', async () => {
+        vi.useFakeTimers();
+        handlers['localhost:8787'] = () => new Response('<h1>SSC CGL</h1>');
+        const fetchHtml = createFetchHtml([{ ...raw, timeout: 5000 }, custom]);
+
+        const result = fetchHtml(TARGET);
+        await vi.advanceTimersByTimeAsync(4999);
+        expect(requested).toHaveLength(1);
+        await vi.advanceTimersByTimeAsync(1);
+        await expect(result).resolves.toBe('<h1>SSC CGL</h1>');
+        expect(requested).toHaveLength(2);
+    });
+
+    it('names the timeout in the failure', async () => {
+        vi.useFakeTimers();
+        const result = createFetchHtml([{ ...raw, timeout: 2000 }])(TARGET).catch(e => e);
+        await vi.advanceTimersByTimeAsync(2000);
+        expect((await result).message).toBe(`Failed to fetch ${TARGET} (raw: Timed out after 2000 ms)`);
+    });
+
+    it('stops at once without trying other backends when the caller aborts', async () => {
+        handlers['localhost:8787'] = () => new Response('<h1>SSC CGL</h1>');
+        const controller = new AbortController();
+
+        const result = createFetchHtml([raw, custom])(TARGET, { signal: controller.signal }).catch(e => e);
+        controller.abort();
+        expect((await result).name).toBe('AbortError');
+        expect(requested).toHaveLength(1);
+    });
+
+    it('does not fetch PDFs through the JSON proxy', async () => {
+        handlers['raw.test'] = () => new Response(new Uint8Array([37, 80, 68, 70]));
+
+        await expect(createFetchHtml([allorigins, raw])(TARGET, { binary: true })).resolves.toEqual(new Uint8Array([37, 80, 68, 70]));
+        expect(requested.map(url => new URL(url).host)).toEqual(['raw.test']);
+    });
+
+    it('fails when no backend is enabled', async () => {
+        await expect(createFetchHtml([{ ...raw, enabled: false }])(TARGET)).rejects.toMatchObject({ key: 'scan.error.noBackend' });
+    });
+});
+
+describe('createFetchHtml with the stand-in proxy', () => {
+    const PAGE = 'https://govtjobs.example.in/ssc-cgl-recruitment-2026-job-notification/';
+    const PDF = 'https://ssc.gov.in/notice/selection-post-phase-xiv.pdf';
+    let rawProxy;
+    let jsonProxy;
+
+    beforeAll(async () => {
+        rawProxy = await startStandInProxy();
+        jsonProxy = await startStandInProxy(['--mode', 'allorigins']);
+    });
+
+    afterAll(() => {
+        rawProxy?.stop();
+        jsonProxy?.stop();
+    });
+
+    it('reads pages through a raw and an AllOrigins-style proxy', async () => {
+        const viaRaw = await createFetchHtml([backend('custom', 'custom', rawProxy.url)])(PAGE);
+        const viaJson = await createFetchHtml([backend('allorigins', 'allorigins', jsonProxy.url)])(PAGE);
+        expect(viaRaw).toContain('SSC CGL Recruitment 2026');
+        expect(viaJson).toBe(viaRaw);
+    });
+
+    it('fails over from a page the proxy cannot serve and fetches PDFs as bytes', async () => {
+        const fetchHtml = createFetchHtml([backend('allorigins', 'allorigins', jsonProxy.url), backend('custom', 'custom', rawProxy.url)]);
+        await expect(fetchHtml('https://govtjobs.example.in/missing/')).rejects.toThrow('(allorigins: HTTP 404; custom: HTTP 404)');
+
+        const bytes = await fetchHtml(PDF, { binary: true });
+        expect(new TextDecoder().decode(bytes.slice(0, 4))).toBe('%PDF');
+    });
+});
@@ -0,0 +1,78 @@
+// --- HTML Documents ---
+//
+// The crawl pipeline only needs two things from a DOM: parsing a page and
+// reading an element's text. Browsers provide both; under Node, install a DOM
+// implementation first, e.g. setDomParser((await import('linkedom')).DOMParser).
+// jsdom, as used by the tests, provides DOMParser but not innerText.
+
+let DomParserClass = null;
+
+/**
+ * Sets the DOMParser implementation used outside the browser.
+ * @param {typeof DOMParser} parserClass - A class with `parseFromString(html, type)`.
+ */
+export const setDomParser = (parserClass) => {
+    DomParserClass = parserClass;
+};
+
+/**
+ * Parses an HTML page.
+ * @param {string} html
+ * @returns {Document}
+ */
+export const parseHtml = (html) => {
+    const Parser = DomParserClass || globalThis.DOMParser;
+    if (!Parser) throw new Error('No DOMParser available. Call setDomParser() with a DOM implementation such as linkedom.');
+    return new Parser().parseFromString(html, 'text/html');
+};
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD']);
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE',
+    'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+    'SECTION', 'TABLE', 'TBODY', 'THEAD', 'TFOOT', 'TR', 'UL',
+]);
+const CELL_TAGS = new Set(['TD', 'TH']);
+
+const collectText = (node, parts) => {
+    if (node.nodeType === 3) {
+        parts.push(node.nodeValue.replace(/\s+/g, ' '));
+        return;
+    }
+    const tag = node.tagName?.toUpperCase();
+    if (SKIPPED_TAGS.has(tag)) return;
+    const block = BLOCK_TAGS.has(tag);
+    if (block) parts.push('\n');
+    node.childNodes.forEach(child => collectText(child, parts));
+    if (block) parts.push('\n');
+    else if (CELL_TAGS.has(tag)) parts.push('\t');
+};
+
+/**
+ * Approximates innerText without layout: skips scripts and styles, breaks
+ * lines around block elements and separates table cells with tabs. Without
+ * this, "Last Date<td>31/01/2026" would read as "Last Date31/01/2026".
+ * @param {Node} element
+ * @returns {string}
+ */
+const layoutFreeText = (element) => {
+    const parts = [];
+    collectText(element, parts);
+    return parts.join('')
+        .replace(/ *\t[ \t]*/g, '\t')
+        .replace(/[ \t]*\n[ \t\n]*/g, '\n')
+        .trim();
+};
+
+/**
+ * Reads an element's visible text: innerText in the browser, and an
+ * approximation of it under a DOM implementation without layout, whose
+ * innerText (if any) does not separate blocks and table cells.
+ * @param {Element|null|undefined} element
+ * @returns {string} Empty when there is no element.
+ */
+export const getText = (element) => {
+    if (!element) return '';
+    if (!DomParserClass && typeof element.innerText === 'string') return element.innerText;
+    return layoutFreeText(element);
+};
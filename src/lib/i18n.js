@@ -0,0 +1,103 @@
+import { loadJson, saveJson } from './storage.js';
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+
+// --- Interface Language ---
+//
+// UI strings are looked up by key in the catalogue of the chosen language and
+// fall back to English, then to the `default` param, then to the key itself.
+// Messages may contain {name} placeholders. A message written as
+// { one, other } is picked by the `count` param with the language's plural
+// rules. Labels owned by the library (sort fields, export columns, classifier
+// features) are passed as `default`, so English needs no copy of them.
+//
+// Text the library produces for the UI, such as scan progress and scan
+// errors, is passed around as { key, params, message } (see localText), so the
+// UI can translate it while the command line prints the English `message`.
+// Rejection reasons in the scan diagnostics, the reasons a fetch failed and the
+// share messages, which follow the user's templates, are not translated.
+
+const STORAGE_KEY = 'jobCrawler.locale';
+
+export const LOCALES = [
+    { id: 'en', label: 'English', dateLocale: 'en-GB' },
+    { id: 'hi', label: 'हिन्दी', dateLocale: 'hi-IN' },
+];
+
+export const MESSAGES = { en, hi };
+
+const DATE_FORMATS = {
+    date: { day: '2-digit', month: '2-digit', year: 'numeric' },
+    long: { day: 'numeric', month: 'long', year: 'numeric' },
+    dateTime: { dateStyle: 'medium', timeStyle: 'short' },
+};
+
+/**
+ * Creates the translation function for a language.
+ * @param {string} locale - A LOCALES id.
+ * A param may itself be a localText, which is translated in place.
+ * `t.message` translates a localText, or returns the message of an error or
+ * the string it is given.
+ * @returns {((key: string, params?: object) => string) & { locale: string,
+ *   message: (value: object|string) => string,
+ *   formatDate: (value: Date|string|number, format?: 'date'|'long'|'dateTime') => string }}
+ */
+export const createTranslator = (locale) => {
+    const { id, dateLocale } = LOCALES.find(item => item.id === locale) || LOCALES[0];
+    const plurals = new Intl.PluralRules(dateLocale);
+    const dateFormats = {};
+
+    const t = (key, params = {}) => {
+        let message = MESSAGES[id][key] ?? MESSAGES.en[key];
+        if (message === undefined) return params.default ?? key;
+        if (typeof message === 'object') message = message[plurals.select(params.count)] ?? message.other;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : t.message(params[name])));
+    };
+    t.locale = id;
+    t.message = (value) => (value?.key ? t(value.key, value.params) : String(value?.message ?? value));
+    t.formatDate = (value, format = 'date') => {
+        dateFormats[format] ??= new Intl.DateTimeFormat(dateLocale, DATE_FORMATS[format]);
+        return dateFormats[format].format(new Date(value));
+    };
+    return t;
+};
+
+const english = createTranslator('en');
+
+/**
+ * Describes text for the UI to translate.
+ * @param {string} key - A message key.
+ * @param {object} [params] - The message's params.
+ * @returns {{ key: string, params: object, message: string }} `message` is the English text.
+ */
+export const localText = (key, params = {}) => ({ key, params, message: english(key, params) });
+
+/**
+ * Creates an error with an English message that also carries its key and
+ * params, so t.message() can translate it.
+ * @param {string} key
+ * @param {object} [params]
+ * @returns {Error}
+ */
+export const localError = (key, params = {}) => Object.assign(new Error(english(key, params)), { key, params });
+
+/**
+ * Picks the browser's language if there is a catalogue for it.
+ * @returns {string}
+ */
+const detectLocale = () => {
+    const language = typeof navigator === 'undefined' ? '' : navigator.language || '';
+    return LOCALES.find(item => language.toLowerCase().startsWith(item.id))?.id || 'en';
+};
+
+/**
+ * Loads the chosen interface language.
+ * @returns {string} A LOCALES id.
+ */
+export const loadLocale = () => loadJson(STORAGE_KEY, detectLocale(), value => LOCALES.some(item => item.id === value));
+
+/**
+ * Persists the interface language.
+ * @param {string} locale
+ */
+export const saveLocale = (locale) => saveJson(STORAGE_KEY, locale);
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { MESSAGES, createTranslator, localError, localText } from './i18n.js';
+
+describe('message catalogues', () => {
+    it('translates every English message into Hindi in the same shape', () => {
+        for (const [key, message] of Object.entries(MESSAGES.en)) {
+            expect(MESSAGES.hi, key).toHaveProperty([key]);
+            expect(typeof MESSAGES.hi[key], key).toBe(typeof message);
+        }
+    });
+
+    it('keeps the placeholders of each message', () => {
+        const placeholders = (message) => [...JSON.stringify(message).matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+        for (const [key, message] of Object.entries(MESSAGES.en)) {
+            expect(placeholders(MESSAGES.hi[key]), key).toEqual(placeholders(message));
+        }
+    });
+});
+
+describe('createTranslator', () => {
+    it('fills in placeholders', () => {
+        const t = createTranslator('en');
+        expect(t('app.pageOf', { page: 2, total: 5 })).toBe('Page 2 of 5');
+        expect(createTranslator('hi')('app.pageOf', { page: 2, total: 5 })).toBe('पेज 2 / 5');
+    });
+
+    it('picks the plural form by count', () => {
+        const t = createTranslator('en');
+        expect(t('history.jobs', { count: 1 })).toBe('1 job');
+        expect(t('history.jobs', { count: 3 })).toBe('3 jobs');
+    });
+
+    it('falls back to English, then the default, then the key', () => {
+        const t = createTranslator('hi');
+        expect(t('filters.sortField.title', { default: 'Title' })).toBe('शीर्षक');
+        expect(createTranslator('en')('filters.sortField.title', { default: 'Title' })).toBe('Title');
+        expect(t('no.such.key')).toBe('no.such.key');
+        expect(createTranslator('fr').locale).toBe('en');
+    });
+
+    it('translates text and errors from the library', () => {
+        const text = localText('scan.result.done', { jobs: 2, possible: localText('scan.result.possible', { count: 1 }), fetched: 3, count: 4, failed: '', cancelled: '' });
+        expect(text.message).toBe('2 jobs (+1 possible) from 3 of 4 posts.');
+        expect(createTranslator('hi').message(text)).toBe('4 में से 3 पोस्ट से 2 नौकरियाँ (+1 संभावित)।');
+        expect(createTranslator('hi').message(localError('scan.error.noBackend'))).toBe('कोई फ़ेच बैकएंड चालू नहीं है। फ़ेच सेटिंग्स जाँचें।');
+        expect(createTranslator('hi').message(new Error('HTTP 404'))).toBe('HTTP 404');
+    });
+
+    it('formats dates for the language', () => {
+        const date = new Date(2026, 0, 31);
+        expect(createTranslator('en').formatDate(date)).toBe('31/01/2026');
+        expect(createTranslator('en').formatDate(date, 'long')).toBe('31 January 2026');
+        expect(createTranslator('hi').formatDate(date, 'long')).toBe(new Intl.DateTimeFormat('hi-IN', { day: 'numeric', month: 'long', year: 'numeric' }).format(date));
+    });
+});
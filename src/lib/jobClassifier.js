@@ -0,0 +1,151 @@
+import { loadJson, saveJson } from './storage.js';
+
+// --- Job Page Classifier ---
+//
+// Decides whether an analysed post is a job advert. Each feature looks at one
+// signal and returns a value between 0 and 1; the value times the feature's
+// weight is its contribution, and a page is accepted when the contributions
+// add up to the threshold. Negative weights count against a page.
+//
+// Features receive a context built by analyzePost():
+//   { url, title, matchedKeywords, structured, deadlineSource, deadlineKind, deadlineLabelled }
+
+const STORAGE_KEY = 'jobCrawler.classifier';
+
+// Matched keywords needed for the keyword feature to count in full.
+const FULL_KEYWORD_MATCHES = 4;
+
+const RECRUITMENT_TITLE = /recruitment|vacanc|bharti|hiring|walk[\s-]?in|apply online|notification|\d+\s+posts?\b|भर्ती|रिक्ति/i;
+const JOB_URL = /job|career|recruit|vacanc|bharti|opening|hiring|walk-?in/i;
+const NON_JOB_TITLE = /\b(?:result|answer key|admit card|hall ticket|syllabus|cut[\s-]?off|merit list|exam pattern)s?\b/i;
+const NEWS_URL = /\/(?:news|blog|articles?|story|stories)\//i;
+
+/**
+ * Returns the path and query of a URL, or an empty string if it is invalid.
+ * @param {string} url
+ * @returns {string}
+ */
+const pathOf = (url) => {
+    try {
+        const { pathname, search } = new URL(url);
+        return `${pathname}${search}`;
+    } catch (e) {
+        return '';
+    }
+};
+
+/**
+ * The built-in features, in the order they are shown in breakdowns.
+ * Each has an id, a label, a default weight and an `evaluate(context)` that
+ * returns `{ value, detail }`.
+ */
+export const DEFAULT_FEATURES = [
+    {
+        id: 'keywords',
+        label: 'Job keywords',
+        weight: 2,
+        evaluate: ({ matchedKeywords }) => ({
+            value: Math.min(1, matchedKeywords.length / FULL_KEYWORD_MATCHES),
+            detail: matchedKeywords.length > 0 ? matchedKeywords.join(', ') : 'none found',
+        }),
+    },
+    {
+        id: 'deadlineLabel',
+        label: 'Labelled deadline',
+        weight: 1.5,
+        evaluate: ({ deadlineSource, deadlineKind, deadlineLabelled }) => {
+            if (deadlineSource === 'structured' || deadlineSource === 'rule') return { value: 1, detail: `from ${deadlineSource === 'rule' ? 'site rule' : 'structured data'}` };
+            const labelled = deadlineKind === 'deadline' && deadlineLabelled;
+            const where = deadlineSource === 'pdf' ? ' in notification PDF' : '';
+            return { value: labelled ? 1 : 0, detail: labelled ? `last date label found${where}` : `no deadline label${where}` };
+        },
+    },
+    {
+        id: 'titlePattern',
+        label: 'Recruitment title',
+        weight: 1.5,
+        evaluate: ({ title }) => {
+            const match = (title || '').match(RECRUITMENT_TITLE);
+            return { value: match ? 1 : 0, detail: match ? `"${match[0]}"` : 'no match' };
+        },
+    },
+    {
+        id: 'structured',
+        label: 'JobPosting data',
+        weight: 3,
+        evaluate: ({ structured }) => ({ value: structured ? 1 : 0, detail: structured ? 'schema.org JobPosting' : 'none' }),
+    },
+    {
+        id: 'urlShape',
+        label: 'Job-like URL',
+        weight: 1,
+        evaluate: ({ url }) => {
+            const match = pathOf(url).match(JOB_URL);
+            return { value: match ? 1 : 0, detail: match ? `"${match[0]}" in path` : 'no match' };
+        },
+    },
+    {
+        id: 'nonJobTitle',
+        label: 'Result or admit card title',
+        weight: -1.5,
+        evaluate: ({ title }) => {
+            const match = (title || '').match(NON_JOB_TITLE);
+            return { value: match ? 1 : 0, detail: match ? `"${match[0]}"` : 'no match' };
+        },
+    },
+    {
+        id: 'newsUrl',
+        label: 'News or blog URL',
+        weight: -1,
+        evaluate: ({ url }) => {
+            const match = pathOf(url).match(NEWS_URL);
+            return { value: match ? 1 : 0, detail: match ? `"${match[0]}" in path` : 'no match' };
+        },
+    },
+];
+
+export const DEFAULT_CLASSIFIER = {
+    threshold: 3,
+    // Overrides of the features' default weights, by feature id.
+    weights: {},
+};
+
+/**
+ * Scores a post and explains the result.
+ * @param {object} context - Signals from analyzePost().
+ * @param {object} [classifier] - { threshold, weights } settings.
+ * @param {object[]} [features] - Features to evaluate, see DEFAULT_FEATURES.
+ * @returns {{ accepted: boolean, score: number, threshold: number,
+ *   breakdown: { id: string, label: string, weight: number, value: number, contribution: number, detail: string }[] }}
+ */
+export const classifyPost = (context, classifier = DEFAULT_CLASSIFIER, features = DEFAULT_FEATURES) => {
+    const breakdown = features.map(feature => {
+        const weight = classifier.weights?.[feature.id] ?? feature.weight;
+        const { value, detail } = feature.evaluate(context);
+        return { id: feature.id, label: feature.label, weight, value, contribution: Math.round(weight * value * 100) / 100, detail };
+    });
+    const score = Math.round(breakdown.reduce((sum, item) => sum + item.contribution, 0) * 100) / 100;
+    return { accepted: score >= classifier.threshold, score, threshold: classifier.threshold, breakdown };
+};
+
+/**
+ * Fills in missing or mistyped classifier settings with the defaults.
+ * @param {object} settings - Saved or imported { threshold, weights }.
+ * @returns {object}
+ */
+export const normalizeClassifier = (settings) => ({
+    threshold: typeof settings?.threshold === 'number' ? settings.threshold : DEFAULT_CLASSIFIER.threshold,
+    weights: settings?.weights && typeof settings.weights === 'object' ? settings.weights : {},
+});
+
+/**
+ * Loads the classifier settings, falling back to the defaults.
+ * @returns {object}
+ */
+export const loadClassifier = () => normalizeClassifier(loadJson(STORAGE_KEY, {}, value => value && typeof value === 'object'));
+
+/**
+ * Persists the classifier settings.
+ * @param {object} classifier
+ */
+export const saveClassifier = (classifier) => saveJson(STORAGE_KEY, classifier);
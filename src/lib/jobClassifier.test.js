@@ -0,0 +1,139 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { DOMParser } from 'linkedom';
+import { setDomParser } from './htmlDocument.js';
+import { evaluatePost } from './extractJob.js';
+import { DEFAULT_CLASSIFIER, classifyPost, normalizeClassifier } from './jobClassifier.js';
+
+beforeAll(() => setDomParser(DOMParser));
+
+const jobPost = {
+    url: 'https://govtjobs.example.in/ssc-cgl-recruitment-2026/',
+    title: 'SSC CGL Recruitment 2026 - 7500 Posts',
+    matchedKeywords: ['qualification', 'experience', 'salary', 'location', 'apply now'],
+    structured: true,
+    deadlineSource: 'structured',
+    deadlineKind: 'deadline',
+    deadlineLabelled: true,
+};
+const resultNotice = {
+    url: 'https://govtjobs.example.in/news/upsc-prelims-result-2025/',
+    title: 'UPSC Prelims Result 2025 Declared',
+    matchedKeywords: [],
+    structured: false,
+    deadlineSource: 'text',
+    deadlineKind: 'exam',
+    deadlineLabelled: true,
+};
+// A college post with a labelled last date but few other signs of a job advert.
+const borderline = {
+    url: 'https://citycollege.example.in/library-assistant/',
+    title: 'Library Assistant',
+    matchedKeywords: ['qualification', 'salary'],
+    structured: false,
+    deadlineSource: 'text',
+    deadlineKind: 'deadline',
+    deadlineLabelled: true,
+};
+// Adding 0 turns the -0 of an unmatched negative feature into 0.
+const contributions = (result) => Object.fromEntries(result.breakdown.map(item => [item.id, item.contribution + 0]));
+
+describe('classifyPost', () => {
+    it('accepts a clear job post and explains every feature', () => {
+        const result = classifyPost(jobPost);
+        expect(result).toMatchObject({ accepted: true, score: 9, threshold: 3 });
+        expect(result.breakdown.map(({ contribution, ...item }) => item)).toEqual([
+            { id: 'keywords', label: 'Job keywords', weight: 2, value: 1, detail: 'qualification, experience, salary, location, apply now' },
+            { id: 'deadlineLabel', label: 'Labelled deadline', weight: 1.5, value: 1, detail: 'from structured data' },
+            { id: 'titlePattern', label: 'Recruitment title', weight: 1.5, value: 1, detail: '"Recruitment"' },
+            { id: 'structured', label: 'JobPosting data', weight: 3, value: 1, detail: 'schema.org JobPosting' },
+            { id: 'urlShape', label: 'Job-like URL', weight: 1, value: 1, detail: '"recruit" in path' },
+            { id: 'nonJobTitle', label: 'Result or admit card title', weight: -1.5, value: 0, detail: 'no match' },
+            { id: 'newsUrl', label: 'News or blog URL', weight: -1, value: 0, detail: 'no match' },
+        ]);
+        expect(contributions(result)).toEqual({ keywords: 2, deadlineLabel: 1.5, titlePattern: 1.5, structured: 3, urlShape: 1, nonJobTitle: 0, newsUrl: 0 });
+    });
+
+    it('rejects a result notice, with the negative features counting against it', () => {
+        const result = classifyPost(resultNotice);
+        expect(result).toMatchObject({ accepted: false, score: -2.5 });
+        expect(contributions(result)).toEqual({ keywords: 0, deadlineLabel: 0, titlePattern: 0, structured: 0, urlShape: 0, nonJobTitle: -1.5, newsUrl: -1 });
+        expect(result.breakdown.find(item => item.id === 'nonJobTitle').detail).toBe('"Result"');
+        expect(result.breakdown.find(item => item.id === 'newsUrl').detail).toBe('"/news/" in path');
+        expect(result.breakdown.find(item => item.id === 'keywords').detail).toBe('none found');
+    });
+
+    it('scores partial keyword matches proportionally and leaves a borderline page just under the threshold', () => {
+        const result = classifyPost(borderline);
+        expect(result).toMatchObject({ accepted: false, score: 2.5, threshold: 3 });
+        expect(contributions(result)).toMatchObject({ keywords: 1, deadlineLabel: 1.5, titlePattern: 0, urlShape: 0 });
+    });
+
+    it('uses the weight overrides and threshold from the settings', () => {
+        expect(classifyPost(borderline, { threshold: 2.5, weights: {} }).accepted).toBe(true);
+        const weighted = classifyPost(borderline, { threshold: 3, weights: { keywords: 4 } });
+        expect(weighted).toMatchObject({ accepted: true, score: 3.5 });
+        expect(weighted.breakdown[0]).toMatchObject({ weight: 4, contribution: 2 });
+        expect(classifyPost(jobPost, { threshold: 3, weights: { structured: 0, keywords: 0, titlePattern: 0 } }).score).toBe(2.5);
+    });
+
+    it('describes where a labelled deadline was found', () => {
+        const detail = (context) => classifyPost({ ...borderline, ...context }).breakdown.find(item => item.id === 'deadlineLabel').detail;
+        expect(detail({ deadlineSource: 'rule' })).toBe('from site rule');
+        expect(detail({ deadlineSource: 'pdf' })).toBe('last date label found in notification PDF');
+        expect(detail({ deadlineLabelled: false })).toBe('no deadline label');
+    });
+
+    it('tolerates a missing title and an invalid URL', () => {
+        const result = classifyPost({ ...borderline, title: null, url: 'not a url' });
+        expect(contributions(result)).toMatchObject({ titlePattern: 0, urlShape: 0, newsUrl: 0 });
+    });
+});
+
+describe('normalizeClassifier', () => {
+    it('fills in missing or mistyped settings', () => {
+        expect(normalizeClassifier(undefined)).toEqual(DEFAULT_CLASSIFIER);
+        expect(normalizeClassifier({ threshold: '4', weights: 'heavy' })).toEqual(DEFAULT_CLASSIFIER);
+        expect(normalizeClassifier({ threshold: 4.5, weights: { keywords: 3 } })).toEqual({ threshold: 4.5, weights: { keywords: 3 } });
+    });
+});
+
+describe('evaluatePost with the default classifier', () => {
+    const today = new Date(2026, 0, 10);
+    const page = (title, body) => `<html><head><title>${title}</title></head><body><article><h1>${title}</h1>${body}</article></body></html>`;
+
+    it('lists a clear job post as a job', async () => {
+        const html = page('SSC CGL Recruitment 2026 - 7500 Posts', `
+            <p>Staff Selection Commission has released the notification for 7500 posts.</p>
+            <p>Qualification: Bachelor's degree. Experience: not required. Salary: Level 4 to Level 7. Location: All India.</p>
+            <p>Last Date to Apply Online: 31/01/2026</p>
+            <p><a href="https://ssc.example.gov.in/apply">Apply Now</a></p>`);
+        const { job, rejection } = await evaluatePost(html, 'https://govtjobs.example.in/ssc-cgl-recruitment-2026/', today);
+
+        expect(rejection).toBeNull();
+        expect(job.classification.accepted).toBe(true);
+        expect(job.classification.score).toBeGreaterThanOrEqual(job.classification.threshold);
+    });
+
+    it('offers a borderline post for review instead of listing it', async () => {
+        const html = page('Library Assistant', `
+            <p>City College invites applications for the post of Library Assistant.</p>
+            <p>Qualification: B.Lib. Salary: as per college norms.</p>
+            <p>Last date to apply: 31/01/2026</p>`);
+        const { job, rejection } = await evaluatePost(html, 'https://citycollege.example.in/library-assistant/', today);
+
+        expect(rejection).toBeNull();
+        expect(job.classification).toMatchObject({ accepted: false, score: 2.5, threshold: 3 });
+        expect(job.lastDate).toEqual(new Date(2026, 0, 31));
+    });
+
+    it('does not accept a result notice', async () => {
+        const html = page('UPSC Prelims Result 2025 Declared', `
+            <p>The Union Public Service Commission has declared the prelims result.</p>
+            <p>Mains Exam Date: 20/02/2026</p>`);
+        const { job, analysis } = await evaluatePost(html, 'https://govtjobs.example.in/news/upsc-prelims-result-2025/', today);
+
+        expect(job?.classification.accepted ?? false).toBe(false);
+        expect(analysis.classification.accepted).toBe(false);
+        expect(analysis.classification.score).toBeLessThan(0);
+    });
+});
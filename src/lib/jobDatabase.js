@@ -0,0 +1,399 @@
+// --- Job Database (IndexedDB) ---
+//
+// Jobs are stored by post URL so that every scan can be compared with what was
+// seen before. Each scan also keeps a snapshot of its results for the history
+// view.
+//
+// Stores:
+//   jobs  - keyPath 'link': { link, title, lastDate, source, sourceLabel, firstSeen,
+//           lastSeen, changedAt, previousTitle, previousLastDate, promoted, removedAt,
+//           expiredAt }
+//   scans - autoIncrement 'id': { id, label, sources, startedAt, finishedAt, cancelled,
+//           jobs, possibleJobs, removedJobs, diagnostics }
+//   bookmarks - keyPath 'link': { link, title, lastDate, deadlineTime, sourceLabel,
+//           starredAt, reminderDays, sentReminders }
+//
+// `source` on a job is the origin of its link and is indexed, so a scan only
+// compares against jobs from the sites it covered. Posts the classifier
+// rejected are kept only in their scan's `possibleJobs` until the user
+// promotes one, which stores it as a job marked `promoted`; later scans then
+// accept it regardless of its score.
+//
+// A job whose deadline is still ahead but whose post is no longer linked from
+// its site's listing pages is listed once in that scan's `removedJobs` and
+// marked `removedAt`; the mark is cleared if the post shows up again. A job
+// whose deadline has passed is likewise listed as expired once, in the first
+// scan after it lapsed, and marked `expiredAt` so later scans leave it out.
+//
+// Bookmarks are the starred jobs. The service worker (public/sw.js) reads them
+// to send deadline reminders and records which offsets it has notified in
+// `sentReminders`.
+
+const DB_NAME = 'jobCrawler';
+const DB_VERSION = 2;
+const JOBS_STORE = 'jobs';
+const SCANS_STORE = 'scans';
+const BOOKMARKS_STORE = 'bookmarks';
+
+export const MAX_SAVED_SCANS = 50;
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolves when a transaction commits.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+const done = (tx) => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted.'));
+});
+
+/**
+ * Opens (and on first use creates) the database.
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(JOBS_STORE)) {
+                    const jobs = db.createObjectStore(JOBS_STORE, { keyPath: 'link' });
+                    jobs.createIndex('source', 'source');
+                }
+                if (!db.objectStoreNames.contains(SCANS_STORE)) {
+                    db.createObjectStore(SCANS_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(BOOKMARKS_STORE)) {
+                    db.createObjectStore(BOOKMARKS_STORE, { keyPath: 'link' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+/**
+ * Closes the database; the next call opens it again.
+ * @returns {Promise<void>}
+ */
+export const closeDatabase = async () => {
+    if (!dbPromise) return;
+    const pending = dbPromise;
+    dbPromise = null;
+    try {
+        (await pending).close();
+    } catch (e) {
+        // It never opened.
+    }
+};
+
+const startOfToday = () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+};
+
+// Deadlines are compared by calendar day, ignoring any time component.
+const dayKey = (date) => (date ? new Date(date).toISOString().slice(0, 10) : null);
+const sameDate = (a, b) => dayKey(a) === dayKey(b);
+
+/**
+ * Works out a job's badge from its stored record.
+ * @param {object} record - The stored job.
+ * @param {number} scanTime - Timestamp of the scan being displayed.
+ * @returns {'new'|'deadline-changed'|'title-changed'|'expired'|null}
+ */
+export const getJobStatus = (record, scanTime) => {
+    if (record.lastDate && new Date(record.lastDate) < startOfToday()) return 'expired';
+    if (record.firstSeen === scanTime) return 'new';
+    if (record.changedAt === scanTime && record.previousLastDate !== undefined) return 'deadline-changed';
+    if (record.changedAt === scanTime && record.previousTitle !== undefined) return 'title-changed';
+    return null;
+};
+
+/**
+ * Merges a scan's jobs into the database and saves the scan snapshot.
+ *
+ * New links get a first-seen timestamp; known links get their last-seen time
+ * updated and any title or deadline change recorded. Previously stored jobs
+ * from the scanned sites whose deadline has passed since the last scan are
+ * returned with an 'expired' status after the current ones. Jobs with a deadline still ahead
+ * whose post the scan's diagnostics no longer list are saved as the scan's
+ * `removedJobs`; sites with a failed listing page, and cancelled scans, are
+ * not checked.
+ *
+ * @param {object} params
+ * @param {{ label: string, url: string }[]} params.sources - The scanned sources.
+ * @param {object[]} params.jobs - Jobs found by the scan ({ title, link, lastDate, sourceLabel }).
+ * @param {object[]} [params.possibleJobs] - Posts the classifier rejected.
+ * @param {number} params.startedAt - Scan start timestamp.
+ * @param {boolean} [params.cancelled] - Whether the scan was cut short.
+ * @param {object} [params.diagnostics] - The scan's diagnostics report, which
+ *   lists every post link found.
+ * @returns {Promise<{ scan: object, jobs: object[], possibleJobs: object[] }>} The saved scan,
+ *   the annotated jobs and the possible jobs still awaiting review.
+ */
+export const recordScan = async ({ sources, jobs, possibleJobs = [], startedAt, cancelled = false, diagnostics = null }) => {
+    const db = await openDatabase();
+    const origins = [...new Set(sources.map(source => new URL(source.url).origin))];
+    const now = Date.now();
+
+    const tx = db.transaction([JOBS_STORE, SCANS_STORE], 'readwrite');
+    const jobStore = tx.objectStore(JOBS_STORE);
+    const previous = (await Promise.all(origins.map(origin => promisify(jobStore.index('source').getAll(origin))))).flat();
+    const previousByLink = new Map(previous.map(record => [record.link, record]));
+
+    // Posts promoted in an earlier scan count as jobs whatever their score.
+    const isPromoted = (job) => previousByLink.get(job.link)?.promoted;
+    const accepted = [...jobs, ...possibleJobs.filter(isPromoted)];
+    const unreviewed = possibleJobs.filter(job => !isPromoted(job));
+
+    const annotated = accepted.map(job => {
+        const existing = previousByLink.get(job.link);
+        const source = new URL(job.link).origin;
+        let record;
+        if (!existing) {
+            record = { ...job, source, firstSeen: now, lastSeen: now };
+        } else {
+            const titleChanged = existing.title !== job.title;
+            const deadlineChanged = !sameDate(existing.lastDate, job.lastDate);
+            record = { ...existing, ...job, source, lastSeen: now };
+            delete record.removedAt;
+            delete record.expiredAt;
+            if (titleChanged || deadlineChanged) {
+                record.changedAt = now;
+                record.previousTitle = titleChanged ? existing.title : undefined;
+                record.previousLastDate = deadlineChanged ? existing.lastDate : undefined;
+            }
+        }
+        jobStore.put(record);
+        return { ...record, status: getJobStatus(record, now) };
+    });
+
+    const foundLinks = new Set(accepted.map(job => job.link));
+    const expired = previous
+        .filter(record => !foundLinks.has(record.link)
+            && !record.expiredAt
+            && record.lastDate && new Date(record.lastDate) < startOfToday())
+        .map(record => ({ ...record, expiredAt: now }));
+    expired.forEach(record => jobStore.put(record));
+
+    // Only sites whose listing pages were all fetched can tell that a post is
+    // gone. A post that is still linked counts as listed even if it could not
+    // be fetched or was not accepted this time.
+    const reports = cancelled || !diagnostics ? [] : diagnostics.sources;
+    const incomplete = new Set(reports
+        .filter(report => report.error || report.listingPages.some(page => !page.ok))
+        .map(report => new URL(report.url).origin));
+    const checkedOrigins = new Set(reports.map(report => new URL(report.url).origin).filter(origin => !incomplete.has(origin)));
+    const listedLinks = new Set([
+        ...reports.flatMap(report => report.posts.map(post => post.url)),
+        ...accepted.flatMap(job => (job.postings || []).map(posting => posting.link)),
+        ...foundLinks,
+    ]);
+    const removed = previous
+        .filter(record => checkedOrigins.has(record.source)
+            && !listedLinks.has(record.link)
+            && !record.removedAt
+            && record.lastDate && new Date(record.lastDate) >= startOfToday())
+        .map(record => ({ ...record, removedAt: now }));
+    removed.forEach(record => jobStore.put(record));
+
+    const snapshot = [...annotated, ...expired.map(record => ({ ...record, status: 'expired' }))];
+    const scan = {
+        label: sources.length === 1 ? sources[0].url : `${sources.length} sources`,
+        sources: sources.map(({ label, url }) => ({ label, url })),
+        startedAt,
+        finishedAt: now,
+        cancelled,
+        jobs: snapshot,
+        possibleJobs: unreviewed,
+        removedJobs: removed,
+        diagnostics,
+    };
+    scan.id = await promisify(tx.objectStore(SCANS_STORE).add(scan));
+    await done(tx);
+
+    await pruneScans(db);
+    return { scan, jobs: snapshot, possibleJobs: unreviewed };
+};
+
+/**
+ * Moves a possible job of a saved scan into its job list and stores it as a
+ * promoted job, so later scans accept the post too.
+ * @param {number} scanId - The scan the post was found in.
+ * @param {string} link - The post URL.
+ * @returns {Promise<object>} The promoted job, annotated with its status.
+ */
+export const promoteJob = async (scanId, link) => {
+    const db = await openDatabase();
+    const tx = db.transaction([JOBS_STORE, SCANS_STORE], 'readwrite');
+    const scanStore = tx.objectStore(SCANS_STORE);
+    const scan = await promisify(scanStore.get(scanId));
+    const job = scan?.possibleJobs?.find(item => item.link === link);
+    if (!job) {
+        tx.abort();
+        throw new Error('That post is no longer in the scan.');
+    }
+
+    const record = { ...job, source: new URL(link).origin, firstSeen: scan.finishedAt, lastSeen: scan.finishedAt, promoted: true };
+    tx.objectStore(JOBS_STORE).put(record);
+    const promoted = { ...record, status: getJobStatus(record, scan.finishedAt) };
+    scan.jobs = [...scan.jobs, promoted];
+    scan.possibleJobs = scan.possibleJobs.filter(item => item.link !== link);
+    scanStore.put(scan);
+    await done(tx);
+    return promoted;
+};
+
+/**
+ * Deletes the oldest scans beyond MAX_SAVED_SCANS.
+ * @param {IDBDatabase} db
+ */
+const pruneScans = async (db) => {
+    const tx = db.transaction(SCANS_STORE, 'readwrite');
+    const keys = await promisify(tx.objectStore(SCANS_STORE).getAllKeys());
+    keys.slice(0, Math.max(0, keys.length - MAX_SAVED_SCANS)).forEach(key => tx.objectStore(SCANS_STORE).delete(key));
+    await done(tx);
+};
+
+/**
+ * Lists saved scans, newest first, without their job snapshots.
+ * @returns {Promise<object[]>}
+ */
+export const listScans = async () => {
+    const db = await openDatabase();
+    const scans = await promisify(db.transaction(SCANS_STORE).objectStore(SCANS_STORE).getAll());
+    return scans.reverse().map(({ jobs, possibleJobs = [], removedJobs = [], diagnostics, ...scan }) => ({
+        ...scan,
+        jobCount: jobs.filter(job => job.status !== 'expired').length,
+        newCount: jobs.filter(job => job.status === 'new').length,
+        changedCount: jobs.filter(job => job.status === 'deadline-changed').length,
+        removedCount: removedJobs.length,
+        possibleCount: possibleJobs.length,
+    }));
+};
+
+/**
+ * Loads one saved scan, refreshing the 'expired' status of its jobs.
+ * @param {number} id - The scan id.
+ * @returns {Promise<object|null>}
+ */
+export const getScan = async (id) => {
+    const db = await openDatabase();
+    const scan = await promisify(db.transaction(SCANS_STORE).objectStore(SCANS_STORE).get(id));
+    if (!scan) return null;
+    const today = startOfToday();
+    return {
+        ...scan,
+        jobs: scan.jobs.map(job => (new Date(job.lastDate) < today ? { ...job, status: 'expired' } : job)),
+        possibleJobs: scan.possibleJobs || [],
+        removedJobs: scan.removedJobs || [],
+    };
+};
+
+/**
+ * Loads the most recent scan, if any.
+ * @returns {Promise<object|null>}
+ */
+export const getLatestScan = async () => {
+    const db = await openDatabase();
+    const cursor = await promisify(db.transaction(SCANS_STORE).objectStore(SCANS_STORE).openCursor(null, 'prev'));
+    return cursor ? getScan(cursor.value.id) : null;
+};
+
+/**
+ * Deletes a saved scan. Job records are kept.
+ * @param {number} id
+ */
+export const deleteScan = async (id) => {
+    const db = await openDatabase();
+    const tx = db.transaction(SCANS_STORE, 'readwrite');
+    tx.objectStore(SCANS_STORE).delete(id);
+    await done(tx);
+};
+
+// --- Bookmarks ---
+
+/**
+ * Lists the starred jobs, soonest deadline first.
+ * @returns {Promise<object[]>}
+ */
+export const listBookmarks = async () => {
+    const db = await openDatabase();
+    const bookmarks = await promisify(db.transaction(BOOKMARKS_STORE).objectStore(BOOKMARKS_STORE).getAll());
+    return bookmarks.sort((a, b) => new Date(a.lastDate) - new Date(b.lastDate));
+};
+
+/**
+ * Stars a job, or updates a starred job's reminder offsets.
+ * @param {object} bookmark - { link, title, lastDate, deadlineTime, sourceLabel, starredAt, reminderDays, sentReminders }
+ */
+export const saveBookmark = async (bookmark) => {
+    const db = await openDatabase();
+    const tx = db.transaction(BOOKMARKS_STORE, 'readwrite');
+    tx.objectStore(BOOKMARKS_STORE).put(bookmark);
+    await done(tx);
+};
+
+/**
+ * Unstars a job.
+ * @param {string} link
+ */
+export const deleteBookmark = async (link) => {
+    const db = await openDatabase();
+    const tx = db.transaction(BOOKMARKS_STORE, 'readwrite');
+    tx.objectStore(BOOKMARKS_STORE).delete(link);
+    await done(tx);
+};
+
+/**
+ * Copies new titles and deadlines from scanned jobs onto their bookmarks.
+ * A moved deadline clears the sent reminders so they fire again for the new date.
+ * @param {object[]} jobs - Jobs from a scan.
+ * @returns {Promise<boolean>} Whether any bookmark changed.
+ */
+export const syncBookmarks = async (jobs) => {
+    const db = await openDatabase();
+    const tx = db.transaction(BOOKMARKS_STORE, 'readwrite');
+    const store = tx.objectStore(BOOKMARKS_STORE);
+    const bookmarks = new Map((await promisify(store.getAll())).map(bookmark => [bookmark.link, bookmark]));
+    let changed = false;
+    jobs.forEach(job => {
+        const bookmark = bookmarks.get(job.link);
+        if (!bookmark || job.status === 'expired') return;
+        const deadlineChanged = !sameDate(bookmark.lastDate, job.lastDate);
+        if (!deadlineChanged && bookmark.title === job.title && bookmark.deadlineTime === job.deadlineTime) return;
+        store.put({
+            ...bookmark,
+            title: job.title,
+            lastDate: job.lastDate,
+            deadlineTime: job.deadlineTime,
+            sentReminders: deadlineChanged ? [] : bookmark.sentReminders,
+        });
+        changed = true;
+    });
+    await done(tx);
+    return changed;
+};
@@ -0,0 +1,106 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { closeDatabase, getLatestScan, listScans, recordScan } from './jobDatabase.js';
+
+const SITE = 'https://govtjobs.example.in/';
+const sources = [{ label: 'Govt Jobs Portal', url: SITE }];
+const job = (slug, lastDate, title = slug) => ({ title, link: `${SITE}${slug}/`, lastDate: new Date(lastDate).toISOString(), sourceLabel: 'Govt Jobs Portal' });
+const ssc = job('ssc-cgl', '2026-01-31');
+const rrb = job('rrb-ntpc', '2026-02-15');
+const ibps = job('ibps-po', '2026-01-12');
+
+// A diagnostics report in which every listing page was fetched and the given
+// posts were linked.
+const diagnostics = (links, { listingOk = true } = {}) => ({
+    sources: [{ url: SITE, error: null, listingPages: [{ url: SITE, ok: listingOk }], posts: links.map(url => ({ url })) }],
+});
+
+const scanOn = async (date, jobs, options = {}) => {
+    vi.setSystemTime(date);
+    return recordScan({ sources, jobs, startedAt: Date.now(), diagnostics: diagnostics(jobs.map(item => item.link)), ...options });
+};
+const statuses = (result) => Object.fromEntries(result.jobs.map(item => [item.title, item.status]));
+
+beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    vi.useFakeTimers({ toFake: ['Date'] });
+});
+
+afterEach(async () => {
+    await closeDatabase();
+    vi.useRealTimers();
+});
+
+describe('recordScan', () => {
+    it('marks jobs new on the scan that first finds them', async () => {
+        const first = await scanOn(new Date(2026, 0, 10, 10, 0), [ssc, rrb]);
+        expect(statuses(first)).toEqual({ 'ssc-cgl': 'new', 'rrb-ntpc': 'new' });
+
+        const second = await scanOn(new Date(2026, 0, 10, 12, 0), [ssc, rrb, ibps]);
+        expect(statuses(second)).toEqual({ 'ssc-cgl': null, 'rrb-ntpc': null, 'ibps-po': 'new' });
+        expect(second.jobs.find(item => item.link === ssc.link).firstSeen).toBe(first.scan.finishedAt);
+        expect((await listScans())[0]).toMatchObject({ jobCount: 3, newCount: 1, changedCount: 0, removedCount: 0 });
+    });
+
+    it('records a moved deadline and a new title', async () => {
+        await scanOn(new Date(2026, 0, 10, 10, 0), [ssc, rrb]);
+        const moved = job('ssc-cgl', '2026-02-07');
+        const renamed = { ...rrb, title: 'RRB NTPC 2026' };
+        const result = await scanOn(new Date(2026, 0, 11, 10, 0), [moved, renamed]);
+
+        expect(statuses(result)).toEqual({ 'ssc-cgl': 'deadline-changed', 'RRB NTPC 2026': 'title-changed' });
+        expect(result.jobs[0]).toMatchObject({ lastDate: moved.lastDate, previousLastDate: ssc.lastDate, previousTitle: undefined });
+        expect(result.jobs[1]).toMatchObject({ previousTitle: 'rrb-ntpc', previousLastDate: undefined });
+
+        const unchanged = await scanOn(new Date(2026, 0, 12, 10, 0), [moved, renamed]);
+        expect(statuses(unchanged)).toEqual({ 'ssc-cgl': null, 'RRB NTPC 2026': null });
+    });
+
+    it('lists a job as expired only in the first scan after its deadline passes', async () => {
+        await scanOn(new Date(2026, 0, 10, 10, 0), [ssc, ibps]);
+
+        const lapsed = await scanOn(new Date(2026, 0, 13, 10, 0), [ssc]);
+        expect(statuses(lapsed)).toEqual({ 'ssc-cgl': null, 'ibps-po': 'expired' });
+        expect(lapsed.jobs.map(item => item.title)).toEqual(['ssc-cgl', 'ibps-po']);
+        expect(lapsed.scan.removedJobs).toEqual([]);
+        expect((await listScans())[0].jobCount).toBe(1);
+
+        const later = await scanOn(new Date(2026, 0, 14, 10, 0), [ssc]);
+        expect(statuses(later)).toEqual({ 'ssc-cgl': null });
+        expect((await getLatestScan()).jobs).toHaveLength(1);
+    });
+
+    it('lists an expired job again if it lapses a second time after reappearing', async () => {
+        await scanOn(new Date(2026, 0, 10, 10, 0), [ibps]);
+        await scanOn(new Date(2026, 0, 13, 10, 0), []);
+        const extended = job('ibps-po', '2026-01-20');
+        expect(statuses(await scanOn(new Date(2026, 0, 14, 10, 0), [extended]))).toEqual({ 'ibps-po': 'deadline-changed' });
+
+        const again = await scanOn(new Date(2026, 0, 21, 10, 0), []);
+        expect(statuses(again)).toEqual({ 'ibps-po': 'expired' });
+    });
+
+    it('lists a current job that is no longer linked as removed, once', async () => {
+        await scanOn(new Date(2026, 0, 10, 10, 0), [ssc, rrb]);
+
+        const result = await scanOn(new Date(2026, 0, 11, 10, 0), [ssc]);
+        expect(result.scan.removedJobs.map(item => item.link)).toEqual([rrb.link]);
+        expect(result.scan.removedJobs[0].removedAt).toBe(result.scan.finishedAt);
+        expect(statuses(result)).toEqual({ 'ssc-cgl': null });
+
+        const next = await scanOn(new Date(2026, 0, 12, 10, 0), [ssc]);
+        expect(next.scan.removedJobs).toEqual([]);
+    });
+
+    it('does not count a post as removed when it is still linked or the site was not fully checked', async () => {
+        await scanOn(new Date(2026, 0, 10, 10, 0), [ssc, rrb]);
+
+        const stillLinked = await scanOn(new Date(2026, 0, 11, 10, 0), [ssc], { diagnostics: diagnostics([ssc.link, rrb.link]) });
+        expect(stillLinked.scan.removedJobs).toEqual([]);
+        const failedListing = await scanOn(new Date(2026, 0, 11, 11, 0), [ssc], { diagnostics: diagnostics([ssc.link], { listingOk: false }) });
+        expect(failedListing.scan.removedJobs).toEqual([]);
+        const cancelled = await scanOn(new Date(2026, 0, 11, 12, 0), [ssc], { cancelled: true });
+        expect(cancelled.scan.removedJobs).toEqual([]);
+    });
+});
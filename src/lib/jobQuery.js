@@ -0,0 +1,192 @@
+import { normalizeDomain } from './extractionRules.js';
+
+// --- Results Query ---
+//
+// Filters and sorts the results list. A query is a plain object so it can be
+// kept in reducer state and round-tripped through the page's query string:
+//   { search, range, from, to, sites, include, exclude, sort, order }
+// `range` is a preset id, 'custom' (use `from`/`to`, YYYY-MM-DD) or '' for
+// any date. Presets are resolved against today's date each time the query is
+// applied, so a bookmarked "next 30 days" view stays relative.
+
+export const DEFAULT_QUERY = {
+    search: '',
+    range: '',
+    from: '',
+    to: '',
+    sites: [],
+    include: [],
+    exclude: [],
+    sort: 'deadline',
+    order: 'asc',
+};
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+export const DATE_PRESETS = [
+    {
+        id: 'this-week',
+        label: 'This week',
+        // Up to and including Sunday.
+        range: today => ({ from: today, to: addDays(today, (7 - today.getDay()) % 7) }),
+    },
+    { id: 'next-7', label: 'Next 7 days', range: today => ({ from: today, to: addDays(today, 7) }) },
+    { id: 'next-30', label: 'Next 30 days', range: today => ({ from: today, to: addDays(today, 30) }) },
+    { id: 'next-6-months', label: 'Next 6 months', range: today => ({ from: today, to: new Date(today.getFullYear(), today.getMonth() + 6, today.getDate()) }) },
+];
+
+export const SORT_FIELDS = [
+    { id: 'deadline', label: 'Deadline' },
+    { id: 'title', label: 'Title' },
+    { id: 'source', label: 'Source site' },
+    { id: 'firstSeen', label: 'First seen' },
+];
+
+/**
+ * Returns the site a job was found on, as a bare host name.
+ * @param {object} job
+ * @returns {string}
+ */
+export const getJobSite = (job) => normalizeDomain(job.link);
+
+/**
+ * Lowercases text and strips accents so "Vacancy" matches "vacancy" and "Bhartī" matches "bharti".
+ * @param {string} text
+ * @returns {string}
+ */
+const fold = (text) => (text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Reads a YYYY-MM-DD day as local midnight.
+ * @param {string} value
+ * @returns {Date|null} Null unless the value is a real calendar day.
+ */
+const parseIsoDay = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+/**
+ * Resolves the query's date range to inclusive start and end dates.
+ * @param {object} query
+ * @param {Date} today - Local midnight today.
+ * @returns {{ from: Date|null, to: Date|null }}
+ */
+export const getDateRange = (query, today) => {
+    const preset = DATE_PRESETS.find(item => item.id === query.range);
+    if (preset) return preset.range(today);
+    if (query.range !== 'custom') return { from: null, to: null };
+    return { from: parseIsoDay(query.from), to: parseIsoDay(query.to) };
+};
+
+const COMPARATORS = {
+    deadline: (a, b) => new Date(a.lastDate) - new Date(b.lastDate),
+    title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }),
+    source: (a, b) => getJobSite(a).localeCompare(getJobSite(b)) || COMPARATORS.deadline(a, b),
+    firstSeen: (a, b) => (a.firstSeen || 0) - (b.firstSeen || 0) || COMPARATORS.deadline(a, b),
+};
+
+/**
+ * Filters and sorts jobs.
+ *
+ * Search terms must all appear in the title. A job must contain at least one
+ * include keyword (when there are any) and none of the exclude keywords,
+ * looking at its title, organisation and location.
+ *
+ * @param {object[]} jobs
+ * @param {object} query - See DEFAULT_QUERY.
+ * @param {{ today?: Date }} [options]
+ * @returns {object[]} A new array.
+ */
+export const applyQuery = (jobs, query, { today = new Date() } = {}) => {
+    const midnight = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const { from, to } = getDateRange(query, midnight);
+    const terms = fold(query.search).split(/\s+/).filter(Boolean);
+    const include = query.include.map(fold).filter(Boolean);
+    const exclude = query.exclude.map(fold).filter(Boolean);
+
+    const filtered = jobs.filter(job => {
+        const deadline = new Date(job.lastDate);
+        if (from && deadline < from) return false;
+        if (to && deadline >= addDays(to, 1)) return false;
+        if (query.sites.length > 0 && !query.sites.includes(getJobSite(job))) return false;
+
+        const title = fold(job.title);
+        if (!terms.every(term => title.includes(term))) return false;
+
+        const text = fold([job.title, job.organization, job.location].filter(Boolean).join(' '));
+        if (include.length > 0 && !include.some(keyword => text.includes(keyword))) return false;
+        return !exclude.some(keyword => text.includes(keyword));
+    });
+
+    const compare = COMPARATORS[query.sort] || COMPARATORS.deadline;
+    const direction = query.order === 'desc' ? -1 : 1;
+    return filtered.sort((a, b) => direction * compare(a, b));
+};
+
+/**
+ * Describes the active filters in a few words, e.g. for export headers.
+ * @param {object} query
+ * @returns {string} Empty when nothing is filtered.
+ */
+export const describeQuery = (query) => {
+    const parts = [];
+    if (query.search) parts.push(`title matches "${query.search}"`);
+    const preset = DATE_PRESETS.find(item => item.id === query.range);
+    if (preset) parts.push(`deadline ${preset.label.toLowerCase()}`);
+    if (query.range === 'custom' && query.from) parts.push(`deadline from ${query.from}`);
+    if (query.range === 'custom' && query.to) parts.push(`deadline until ${query.to}`);
+    if (query.sites.length > 0) parts.push(`sites: ${query.sites.join(', ')}`);
+    if (query.include.length > 0) parts.push(`with ${query.include.join(' or ')}`);
+    if (query.exclude.length > 0) parts.push(`without ${query.exclude.join(', ')}`);
+    return parts.join('; ');
+};
+
+// --- Query string ---
+
+const LIST_PARAMS = { sites: 'site', include: 'include', exclude: 'exclude' };
+
+/**
+ * Encodes the parts of a query that differ from the defaults.
+ * @param {object} query
+ * @returns {string} A query string without the leading "?", or ''.
+ */
+export const queryToSearchParams = (query) => {
+    const params = new URLSearchParams();
+    if (query.search) params.set('q', query.search);
+    if (query.range) params.set('range', query.range);
+    if (query.range === 'custom' && query.from) params.set('from', query.from);
+    if (query.range === 'custom' && query.to) params.set('to', query.to);
+    Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+        if (query[key].length > 0) params.set(param, query[key].join(','));
+    });
+    if (query.sort !== DEFAULT_QUERY.sort) params.set('sort', query.sort);
+    if (query.order !== DEFAULT_QUERY.order) params.set('order', query.order);
+    return params.toString();
+};
+
+/**
+ * Reads a query from a query string, ignoring unknown or invalid values.
+ * @param {string} search - e.g. window.location.search.
+ * @returns {object}
+ */
+export const parseSearchParams = (search) => {
+    const params = new URLSearchParams(search);
+    const list = (param) => (params.get(param) || '').split(',').map(item => item.trim()).filter(Boolean);
+    const day = (param) => (parseIsoDay(params.get(param)) ? params.get(param) : '');
+    const range = params.get('range') || '';
+    const sort = params.get('sort');
+    return {
+        ...DEFAULT_QUERY,
+        search: params.get('q') || '',
+        range: range === 'custom' || DATE_PRESETS.some(preset => preset.id === range) ? range : '',
+        from: day('from'),
+        to: day('to'),
+        ...Object.fromEntries(Object.entries(LIST_PARAMS).map(([key, param]) => [key, list(param)])),
+        sort: SORT_FIELDS.some(field => field.id === sort) ? sort : DEFAULT_QUERY.sort,
+        order: params.get('order') === 'desc' ? 'desc' : 'asc',
+    };
+};
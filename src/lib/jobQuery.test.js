@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_QUERY, applyQuery, describeQuery, getDateRange, parseSearchParams, queryToSearchParams } from './jobQuery.js';
+
+// Saturday 10 January 2026, mid-morning.
+const today = new Date(2026, 0, 10, 10, 30);
+const day = (month, date) => new Date(2026, month - 1, date).toISOString();
+const job = (title, lastDate, fields = {}) => ({ title, lastDate, link: `https://govtjobs.example.in/${title.toLowerCase().replace(/\W+/g, '-')}/`, ...fields });
+
+const dated = [
+    job('Jan 9', day(1, 9)),
+    job('Jan 10', day(1, 10)),
+    job('Jan 11', day(1, 11)),
+    job('Jan 12', day(1, 12)),
+    job('Jan 17', day(1, 17)),
+    job('Jan 18', day(1, 18)),
+    job('Feb 9', day(2, 9)),
+    job('Feb 10', day(2, 10)),
+    job('Jul 10', day(7, 10)),
+    job('Jul 11', day(7, 11)),
+];
+const titles = (jobs) => jobs.map(item => item.title);
+const query = (fields) => ({ ...DEFAULT_QUERY, ...fields });
+
+describe('applyQuery date ranges', () => {
+    it('resolves the presets against today, including their last day', () => {
+        const inRange = (range) => titles(applyQuery(dated, query({ range }), { today }));
+        expect(inRange('')).toEqual(titles(dated));
+        expect(inRange('this-week')).toEqual(['Jan 10', 'Jan 11']);
+        expect(inRange('next-7')).toEqual(['Jan 10', 'Jan 11', 'Jan 12', 'Jan 17']);
+        expect(inRange('next-30')).toEqual(['Jan 10', 'Jan 11', 'Jan 12', 'Jan 17', 'Jan 18', 'Feb 9']);
+        expect(inRange('next-6-months')).toEqual(['Jan 10', 'Jan 11', 'Jan 12', 'Jan 17', 'Jan 18', 'Feb 9', 'Feb 10', 'Jul 10']);
+    });
+
+    it('ends "this week" on Sunday, which is today on a Sunday', () => {
+        const sunday = new Date(2026, 0, 11);
+        expect(getDateRange(query({ range: 'this-week' }), sunday)).toEqual({ from: sunday, to: sunday });
+        const monday = new Date(2026, 0, 12);
+        expect(getDateRange(query({ range: 'this-week' }), monday).to).toEqual(new Date(2026, 0, 18));
+    });
+
+    it('filters a custom range, with either end optional', () => {
+        const custom = (from, to) => titles(applyQuery(dated, query({ range: 'custom', from, to }), { today }));
+        expect(custom('2026-01-12', '2026-01-18')).toEqual(['Jan 12', 'Jan 17', 'Jan 18']);
+        expect(custom('2026-02-10', '')).toEqual(['Feb 10', 'Jul 10', 'Jul 11']);
+        expect(custom('', '2026-01-10')).toEqual(['Jan 9', 'Jan 10']);
+        expect(custom('2026-02-30', 'soon')).toEqual(titles(dated));
+    });
+
+    it('ignores from and to unless the range is custom', () => {
+        expect(titles(applyQuery(dated, query({ from: '2026-07-01', to: '2026-07-31' }), { today }))).toEqual(titles(dated));
+    });
+});
+
+describe('applyQuery filters and sorting', () => {
+    const jobs = [
+        job('Junior Assistant', day(1, 20), { link: 'https://www.delhicourts.example.in/ja/', organization: 'Delhi High Court', firstSeen: 3 }),
+        job('SSC CGL Recruitment', day(1, 31), { link: 'https://govtjobs.example.in/ssc-cgl/', organization: 'Staff Selection Commission', firstSeen: 1 }),
+        job('Bhartī Vacancy', day(1, 15), { link: 'https://govtjobs.example.in/bharti/', location: 'Lucknow (Contract)', firstSeen: 2 }),
+        job('apprentice posts', day(2, 5), { link: 'https://naukri.example.com/apprentice/', location: 'Mumbai', firstSeen: 2 }),
+    ];
+    const run = (fields) => titles(applyQuery(jobs, query(fields), { today }));
+
+    it('matches every search term in the title, ignoring case and accents', () => {
+        expect(run({ search: 'bharti VACANCY' })).toEqual(['Bhartī Vacancy']);
+        expect(run({ search: 'ssc clerk' })).toEqual([]);
+    });
+
+    it('keeps jobs with any include keyword and none of the exclude keywords', () => {
+        expect(run({ include: ['commission', 'court'] })).toEqual(['Junior Assistant', 'SSC CGL Recruitment']);
+        expect(run({ exclude: ['contract', 'apprentice'] })).toEqual(['Junior Assistant', 'SSC CGL Recruitment']);
+        expect(run({ include: ['commission', 'court'], exclude: ['delhi'] })).toEqual(['SSC CGL Recruitment']);
+    });
+
+    it('limits results to the chosen sites', () => {
+        expect(run({ sites: ['delhicourts.example.in', 'naukri.example.com'] })).toEqual(['Junior Assistant', 'apprentice posts']);
+    });
+
+    it('sorts by each field in either order', () => {
+        expect(run({})).toEqual(['Bhartī Vacancy', 'Junior Assistant', 'SSC CGL Recruitment', 'apprentice posts']);
+        expect(run({ order: 'desc' })).toEqual(['apprentice posts', 'SSC CGL Recruitment', 'Junior Assistant', 'Bhartī Vacancy']);
+        expect(run({ sort: 'title' })).toEqual(['apprentice posts', 'Bhartī Vacancy', 'Junior Assistant', 'SSC CGL Recruitment']);
+        expect(run({ sort: 'source' })).toEqual(['Junior Assistant', 'Bhartī Vacancy', 'SSC CGL Recruitment', 'apprentice posts']);
+        expect(run({ sort: 'firstSeen' })).toEqual(['SSC CGL Recruitment', 'Bhartī Vacancy', 'apprentice posts', 'Junior Assistant']);
+        expect(run({ sort: 'unknown' })).toEqual(run({}));
+    });
+
+    it('does not reorder the array it was given', () => {
+        const before = titles(jobs);
+        run({ sort: 'title' });
+        expect(titles(jobs)).toEqual(before);
+    });
+});
+
+describe('query string', () => {
+    it('round-trips a query through the query string', () => {
+        const full = query({
+            search: 'junior assistant',
+            range: 'custom',
+            from: '2026-01-12',
+            to: '2026-02-28',
+            sites: ['govtjobs.example.in', 'naukri.example.com'],
+            include: ['clerk', 'typist'],
+            exclude: ['contract'],
+            sort: 'title',
+            order: 'desc',
+        });
+        const search = queryToSearchParams(full);
+        expect(parseSearchParams(`?${search}`)).toEqual(full);
+        expect(parseSearchParams(queryToSearchParams(query({ range: 'next-30' })))).toEqual(query({ range: 'next-30' }));
+    });
+
+    it('leaves the defaults out of the query string', () => {
+        expect(queryToSearchParams(DEFAULT_QUERY)).toBe('');
+        expect(queryToSearchParams(query({ range: 'next-7', from: '2026-01-01' }))).toBe('range=next-7');
+        expect(parseSearchParams('')).toEqual(DEFAULT_QUERY);
+    });
+
+    it('ignores malformed and unknown parameters', () => {
+        expect(parseSearchParams('?range=next-99&sort=salary&order=up&from=2026-02-30&to=tomorrow&site=,%20,&include=&utm_source=mail')).toEqual(DEFAULT_QUERY);
+        expect(parseSearchParams('?q=%E0%A4%AD%E0%A4%B0%E0%A5%8D%E0%A4%A4%E0%A5%80&exclude=%zz,contract%2C+apprentice')).toEqual(query({
+            search: 'भर्ती',
+            exclude: ['%zz', 'contract', 'apprentice'],
+        }));
+        expect(parseSearchParams('?range=custom&from=2026-1-5&to=2026-01-31')).toEqual(query({ range: 'custom', to: '2026-01-31' }));
+    });
+});
+
+describe('describeQuery', () => {
+    it('summarises the active filters', () => {
+        expect(describeQuery(DEFAULT_QUERY)).toBe('');
+        expect(describeQuery(query({ search: 'clerk', range: 'next-7', sites: ['govtjobs.example.in'], include: ['court', 'commission'], exclude: ['contract'] })))
+            .toBe('title matches "clerk"; deadline next 7 days; sites: govtjobs.example.in; with court or commission; without contract');
+        expect(describeQuery(query({ range: 'custom', from: '2026-01-12' }))).toBe('deadline from 2026-01-12');
+    });
+});
@@ -0,0 +1,364 @@
+// English interface strings. Keys are grouped by the part of the page they
+// belong to; see i18n.js for placeholders and plural forms.
+
+export default {
+    // Shared
+    'common.lastDate': 'Last date: {date}',
+    'common.delete': 'Delete',
+    'common.copied': 'Copied!',
+    'common.resetDefaults': 'Reset to defaults',
+    'common.close': 'Close',
+
+    // Due soon
+    'dueSoon.heading': 'Due soon ({count})',
+    'dueSoon.today': 'Last date today',
+    'dueSoon.tomorrow': 'Last date tomorrow',
+    'dueSoon.inDays': 'Last date in {count} days',
+    'dueSoon.till': ', till {time}',
+
+    // Possibly jobs
+    'possibleJobs.heading': 'Possibly jobs ({count})',
+    'possibleJobs.help': 'These posts have an upcoming deadline but did not score as job adverts. Promote the ones that are.',
+    'possibleJobs.promote': 'Promote',
+
+    // Score breakdown
+    'score.why': 'Why?',
+    'score.summary': 'Score {score} of {threshold} needed',
+    'score.summaryRejected': 'Score {score} of {threshold} needed (rejected)',
+
+    // Scan history
+    'history.heading': 'Past scans ({count})',
+    'history.jobs': { one: '{count} job', other: '{count} jobs' },
+    'history.new': '{count} new',
+    'history.changed': '{count} changed',
+    'history.removed': '{count} removed',
+    'history.possible': '{count} possible',
+    'history.cancelled': 'cancelled',
+    'history.view': 'View',
+    'history.viewLabel': 'View the scan of {label}',
+    'history.deleteLabel': 'Delete the scan of {label}',
+    'history.loadFailed': 'Could not load the saved scan: {error}',
+    'history.deleteFailed': 'Could not delete the saved scan: {error}',
+
+    // Starred jobs
+    'starred.heading': 'Starred jobs ({count})',
+    'starred.permission.granted': 'Reminders are sent as browser notifications.',
+    'starred.permission.denied': 'Notifications are blocked for this site. Allow them in the browser settings to get reminders.',
+    'starred.permission.default': 'Allow notifications to be reminded before each deadline.',
+    'starred.permission.unsupported': 'This browser cannot show notifications; reminders only appear under "Due soon".',
+    'starred.enableNotifications': 'Enable notifications',
+    'starred.empty': 'Star a job with ☆ in the results to get reminders before its last date.',
+    'starred.remindDays': 'Remind (days before)',
+    'starred.unstar': 'Unstar',
+    'starred.unstarLabel': 'Unstar {title}',
+    'starred.updateFailed': 'Could not update starred jobs: {error}',
+    'starred.remindersFailed': 'Could not save the reminders: {error}',
+
+    // Change digest
+    'changes.heading': 'Changes in this scan ({count})',
+    'changes.section.newJobs': 'New jobs',
+    'changes.section.changedJobs': 'Deadline changed',
+    'changes.section.removedJobs': 'No longer listed',
+    'changes.previously': 'previously',
+    'changes.previousDeadline': 'Previous last date: {previousDeadline}',
+    'changes.format': 'Change digest format',
+    'changes.copy': 'Copy changes',
+    'changes.subject': 'Job updates',
+    'changes.summary.new': { one: '{count} new job', other: '{count} new jobs' },
+    'changes.summary.changed': { one: '{count} deadline changed', other: '{count} deadlines changed' },
+    'changes.summary.removed': { one: '{count} post no longer listed', other: '{count} posts no longer listed' },
+
+    // Digest of selected jobs
+    'digest.label': 'Selected jobs',
+    'digest.selected': '{count} selected',
+    'digest.format': 'Digest format',
+    'digest.copy': 'Copy digest',
+    'digest.selectPage': 'Select page',
+    'digest.clear': 'Clear',
+    'share.openIn': 'Open in {channel}',
+
+    // Results filters
+    'filters.search': 'Search titles',
+    'filters.searchPlaceholder': 'e.g. clerk railway',
+    'filters.sort': 'Sort by',
+    'filters.ascending': 'Ascending',
+    'filters.descending': 'Descending',
+    'filters.orderAscending': 'Sort order: ascending',
+    'filters.orderDescending': 'Sort order: descending',
+    'filters.deadline': 'Deadline',
+    'filters.anyTime': 'Any time',
+    'filters.customRange': 'Custom range',
+    'filters.from': 'From',
+    'filters.to': 'To',
+    'filters.include': 'Must mention any of',
+    'filters.includePlaceholder': 'e.g. Bihar, graduate',
+    'filters.exclude': 'Hide if it mentions',
+    'filters.excludePlaceholder': 'e.g. apprentice',
+    'filters.sites': 'Sites',
+    'filters.showing': { one: 'Showing {matchCount} of {count} job', other: 'Showing {matchCount} of {count} jobs' },
+    'filters.clear': 'Clear filters',
+
+    // Export
+    'export.heading': { one: 'Export {count} job', other: 'Export {count} jobs' },
+    'export.help': 'Exports the jobs matching the current filters.',
+    'export.helpFiltered': 'Exports the jobs matching the current filters ({filters}).',
+    'export.columns': 'Columns',
+    'export.reminder': 'Calendar reminder',
+    'export.reminderDays': 'days before the deadline (0 = none)',
+    'export.excel': 'Excel CSV',
+    'export.excelHelp': 'UTF-8 with byte order mark, opens cleanly in Excel',
+    'export.calendar': 'Calendar (.ics)',
+    'export.calendarHelp': 'One all-day event per upcoming deadline',
+    'export.print': 'Print / PDF',
+
+    // Saved sources
+    'sources.heading': 'Saved sources ({count})',
+    'sources.dueNow': 'Scheduled scan due now',
+    'sources.nextInMinutes': 'Next scan in {count} min',
+    'sources.nextInHours': 'Next scan in {count} h',
+    'sources.scan': 'Scan',
+    'sources.scanLabel': 'Scan {label}',
+    'sources.settings': 'Settings',
+    'sources.settingsLabel': 'Settings for {label}',
+    'sources.remove': 'Remove',
+    'sources.removeLabel': 'Remove {label}',
+    'sources.label': 'Label',
+    'sources.schedule': 'Automatic scan',
+    'sources.scheduleHelp': 'Runs while the app is open, and compares the results with the previous scan.',
+    'sources.setting.maxDepth': 'Depth',
+    'sources.setting.maxPages': 'Listing pages',
+    'sources.setting.maxPosts': 'Job links',
+    'sources.default': 'Default',
+    'sources.newUrl': 'New source URL',
+    'sources.newUrlPlaceholder': 'Portal URL',
+    'sources.newLabel': 'New source label',
+    'sources.newLabelPlaceholder': 'Label (optional)',
+    'sources.add': 'Add source',
+    'sources.scanAll': 'Scan all ({count})',
+    'sources.runDue': 'Run due scans ({count})',
+
+    // Crawl settings
+    'crawl.heading': 'Crawl settings',
+    'crawl.maxDepth': 'Crawl depth',
+    'crawl.maxDepth.help': '0 = only the page you enter',
+    'crawl.maxPages': 'Max listing pages',
+    'crawl.maxPages.help': 'Pagination and category pages fetched',
+    'crawl.maxPosts': 'Max job links',
+    'crawl.maxPosts.help': 'Posts analysed per scan',
+    'crawl.concurrency': 'Parallel requests',
+    'crawl.concurrency.help': 'Requests in flight at once',
+    'crawl.hostDelay': 'Per-host delay (ms)',
+    'crawl.hostDelay.help': 'Gap between requests to one site',
+    'crawl.retries': 'Retries',
+    'crawl.retries.help': 'With exponential backoff',
+    'crawl.followCategories': 'Also follow category and tag archive links',
+    'crawl.readPdfs': 'Read the notification PDF when a post gives no clear last date',
+
+    // Job detection
+    'classifier.heading': 'Job detection',
+    'classifier.help': 'Each post is scored on the signals below. Posts reaching the threshold are listed as jobs; the rest appear under "Possibly jobs" for review. Negative weights count against a post.',
+    'classifier.threshold': 'Threshold',
+    'classifier.thresholdHelp': 'Score needed to count as a job',
+    'classifier.defaultWeight': 'Default {weight}',
+
+    // Fetch settings
+    'fetch.heading': 'Fetch settings',
+    'fetch.help': 'Backends are tried in order until one returns the page. Use {url} in a proxy URL where the target address goes.',
+    'fetch.customLabel': 'Custom proxy',
+    'fetch.moveUp': 'Move {label} up',
+    'fetch.moveDown': 'Move {label} down',
+    'fetch.remove': 'Remove {label}',
+    'fetch.proxyUrl': '{label} proxy URL',
+    'fetch.timeout': 's timeout',
+    'fetch.addCustom': 'Add custom proxy',
+
+    // Extraction rules
+    'rules.heading': 'Extraction rules ({count})',
+    'rules.help': 'Override how links, titles and deadlines are found on a site. Empty fields use the built-in defaults.',
+    'rules.ruleSet': 'Rule set',
+    'rules.none': 'No rules yet',
+    'rules.newRuleOption': '(new rule)',
+    'rules.newRule': 'New rule',
+    'rules.export': 'Export JSON',
+    'rules.import': 'Import JSON',
+    'rules.imported': { one: 'Imported {count} rule set.', other: 'Imported {count} rule sets.' },
+    'rules.importFailed': 'Import failed: {error}',
+    'rules.domain': 'Domain',
+    'rules.field.postLinkSelector': 'Post link selector',
+    'rules.field.titleSelector': 'Title selector',
+    'rules.field.deadlineSelector': 'Deadline selector',
+    'rules.field.deadlineRegex': 'Deadline regex (first group is the date)',
+    'rules.field.jobUrlKeywords': 'Link keywords (comma-separated)',
+    'rules.field.jobKeywords': 'Job page keywords (comma-separated)',
+    'rules.placeholder.titleSelector': 'Built-in heading heuristics',
+    'rules.placeholder.deadlineSelector': 'Search the whole page',
+    'rules.placeholder.deadlineRegex': 'Built-in labelled date detection',
+    'rules.previewUrl': 'Preview URL',
+    'rules.previewPlaceholder': 'Listing or post URL to preview',
+    'rules.preview': 'Preview',
+    'rules.fetching': 'Fetching...',
+    'rules.previewFailed': 'Preview failed: {error}',
+    'rules.result.title': 'Title:',
+    'rules.result.deadlineText': 'Deadline text:',
+    'rules.result.noMatch': 'no match',
+    'rules.result.deadline': 'Parsed deadline:',
+    'rules.result.confidence': 'confidence {percent}%',
+    'rules.result.none': 'none',
+    'rules.result.structured': 'Structured data:',
+    'rules.result.jobPosting': 'JobPosting found',
+    'rules.result.validThrough': '(deadline from validThrough)',
+    'rules.result.links': 'Links:',
+    'rules.result.keywordScore': 'Keyword score:',
+    'rules.result.detection': 'Job detection:',
+    'rules.result.accepted': 'accepted',
+    'rules.result.rejected': 'rejected',
+    'rules.result.breakdown': 'Breakdown:',
+    'rules.result.postLinks': 'Post links found: {count}',
+
+    // Share templates
+    'templates.heading': 'Share templates',
+    'templates.channel': 'Channel',
+    'templates.part.header': 'Header (once, before the jobs)',
+    'templates.part.item': 'Job (repeated for each job)',
+    'templates.part.separator': 'Between jobs in a digest',
+    'templates.part.footer': 'Footer (once, after the jobs)',
+    'templates.placeholders': 'Placeholders',
+    'templates.preview': 'Preview',
+    'templates.asDigest': 'As a digest',
+    'templates.reset': 'Reset {channel} template',
+
+    // Scan diagnostics
+    'diagnostics.heading': { one: 'Scan diagnostics ({count} post link)', other: 'Scan diagnostics ({count} post links)' },
+    'diagnostics.headingCancelled': { one: 'Scan diagnostics ({count} post link, cancelled)', other: 'Scan diagnostics ({count} post links, cancelled)' },
+    'diagnostics.show': 'Show',
+    'diagnostics.allPosts': 'all posts',
+    'diagnostics.download': 'Download JSON report',
+    'diagnostics.downloadHelp': 'Attach the report to a bug report about missing jobs.',
+    'diagnostics.failed': 'Failed: {error}',
+    'diagnostics.listingPages': 'Listing pages',
+    'diagnostics.page': 'Page',
+    'diagnostics.fetch': 'Fetch',
+    'diagnostics.anchors': 'Links on page',
+    'diagnostics.postLinks': 'Post links',
+    'diagnostics.nextPages': 'Next pages',
+    'diagnostics.post': 'Post',
+    'diagnostics.deadlineText': 'Deadline text',
+    'diagnostics.keywords': 'Keywords',
+    'diagnostics.score': 'Score',
+    'diagnostics.result': 'Result',
+    'diagnostics.pdfRead': 'PDF read',
+    'diagnostics.pdfFailed': 'PDF read: {error}',
+
+    // Keyboard shortcuts
+    'shortcuts.heading': 'Keyboard shortcuts',
+    'shortcuts.scan': 'Start a scan of the entered website',
+    'shortcuts.cancel': 'Cancel the scan in progress',
+    'shortcuts.search': 'Search the results',
+    'shortcuts.nextJob': 'Next job in the list',
+    'shortcuts.previousJob': 'Previous job in the list',
+    'shortcuts.nextPage': 'Next page of results',
+    'shortcuts.previousPage': 'Previous page of results',
+    'shortcuts.copy': 'Copy the focused job, or the digest of the selected jobs',
+    'shortcuts.star': 'Star or unstar the focused job',
+    'shortcuts.help': 'Show or hide this list',
+
+    // Error dialog
+    'error.title': 'Error',
+
+    // Page
+    'app.language': 'Language',
+    'app.titleStart': 'Job Deadline',
+    'app.titleEnd': 'Crawler',
+    'app.subtitle': 'Enter a website to find all upcoming job deadlines.',
+    'app.urlLabel': 'Website to scan',
+    'app.cancel': 'Cancel',
+    'app.crawling': 'Crawling...',
+    'app.startScan': 'Start Scan',
+    'app.offline': 'You are offline. Showing the last saved scan and your starred jobs; saved sources are re-scanned when the connection is back.',
+    'app.resultsHeading': 'Upcoming Deadlines Found',
+    'app.viewingScan': 'Viewing the scan of {label} from {date}.',
+    'app.showLatest': 'Show latest',
+    'app.noMatches': 'No jobs match these filters.',
+    'app.selectJob': 'Select {title} for a digest',
+    'app.previous': 'Previous',
+    'app.next': 'Next',
+    'app.pageOf': 'Page {page} of {total}',
+
+    // Results
+    'job.status.new': 'New',
+    'job.status.deadline-changed': 'Deadline changed',
+    'job.status.title-changed': 'Title changed',
+    'job.status.expired': 'Expired',
+    'job.source': 'Source: {label}',
+    'job.alsoPostedAt': 'Also posted at:',
+    'job.organization': 'Organisation',
+    'job.location': 'Location',
+    'job.salary': 'Salary',
+    'job.type': 'Type',
+    'job.posted': 'Posted',
+    'job.date.start': 'Opens',
+    'job.date.fee': 'Fee payment',
+    'job.date.correction': 'Correction',
+    'job.date.exam': 'Exam',
+    'job.date.admit': 'Admit card',
+    'job.date.result': 'Result',
+    'job.lastDate': 'Last Date to Apply: {date}',
+    'job.till': '(till {time})',
+    'job.fromPdf': 'from the notification PDF',
+    'job.uncertain': 'uncertain',
+    'job.confidence': 'Deadline confidence {percent}%',
+    'job.promoted': 'Promoted by you.',
+    'job.why': 'Why is this a job?',
+    'job.star': 'Star',
+    'job.starred': 'Starred',
+    'job.starTitle': 'Star and get reminders before the last date',
+    'job.unstarTitle': 'Unstar (stop reminders)',
+    'job.starLabel': 'Star {title}',
+    'job.starredLabel': 'Starred: {title}. Press to unstar',
+    'job.pdf': '(PDF)',
+    'job.shareVia': 'Share via {channel}',
+    'job.shareJobVia': 'Share {title} via {channel}',
+    'job.email': 'Email',
+    'job.shareByEmail': 'Share by email',
+    'job.shareJobByEmail': 'Share {title} by email',
+    'job.copy': 'Copy',
+    'job.copyTitle': 'Copy formatted message',
+    'job.copyLabel': 'Copy a message about {title}',
+    'job.share': 'Share',
+    'job.shareTitle': 'Share with device',
+    'job.shareLabel': 'Share {title} with an app on this device',
+
+    // Scan messages
+    'scan.noUrl': 'Please enter a website URL.',
+    'scan.invalidUrl': '"{url}" is not a valid URL.',
+    'scan.offline': 'You are offline. Your saved sources will be scanned when the connection is back.',
+    'scan.allFailed': 'Every source failed to scan. See the source list for details.',
+    'scan.cancelledEmpty': 'Scan cancelled before any jobs were found.',
+    'scan.cancelledPartial': 'Scan cancelled. Showing results from {fetched} of {count} posts.',
+    'scan.someFailed': '{failed} of {count} sources failed: {labels}. Showing results from the rest.',
+    'scan.partial': '{missing} of {count} posts could not be fetched. Showing partial results.',
+    'scan.scheduled': 'Scheduled scan of {labels}: {changes}.',
+    'scan.noChanges': 'no changes',
+    'scan.backgroundFailed': 'Automatic scan of {labels} failed: {error}',
+
+    // Scan progress and errors
+    'scan.progress.waiting': 'Waiting...',
+    'scan.progress.fetchingListings': 'Fetching listing pages to find job links...',
+    'scan.progress.listingPages': 'Listing pages, level {depth}/{maxDepth}: {done} of {total} fetched, {found} job links so far...',
+    'scan.progress.analyzingLinks': { one: 'Analyzing {links} links found on {count} listing page...', other: 'Analyzing {links} links found on {count} listing pages...' },
+    'scan.progress.fetchingPosts': 'Analyzing posts: {fetched} of {count} fetched...',
+    'scan.progress.verifying': 'Verifying {count} posts and extracting deadlines...',
+    'scan.progress.sources': 'Scanning {count} sources: {finished} finished...',
+    'scan.result.done': '{jobs} jobs{possible} from {fetched} of {count} posts{failed}{cancelled}.',
+    'scan.result.possible': ' (+{count} possible)',
+    'scan.result.failed': ' ({count} could not be fetched)',
+    'scan.result.cancelled': ', cancelled',
+    'scan.error.noLinks': 'Could not find any potential job post links. Try a more specific URL.',
+    'scan.error.cancelled': 'Cancelled before any posts were analysed.',
+    'scan.error.fetchFailed': 'Failed to fetch {url} ({reasons})',
+    'scan.error.noBackend': 'No fetch backend is enabled. Check the fetch settings.',
+
+    // Screen reader announcements
+    'announce.scanStarted': 'Scan started.',
+    'announce.scanFinished': { one: 'Scan finished: {count} job found.', other: 'Scan finished: {count} jobs found.' },
+};
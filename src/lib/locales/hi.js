@@ -0,0 +1,424 @@
+// Hindi interface strings, keyed like en.js. Labels owned by the library
+// (sort fields, export columns, classifier features and so on) are translated
+// here too; en.js leaves them to the library's own English labels.
+
+export default {
+    // Shared
+    'common.lastDate': 'अंतिम तिथि: {date}',
+    'common.delete': 'हटाएँ',
+    'common.copied': 'कॉपी हो गया!',
+    'common.resetDefaults': 'डिफ़ॉल्ट पर लौटाएँ',
+    'common.close': 'बंद करें',
+
+    // Due soon
+    'dueSoon.heading': 'जल्द अंतिम तिथि ({count})',
+    'dueSoon.today': 'अंतिम तिथि आज',
+    'dueSoon.tomorrow': 'अंतिम तिथि कल',
+    'dueSoon.inDays': 'अंतिम तिथि {count} दिन में',
+    'dueSoon.till': ', {time} तक',
+
+    // Possibly jobs
+    'possibleJobs.heading': 'संभावित नौकरियाँ ({count})',
+    'possibleJobs.help': 'इन पोस्ट की अंतिम तिथि आने वाली है, पर इन्हें नौकरी के विज्ञापन जितने अंक नहीं मिले। जो नौकरी हैं उन्हें आगे बढ़ाएँ।',
+    'possibleJobs.promote': 'नौकरी मानें',
+
+    // Score breakdown
+    'score.why': 'क्यों?',
+    'score.summary': 'अंक {score}, ज़रूरी {threshold}',
+    'score.summaryRejected': 'अंक {score}, ज़रूरी {threshold} (अस्वीकृत)',
+
+    // Scan history
+    'history.heading': 'पिछले स्कैन ({count})',
+    'history.jobs': { one: '{count} नौकरी', other: '{count} नौकरियाँ' },
+    'history.new': '{count} नई',
+    'history.changed': '{count} बदली',
+    'history.removed': '{count} हटाई गईं',
+    'history.possible': '{count} संभावित',
+    'history.cancelled': 'रद्द',
+    'history.view': 'देखें',
+    'history.viewLabel': '{label} का स्कैन देखें',
+    'history.deleteLabel': '{label} का स्कैन हटाएँ',
+    'history.loadFailed': 'सहेजा गया स्कैन लोड नहीं हो सका: {error}',
+    'history.deleteFailed': 'सहेजा गया स्कैन हटाया नहीं जा सका: {error}',
+
+    // Starred jobs
+    'starred.heading': 'तारांकित नौकरियाँ ({count})',
+    'starred.permission.granted': 'रिमाइंडर ब्राउज़र सूचनाओं के रूप में भेजे जाते हैं।',
+    'starred.permission.denied': 'इस साइट के लिए सूचनाएँ बंद हैं। रिमाइंडर पाने के लिए ब्राउज़र सेटिंग में इन्हें अनुमति दें।',
+    'starred.permission.default': 'हर अंतिम तिथि से पहले याद दिलाने के लिए सूचनाओं की अनुमति दें।',
+    'starred.permission.unsupported': 'यह ब्राउज़र सूचनाएँ नहीं दिखा सकता; रिमाइंडर केवल "जल्द अंतिम तिथि" में दिखेंगे।',
+    'starred.enableNotifications': 'सूचनाएँ चालू करें',
+    'starred.empty': 'अंतिम तिथि से पहले रिमाइंडर पाने के लिए परिणामों में किसी नौकरी पर ☆ लगाएँ।',
+    'starred.remindDays': 'याद दिलाएँ (कितने दिन पहले)',
+    'starred.unstar': 'तारा हटाएँ',
+    'starred.unstarLabel': '{title} से तारा हटाएँ',
+    'starred.updateFailed': 'तारांकित नौकरियाँ अपडेट नहीं हो सकीं: {error}',
+    'starred.remindersFailed': 'रिमाइंडर सहेजे नहीं जा सके: {error}',
+
+    // Change digest
+    'changes.heading': 'इस स्कैन में बदलाव ({count})',
+    'changes.section.newJobs': 'नई नौकरियाँ',
+    'changes.section.changedJobs': 'अंतिम तिथि बदली',
+    'changes.section.removedJobs': 'अब सूची में नहीं',
+    'changes.previously': 'पहले',
+    'changes.previousDeadline': 'पिछली अंतिम तिथि: {previousDeadline}',
+    'changes.format': 'बदलावों का प्रारूप',
+    'changes.copy': 'बदलाव कॉपी करें',
+    'changes.subject': 'नौकरी अपडेट',
+    'changes.summary.new': { one: '{count} नई नौकरी', other: '{count} नई नौकरियाँ' },
+    'changes.summary.changed': { one: '{count} अंतिम तिथि बदली', other: '{count} अंतिम तिथियाँ बदलीं' },
+    'changes.summary.removed': { one: '{count} पोस्ट अब सूची में नहीं', other: '{count} पोस्ट अब सूची में नहीं' },
+
+    // Digest of selected jobs
+    'digest.label': 'चुनी गई नौकरियाँ',
+    'digest.selected': '{count} चुनी गईं',
+    'digest.format': 'डाइजेस्ट का प्रारूप',
+    'digest.copy': 'डाइजेस्ट कॉपी करें',
+    'digest.selectPage': 'पूरा पेज चुनें',
+    'digest.clear': 'साफ़ करें',
+    'share.openIn': '{channel} में खोलें',
+
+    // Results filters
+    'filters.search': 'शीर्षक खोजें',
+    'filters.searchPlaceholder': 'जैसे क्लर्क रेलवे',
+    'filters.sort': 'क्रम',
+    'filters.ascending': 'बढ़ते क्रम में',
+    'filters.descending': 'घटते क्रम में',
+    'filters.orderAscending': 'क्रम: बढ़ता हुआ',
+    'filters.orderDescending': 'क्रम: घटता हुआ',
+    'filters.deadline': 'अंतिम तिथि',
+    'filters.anyTime': 'कभी भी',
+    'filters.customRange': 'अपनी तिथियाँ',
+    'filters.from': 'से',
+    'filters.to': 'तक',
+    'filters.include': 'इनमें से कोई शब्द हो',
+    'filters.includePlaceholder': 'जैसे बिहार, स्नातक',
+    'filters.exclude': 'ये शब्द हों तो छिपाएँ',
+    'filters.excludePlaceholder': 'जैसे अप्रेंटिस',
+    'filters.sites': 'साइटें',
+    'filters.showing': { one: '{count} में से {matchCount} नौकरी दिखाई जा रही है', other: '{count} में से {matchCount} नौकरियाँ दिखाई जा रही हैं' },
+    'filters.clear': 'फ़िल्टर हटाएँ',
+    'filters.sortField.deadline': 'अंतिम तिथि',
+    'filters.sortField.title': 'शीर्षक',
+    'filters.sortField.source': 'स्रोत साइट',
+    'filters.sortField.firstSeen': 'पहली बार देखी गई',
+    'filters.preset.this-week': 'इस सप्ताह',
+    'filters.preset.next-7': 'अगले 7 दिन',
+    'filters.preset.next-30': 'अगले 30 दिन',
+    'filters.preset.next-6-months': 'अगले 6 महीने',
+
+    // Export
+    'export.heading': { one: '{count} नौकरी निर्यात करें', other: '{count} नौकरियाँ निर्यात करें' },
+    'export.help': 'मौजूदा फ़िल्टर से मेल खाने वाली नौकरियाँ निर्यात होती हैं।',
+    'export.helpFiltered': 'मौजूदा फ़िल्टर ({filters}) से मेल खाने वाली नौकरियाँ निर्यात होती हैं।',
+    'export.columns': 'कॉलम',
+    'export.reminder': 'कैलेंडर रिमाइंडर',
+    'export.reminderDays': 'अंतिम तिथि से कितने दिन पहले (0 = कोई नहीं)',
+    'export.excel': 'Excel CSV',
+    'export.excelHelp': 'बाइट ऑर्डर मार्क के साथ UTF-8, Excel में ठीक से खुलता है',
+    'export.calendar': 'कैलेंडर (.ics)',
+    'export.calendarHelp': 'हर आने वाली अंतिम तिथि के लिए पूरे दिन का एक इवेंट',
+    'export.print': 'प्रिंट / PDF',
+    'export.column.title': 'शीर्षक',
+    'export.column.lastDate': 'अंतिम तिथि',
+    'export.column.deadlineTime': 'अंतिम समय',
+    'export.column.link': 'लिंक',
+    'export.column.officialLink': 'आधिकारिक लिंक',
+    'export.column.organization': 'संगठन',
+    'export.column.location': 'स्थान',
+    'export.column.salary': 'वेतन',
+    'export.column.employmentType': 'प्रकार',
+    'export.column.postedDate': 'प्रकाशित',
+    'export.column.otherDates': 'अन्य तिथियाँ',
+    'export.column.source': 'स्रोत',
+    'export.column.status': 'स्थिति',
+
+    // Saved sources
+    'sources.heading': 'सहेजे गए स्रोत ({count})',
+    'sources.dueNow': 'निर्धारित स्कैन का समय हो गया है',
+    'sources.nextInMinutes': 'अगला स्कैन {count} मिनट में',
+    'sources.nextInHours': 'अगला स्कैन {count} घंटे में',
+    'sources.scan': 'स्कैन',
+    'sources.scanLabel': '{label} स्कैन करें',
+    'sources.settings': 'सेटिंग',
+    'sources.settingsLabel': '{label} की सेटिंग',
+    'sources.remove': 'हटाएँ',
+    'sources.removeLabel': '{label} हटाएँ',
+    'sources.label': 'नाम',
+    'sources.schedule': 'स्वचालित स्कैन',
+    'sources.scheduleHelp': 'ऐप खुला रहने पर चलता है और परिणामों की तुलना पिछले स्कैन से करता है।',
+    'sources.scheduleOption.0': 'केवल हाथ से',
+    'sources.scheduleOption.1': 'हर घंटे',
+    'sources.scheduleOption.3': 'हर 3 घंटे',
+    'sources.scheduleOption.6': 'हर 6 घंटे',
+    'sources.scheduleOption.12': 'हर 12 घंटे',
+    'sources.scheduleOption.24': 'दिन में एक बार',
+    'sources.setting.maxDepth': 'गहराई',
+    'sources.setting.maxPages': 'सूची पेज',
+    'sources.setting.maxPosts': 'नौकरी लिंक',
+    'sources.default': 'डिफ़ॉल्ट',
+    'sources.newUrl': 'नए स्रोत का URL',
+    'sources.newUrlPlaceholder': 'पोर्टल URL',
+    'sources.newLabel': 'नए स्रोत का नाम',
+    'sources.newLabelPlaceholder': 'नाम (वैकल्पिक)',
+    'sources.add': 'स्रोत जोड़ें',
+    'sources.scanAll': 'सभी स्कैन करें ({count})',
+    'sources.runDue': 'बकाया स्कैन चलाएँ ({count})',
+
+    // Crawl settings
+    'crawl.heading': 'क्रॉल सेटिंग',
+    'crawl.maxDepth': 'क्रॉल गहराई',
+    'crawl.maxDepth.help': '0 = केवल दर्ज किया गया पेज',
+    'crawl.maxPages': 'अधिकतम सूची पेज',
+    'crawl.maxPages.help': 'लाए जाने वाले अगले और श्रेणी पेज',
+    'crawl.maxPosts': 'अधिकतम नौकरी लिंक',
+    'crawl.maxPosts.help': 'हर स्कैन में जाँची जाने वाली पोस्ट',
+    'crawl.concurrency': 'एक साथ अनुरोध',
+    'crawl.concurrency.help': 'एक समय में चल रहे अनुरोध',
+    'crawl.hostDelay': 'प्रति साइट अंतराल (ms)',
+    'crawl.hostDelay.help': 'एक साइट के अनुरोधों के बीच का अंतर',
+    'crawl.retries': 'दोबारा प्रयास',
+    'crawl.retries.help': 'हर बार बढ़ते अंतराल के साथ',
+    'crawl.followCategories': 'श्रेणी और टैग आर्काइव के लिंक भी खोलें',
+    'crawl.readPdfs': 'पोस्ट में स्पष्ट अंतिम तिथि न हो तो अधिसूचना PDF पढ़ें',
+
+    // Job detection
+    'classifier.heading': 'नौकरी की पहचान',
+    'classifier.help': 'हर पोस्ट को नीचे दिए संकेतों पर अंक मिलते हैं। सीमा तक पहुँचने वाली पोस्ट नौकरी के रूप में दिखती हैं; बाकी जाँच के लिए "संभावित नौकरियाँ" में आती हैं। ऋणात्मक भार पोस्ट के विरुद्ध गिने जाते हैं।',
+    'classifier.threshold': 'सीमा',
+    'classifier.thresholdHelp': 'नौकरी माने जाने के लिए ज़रूरी अंक',
+    'classifier.defaultWeight': 'डिफ़ॉल्ट {weight}',
+    'classifier.feature.keywords': 'नौकरी के शब्द',
+    'classifier.feature.deadlineLabel': 'लेबल वाली अंतिम तिथि',
+    'classifier.feature.titlePattern': 'भर्ती वाला शीर्षक',
+    'classifier.feature.structured': 'JobPosting डेटा',
+    'classifier.feature.urlShape': 'नौकरी जैसा URL',
+    'classifier.feature.nonJobTitle': 'परिणाम या एडमिट कार्ड का शीर्षक',
+    'classifier.feature.newsUrl': 'समाचार या ब्लॉग URL',
+
+    // Fetch settings
+    'fetch.heading': 'फ़ेच सेटिंग',
+    'fetch.help': 'बैकएंड क्रम से आज़माए जाते हैं, जब तक कोई पेज न लौटा दे। प्रॉक्सी URL में लक्ष्य पते की जगह {url} लिखें।',
+    'fetch.customLabel': 'अपना प्रॉक्सी',
+    'fetch.moveUp': '{label} ऊपर ले जाएँ',
+    'fetch.moveDown': '{label} नीचे ले जाएँ',
+    'fetch.remove': '{label} हटाएँ',
+    'fetch.proxyUrl': '{label} प्रॉक्सी URL',
+    'fetch.timeout': 'सेकंड टाइमआउट',
+    'fetch.addCustom': 'अपना प्रॉक्सी जोड़ें',
+    'fetch.type.allorigins': 'AllOrigins (JSON)',
+    'fetch.type.raw': 'सीधा पास-थ्रू प्रॉक्सी',
+    'fetch.type.custom': 'अपना CORS प्रॉक्सी',
+    'fetch.type.direct': 'सीधा फ़ेच (CORS वाली साइटें)',
+
+    // Extraction rules
+    'rules.heading': 'निष्कर्षण नियम ({count})',
+    'rules.help': 'किसी साइट पर लिंक, शीर्षक और अंतिम तिथियाँ कैसे खोजी जाएँ, यह बदलें। खाली फ़ील्ड में अंतर्निहित डिफ़ॉल्ट लगते हैं।',
+    'rules.ruleSet': 'नियम सेट',
+    'rules.none': 'अभी कोई नियम नहीं',
+    'rules.newRuleOption': '(नया नियम)',
+    'rules.newRule': 'नया नियम',
+    'rules.export': 'JSON निर्यात करें',
+    'rules.import': 'JSON आयात करें',
+    'rules.imported': { one: '{count} नियम सेट आयात हुआ।', other: '{count} नियम सेट आयात हुए।' },
+    'rules.importFailed': 'आयात नहीं हो सका: {error}',
+    'rules.domain': 'डोमेन',
+    'rules.field.postLinkSelector': 'पोस्ट लिंक सेलेक्टर',
+    'rules.field.titleSelector': 'शीर्षक सेलेक्टर',
+    'rules.field.deadlineSelector': 'अंतिम तिथि सेलेक्टर',
+    'rules.field.deadlineRegex': 'अंतिम तिथि regex (पहला समूह तिथि है)',
+    'rules.field.jobUrlKeywords': 'लिंक के शब्द (अल्पविराम से अलग)',
+    'rules.field.jobKeywords': 'नौकरी पेज के शब्द (अल्पविराम से अलग)',
+    'rules.placeholder.titleSelector': 'अंतर्निहित शीर्षक पहचान',
+    'rules.placeholder.deadlineSelector': 'पूरा पेज खोजें',
+    'rules.placeholder.deadlineRegex': 'अंतर्निहित लेबल वाली तिथि पहचान',
+    'rules.previewUrl': 'पूर्वावलोकन URL',
+    'rules.previewPlaceholder': 'पूर्वावलोकन के लिए सूची या पोस्ट का URL',
+    'rules.preview': 'पूर्वावलोकन',
+    'rules.fetching': 'लाया जा रहा है...',
+    'rules.previewFailed': 'पूर्वावलोकन नहीं हो सका: {error}',
+    'rules.result.title': 'शीर्षक:',
+    'rules.result.deadlineText': 'अंतिम तिथि का पाठ:',
+    'rules.result.noMatch': 'कोई मेल नहीं',
+    'rules.result.deadline': 'पढ़ी गई अंतिम तिथि:',
+    'rules.result.confidence': 'विश्वास {percent}%',
+    'rules.result.none': 'कोई नहीं',
+    'rules.result.structured': 'संरचित डेटा:',
+    'rules.result.jobPosting': 'JobPosting मिला',
+    'rules.result.validThrough': '(अंतिम तिथि validThrough से)',
+    'rules.result.links': 'लिंक:',
+    'rules.result.keywordScore': 'शब्दों के अंक:',
+    'rules.result.detection': 'नौकरी की पहचान:',
+    'rules.result.accepted': 'स्वीकृत',
+    'rules.result.rejected': 'अस्वीकृत',
+    'rules.result.breakdown': 'विवरण:',
+    'rules.result.postLinks': 'मिले पोस्ट लिंक: {count}',
+
+    // Share templates
+    'templates.heading': 'शेयर टेम्पलेट',
+    'templates.channel': 'चैनल',
+    'templates.part.header': 'हेडर (नौकरियों से पहले, एक बार)',
+    'templates.part.item': 'नौकरी (हर नौकरी के लिए दोहराया जाता है)',
+    'templates.part.separator': 'डाइजेस्ट में नौकरियों के बीच',
+    'templates.part.footer': 'फ़ुटर (नौकरियों के बाद, एक बार)',
+    'templates.placeholders': 'प्लेसहोल्डर',
+    'templates.preview': 'पूर्वावलोकन',
+    'templates.asDigest': 'डाइजेस्ट के रूप में',
+    'templates.reset': '{channel} टेम्पलेट डिफ़ॉल्ट पर लौटाएँ',
+    'templates.placeholder.title': 'पोस्ट का शीर्षक',
+    'templates.placeholder.link': 'पोस्ट का URL',
+    'templates.placeholder.source': 'स्रोत का नाम, या पता न हो तो साइट',
+    'templates.placeholder.organization': 'भर्ती करने वाला संगठन',
+    'templates.placeholder.location': 'नौकरी का स्थान',
+    'templates.placeholder.previousDeadline': 'बदलाव से पहले की अंतिम तिथि, {deadline} वाले प्रारूपों में',
+    'templates.placeholder.daysLeft': 'अंतिम तिथि तक बचे दिन, जैसे 3',
+    'templates.placeholder.count': 'नौकरियों की संख्या (हेडर और फ़ुटर)',
+    'templates.placeholder.today': 'आज की तिथि',
+
+    // Scan diagnostics
+    'diagnostics.heading': { one: 'स्कैन जाँच ({count} पोस्ट लिंक)', other: 'स्कैन जाँच ({count} पोस्ट लिंक)' },
+    'diagnostics.headingCancelled': { one: 'स्कैन जाँच ({count} पोस्ट लिंक, रद्द)', other: 'स्कैन जाँच ({count} पोस्ट लिंक, रद्द)' },
+    'diagnostics.show': 'दिखाएँ',
+    'diagnostics.allPosts': 'सभी पोस्ट',
+    'diagnostics.download': 'JSON रिपोर्ट डाउनलोड करें',
+    'diagnostics.downloadHelp': 'छूटी नौकरियों की बग रिपोर्ट के साथ यह रिपोर्ट जोड़ें।',
+    'diagnostics.failed': 'विफल: {error}',
+    'diagnostics.listingPages': 'सूची पेज',
+    'diagnostics.page': 'पेज',
+    'diagnostics.fetch': 'फ़ेच',
+    'diagnostics.anchors': 'पेज पर लिंक',
+    'diagnostics.postLinks': 'पोस्ट लिंक',
+    'diagnostics.nextPages': 'अगले पेज',
+    'diagnostics.post': 'पोस्ट',
+    'diagnostics.deadlineText': 'अंतिम तिथि का पाठ',
+    'diagnostics.keywords': 'शब्द',
+    'diagnostics.score': 'अंक',
+    'diagnostics.result': 'परिणाम',
+    'diagnostics.pdfRead': 'PDF पढ़ी गई',
+    'diagnostics.pdfFailed': 'PDF पढ़ना: {error}',
+    'diagnostics.outcome.job': 'नौकरी',
+    'diagnostics.outcome.possible': 'संभावित नौकरी',
+    'diagnostics.outcome.grouped': 'समूहित',
+    'diagnostics.outcome.rejected': 'अस्वीकृत',
+    'diagnostics.outcome.duplicate': 'दोहराई गई',
+    'diagnostics.outcome.not-fetched': 'नहीं लाई गई',
+
+    // Keyboard shortcuts
+    'shortcuts.heading': 'कीबोर्ड शॉर्टकट',
+    'shortcuts.scan': 'दर्ज की गई वेबसाइट का स्कैन शुरू करें',
+    'shortcuts.cancel': 'चल रहा स्कैन रद्द करें',
+    'shortcuts.search': 'परिणामों में खोजें',
+    'shortcuts.nextJob': 'सूची में अगली नौकरी',
+    'shortcuts.previousJob': 'सूची में पिछली नौकरी',
+    'shortcuts.nextPage': 'परिणामों का अगला पेज',
+    'shortcuts.previousPage': 'परिणामों का पिछला पेज',
+    'shortcuts.copy': 'चुनी हुई नौकरी, या चुनी गई नौकरियों का डाइजेस्ट कॉपी करें',
+    'shortcuts.star': 'चुनी हुई नौकरी पर तारा लगाएँ या हटाएँ',
+    'shortcuts.help': 'यह सूची दिखाएँ या छिपाएँ',
+
+    // Error dialog
+    'error.title': 'त्रुटि',
+
+    // Page
+    'app.language': 'भाषा',
+    'app.titleStart': 'नौकरी अंतिम तिथि',
+    'app.titleEnd': 'क्रॉलर',
+    'app.subtitle': 'आने वाली सभी नौकरी की अंतिम तिथियाँ खोजने के लिए वेबसाइट दर्ज करें।',
+    'app.urlLabel': 'स्कैन करने के लिए वेबसाइट',
+    'app.cancel': 'रद्द करें',
+    'app.crawling': 'क्रॉल हो रहा है...',
+    'app.startScan': 'स्कैन शुरू करें',
+    'app.offline': 'आप ऑफ़लाइन हैं। पिछला सहेजा गया स्कैन और आपकी तारांकित नौकरियाँ दिखाई जा रही हैं; कनेक्शन लौटने पर सहेजे गए स्रोत फिर से स्कैन होंगे।',
+    'app.resultsHeading': 'मिली आगामी अंतिम तिथियाँ',
+    'app.viewingScan': '{label} का {date} वाला स्कैन देखा जा रहा है।',
+    'app.showLatest': 'नवीनतम दिखाएँ',
+    'app.noMatches': 'इन फ़िल्टर से कोई नौकरी मेल नहीं खाती।',
+    'app.selectJob': 'डाइजेस्ट के लिए {title} चुनें',
+    'app.previous': 'पिछला',
+    'app.next': 'अगला',
+    'app.pageOf': 'पेज {page} / {total}',
+
+    // Results
+    'job.status.new': 'नई',
+    'job.status.deadline-changed': 'अंतिम तिथि बदली',
+    'job.status.title-changed': 'शीर्षक बदला',
+    'job.status.expired': 'समाप्त',
+    'job.source': 'स्रोत: {label}',
+    'job.alsoPostedAt': 'यहाँ भी प्रकाशित:',
+    'job.organization': 'संगठन',
+    'job.location': 'स्थान',
+    'job.salary': 'वेतन',
+    'job.type': 'प्रकार',
+    'job.posted': 'प्रकाशित',
+    'job.date.start': 'आवेदन शुरू',
+    'job.date.fee': 'शुल्क भुगतान',
+    'job.date.correction': 'सुधार',
+    'job.date.exam': 'परीक्षा',
+    'job.date.admit': 'एडमिट कार्ड',
+    'job.date.result': 'परिणाम',
+    'job.lastDate': 'आवेदन की अंतिम तिथि: {date}',
+    'job.till': '({time} तक)',
+    'job.fromPdf': 'अधिसूचना PDF से',
+    'job.uncertain': 'अनिश्चित',
+    'job.confidence': 'अंतिम तिथि पर विश्वास {percent}%',
+    'job.promoted': 'आपने नौकरी माना।',
+    'job.why': 'यह नौकरी क्यों है?',
+    'job.star': 'तारा लगाएँ',
+    'job.starred': 'तारांकित',
+    'job.starTitle': 'तारा लगाएँ और अंतिम तिथि से पहले रिमाइंडर पाएँ',
+    'job.unstarTitle': 'तारा हटाएँ (रिमाइंडर बंद)',
+    'job.starLabel': '{title} पर तारा लगाएँ',
+    'job.starredLabel': 'तारांकित: {title}। तारा हटाने के लिए दबाएँ',
+    'job.pdf': '(PDF)',
+    'job.shareVia': '{channel} से शेयर करें',
+    'job.shareJobVia': '{title} को {channel} से शेयर करें',
+    'job.email': 'ईमेल',
+    'job.shareByEmail': 'ईमेल से शेयर करें',
+    'job.shareJobByEmail': '{title} को ईमेल से शेयर करें',
+    'job.copy': 'कॉपी',
+    'job.copyTitle': 'तैयार संदेश कॉपी करें',
+    'job.copyLabel': '{title} का संदेश कॉपी करें',
+    'job.share': 'शेयर',
+    'job.shareTitle': 'डिवाइस से शेयर करें',
+    'job.shareLabel': '{title} को इस डिवाइस के किसी ऐप से शेयर करें',
+    'links.notification': 'अधिसूचना',
+    'links.apply': 'ऑनलाइन आवेदन',
+    'links.admitCard': 'एडमिट कार्ड',
+    'links.result': 'परिणाम',
+    'links.website': 'आधिकारिक वेबसाइट',
+    'links.official': 'आधिकारिक पेज',
+
+    // Scan messages
+    'scan.noUrl': 'कृपया वेबसाइट का URL दर्ज करें।',
+    'scan.invalidUrl': '"{url}" मान्य URL नहीं है।',
+    'scan.offline': 'आप ऑफ़लाइन हैं। कनेक्शन लौटने पर आपके सहेजे गए स्रोत स्कैन होंगे।',
+    'scan.allFailed': 'कोई भी स्रोत स्कैन नहीं हो सका। विवरण के लिए स्रोतों की सूची देखें।',
+    'scan.cancelledEmpty': 'कोई नौकरी मिलने से पहले स्कैन रद्द हो गया।',
+    'scan.cancelledPartial': 'स्कैन रद्द हुआ। {count} में से {fetched} पोस्ट के परिणाम दिखाए जा रहे हैं।',
+    'scan.someFailed': '{count} में से {failed} स्रोत विफल: {labels}। बाकी के परिणाम दिखाए जा रहे हैं।',
+    'scan.partial': '{count} में से {missing} पोस्ट नहीं लाई जा सकीं। अधूरे परिणाम दिखाए जा रहे हैं।',
+    'scan.scheduled': '{labels} का निर्धारित स्कैन: {changes}।',
+    'scan.noChanges': 'कोई बदलाव नहीं',
+    'scan.backgroundFailed': '{labels} का स्वचालित स्कैन विफल: {error}',
+
+    // Scan progress and errors
+    'scan.progress.waiting': 'प्रतीक्षा में...',
+    'scan.progress.fetchingListings': 'नौकरी के लिंक खोजने के लिए सूची वाले पेज लाए जा रहे हैं...',
+    'scan.progress.listingPages': 'सूची वाले पेज, स्तर {depth}/{maxDepth}: {total} में से {done} लाए गए, अब तक {found} नौकरी के लिंक...',
+    'scan.progress.analyzingLinks': { one: '{count} सूची पेज पर मिले {links} लिंक का विश्लेषण हो रहा है...', other: '{count} सूची पेजों पर मिले {links} लिंक का विश्लेषण हो रहा है...' },
+    'scan.progress.fetchingPosts': 'पोस्ट का विश्लेषण: {count} में से {fetched} लाई गईं...',
+    'scan.progress.verifying': '{count} पोस्ट की जाँच और अंतिम तिथियाँ निकाली जा रही हैं...',
+    'scan.progress.sources': '{count} स्रोत स्कैन हो रहे हैं: {finished} पूरे...',
+    'scan.result.done': '{count} में से {fetched} पोस्ट से {jobs} नौकरियाँ{possible}{failed}{cancelled}।',
+    'scan.result.possible': ' (+{count} संभावित)',
+    'scan.result.failed': ' ({count} नहीं लाई जा सकीं)',
+    'scan.result.cancelled': ', रद्द',
+    'scan.error.noLinks': 'नौकरी की पोस्ट का कोई संभावित लिंक नहीं मिला। अधिक सटीक URL आज़माएँ।',
+    'scan.error.cancelled': 'किसी पोस्ट के विश्लेषण से पहले रद्द हो गया।',
+    'scan.error.fetchFailed': '{url} नहीं लाया जा सका ({reasons})',
+    'scan.error.noBackend': 'कोई फ़ेच बैकएंड चालू नहीं है। फ़ेच सेटिंग्स जाँचें।',
+
+    // Screen reader announcements
+    'announce.scanStarted': 'स्कैन शुरू हुआ।',
+    'announce.scanFinished': { one: 'स्कैन पूरा: {count} नौकरी मिली।', other: 'स्कैन पूरा: {count} नौकरियाँ मिलीं।' },
+};
@@ -0,0 +1,197 @@
+// --- PDF Text ---
+//
+// Reads the text of a notification PDF well enough to look for its dates. It
+// handles what recruitment notices are usually made of: Flate-compressed or
+// uncompressed content streams drawing text with simple fonts. Scanned notices
+// and fonts with custom encodings give little or no text, which callers treat
+// as "nothing found".
+
+const SKIPPED_STREAMS = /\/Subtype\s*\/Image|\/Type\s*\/(?:XRef|ObjStm|XObject|Metadata)|\/Length[123]\b/;
+const UNSUPPORTED_FILTERS = /\/(?:DCTDecode|JPXDecode|CCITTFaxDecode|JBIG2Decode|LZWDecode|RunLengthDecode)/;
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+const latin1 = (bytes) => new TextDecoder('latin1').decode(bytes);
+
+/**
+ * Inflates a FlateDecode stream.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+const inflate = async (bytes) => {
+    const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Decodes the bytes of a PDF string. Two-byte strings (a zero before every
+ * ASCII character) are read as UTF-16BE.
+ * @param {number[]} codes
+ * @returns {string}
+ */
+const decodeString = (codes) => {
+    const wide = codes.length >= 2 && codes.length % 2 === 0 && codes.every((code, index) => index % 2 === 1 || code === 0);
+    return wide
+        ? String.fromCharCode(...codes.filter((_, index) => index % 2 === 1))
+        : String.fromCharCode(...codes);
+};
+
+/**
+ * Splits a content stream into operands and operators.
+ * @param {string} source - The stream as latin1 text.
+ * @returns {Generator<{ type: string, value: * }>}
+ */
+function* tokenize(source) {
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '%') {
+            while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+        } else if (char === '(') {
+            const codes = [];
+            let depth = 1;
+            i++;
+            while (i < source.length && depth > 0) {
+                const c = source[i++];
+                if (c === '\\') {
+                    const next = source[i++];
+                    if (ESCAPES[next]) codes.push(ESCAPES[next].charCodeAt(0));
+                    else if (/[0-7]/.test(next)) {
+                        let octal = next;
+                        while (octal.length < 3 && /[0-7]/.test(source[i])) octal += source[i++];
+                        codes.push(parseInt(octal, 8) & 0xff);
+                    } else if (next === '\r' || next === '\n') {
+                        if (next === '\r' && source[i] === '\n') i++;
+                    } else codes.push(next.charCodeAt(0));
+                } else {
+                    if (c === '(') depth++;
+                    if (c === ')' && --depth === 0) break;
+                    codes.push(c.charCodeAt(0));
+                }
+            }
+            yield { type: 'string', value: decodeString(codes) };
+        } else if (char === '<' && source[i + 1] !== '<') {
+            const end = source.indexOf('>', i);
+            const hex = source.slice(i + 1, end === -1 ? source.length : end).replace(/[^0-9a-f]/gi, '');
+            const codes = (hex.length % 2 ? `${hex}0` : hex).match(/../g) || [];
+            yield { type: 'string', value: decodeString(codes.map(pair => parseInt(pair, 16))) };
+            i = end === -1 ? source.length : end + 1;
+        } else if (char === '[' || char === ']') {
+            yield { type: char };
+            i++;
+        } else if (char === '<' || char === '>') {
+            i += 2;
+        } else if (char === '/') {
+            const match = source.slice(i + 1).match(/^[^\s/()<>[\]{}%]*/);
+            yield { type: 'name', value: match[0] };
+            i += match[0].length + 1;
+        } else {
+            const match = source.slice(i).match(/^[^\s/()<>[\]{}%]+/);
+            const word = match ? match[0] : char;
+            i += word.length;
+            if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(word)) yield { type: 'number', value: Number(word) };
+            else if (word === 'ID') {
+                // Inline image data runs to the next EI.
+                const end = source.indexOf('EI', i);
+                i = end === -1 ? source.length : end + 2;
+            } else yield { type: 'operator', value: word };
+        }
+    }
+}
+
+/**
+ * Collects the text drawn by a content stream, starting a new line wherever
+ * the text moves down the page.
+ * @param {string} source - The stream as latin1 text.
+ * @returns {string}
+ */
+const contentText = (source) => {
+    let text = '';
+    let operands = [];
+    let array = null;
+    let lastY = null;
+    const newLine = () => {
+        if (text && !text.endsWith('\n')) text += '\n';
+    };
+
+    for (const token of tokenize(source)) {
+        if (token.type === '[') array = [];
+        else if (token.type === ']') {
+            operands.push({ type: 'array', value: array || [] });
+            array = null;
+        } else if (array) array.push(token);
+        else if (token.type !== 'operator') operands.push(token);
+        else {
+            const op = token.value;
+            const strings = operands.filter(operand => operand.type === 'string').map(operand => operand.value);
+            if (op === 'Td' || op === 'TD') {
+                if (operands.at(-1)?.value !== 0) newLine();
+                else text += ' ';
+            } else if (op === 'Tm') {
+                const y = operands.at(-1)?.value;
+                if (lastY !== null && y !== lastY) newLine();
+                else text += ' ';
+                lastY = y;
+            } else if (op === 'T*') newLine();
+            else if (op === 'ET') text += ' ';
+            else if (op === 'Tj') text += strings.join('');
+            else if (op === "'" || op === '"') {
+                newLine();
+                text += strings.join('');
+            } else if (op === 'TJ') {
+                (operands.find(operand => operand.type === 'array')?.value || []).forEach(part => {
+                    if (part.type === 'string') text += part.value;
+                    // A wide negative adjustment is a gap between words.
+                    else if (part.type === 'number' && part.value < -200) text += ' ';
+                });
+            }
+            operands = [];
+        }
+    }
+    return text;
+};
+
+/**
+ * Extracts the text of a PDF.
+ * @param {Uint8Array|ArrayBuffer} data - The PDF file.
+ * @returns {Promise<string>} The text with one line per line of the page, or
+ *   '' when the file is not a PDF or has no readable text.
+ */
+export const extractPdfText = async (data) => {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const source = latin1(bytes);
+    if (!source.startsWith('%PDF')) return '';
+
+    const pages = [];
+    const streamPattern = /stream\r?\n/g;
+    let match;
+    while ((match = streamPattern.exec(source))) {
+        const start = match.index + match[0].length;
+        const end = source.indexOf('endstream', start);
+        if (end === -1) break;
+        streamPattern.lastIndex = end + 'endstream'.length;
+
+        const dictionary = source.slice(source.lastIndexOf('obj', match.index), match.index);
+        if (SKIPPED_STREAMS.test(dictionary) || UNSUPPORTED_FILTERS.test(dictionary)) continue;
+        const length = dictionary.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+        let stop = end;
+        while (stop > start && (bytes[stop - 1] === 0x0a || bytes[stop - 1] === 0x0d)) stop--;
+        let content = bytes.subarray(start, length ? Math.min(start + Number(length[1]), end) : stop);
+        if (/\/FlateDecode/.test(dictionary)) {
+            try {
+                content = await inflate(content);
+            } catch (e) {
+                continue;
+            }
+        }
+        const streamText = latin1(content);
+        if (/\bBT\b/.test(streamText)) pages.push(contentText(streamText));
+    }
+
+    return pages.join('\n')
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+};
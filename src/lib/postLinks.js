@@ -0,0 +1,167 @@
+import { resolveUrl } from './crawler.js';
+import { getText } from './htmlDocument.js';
+
+// --- Links in a Post ---
+//
+// Aggregator posts usually link to the recruiting body's own site and
+// notification. Those official links identify a recruitment across the sites
+// that repost it, and are the better link to hand to a user. The outbound
+// links are also sorted into the kinds a reader looks for (LINK_KINDS).
+
+// Government, military and academic domains, e.g. ssc.gov.in, upsc.nic.in,
+// gov.uk, canada.gc.ca, iitb.ac.in.
+const OFFICIAL_HOST = /(?:^|\.)(?:gov|nic|mil|gouv|gob|govt|gc|ac|edu|res)(?:\.[a-z]{2})?$/i;
+const OFFICIAL_LINK_TEXT = /official|notification|advertisement|apply online|recruitment portal/i;
+
+// Outbound link kinds, in the order their buttons are shown. A link is given
+// the first kind in KIND_PRIORITY whose pattern matches its text; unlabelled
+// PDFs are taken as the notification and bare official home pages as the
+// website.
+export const LINK_KINDS = [
+    { id: 'notification', label: 'Notification', pattern: /notification|advertisement|\badvt\b|notice|brochure|prospectus/i },
+    { id: 'apply', label: 'Apply Online', pattern: /apply|application form|registration|register/i },
+    { id: 'admitCard', label: 'Admit Card', pattern: /admit\s*card|hall\s*ticket|call\s*letter/i },
+    { id: 'result', label: 'Result', pattern: /result|merit\s*list|cut\s*-?\s*off|score\s*card|answer\s*key/i },
+    { id: 'website', label: 'Official Website', pattern: /official\s*(?:web)?site|home\s*page/i },
+];
+// Checked first, so "Download Result" is a result even though a notice says "download".
+const KIND_PRIORITY = ['admitCard', 'result', 'apply', 'notification', 'website'];
+// Link texts that only make sense next to the label in the same table row or list item.
+const GENERIC_LINK_TEXT = /^(?:click\s*here|here|link|open|download|view|check|visit|click)$/i;
+const PDF_PATH = /\.pdf$/i;
+
+const hostOf = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch (e) {
+        return '';
+    }
+};
+
+/**
+ * Whether a host belongs to a government or other official body.
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export const isOfficialHost = (hostname) => OFFICIAL_HOST.test(hostname.replace(/\.$/, ''));
+
+/**
+ * Whether a URL is on an official host.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isOfficialUrl = (url) => isOfficialHost(hostOf(url));
+
+/**
+ * Resolves the post's canonical URL. Some sites set every page's canonical
+ * URL to the home page; that says nothing about the post and is ignored.
+ * @param {string|null} canonicalUrl - From the link tag or og:url.
+ * @param {string} postUrl
+ * @returns {string|null} The absolute canonical URL, or null.
+ */
+export const resolveCanonicalUrl = (canonicalUrl, postUrl) => {
+    const resolved = resolveUrl(canonicalUrl, postUrl);
+    if (!resolved) return null;
+    return new URL(resolved).pathname.length > 1 ? resolved : null;
+};
+
+/**
+ * Finds the link to the recruiting body's own page in a post: an outbound
+ * link on an official host, or on the employer's site named in the
+ * structured data. Links to a specific page beat home pages, and links
+ * labelled "official notification" and the like beat the rest.
+ * @param {Document} doc - The parsed post page.
+ * @param {string} postUrl
+ * @param {object} [options]
+ * @param {string|null} [options.organizationUrl] - The employer's site, from JobPosting data.
+ * @returns {string|null}
+ */
+export const findOfficialLink = (doc, postUrl, { organizationUrl = null } = {}) => {
+    const postHost = hostOf(postUrl);
+    const employerHost = organizationUrl ? hostOf(organizationUrl) : '';
+    let best = null;
+    let bestScore = 0;
+    doc.querySelectorAll('a[href]').forEach(link => {
+        const href = resolveUrl(link.getAttribute('href'), postUrl);
+        if (!href || !/^https?:/.test(href)) return;
+        const host = hostOf(href);
+        if (!host || host === postHost) return;
+        if (!isOfficialHost(host) && host !== employerHost) return;
+        const score = 1 + (new URL(href).pathname.length > 1 ? 2 : 0) + (OFFICIAL_LINK_TEXT.test(getText(link)) ? 1 : 0);
+        if (score > bestScore) {
+            best = href;
+            bestScore = score;
+        }
+    });
+    if (best) return best;
+    return employerHost && employerHost !== postHost ? organizationUrl : null;
+};
+
+/**
+ * Whether a URL points at a PDF file.
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isPdfUrl = (url) => {
+    try {
+        return PDF_PATH.test(new URL(url).pathname);
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * The text that says what a link is: its own text, or for "Click Here" style
+ * links the row or list item around it.
+ * @param {Element} link
+ * @returns {string}
+ */
+const describeLink = (link) => {
+    const text = getText(link).replace(/\s+/g, ' ').trim();
+    if (text && !GENERIC_LINK_TEXT.test(text)) return text;
+    const row = link.closest('tr, li, p, dd');
+    return row ? getText(row).replace(/\s+/g, ' ').trim() : text;
+};
+
+/**
+ * Sorts a post's outbound links into LINK_KINDS. Links to the post's own site
+ * are navigation and are ignored. For each kind the first link on an official
+ * host wins, then the first link at all; a notification prefers a PDF.
+ * @param {Document} doc - The parsed post page.
+ * @param {string} postUrl
+ * @returns {object} Link URLs keyed by kind id, only for the kinds found.
+ */
+export const classifyPostLinks = (doc, postUrl) => {
+    const postHost = hostOf(postUrl);
+    const best = {};
+    doc.querySelectorAll('a[href]').forEach(link => {
+        const href = resolveUrl(link.getAttribute('href'), postUrl);
+        if (!href || !/^https?:/.test(href)) return;
+        const host = hostOf(href);
+        if (!host || host === postHost) return;
+        const description = describeLink(link);
+        const pdf = isPdfUrl(href);
+        const kindId = KIND_PRIORITY.find(id => LINK_KINDS.find(kind => kind.id === id).pattern.test(description))
+            || (pdf ? 'notification' : (isOfficialHost(host) && new URL(href).pathname.length <= 1 ? 'website' : null));
+        if (!kindId) return;
+        const score = (isOfficialHost(host) ? 2 : 0) + (kindId === 'notification' && pdf ? 1 : 0);
+        if (!best[kindId] || score > best[kindId].score) best[kindId] = { href, score };
+    });
+    return Object.fromEntries(LINK_KINDS.filter(kind => best[kind.id]).map(kind => [kind.id, best[kind.id].href]));
+};
+
+/**
+ * The links worth showing for a job besides its own: the classified links in
+ * LINK_KINDS order, then the official page when it is not one of them.
+ * @param {object} job
+ * @returns {{ id: string, label: string, url: string }[]}
+ */
+export const listJobLinks = (job) => {
+    const links = LINK_KINDS
+        .filter(kind => job.links?.[kind.id])
+        .map(({ id, label }) => ({ id, label, url: job.links[id] }));
+    if (job.officialLink && job.officialLink !== job.link && !links.some(link => link.url === job.officialLink)) {
+        links.push({ id: 'official', label: 'Official page', url: job.officialLink });
+    }
+    return links;
+};
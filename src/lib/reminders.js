@@ -0,0 +1,127 @@
+// --- Deadline Reminders ---
+//
+// Starred jobs carry reminder offsets in days before their deadline. The
+// service worker (public/sw.js) sends a notification when an offset is
+// reached; the same rule drives the in-app "Due soon" panel. getDueOffsets()
+// and the worker's copy of it must stay in step; reminders.test.js runs both
+// through the same cases.
+
+export const DEFAULT_REMINDER_DAYS = [7, 3, 1];
+
+// Periodic Background Sync tag, where the browser supports it.
+export const REMINDER_SYNC_TAG = 'check-reminders';
+const REMINDER_SYNC_INTERVAL_MS = 12 * 60 * 60 * 1000;
+
+const startOfDay = (value) => {
+    const date = new Date(value);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Counts whole days from today to a deadline.
+ * @param {Date|string|number} deadline
+ * @param {Date} [today]
+ * @returns {number} Negative once the deadline has passed.
+ */
+export const getDaysLeft = (deadline, today = new Date()) => Math.round((startOfDay(deadline) - startOfDay(today)) / 86400000);
+
+/**
+ * Classifies how close a deadline is, for colouring list items.
+ * @param {Date|string|number} deadline
+ * @param {Date} [today]
+ * @returns {'expired'|'urgent'|'soon'|'upcoming'|'later'}
+ */
+export const getUrgency = (deadline, today = new Date()) => {
+    const days = getDaysLeft(deadline, today);
+    if (days < 0) return 'expired';
+    if (days <= 1) return 'urgent';
+    if (days <= 3) return 'soon';
+    if (days <= 7) return 'upcoming';
+    return 'later';
+};
+
+/**
+ * Returns the reminder offsets of a bookmark that are due and not yet sent.
+ * @param {object} bookmark - { lastDate, reminderDays, sentReminders }
+ * @param {Date} [today]
+ * @returns {number[]}
+ */
+export const getDueOffsets = (bookmark, today = new Date()) => {
+    const days = getDaysLeft(bookmark.lastDate, today);
+    if (days < 0) return [];
+    const sent = bookmark.sentReminders || [];
+    return (bookmark.reminderDays || []).filter(offset => days <= offset && !sent.includes(offset));
+};
+
+/**
+ * Whether a starred job belongs in the "Due soon" panel: its earliest
+ * reminder offset has been reached and the deadline has not passed.
+ * @param {object} bookmark
+ * @param {Date} [today]
+ * @returns {boolean}
+ */
+export const isDueSoon = (bookmark, today = new Date()) => {
+    const days = getDaysLeft(bookmark.lastDate, today);
+    const earliest = Math.max(0, ...(bookmark.reminderDays || []));
+    return days >= 0 && days <= earliest;
+};
+
+/**
+ * Builds a bookmark record for a job.
+ * @param {object} job
+ * @param {number[]} [reminderDays]
+ * @returns {object}
+ */
+export const createBookmark = (job, reminderDays = DEFAULT_REMINDER_DAYS) => ({
+    link: job.link,
+    title: job.title,
+    lastDate: job.lastDate,
+    deadlineTime: job.deadlineTime || null,
+    sourceLabel: job.sourceLabel || '',
+    starredAt: Date.now(),
+    reminderDays,
+    sentReminders: [],
+});
+
+/**
+ * Registers the service worker that delivers reminders and, where supported,
+ * asks the browser to wake it periodically.
+ * @param {string} scriptUrl
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerReminderWorker = async (scriptUrl) => {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+    const registration = await navigator.serviceWorker.register(scriptUrl);
+    try {
+        if ('periodicSync' in registration) {
+            await registration.periodicSync.register(REMINDER_SYNC_TAG, { minInterval: REMINDER_SYNC_INTERVAL_MS });
+        }
+    } catch (e) {
+        // Periodic sync needs an installed app and permission; the page checks while open instead.
+    }
+    return registration;
+};
+
+/**
+ * Asks the service worker to send any reminders that are due.
+ */
+export const checkReminders = async () => {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+    const registration = await navigator.serviceWorker.getRegistration();
+    registration?.active?.postMessage({ type: 'CHECK_REMINDERS' });
+};
+
+/**
+ * Current notification permission, or 'unsupported'.
+ * @returns {'granted'|'denied'|'default'|'unsupported'}
+ */
+export const getNotificationPermission = () => (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+/**
+ * Asks for permission to show notifications.
+ * @returns {Promise<string>} The resulting permission.
+ */
+export const requestNotificationPermission = async () => {
+    if (typeof Notification === 'undefined') return 'unsupported';
+    return Notification.requestPermission();
+};
@@ -0,0 +1,78 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+import { describe, expect, it } from 'vitest';
+import { getDaysLeft, getDueOffsets, getUrgency, isDueSoon } from './reminders.js';
+
+// The service worker is a classic script with its own copy of getDueOffsets().
+// It is loaded into a bare context (listeners are ignored) so that both copies
+// run through the same cases.
+const loadWorkerGetDueOffsets = () => {
+    const file = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../public/sw.js');
+    const context = vm.createContext({ URL, self: { registration: { scope: 'https://app.example/' }, addEventListener: () => {} } });
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context);
+    const workerGetDueOffsets = vm.runInContext('getDueOffsets', context);
+    // Copy the result out of the worker's realm so it compares like a local array.
+    return (bookmark, today) => [...workerGetDueOffsets(bookmark, today)];
+};
+
+const today = new Date(2026, 0, 10, 10, 0);
+const inDays = (days, hour = 0) => new Date(2026, 0, 10 + days, hour, 0).toISOString();
+const bookmark = (days, reminderDays = [7, 3, 1], sentReminders = []) => ({ lastDate: inDays(days), reminderDays, sentReminders });
+
+describe.each([
+    ['src/lib/reminders.js', getDueOffsets],
+    ['public/sw.js', loadWorkerGetDueOffsets()],
+])('getDueOffsets in %s', (file, dueOffsets) => {
+    it('is due once the days left reach an offset', () => {
+        expect(dueOffsets(bookmark(8), today)).toEqual([]);
+        expect(dueOffsets(bookmark(7), today)).toEqual([7]);
+        expect(dueOffsets(bookmark(3, [7, 3, 1], [7]), today)).toEqual([3]);
+        expect(dueOffsets(bookmark(1, [7, 3, 1], [7, 3]), today)).toEqual([1]);
+    });
+
+    it('fires an offset of 0 on the deadline day', () => {
+        expect(dueOffsets(bookmark(0, [1, 0], [1]), today)).toEqual([0]);
+        expect(dueOffsets(bookmark(1, [1, 0], []), today)).toEqual([1]);
+    });
+
+    it('skips offsets already notified', () => {
+        expect(dueOffsets(bookmark(2, [7, 3, 1], [7, 3]), today)).toEqual([]);
+        expect(dueOffsets(bookmark(0, [7, 3, 1], [7, 3, 1]), today)).toEqual([]);
+    });
+
+    it('returns every missed offset at once, e.g. after the browser was closed', () => {
+        expect(dueOffsets(bookmark(1), today)).toEqual([7, 3, 1]);
+    });
+
+    it('sends nothing once the deadline has passed', () => {
+        expect(dueOffsets(bookmark(-1), today)).toEqual([]);
+        expect(dueOffsets(bookmark(-1, [7, 3, 1, 0]), today)).toEqual([]);
+    });
+
+    it('counts calendar days, ignoring the time of day', () => {
+        expect(dueOffsets({ lastDate: inDays(7, 23), reminderDays: [7] }, new Date(2026, 0, 10, 0, 5))).toEqual([7]);
+        expect(dueOffsets({ lastDate: inDays(8, 0), reminderDays: [7] }, new Date(2026, 0, 10, 23, 55))).toEqual([]);
+    });
+
+    it('copes with bookmarks saved without reminder fields', () => {
+        expect(dueOffsets({ lastDate: inDays(1) }, today)).toEqual([]);
+        expect(dueOffsets({ lastDate: inDays(1), reminderDays: [1] }, today)).toEqual([1]);
+    });
+});
+
+describe('deadline helpers', () => {
+    it('counts the days left and classifies the urgency', () => {
+        expect(getDaysLeft(inDays(3, 18), today)).toBe(3);
+        expect([-1, 0, 1, 3, 7, 8].map(days => getUrgency(inDays(days), today))).toEqual(['expired', 'urgent', 'urgent', 'soon', 'upcoming', 'later']);
+    });
+
+    it('shows a starred job as due soon from its earliest reminder until the deadline', () => {
+        expect(isDueSoon(bookmark(7), today)).toBe(true);
+        expect(isDueSoon(bookmark(8), today)).toBe(false);
+        expect(isDueSoon(bookmark(0), today)).toBe(true);
+        expect(isDueSoon(bookmark(-1), today)).toBe(false);
+        expect(isDueSoon(bookmark(0, []), today)).toBe(true);
+    });
+});
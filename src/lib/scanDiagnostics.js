@@ -0,0 +1,96 @@
+// --- Scan Diagnostics ---
+//
+// What happened to every listing page and post of a scan, as reported by
+// scanSite() through `onDiagnostic`, plus what happened to a post when results
+// were merged across sources. The report is shown in the diagnostics panel and
+// can be downloaded as JSON to attach to a bug report.
+
+export const REPORT_VERSION = 1;
+
+export const POST_OUTCOMES = {
+    job: 'Job',
+    possible: 'Possible job',
+    grouped: 'Grouped',
+    rejected: 'Rejected',
+    duplicate: 'Duplicate',
+    'not-fetched': 'Not fetched',
+};
+
+/**
+ * Records how merging sources changed each post's outcome: accepted posts
+ * folded into another posting of the same recruitment become 'grouped', and
+ * possible jobs dropped in favour of an accepted copy become 'duplicate'.
+ * @param {object[]} entries - One source's diagnostics.
+ * @param {{ jobs: object[], possibleJobs: object[] }} merged - A mergeOutcomes() result.
+ * @returns {object[]} The entries, updated.
+ */
+export const annotateMerge = (entries, { jobs, possibleJobs }) => {
+    const primaryByLink = new Map();
+    jobs.forEach(job => (job.postings || [{ link: job.link }]).forEach(posting => primaryByLink.set(posting.link, job.link)));
+    const possibleLinks = new Set(possibleJobs.map(job => job.link));
+
+    return entries.map(entry => {
+        if (entry.type !== 'post') return entry;
+        const primary = primaryByLink.get(entry.url);
+        if (entry.outcome === 'job' && primary && primary !== entry.url) {
+            return { ...entry, outcome: 'grouped', reason: `Same recruitment as ${primary}, shown there.` };
+        }
+        if (entry.outcome === 'possible' && !possibleLinks.has(entry.url)) {
+            if (primary === entry.url) return { ...entry, outcome: 'job', reason: 'Accepted on another source.' };
+            if (primary) return { ...entry, outcome: 'grouped', reason: `Accepted on another source as part of ${primary}.` };
+            return { ...entry, outcome: 'duplicate', reason: 'Same recruitment as an accepted job.' };
+        }
+        return entry;
+    });
+};
+
+/**
+ * Counts a source's posts by outcome.
+ * @param {object[]} entries
+ * @returns {object} Counts keyed by POST_OUTCOMES id, for the outcomes present.
+ */
+export const countOutcomes = (entries) => entries
+    .filter(entry => entry.type === 'post')
+    .reduce((counts, entry) => ({ ...counts, [entry.outcome]: (counts[entry.outcome] || 0) + 1 }), {});
+
+/**
+ * Builds the diagnostics report of a scan.
+ * @param {object} params
+ * @param {object[]} params.outcomes - scanSources() outcomes, with their `diagnostics`.
+ * @param {number} params.startedAt
+ * @param {number} params.finishedAt
+ * @param {boolean} [params.cancelled]
+ * @param {object} [params.crawlOptions]
+ * @param {object} [params.classifier]
+ * @returns {object}
+ */
+export const buildDiagnosticsReport = ({ outcomes, startedAt, finishedAt, cancelled = false, crawlOptions = null, classifier = null }) => ({
+    version: REPORT_VERSION,
+    startedAt: new Date(startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    cancelled,
+    userAgent: typeof navigator === 'undefined' ? null : navigator.userAgent,
+    crawlOptions,
+    classifier,
+    sources: outcomes.map(({ source, error, diagnostics = [] }) => ({
+        label: source.label,
+        url: source.url,
+        error: error || null,
+        outcomes: countOutcomes(diagnostics),
+        listingPages: diagnostics.filter(entry => entry.type === 'listing-page').map(({ type, ...page }) => page),
+        posts: diagnostics.filter(entry => entry.type === 'post').map(({ type, ...post }) => post),
+    })),
+});
+
+/**
+ * Serialises a report for download.
+ * @param {object} report
+ * @returns {string}
+ */
+export const diagnosticsToJson = (report) => JSON.stringify(report, null, 2);
+
+/**
+ * @param {object} report
+ * @returns {string} A file name such as scan-diagnostics-2026-01-10-1000.json.
+ */
+export const diagnosticsFileName = (report) => `scan-diagnostics-${report.startedAt.slice(0, 16).replace('T', '-').replace(':', '')}.json`;
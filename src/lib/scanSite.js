@@ -0,0 +1,163 @@
+import { crawlListingPages } from './crawler.js';
+import { isAbortError } from './crawlQueue.js';
+import { evaluatePost } from './extractJob.js';
+import { getRulesForUrl } from './extractionRules.js';
+import { localError, localText } from './i18n.js';
+import { extractPdfText } from './pdfText.js';
+
+// --- Single-Site Scan ---
+
+/**
+ * Adds https:// to URLs entered without a scheme.
+ * @param {string} url
+ * @returns {string}
+ */
+export const normalizeSiteUrl = (url) => {
+    const trimmed = url.trim();
+    return trimmed.startsWith('http://') || trimmed.startsWith('https://') ? trimmed : `https://${trimmed}`;
+};
+
+/**
+ * Scans one site: crawls its listing pages, fetches every candidate post and
+ * extracts the jobs with upcoming deadlines. Posts with a deadline that the
+ * classifier rejects are returned separately as `possibleJobs`. Unless
+ * `crawlOptions.readPdfs` is false, a post without a clear deadline has its
+ * notification PDF fetched and read.
+ *
+ * Every listing page and post is reported through `onDiagnostic` with what
+ * happened to it, so a scan that finds less than expected can be explained:
+ *
+ *   { type: 'listing-page', url, depth, ok, error, durationMs, anchors, postLinks, listingLinks }
+ *   { type: 'post', url, fetch ('ok' | 'failed' | 'cancelled'), error, durationMs, title,
+ *     deadlineText, deadlineSource, deadlineConfidence, lastDate, keywordScore, matchedKeywords,
+ *     classifierScore, threshold, pdf ({ url, error } or null), outcome, reason }
+ *
+ * where `outcome` is 'job', 'possible', 'rejected', 'duplicate' or 'not-fetched'
+ * and `reason` explains anything but a job. `durationMs` includes time spent
+ * waiting in the crawl queue.
+ *
+ * Posts that fail to fetch are skipped, and a cancelled scan still returns the
+ * jobs from the posts fetched so far. Errors that leave nothing to analyse
+ * (the start page failing, no links found, cancelling during the listing
+ * crawl) are thrown. Progress messages and the errors thrown here are
+ * localTexts, so the UI can translate them.
+ *
+ * @param {object} params
+ * @param {string} params.url - The site's start page.
+ * @param {(url: string, options?: { binary?: boolean }) => Promise<string|Uint8Array>} params.fetchHtml - Fetcher,
+ *   usually a crawl queue.
+ * @param {object} params.crawlOptions - Crawl limits, see DEFAULT_CRAWL_OPTIONS.
+ * @param {object[]} [params.rules] - Saved per-site extraction rules.
+ * @param {object} [params.classifier] - Classifier settings, see DEFAULT_CLASSIFIER.
+ * @param {AbortSignal} [params.signal] - The scan's cancel signal.
+ * @param {(status: { key: string, params: object, message: string }) => void} [params.onStatus] - Receives
+ *   progress messages (see localText).
+ * @param {(entry: object) => void} [params.onDiagnostic] - Receives the diagnostics described above.
+ * @returns {Promise<{ jobs: object[], possibleJobs: object[], postCount: number, fetchedCount: number, pagesCrawled: number, cancelled: boolean }>}
+ */
+export const scanSite = async ({ url, fetchHtml, crawlOptions, rules = [], classifier, signal, onStatus = () => {}, onDiagnostic = () => {} }) => {
+    const siteRules = getRulesForUrl(rules, url);
+    onStatus(localText('scan.progress.fetchingListings'));
+
+    // Step 1: Crawl the listing pages (pagination, optionally categories) for job links
+    const { postLinks, pagesCrawled } = await crawlListingPages({
+        startUrl: url,
+        fetchHtml,
+        options: crawlOptions,
+        rules: siteRules,
+        onProgress: ({ depth, maxDepth, done, total, postLinks: found }) => {
+            onStatus(localText('scan.progress.listingPages', { depth, maxDepth, done, total, found }));
+        },
+        onPage: (page) => onDiagnostic({ type: 'listing-page', ...page }),
+    });
+    if (postLinks.length === 0) throw localError('scan.error.noLinks');
+
+    onStatus(localText('scan.progress.analyzingLinks', { links: postLinks.length, count: pagesCrawled }));
+
+    // Step 2: Fetch each job link through the crawl queue. Failures and
+    // cancellation leave a null entry so the rest can still be used.
+    let fetched = 0;
+    const results = await Promise.all(postLinks.map(link => {
+        const startedAt = Date.now();
+        return fetchHtml(link)
+            .then(html => ({ url: link, html, error: null }))
+            .catch(e => ({ url: link, html: null, error: e }))
+            .then(result => ({ ...result, durationMs: Date.now() - startedAt }))
+            .finally(() => {
+                fetched++;
+                if (!signal?.aborted) onStatus(localText('scan.progress.fetchingPosts', { fetched, count: postLinks.length }));
+            });
+    }));
+    results.filter(result => result.html === null).forEach(({ url: postUrl, error, durationMs }) => onDiagnostic({
+        type: 'post',
+        url: postUrl,
+        fetch: isAbortError(error) ? 'cancelled' : 'failed',
+        error: isAbortError(error) ? null : error.message,
+        durationMs,
+        outcome: 'not-fetched',
+        reason: isAbortError(error) ? 'The scan was cancelled before this post was fetched.' : `Could not fetch the post: ${error.message}`,
+    }));
+    const validResults = results.filter(result => result.html !== null);
+
+    onStatus(localText('scan.progress.verifying', { count: validResults.length }));
+
+    // Step 3: Extract job details and filter. Notification PDFs go through the
+    // same queue; one that cannot be read just leaves the post undated.
+    const pdfErrors = new Map();
+    const readPdf = crawlOptions.readPdfs === false ? undefined : (pdfUrl) => fetchHtml(pdfUrl, { binary: true })
+        .then(extractPdfText)
+        .then(text => {
+            if (!text) pdfErrors.set(pdfUrl, 'No readable text (scanned or unusual fonts).');
+            return text;
+        })
+        .catch(e => {
+            pdfErrors.set(pdfUrl, isAbortError(e) ? 'Cancelled.' : e.message);
+            return '';
+        });
+    const jobs = [];
+    const possibleJobs = [];
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const evaluated = await Promise.all(validResults.map(({ url: postUrl, html }) => evaluatePost(html, postUrl, today, siteRules, classifier, { readPdf })));
+    evaluated.forEach(({ job, analysis, rejection, pdfUrl }, index) => {
+        const { url: postUrl, durationMs } = validResults[index];
+        let outcome = 'rejected';
+        let reason = rejection;
+        if (job && [...jobs, ...possibleJobs].some(existing => existing.link === job.link)) {
+            outcome = 'duplicate';
+            reason = 'Already found at the same link.';
+        } else if (job) {
+            outcome = job.classification.accepted ? 'job' : 'possible';
+            reason = job.classification.accepted ? null : `Classifier score ${job.classification.score} is below the threshold ${job.classification.threshold}.`;
+            (job.classification.accepted ? jobs : possibleJobs).push(job);
+        }
+        onDiagnostic({
+            type: 'post',
+            url: postUrl,
+            fetch: 'ok',
+            error: null,
+            durationMs,
+            title: analysis.title,
+            deadlineText: analysis.deadlineText,
+            deadlineSource: analysis.deadlineSource,
+            deadlineConfidence: analysis.deadlineConfidence,
+            lastDate: analysis.lastDate,
+            keywordScore: analysis.score,
+            matchedKeywords: analysis.matchedKeywords,
+            classifierScore: analysis.classification.score,
+            threshold: analysis.classification.threshold,
+            pdf: pdfUrl ? { url: pdfUrl, error: pdfErrors.get(pdfUrl) || null } : null,
+            outcome,
+            reason,
+        });
+    });
+
+    return {
+        jobs,
+        possibleJobs,
+        postCount: postLinks.length,
+        fetchedCount: validResults.length,
+        pagesCrawled,
+        cancelled: Boolean(signal?.aborted),
+    };
+};
@@ -0,0 +1,147 @@
+import { DEFAULT_CRAWL_OPTIONS } from './crawler.js';
+import { createCrawlQueue, isAbortError } from './crawlQueue.js';
+import { groupDuplicates, isSameRecruitment } from './duplicates.js';
+import { localText } from './i18n.js';
+import { DEFAULT_CLASSIFIER } from './jobClassifier.js';
+import { annotateMerge, buildDiagnosticsReport } from './scanDiagnostics.js';
+import { scanSite } from './scanSite.js';
+import { getSourceCrawlOptions } from './sources.js';
+
+// --- Multi-Source Scan ---
+//
+// The whole crawl pipeline behind one call: fetching through a shared crawl
+// queue, link discovery, extraction, classification and merging. It has no UI
+// or storage dependencies, so the React app and the command-line scanner
+// (scripts/crawl.js) both drive it, following progress through `onEvent`:
+//
+//   { type: 'status', key, params, message }         Overall progress line.
+//   { type: 'source-status', sourceId, state, key, params, message }
+//       state is 'running', 'done' or 'error'.
+//   { type: 'source-done', outcome }                 One source finished or failed.
+//
+// `message` is the English text and `key` and `params` let the UI translate
+// it (see localText). An error without a key, such as a network failure, has
+// only its message.
+
+/**
+ * Merges per-source results into one list, deduplicated by post URL and
+ * remembering every source a post was found on, then groups postings of the
+ * same recruitment (see groupDuplicates). A post rejected on one source but
+ * accepted on another is a job, and a rejected copy of an accepted
+ * recruitment is dropped.
+ * @param {object[]} outcomes - [{ source, jobs, possibleJobs }]
+ * @returns {{ jobs: object[], possibleJobs: object[] }} Both sorted by deadline.
+ */
+export const mergeOutcomes = (outcomes) => {
+    const byLink = new Map();
+    outcomes.forEach(({ source, jobs }) => jobs.forEach(job => {
+        const existing = byLink.get(job.link);
+        if (!existing) byLink.set(job.link, { ...job, sourceLabel: source.label });
+        else if (!existing.sourceLabel.split(', ').includes(source.label)) existing.sourceLabel += `, ${source.label}`;
+    }));
+
+    const jobs = groupDuplicates(Array.from(byLink.values()));
+
+    const possibleByLink = new Map();
+    outcomes.forEach(({ source, possibleJobs }) => possibleJobs.forEach(job => {
+        if (byLink.has(job.link) || possibleByLink.has(job.link) || jobs.some(accepted => isSameRecruitment(job, accepted))) return;
+        possibleByLink.set(job.link, { ...job, sourceLabel: source.label });
+    }));
+
+    const byDeadline = (a, b) => a.lastDate.getTime() - b.lastDate.getTime();
+    return {
+        jobs: jobs.sort(byDeadline),
+        possibleJobs: Array.from(possibleByLink.values()).sort(byDeadline),
+    };
+};
+
+/**
+ * Describes one source's result for its status line.
+ * @param {object} result - A scanSite() result.
+ * @returns {{ key: string, params: object, message: string }}
+ */
+const describeResult = (result) => {
+    const failed = result.postCount - result.fetchedCount;
+    return localText('scan.result.done', {
+        jobs: result.jobs.length,
+        possible: result.possibleJobs.length > 0 ? localText('scan.result.possible', { count: result.possibleJobs.length }) : '',
+        fetched: result.fetchedCount,
+        count: result.postCount,
+        failed: failed > 0 ? localText('scan.result.failed', { count: failed }) : '',
+        cancelled: result.cancelled ? localText('scan.result.cancelled') : '',
+    });
+};
+
+/**
+ * Scans one or more sources together and merges their results.
+ *
+ * All sources share one crawl queue, so the concurrency limit and per-host
+ * delay apply across the whole batch. A failing source is reported in its
+ * outcome and does not stop the others; this never throws. A failed outcome's
+ * `error` is the English message and `errorText` the localText of it.
+ *
+ * @param {object} params
+ * @param {object[]} params.sources - Sources to scan ({ id, label, url, settings }).
+ * @param {(url: string, options?: { signal?: AbortSignal }) => Promise<string>} params.fetchHtml - Fetches a page's HTML.
+ * @param {object} [params.crawlOptions] - See DEFAULT_CRAWL_OPTIONS.
+ * @param {object[]} [params.rules] - Saved per-site extraction rules.
+ * @param {object} [params.classifier] - Classifier settings, see DEFAULT_CLASSIFIER.
+ * @param {AbortSignal} [params.signal] - Cancels the scan; results so far are kept.
+ * @param {(event: object) => void} [params.onEvent] - Receives progress events.
+ * @returns {Promise<{ jobs: object[], possibleJobs: object[], outcomes: object[], failedSources: object[],
+ *   postCount: number, fetchedCount: number, cancelled: boolean, diagnostics: object }>} Each outcome
+ *   carries its source's `diagnostics` entries (see scanSite); `diagnostics` is the report of the
+ *   whole scan (see buildDiagnosticsReport).
+ */
+export const scanSources = async ({ sources, fetchHtml, crawlOptions = DEFAULT_CRAWL_OPTIONS, rules = [], classifier = DEFAULT_CLASSIFIER, signal, onEvent = () => {} }) => {
+    const { concurrency, hostDelay, retries } = crawlOptions;
+    const queuedFetch = createCrawlQueue({ fetchHtml, concurrency, hostDelay, retries, signal });
+    const setSourceStatus = (sourceId, state, text) => onEvent({ type: 'source-status', sourceId, state, ...text });
+    const startedAt = Date.now();
+
+    let finished = 0;
+    const outcomes = await Promise.all(sources.map(async (source) => {
+        const diagnostics = [];
+        let outcome;
+        try {
+            const result = await scanSite({
+                url: source.url,
+                fetchHtml: queuedFetch,
+                crawlOptions: getSourceCrawlOptions(crawlOptions, source),
+                rules,
+                classifier,
+                signal,
+                onStatus: (text) => {
+                    setSourceStatus(source.id, 'running', text);
+                    if (sources.length === 1) onEvent({ type: 'status', ...text });
+                },
+                onDiagnostic: (entry) => diagnostics.push(entry),
+            });
+            setSourceStatus(source.id, 'done', describeResult(result));
+            outcome = { source, ...result, diagnostics };
+        } catch (e) {
+            const text = isAbortError(e) ? localText('scan.error.cancelled') : { key: e.key, params: e.params, message: e.message };
+            setSourceStatus(source.id, 'error', text);
+            outcome = { source, error: text.message, errorText: text, jobs: [], possibleJobs: [], diagnostics };
+        }
+        finished++;
+        onEvent({ type: 'source-done', outcome });
+        if (sources.length > 1) onEvent({ type: 'status', ...localText('scan.progress.sources', { count: sources.length, finished }) });
+        return outcome;
+    }));
+
+    const merged = mergeOutcomes(outcomes);
+    outcomes.forEach(outcome => {
+        outcome.diagnostics = annotateMerge(outcome.diagnostics, merged);
+    });
+    const cancelled = Boolean(signal?.aborted);
+    return {
+        ...merged,
+        outcomes,
+        failedSources: outcomes.filter(outcome => outcome.error),
+        postCount: outcomes.reduce((sum, outcome) => sum + (outcome.postCount || 0), 0),
+        fetchedCount: outcomes.reduce((sum, outcome) => sum + (outcome.fetchedCount || 0), 0),
+        cancelled,
+        diagnostics: buildDiagnosticsReport({ outcomes, startedAt, finishedAt: Date.now(), cancelled, crawlOptions, classifier }),
+    };
+};
@@ -0,0 +1,172 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DOMParser } from 'linkedom';
+import { setDomParser } from './htmlDocument.js';
+import { DEFAULT_CLASSIFIER } from './jobClassifier.js';
+import { scanSources } from './scanSources.js';
+import { createFixtureFetch } from './__fixtures__/fixtureFetch.js';
+
+// The pages in __fixtures__/pages are trimmed snapshots of a WordPress job
+// portal (two listing pages, three current posts, an expired one and a result
+// notice) and of an aggregator reposting one of them and posting another whose
+// dates are only in the notification PDF. Dates are relative to 10 January 2026.
+
+const START_URL = 'https://govtjobs.example.in/';
+const source = { id: 'portal', label: 'Govt Jobs Portal', url: START_URL, settings: {} };
+const crawlOptions = { maxDepth: 1, maxPages: 10, maxPosts: 100, followCategories: false, concurrency: 2, hostDelay: 0, retries: 0 };
+const aggregator = { id: 'alerts', label: 'Naukri Alerts', url: 'https://naukri-alerts.example.com/', settings: {} };
+const isoDay = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+beforeAll(() => setDomParser(DOMParser));
+
+beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2026, 0, 10, 10, 0));
+});
+
+afterEach(() => vi.useRealTimers());
+
+describe('scanSources with recorded pages', () => {
+    it('follows pagination and extracts the upcoming jobs', async () => {
+        const fetchHtml = createFixtureFetch();
+        const result = await scanSources({ sources: [source], fetchHtml, crawlOptions });
+
+        expect(fetchHtml.requested).toContain('https://govtjobs.example.in/page/2/');
+        expect(result.jobs.map(job => [job.title, isoDay(job.lastDate)])).toEqual([
+            ['Delhi High Court Junior Judicial Assistant Recruitment 2026', '2026-01-20'],
+            ['SSC CGL Recruitment 2026 - 7500 Posts, Apply Online', '2026-01-31'],
+            ['RRB NTPC Graduate and Undergraduate Posts 2026', '2026-02-15'],
+        ]);
+        expect(result.jobs.every(job => job.sourceLabel === 'Govt Jobs Portal')).toBe(true);
+        expect(result.postCount).toBe(5);
+        expect(result.fetchedCount).toBe(5);
+    });
+
+    it('reads table layouts, structured data and deadline times', async () => {
+        const { jobs } = await scanSources({ sources: [source], fetchHtml: createFixtureFetch(), crawlOptions });
+        const ssc = jobs.find(job => job.title.startsWith('SSC CGL'));
+        const rrb = jobs.find(job => job.title.startsWith('RRB NTPC'));
+
+        expect(ssc.deadlineTime).toBe('23:00');
+        expect(ssc.otherDates.map(date => date.kind)).toContain('fee');
+        expect(isoDay(rrb.lastDate)).toBe('2026-02-15');
+        expect(rrb.deadlineTime).toBe('23:59');
+        expect(rrb.organization).toBe('Railway Recruitment Board');
+        expect(rrb.classification.breakdown.find(feature => feature.id === 'structured').value).toBeGreaterThan(0);
+    });
+
+    it('drops expired posts and offers non-job notices for review', async () => {
+        const { jobs, possibleJobs } = await scanSources({ sources: [source], fetchHtml: createFixtureFetch(), crawlOptions });
+
+        expect(jobs.some(job => job.title.includes('IBPS'))).toBe(false);
+        expect(possibleJobs.map(job => job.title)).toEqual(['UPSC Prelims Result 2025 Declared']);
+        expect(possibleJobs[0].classification.accepted).toBe(false);
+    });
+
+    it('keeps the results of posts that fail to fetch out of the count', async () => {
+        const fetchHtml = createFixtureFetch({ failing: ['https://govtjobs.example.in/rrb-ntpc-vacancy-2026/'] });
+        const result = await scanSources({ sources: [source], fetchHtml, crawlOptions });
+
+        expect(result.jobs).toHaveLength(2);
+        expect(result.fetchedCount).toBe(4);
+        expect(result.failedSources).toEqual([]);
+    });
+
+    it('reports a failing start page as a failed source and carries on', async () => {
+        const missing = { id: 'missing', label: 'Missing', url: 'https://missing.example.in/', settings: {} };
+        const events = [];
+        const result = await scanSources({ sources: [missing, source], fetchHtml: createFixtureFetch(), crawlOptions, onEvent: event => events.push(event) });
+
+        expect(result.failedSources.map(outcome => outcome.source.id)).toEqual(['missing']);
+        expect(result.failedSources[0].error).toMatch(/no fixture/);
+        expect(result.jobs).toHaveLength(3);
+        expect(events.filter(event => event.type === 'source-done')).toHaveLength(2);
+        expect(events.at(-1)).toEqual({ type: 'status', key: 'scan.progress.sources', params: { count: 2, finished: 2 }, message: 'Scanning 2 sources: 2 finished...' });
+    });
+
+    it('fails a page without job links', async () => {
+        const about = { id: 'about', label: 'About', url: 'https://govtjobs.example.in/about/', settings: {} };
+        const { failedSources } = await scanSources({ sources: [about], fetchHtml: createFixtureFetch(), crawlOptions });
+
+        expect(failedSources[0].error).toBe('Could not find any potential job post links. Try a more specific URL.');
+        expect(failedSources[0].errorText).toEqual({ key: 'scan.error.noLinks', params: {}, message: failedSources[0].error });
+    });
+
+    it('groups the same recruitment posted on another site', async () => {
+        const { jobs } = await scanSources({ sources: [source, aggregator], fetchHtml: createFixtureFetch(), crawlOptions });
+        const ssc = jobs.find(job => job.title.startsWith('SSC CGL'));
+
+        expect(jobs).toHaveLength(4);
+        expect(ssc.officialLink).toBe('https://ssc.gov.in/notice/cgl-2026.pdf');
+        expect(ssc.sourceLabel).toBe('Govt Jobs Portal, Naukri Alerts');
+        expect(ssc.postings.map(posting => posting.link)).toEqual([
+            'https://govtjobs.example.in/ssc-cgl-recruitment-2026-job-notification/',
+            'https://naukri-alerts.example.com/latest-jobs/ssc-cgl-2026-apply-online/',
+        ]);
+    });
+
+    it('sorts the outbound links of a post by kind', async () => {
+        const { jobs } = await scanSources({ sources: [source], fetchHtml: createFixtureFetch(), crawlOptions });
+        const ssc = jobs.find(job => job.title.startsWith('SSC CGL'));
+
+        expect(ssc.links).toEqual({ notification: 'https://ssc.gov.in/notice/cgl-2026.pdf', apply: 'https://ssc.gov.in/' });
+    });
+
+    it('reads the deadline from the notification PDF when the post has none', async () => {
+        const fetchHtml = createFixtureFetch();
+        const { jobs } = await scanSources({ sources: [aggregator], fetchHtml, crawlOptions });
+        const post = jobs.find(job => job.title.startsWith('SSC Selection Post'));
+
+        expect(fetchHtml.requested).toContain('https://ssc.gov.in/notice/selection-post-phase-xiv.pdf');
+        expect(isoDay(post.lastDate)).toBe('2026-02-20');
+        expect(post.deadlineSource).toBe('pdf');
+        expect(post.otherDates.map(date => date.kind)).toContain('fee');
+        expect(post.links).toEqual({
+            notification: 'https://ssc.gov.in/notice/selection-post-phase-xiv.pdf',
+            apply: 'https://ssc.gov.in/login',
+            website: 'https://ssc.gov.in/',
+        });
+    });
+
+    it('leaves PDFs alone when readPdfs is off', async () => {
+        const fetchHtml = createFixtureFetch();
+        const { jobs } = await scanSources({ sources: [aggregator], fetchHtml, crawlOptions: { ...crawlOptions, readPdfs: false } });
+
+        expect(fetchHtml.requested.some(url => url.endsWith('.pdf'))).toBe(false);
+        expect(jobs.map(job => job.title)).toEqual(['SSC CGL 2026 Notification Out - Apply Online for 7,500 Posts']);
+    });
+
+    it('explains what happened to every page and post', async () => {
+        const fetchHtml = createFixtureFetch({ failing: ['https://govtjobs.example.in/rrb-ntpc-vacancy-2026/'] });
+        const { diagnostics } = await scanSources({ sources: [source], fetchHtml, crawlOptions });
+        const [report] = diagnostics.sources;
+        const post = (slug) => report.posts.find(entry => entry.url === `https://govtjobs.example.in/${slug}/`);
+
+        // Scored with the app's defaults when no classifier is given.
+        expect(diagnostics.classifier).toEqual(DEFAULT_CLASSIFIER);
+        expect(report.listingPages.map(page => [page.url, page.ok, page.postLinks])).toEqual([
+            ['https://govtjobs.example.in/', true, 3],
+            ['https://govtjobs.example.in/page/2/', true, 2],
+        ]);
+        expect(report.outcomes).toEqual({ 'not-fetched': 1, job: 2, rejected: 1, possible: 1 });
+        expect(post('rrb-ntpc-vacancy-2026')).toMatchObject({ fetch: 'failed', outcome: 'not-fetched' });
+        expect(post('ibps-po-job-notification-2025').reason).toMatch(/^Deadline .* has passed\.$/);
+        expect(post('news/upsc-prelims-result-2025-job-news').reason).toMatch(/^Classifier score .* is below the threshold 3\.$/);
+        expect(post('ssc-cgl-recruitment-2026-job-notification')).toMatchObject({ fetch: 'ok', deadlineSource: 'text', keywordScore: expect.any(Number), reason: null });
+    });
+
+    it('marks postings folded into another one as grouped', async () => {
+        const { diagnostics } = await scanSources({ sources: [source, aggregator], fetchHtml: createFixtureFetch(), crawlOptions });
+        const copy = diagnostics.sources[1].posts.find(entry => entry.url.includes('ssc-cgl-2026-apply-online'));
+
+        expect(copy.outcome).toBe('grouped');
+        expect(copy.reason).toBe('Same recruitment as https://govtjobs.example.in/ssc-cgl-recruitment-2026-job-notification/, shown there.');
+    });
+
+    it('merges a post found on two sources', async () => {
+        const again = { ...source, id: 'again', label: 'Mirror' };
+        const { jobs } = await scanSources({ sources: [source, again], fetchHtml: createFixtureFetch(), crawlOptions });
+
+        expect(jobs).toHaveLength(3);
+        expect(jobs[0].sourceLabel).toBe('Govt Jobs Portal, Mirror');
+    });
+});
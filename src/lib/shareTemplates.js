@@ -0,0 +1,206 @@
+import { LINK_KINDS, listJobLinks } from './postLinks.js';
+import { getDaysLeft } from './reminders.js';
+import { loadJson, saveJson } from './storage.js';
+
+// --- Share Message Templates ---
+//
+// Each channel has a template made of four parts:
+//   { header, item, separator, footer }
+// A single job is shared as header + item + footer; a digest of several jobs
+// repeats `item` once per job, joined by `separator`. Parts contain
+// placeholders such as {title} or {deadline:long}; unknown placeholders are
+// left as they are so typos are easy to spot in the preview.
+
+const STORAGE_KEY = 'jobCrawler.shareTemplates';
+
+export const CHANNELS = [
+    { id: 'whatsapp', label: 'WhatsApp' },
+    { id: 'telegram', label: 'Telegram' },
+    { id: 'email', label: 'Email' },
+];
+
+export const TEMPLATE_PARTS = ['header', 'item', 'separator', 'footer'];
+
+export const DEFAULT_TEMPLATES = {
+    whatsapp: {
+        header: '',
+        item: '📄 *Post name:* {title}\n\n📅 *Last date:* {deadline}\n\n🔗 *Apply Link:*\n{link}{links:\n\n}',
+        separator: '\n\n➖➖➖➖➖\n\n',
+        footer: '',
+    },
+    telegram: {
+        header: '',
+        item: '📄 {title}\n📅 Last date: {deadline} ({daysLeftText})\n🔗 {link}{links:\n}',
+        separator: '\n\n',
+        footer: '',
+    },
+    email: {
+        header: 'Job deadlines – {today}\n\n',
+        item: '{title}\nLast date: {deadline:long}{time: at }\nSource: {source}\n{link}{links:\n}',
+        separator: '\n\n',
+        footer: '',
+    },
+};
+
+// Placeholders listed in the template editor, with an example of each.
+export const PLACEHOLDERS = [
+    { name: 'title', help: 'Post title' },
+    { name: 'link', help: 'Post URL' },
+    { name: 'links', help: 'Notification, apply and other links, one "Label: URL" per line; text after a colon, such as a line break, goes before them when there are any' },
+    ...LINK_KINDS.map(({ id, label }) => ({ name: id, help: `${label} link; {${id}:${label}: } adds text before it` })),
+    { name: 'source', help: 'Source name, or the site if unknown' },
+    { name: 'organization', help: 'Hiring organisation' },
+    { name: 'location', help: 'Job location' },
+    { name: 'deadline', help: '15/09/2025' },
+    { name: 'deadline:long', help: '15 September 2025' },
+    { name: 'deadline:short', help: '15 Sep' },
+    { name: 'deadline:iso', help: '2025-09-15' },
+    { name: 'deadline:weekday', help: 'Monday, 15 September' },
+    { name: 'previousDeadline', help: 'Last date before a change, in the same formats as {deadline}' },
+    { name: 'time', help: 'Deadline time, e.g. 17:00; {time: till } adds text before it when there is one' },
+    { name: 'daysLeft', help: 'Days until the deadline, e.g. 3' },
+    { name: 'daysLeftText', help: '"3 days left", "last day today"' },
+    { name: 'count', help: 'Number of jobs (header and footer)' },
+    { name: 'today', help: "Today's date" },
+];
+
+const DEADLINE_FORMATS = {
+    '': { day: '2-digit', month: '2-digit', year: 'numeric' },
+    long: { day: 'numeric', month: 'long', year: 'numeric' },
+    short: { day: 'numeric', month: 'short' },
+    weekday: { weekday: 'long', day: 'numeric', month: 'long' },
+};
+
+/**
+ * Formats a date for a placeholder format ('', 'long', 'short', 'weekday' or 'iso').
+ * @param {Date|string|number} value
+ * @param {string} format
+ * @returns {string}
+ */
+const formatDate = (value, format) => {
+    const date = new Date(value);
+    if (format === 'iso') return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    return date.toLocaleDateString('en-GB', DEADLINE_FORMATS[format] || DEADLINE_FORMATS['']);
+};
+
+const describeDaysLeft = (days) => {
+    if (days < 0) return 'closed';
+    if (days === 0) return 'last day today';
+    if (days === 1) return 'last day tomorrow';
+    return `${days} days left`;
+};
+
+/**
+ * The site a job link points to, without "www.".
+ * @param {string} link
+ * @returns {string} The link as it is when it is not an absolute URL.
+ */
+const siteName = (link) => {
+    try {
+        return new URL(link).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return link || '';
+    }
+};
+
+/**
+ * Returns the placeholder values for one job.
+ * @param {object} job
+ * @param {Date} today
+ * @returns {(name: string, format: string) => string|undefined}
+ */
+const jobValues = (job, today) => (name, format) => {
+    switch (name) {
+        case 'title': return job.title;
+        case 'link': return job.link;
+        case 'source': return job.sourceLabel || siteName(job.link);
+        case 'organization': return job.organization || '';
+        case 'location': return job.location || '';
+        case 'deadline': return job.lastDate ? formatDate(job.lastDate, format) : '';
+        case 'previousDeadline': return job.previousLastDate ? formatDate(job.previousLastDate, format) : '';
+        case 'time': return job.deadlineTime ? `${format}${job.deadlineTime}` : '';
+        case 'daysLeft': return job.lastDate ? String(getDaysLeft(job.lastDate, today)) : '';
+        case 'daysLeftText': return job.lastDate ? describeDaysLeft(getDaysLeft(job.lastDate, today)) : '';
+        case 'links': {
+            const links = listJobLinks(job);
+            return links.length > 0 ? `${format}${links.map(({ label, url }) => `${label}: ${url}`).join('\n')}` : '';
+        }
+        default:
+            if (LINK_KINDS.some(kind => kind.id === name)) return job.links?.[name] ? `${format}${job.links[name]}` : '';
+            return undefined;
+    }
+};
+
+/**
+ * Replaces the {name} and {name:format} placeholders in a string.
+ * For {time:prefix}, {links:prefix} and the link kinds the format is text put
+ * before the value when there is one.
+ * @param {string} text
+ * @param {(name: string, format: string) => string|undefined} lookup
+ * @returns {string}
+ */
+const fillPlaceholders = (text, lookup) => text.replace(/\{(\w+)(?::([^{}]*))?\}/g, (match, name, format = '') => {
+    const value = lookup(name, format);
+    return value === undefined ? match : value;
+});
+
+/**
+ * Builds a share message for one or more jobs.
+ * @param {object[]} jobs
+ * @param {object} template - { header, item, separator, footer }.
+ * @param {{ today?: Date }} [options]
+ * @returns {string}
+ */
+export const renderShareMessage = (jobs, template, { today = new Date() } = {}) => {
+    const common = (name, format) => {
+        if (name === 'count') return String(jobs.length);
+        if (name === 'today') return formatDate(today, format);
+        return undefined;
+    };
+    const items = jobs.map(job => {
+        const values = jobValues(job, today);
+        return fillPlaceholders(template.item, (name, format) => values(name, format) ?? common(name, format));
+    });
+    return [
+        fillPlaceholders(template.header, common),
+        items.join(template.separator),
+        fillPlaceholders(template.footer, common),
+    ].join('');
+};
+
+/**
+ * Builds the link that opens a channel's share screen with the message.
+ * @param {string} channel - A CHANNELS id.
+ * @param {string} text - The message.
+ * @param {{ link?: string, subject?: string }} [options] - Telegram needs a
+ *   link; email uses a subject.
+ * @returns {string}
+ */
+export const getShareUrl = (channel, text, { link = '', subject = 'Job deadlines' } = {}) => {
+    switch (channel) {
+        case 'telegram':
+            return `https://t.me/share/url?url=${encodeURIComponent(link)}&text=${encodeURIComponent(text)}`;
+        case 'email':
+            return `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(text)}`;
+        default:
+            return `https://wa.me/?text=${encodeURIComponent(text)}`;
+    }
+};
+
+/**
+ * Loads the saved templates, filling in any missing channel or part.
+ * @returns {object} Templates keyed by channel id.
+ */
+export const loadShareTemplates = () => {
+    const saved = loadJson(STORAGE_KEY, {}, value => value && typeof value === 'object');
+    return Object.fromEntries(CHANNELS.map(({ id }) => [id, Object.fromEntries(TEMPLATE_PARTS.map(part => [
+        part,
+        typeof saved[id]?.[part] === 'string' ? saved[id][part] : DEFAULT_TEMPLATES[id][part],
+    ]))]));
+};
+
+/**
+ * Persists the templates.
+ * @param {object} templates
+ */
+export const saveShareTemplates = (templates) => saveJson(STORAGE_KEY, templates);
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_TEMPLATES, getShareUrl, renderShareMessage } from './shareTemplates.js';
+
+const today = new Date(2026, 0, 10, 10, 0);
+const ssc = {
+    title: 'SSC CGL 2026',
+    link: 'https://www.govtjobs.example.in/ssc-cgl/',
+    lastDate: new Date(2026, 0, 31).toISOString(),
+    organization: 'Staff Selection Commission',
+};
+const rrb = {
+    title: 'RRB NTPC 2026',
+    link: 'https://govtjobs.example.in/rrb-ntpc/',
+    lastDate: new Date(2026, 0, 11).toISOString(),
+    deadlineTime: '23:59',
+    sourceLabel: 'Govt Jobs Portal',
+    links: { apply: 'https://rrb.example.gov.in/apply', notification: 'https://rrb.example.gov.in/notice.pdf' },
+};
+const template = (item, parts = {}) => ({ header: '', item, separator: '\n', footer: '', ...parts });
+const render = (item, job = ssc) => renderShareMessage([job], template(item), { today });
+
+describe('renderShareMessage', () => {
+    it('formats the deadline in each placeholder format', () => {
+        expect(render('{deadline}|{deadline:long}|{deadline:short}|{deadline:iso}')).toBe('31/01/2026|31 January 2026|31 Jan|2026-01-31');
+        // Newer ICU data drops the comma after the weekday.
+        expect(render('{deadline:weekday}')).toMatch(/^Saturday,? 31 January$/);
+        expect(render('{previousDeadline:iso}', { ...ssc, previousLastDate: new Date(2026, 0, 24).toISOString() })).toBe('2026-01-24');
+        expect(render('[{deadline}][{daysLeft}][{daysLeftText}]', { ...ssc, lastDate: null })).toBe('[][][]');
+    });
+
+    it('counts the days left', () => {
+        expect(render('{daysLeft} / {daysLeftText}')).toBe('21 / 21 days left');
+        expect(render('{daysLeftText}', rrb)).toBe('last day tomorrow');
+        expect(render('{daysLeftText}', { ...ssc, lastDate: today.toISOString() })).toBe('last day today');
+        expect(render('{daysLeftText}', { ...ssc, lastDate: new Date(2026, 0, 9).toISOString() })).toBe('closed');
+    });
+
+    it('puts the text after the colon before {time}, {links} and link kinds only when they have a value', () => {
+        expect(render('Last date {deadline}{time: at }.', rrb)).toBe('Last date 11/01/2026 at 23:59.');
+        expect(render('Last date {deadline}{time: at }.', ssc)).toBe('Last date 31/01/2026.');
+        expect(render('{title}{links:\n}', rrb)).toBe('RRB NTPC 2026\nNotification: https://rrb.example.gov.in/notice.pdf\nApply Online: https://rrb.example.gov.in/apply');
+        expect(render('{title}{links:\n}', ssc)).toBe('SSC CGL 2026');
+        expect(render('{apply:Apply: }|{result:Result: }', rrb)).toBe('Apply: https://rrb.example.gov.in/apply|');
+    });
+
+    it('leaves unknown placeholders as they were written', () => {
+        expect(render('{titel} {deadline:long} {salary:monthly} {} {title')).toBe('{titel} 31 January 2026 {salary:monthly} {} {title');
+    });
+
+    it('uses the source label, or the site when there is none', () => {
+        expect(render('{source}', rrb)).toBe('Govt Jobs Portal');
+        expect(render('{source}')).toBe('govtjobs.example.in');
+    });
+
+    it('falls back to the raw link for the source of a job with a relative or malformed link', () => {
+        const jobs = [{ ...ssc, link: '/ssc-cgl/' }, { ...ssc, link: 'http://' }, { ...ssc, link: undefined }];
+        expect(renderShareMessage(jobs, template('{title} ({source})'), { today })).toBe('SSC CGL 2026 (/ssc-cgl/)\nSSC CGL 2026 (http://)\nSSC CGL 2026 ()');
+    });
+
+    it('joins digest items with the separator between the header and footer', () => {
+        const digest = template('- {title}, {deadline:short}', { header: '{count} jobs on {today:long}:\n', separator: '\n', footer: '\nEnd of {count}' });
+        expect(renderShareMessage([ssc, rrb], digest, { today })).toBe('2 jobs on 10 January 2026:\n- SSC CGL 2026, 31 Jan\n- RRB NTPC 2026, 11 Jan\nEnd of 2');
+        expect(renderShareMessage([], digest, { today })).toBe('0 jobs on 10 January 2026:\n\nEnd of 0');
+    });
+
+    it('renders the default templates', () => {
+        expect(renderShareMessage([rrb], DEFAULT_TEMPLATES.telegram, { today }))
+            .toBe('📄 RRB NTPC 2026\n📅 Last date: 11/01/2026 (last day tomorrow)\n🔗 https://govtjobs.example.in/rrb-ntpc/\nNotification: https://rrb.example.gov.in/notice.pdf\nApply Online: https://rrb.example.gov.in/apply');
+        expect(renderShareMessage([ssc, rrb], DEFAULT_TEMPLATES.email, { today }).split('\n\n')).toEqual([
+            'Job deadlines – 10/01/2026',
+            'SSC CGL 2026\nLast date: 31 January 2026\nSource: govtjobs.example.in\nhttps://www.govtjobs.example.in/ssc-cgl/',
+            'RRB NTPC 2026\nLast date: 11 January 2026 at 23:59\nSource: Govt Jobs Portal\nhttps://govtjobs.example.in/rrb-ntpc/\nNotification: https://rrb.example.gov.in/notice.pdf\nApply Online: https://rrb.example.gov.in/apply',
+        ]);
+    });
+});
+
+describe('getShareUrl', () => {
+    it('encodes the message for each channel', () => {
+        expect(getShareUrl('whatsapp', 'SSC & RRB\n31/01')).toBe('https://wa.me/?text=SSC%20%26%20RRB%0A31%2F01');
+        expect(getShareUrl('telegram', 'Apply', { link: 'https://govtjobs.example.in/?a=1&b=2' }))
+            .toBe('https://t.me/share/url?url=https%3A%2F%2Fgovtjobs.example.in%2F%3Fa%3D1%26b%3D2&text=Apply');
+        expect(getShareUrl('email', 'Body', { subject: 'Jobs: Jan' })).toBe('mailto:?subject=Jobs%3A%20Jan&body=Body');
+    });
+});
@@ -0,0 +1,40 @@
+// --- Keyboard Shortcuts ---
+//
+// Single-key shortcuts for the results page. They are ignored while typing in
+// a field and when Ctrl, Alt or Meta is held, so browser shortcuts keep
+// working. Descriptions are the shortcuts.<id> interface messages.
+
+export const SHORTCUTS = [
+    { id: 'scan', keys: ['s'] },
+    { id: 'cancel', keys: ['Escape'] },
+    { id: 'search', keys: ['/'] },
+    { id: 'nextJob', keys: ['j'] },
+    { id: 'previousJob', keys: ['k'] },
+    { id: 'nextPage', keys: ['n'] },
+    { id: 'previousPage', keys: ['p'] },
+    { id: 'copy', keys: ['c'] },
+    { id: 'star', keys: ['x'] },
+    { id: 'help', keys: ['?'] },
+];
+
+/**
+ * @param {EventTarget|null} target
+ * @returns {boolean} Whether the element takes text input.
+ */
+const isTextField = (target) => {
+    if (!target || !target.tagName) return false;
+    if (target.isContentEditable) return true;
+    if (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'reset'].includes(target.type);
+};
+
+/**
+ * Finds the shortcut a key press triggers.
+ * @param {KeyboardEvent} event
+ * @returns {string|null} A SHORTCUTS id.
+ */
+export const getShortcut = (event) => {
+    if (event.ctrlKey || event.altKey || event.metaKey || event.defaultPrevented) return null;
+    if (isTextField(event.target)) return null;
+    return SHORTCUTS.find(shortcut => shortcut.keys.includes(event.key))?.id ?? null;
+};
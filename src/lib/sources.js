@@ -0,0 +1,86 @@
+import { loadJson, saveJson } from './storage.js';
+import { normalizeSiteUrl } from './scanSite.js';
+
+// --- Saved Sources ---
+//
+// A source is a job portal the user checks regularly:
+//   { id, label, url, settings, scheduleHours, lastScannedAt }
+// where `settings` holds optional per-site overrides of the crawl options
+// (maxDepth, maxPages, maxPosts). A source with `scheduleHours` set is
+// re-scanned automatically that long after `lastScannedAt`, while the app is
+// open; without it the source is only scanned by hand.
+
+const STORAGE_KEY = 'jobCrawler.sources';
+
+export const SOURCE_SETTING_KEYS = ['maxDepth', 'maxPages', 'maxPosts'];
+
+export const SCHEDULE_OPTIONS = [
+    { hours: 0, label: 'Manual only' },
+    { hours: 1, label: 'Every hour' },
+    { hours: 3, label: 'Every 3 hours' },
+    { hours: 6, label: 'Every 6 hours' },
+    { hours: 12, label: 'Every 12 hours' },
+    { hours: 24, label: 'Once a day' },
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Creates a source from a URL, labelling it with the host name by default.
+ * @param {string} url
+ * @param {string} [label]
+ * @returns {object}
+ */
+export const createSource = (url, label) => {
+    const normalized = normalizeSiteUrl(url);
+    return {
+        id: `source-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+        label: label?.trim() || new URL(normalized).hostname.replace(/^www\./, ''),
+        url: normalized,
+        settings: {},
+    };
+};
+
+/**
+ * Combines the global crawl options with a source's own overrides.
+ * @param {object} crawlOptions
+ * @param {object} source
+ * @returns {object}
+ */
+export const getSourceCrawlOptions = (crawlOptions, source) => {
+    const overrides = Object.fromEntries(
+        Object.entries(source.settings || {}).filter(([key, value]) => SOURCE_SETTING_KEYS.includes(key) && value !== '' && value != null)
+    );
+    return { ...crawlOptions, ...overrides };
+};
+
+/**
+ * Works out when a scheduled source is next due. A scheduled source that has
+ * never been scanned is due straight away.
+ * @param {object} source
+ * @returns {number|null} A timestamp, or null for a manual-only source.
+ */
+export const getNextScanAt = (source) => (source.scheduleHours > 0 ? (source.lastScannedAt || 0) + source.scheduleHours * HOUR_MS : null);
+
+/**
+ * Lists the scheduled sources whose next scan is due.
+ * @param {object[]} sources
+ * @param {number} [now]
+ * @returns {object[]}
+ */
+export const getDueSources = (sources, now = Date.now()) => sources.filter(source => {
+    const nextScanAt = getNextScanAt(source);
+    return nextScanAt !== null && nextScanAt <= now;
+});
+
+/**
+ * Loads the saved sources.
+ * @returns {object[]}
+ */
+export const loadSources = () => loadJson(STORAGE_KEY, [], Array.isArray);
+
+/**
+ * Persists the sources.
+ * @param {object[]} sources
+ */
+export const saveSources = (sources) => saveJson(STORAGE_KEY, sources);
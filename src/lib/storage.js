@@ -0,0 +1,34 @@
+// --- Local Storage Helpers ---
+
+/**
+ * Reads a JSON value from localStorage.
+ * @param {string} key - The storage key.
+ * @param {*} fallback - Returned when the key is missing, unreadable or fails `isValid`.
+ * @param {(value: *) => boolean} [isValid] - Optional shape check for the stored value.
+ * @returns {*} The stored value or the fallback.
+ */
+export const loadJson = (key, fallback, isValid = () => true) => {
+    try {
+        const raw = localStorage.getItem(key);
+        if (raw !== null) {
+            const value = JSON.parse(raw);
+            if (isValid(value)) return value;
+        }
+    } catch (e) {
+        // Corrupt or unavailable storage: use the fallback.
+    }
+    return fallback;
+};
+
+/**
+ * Writes a JSON value to localStorage, logging instead of throwing on failure.
+ * @param {string} key - The storage key.
+ * @param {*} value - Any JSON-serialisable value.
+ */
+export const saveJson = (key, value) => {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Could not save ${key}:`, e);
+    }
+};
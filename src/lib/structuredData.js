@@ -0,0 +1,179 @@
+// --- Structured Data Extraction ---
+//
+// Reads schema.org JobPosting data (JSON-LD or microdata) and OpenGraph/meta
+// tags from a post. Everything here is optional: callers fall back to the text
+// heuristics for whatever is missing.
+
+const isJobPosting = (node) => {
+    const type = node?.['@type'];
+    return Array.isArray(type) ? type.includes('JobPosting') : type === 'JobPosting';
+};
+
+/**
+ * Collects JobPosting objects from JSON-LD, following @graph and arrays.
+ * @param {*} data
+ * @param {object[]} found
+ */
+const collectJobPostings = (data, found) => {
+    if (!data || typeof data !== 'object') return;
+    if (Array.isArray(data)) {
+        data.forEach(item => collectJobPostings(item, found));
+        return;
+    }
+    if (isJobPosting(data)) found.push(data);
+    if (data['@graph']) collectJobPostings(data['@graph'], found);
+};
+
+/**
+ * Reads a microdata item into a plain object (nested items become objects).
+ * @param {Element} scope - An element with `itemscope`.
+ * @returns {object}
+ */
+const readMicrodataItem = (scope) => {
+    const item = {};
+    scope.querySelectorAll('[itemprop]').forEach(element => {
+        // Only direct properties: skip those belonging to a nested item.
+        if (element.parentElement?.closest('[itemscope]') !== scope) return;
+        const name = element.getAttribute('itemprop');
+        let value;
+        if (element.hasAttribute('itemscope')) value = readMicrodataItem(element);
+        else value = element.getAttribute('content') || element.getAttribute('datetime') || element.getAttribute('href') || element.textContent.trim();
+        item[name] = value;
+    });
+    return item;
+};
+
+const textOf = (value) => {
+    if (value == null) return null;
+    if (typeof value === 'string' || typeof value === 'number') return String(value).trim() || null;
+    if (Array.isArray(value)) return value.map(textOf).filter(Boolean).join(', ') || null;
+    return textOf(value.name ?? value['@value'] ?? value.value);
+};
+
+const formatLocation = (location) => {
+    if (!location) return null;
+    if (Array.isArray(location)) return location.map(formatLocation).filter(Boolean).join('; ') || null;
+    if (typeof location === 'string') return location.trim() || null;
+    const address = location.address || location;
+    if (typeof address === 'string') return address.trim() || null;
+    const parts = [address.addressLocality, address.addressRegion, address.addressCountry?.name || address.addressCountry]
+        .map(textOf)
+        .filter(Boolean);
+    return parts.length > 0 ? [...new Set(parts)].join(', ') : textOf(location.name);
+};
+
+const formatSalary = (salary) => {
+    if (!salary) return null;
+    if (typeof salary === 'string' || typeof salary === 'number') return String(salary);
+    const currency = salary.currency || '';
+    const value = salary.value ?? salary;
+    const unit = value.unitText ? ` per ${String(value.unitText).toLowerCase()}` : '';
+    let amount;
+    if (value.minValue != null && value.maxValue != null) amount = `${value.minValue}–${value.maxValue}`;
+    else amount = value.value ?? value.minValue ?? value.maxValue;
+    if (amount == null || typeof amount === 'object') return null;
+    return `${currency} ${amount}${unit}`.trim();
+};
+
+const formatEmploymentType = (type) => {
+    const text = textOf(type);
+    return text ? text.replace(/_/g, ' ').toLowerCase().replace(/\b\w/g, letter => letter.toUpperCase()) : null;
+};
+
+// First URL of a schema.org URL property (a string or a list of them).
+const urlOf = (value) => {
+    const first = Array.isArray(value) ? value[0] : value;
+    return typeof first === 'string' && /^https?:\/\//i.test(first.trim()) ? first.trim() : null;
+};
+
+// ISO 8601 date with an optional time. The offset is ignored: the day and time
+// are the ones the site wrote, so "2026-02-15T23:59:00+05:30" is 15 February
+// and not 14 February in UTC.
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/;
+
+/**
+ * Reads a schema.org Date or DateTime as a calendar day.
+ * @param {*} value
+ * @returns {Date|null} Midnight UTC of the day.
+ */
+const toDate = (value) => {
+    const text = textOf(value);
+    if (!text) return null;
+    const iso = ISO_DATE_TIME.exec(text);
+    if (iso) {
+        const date = new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+        return date.getUTCDate() === Number(iso[3]) ? date : null;
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+};
+
+/**
+ * Reads the time of an ISO DateTime.
+ * @param {*} value
+ * @returns {string|null} 24-hour "HH:MM", or null for a date or a time of 00:00.
+ */
+const toTime = (value) => {
+    const iso = ISO_DATE_TIME.exec(textOf(value) || '');
+    return iso?.[4] && `${iso[4]}:${iso[5]}` !== '00:00' ? `${iso[4]}:${iso[5]}` : null;
+};
+
+/**
+ * Normalises a JobPosting object to the job model's fields.
+ * @param {object} posting
+ * @returns {object}
+ */
+const normalizeJobPosting = (posting) => ({
+    title: textOf(posting.title),
+    validThrough: toDate(posting.validThrough),
+    validThroughTime: toTime(posting.validThrough),
+    datePosted: toDate(posting.datePosted),
+    organization: textOf(posting.hiringOrganization),
+    organizationUrl: urlOf(posting.hiringOrganization?.sameAs) || urlOf(posting.hiringOrganization?.url),
+    location: formatLocation(posting.jobLocation) || (posting.jobLocationType === 'TELECOMMUTE' ? 'Remote' : null),
+    salary: formatSalary(posting.baseSalary || posting.estimatedSalary),
+    employmentType: formatEmploymentType(posting.employmentType),
+});
+
+/**
+ * Finds the first JobPosting in a document's JSON-LD or microdata.
+ * @param {Document} doc
+ * @returns {object|null} Normalised fields, or null if the page has none.
+ */
+export const findJobPosting = (doc) => {
+    const postings = [];
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+            collectJobPostings(JSON.parse(script.textContent), postings);
+        } catch (e) {
+            // Malformed JSON-LD is common; ignore the block.
+        }
+    });
+    if (postings.length === 0) {
+        doc.querySelectorAll('[itemscope][itemtype*="schema.org/JobPosting"]').forEach(scope => {
+            postings.push(readMicrodataItem(scope));
+        });
+    }
+    return postings.length > 0 ? normalizeJobPosting(postings[0]) : null;
+};
+
+/**
+ * Reads OpenGraph and common meta tags.
+ * @param {Document} doc
+ * @returns {{ title: string|null, siteName: string|null, publishedTime: Date|null, canonicalUrl: string|null }}
+ */
+export const readMetaTags = (doc) => {
+    const meta = (...names) => {
+        for (const name of names) {
+            const content = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.getAttribute('content')?.trim();
+            if (content) return content;
+        }
+        return null;
+    };
+    return {
+        title: meta('og:title', 'twitter:title'),
+        siteName: meta('og:site_name', 'application-name'),
+        publishedTime: toDate(meta('article:published_time', 'og:published_time', 'datePublished', 'date')),
+        canonicalUrl: doc.querySelector('link[rel="canonical"]')?.getAttribute('href')?.trim() || meta('og:url'),
+    };
+};
@@ -0,0 +1,32 @@
+import { beforeAll, describe, expect, it } from 'vitest';
+import { DOMParser } from 'linkedom';
+import { parseHtml, setDomParser } from './htmlDocument.js';
+import { findJobPosting } from './structuredData.js';
+
+beforeAll(() => setDomParser(DOMParser));
+
+const postingWith = (fields) => parseHtml(`<html><head><script type="application/ld+json">${JSON.stringify({ '@type': 'JobPosting', title: 'Clerk', ...fields })}</script></head><body></body></html>`);
+
+describe('findJobPosting', () => {
+    it('keeps the day and time of a validThrough with an offset', () => {
+        const posting = findJobPosting(postingWith({ validThrough: '2026-02-15T23:59:00+05:30', datePosted: '2026-01-05T00:30:00+05:30' }));
+        expect(posting.validThrough).toEqual(new Date(Date.UTC(2026, 1, 15)));
+        expect(posting.validThroughTime).toBe('23:59');
+        expect(posting.datePosted).toEqual(new Date(Date.UTC(2026, 0, 5)));
+
+        // Midnight in India is still the day before in UTC.
+        const midnight = findJobPosting(postingWith({ validThrough: '2026-02-15T00:00:00+05:30' }));
+        expect(midnight.validThrough).toEqual(new Date(Date.UTC(2026, 1, 15)));
+        expect(midnight.validThroughTime).toBeNull();
+    });
+
+    it('reads a date without a time', () => {
+        const posting = findJobPosting(postingWith({ validThrough: '2026-02-15' }));
+        expect(posting.validThrough).toEqual(new Date(Date.UTC(2026, 1, 15)));
+        expect(posting.validThroughTime).toBeNull();
+    });
+
+    it('rejects dates that do not exist', () => {
+        expect(findJobPosting(postingWith({ validThrough: '2026-02-30' })).validThrough).toBeNull();
+    });
+});